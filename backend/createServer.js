@@ -0,0 +1,302 @@
+// Server factory - builds the Express app, HTTP server and Socket.IO instance in one place
+// Every router and socket handler is mounted here behind the same auth layer.
+// Nothing listens or connects until listen() is called, so tests can drive `app` directly.
+
+const express = require('express');
+const http = require('http');
+const { Server } = require('socket.io');
+const mongoose = require('mongoose');
+const cors = require('cors');
+const helmet = require('helmet');
+const rateLimit = require('express-rate-limit');
+
+const { createAuthLayer } = require('./middleware/auth');
+const { getFirebaseAuth } = require('./firebase-admin');
+const { registerRoomHandlers } = require('./handlers/roomHandlers');
+const { RoomConnectionSocketHandler } = require('./services/roomConnectionSockets');
+const { MoodMemoryWatcher } = require('./services/memoryWatcher');
+const { summarizeMemory } = require('./services/roomMemory');
+const { RoomModerationService } = require('./services/roomModeration');
+const { createMusicJobs } = require('./services/musicGeneration');
+
+// API Routes
+const roomRoutes = require('./routes/roomRoutes');
+const memoryRoutes = require('./routes/memoryRoutes');
+const timelineRoutes = require('./routes/timelineRoutes');
+const moderationRoutes = require('./routes/moderationRoutes');
+const { profileRoutes, userListRoutes } = require('./routes/userRoutes');
+const moodRoutes = require('./routes/moodRoutes');
+const trackRoutes = require('./routes/trackRoutes');
+const voiceRoutes = require('./routes/voiceRoutes');
+const faceRoutes = require('./routes/faceRoutes');
+const spotifyRoutes = require('./routes/spotifyRoutes');
+const musicRoutes = require('./routes/musicRoutes');
+const roomConnectionRoutes = require('./routes/roomConnectionRoutes');
+
+// Defaults read from the environment; any of them can be overridden per call
+const getDefaultConfig = () => ({
+  port: process.env.PORT || 3001,
+  corsOrigin: process.env.CORS_ORIGIN || process.env.FRONTEND_URL || 'http://localhost:3000',
+  jsonLimit: '5mb', // face captures arrive as base64 data URLs
+  // Limit each IP to 100 API requests per 15 minutes; false disables it (e.g. in tests)
+  rateLimit: { windowMs: 15 * 60 * 1000, max: 100 },
+  helmet: true,
+  // Token verifier shared by REST and sockets; defaults to Firebase ID tokens
+  verifyToken: undefined,
+  // Trust x-user-id headers when no token is sent (never in production)
+  allowDevHeaders: process.env.AUTH_DEV_HEADERS === 'true',
+  socket: {
+    pingTimeout: parseInt(process.env.SOCKET_IO_PING_TIMEOUT) || 60000,
+    pingInterval: parseInt(process.env.SOCKET_IO_PING_INTERVAL) || 25000
+  }
+});
+
+// Socket.IO room joined by every socket of a signed-in user, for events meant for that user only
+const userChannel = (userId) => `user:${userId}`;
+
+const API_ENDPOINTS = [
+  'GET /health',
+  'GET /api/health',
+  'GET /api/profile',
+  'GET /api/users',
+  'POST /api/mood/fuse',
+  'GET /api/mood/examples',
+  'GET /api/mood/registry',
+  'GET /api/tracks/recommendations',
+  'GET /api/rooms',
+  'GET /api/rooms/:roomId',
+  'GET /api/rooms/:roomId/messages',
+  'PUT /api/rooms/:roomId/access',
+  'GET|POST /api/rooms/:roomId/invites',
+  'DELETE /api/rooms/:roomId/invites/:inviteId',
+  'PUT /api/rooms/:roomId/music-provider',
+  'GET /api/rooms/:roomId/timeline',
+  'POST /api/rooms/:roomId/memory',
+  'GET /api/rooms/:roomId/memories',
+  'GET /api/rooms/:roomId/memories/:memoryId/replay',
+  'GET /api/rooms/:roomId/memories/similar',
+  'GET /api/rooms/:roomId/memory-settings',
+  'PUT /api/rooms/:roomId/memory-settings',
+  'POST /api/rooms/:roomId/participants/:userId/kick',
+  'PUT|DELETE /api/rooms/:roomId/participants/:userId/mute',
+  'PUT /api/rooms/:roomId/participants/:userId/role',
+  'PUT /api/rooms/:roomId/owner',
+  'GET /api/rooms/:roomId/bans',
+  'PUT|DELETE /api/rooms/:roomId/bans/:userId',
+  'POST /api/voice/mood',
+  'POST /api/face/mood',
+  '/api/spotify/*',
+  'GET|DELETE /api/music/jobs/:id',
+  '/api/music/*',
+  'GET /api/room-connections/dj-battle/history',
+  '/api/room-connections/*'
+];
+
+function createServer(config = {}) {
+  const defaults = getDefaultConfig();
+  const settings = {
+    ...defaults,
+    ...config,
+    socket: { ...defaults.socket, ...config.socket }
+  };
+
+  const auth = createAuthLayer({
+    verifyToken: settings.verifyToken,
+    allowDevHeaders: settings.allowDevHeaders
+  });
+  const { requireAuth, optionalAuth } = auth;
+
+  const app = express();
+  const server = http.createServer(app);
+  const io = new Server(server, {
+    cors: {
+      origin: settings.corsOrigin,
+      methods: ['GET', 'POST'],
+      credentials: true
+    },
+    pingTimeout: settings.socket.pingTimeout,
+    pingInterval: settings.socket.pingInterval
+  });
+
+  // Middleware
+  if (settings.helmet) {
+    app.use(helmet());
+  }
+  app.use(cors({
+    origin: settings.corsOrigin,
+    credentials: true
+  }));
+  if (settings.rateLimit) {
+    app.use('/api/', rateLimit({
+      ...settings.rateLimit,
+      message: 'Too many requests from this IP, please try again later.'
+    }));
+  }
+  app.use(express.json({ limit: settings.jsonLimit }));
+  app.use(express.urlencoded({ extended: true }));
+
+  // Health checks
+  app.get('/health', (req, res) => {
+    res.status(200).json({
+      status: 'OK',
+      message: 'Server is running',
+      timestamp: new Date().toISOString(),
+      uptime: process.uptime(),
+      firebase: getFirebaseAuth() ? 'Connected' : 'Not Connected',
+      mongodb: mongoose.connection.readyState === 1 ? 'Connected' : 'Disconnected'
+    });
+  });
+
+  app.get('/api/health', (req, res) => {
+    res.json({
+      status: 'healthy',
+      timestamp: new Date().toISOString(),
+      version: '2.0.0',
+      features: {
+        moodFusion: '✅ Enabled',
+        roomMemory: '✅ Enabled',
+        roomConnections: '✅ Enabled',
+        ambientMatching: '✅ Enabled',
+        djBattles: '✅ Enabled',
+        spotifyIntegration: '✅ Enabled',
+        aiMusicGeneration: '✅ Enabled',
+        socketIO: '✅ Real-time enabled',
+        mongoDb: mongoose.connection.readyState === 1 ? '✅ Connected' : '❌ Disconnected'
+      }
+    });
+  });
+
+  app.get('/', optionalAuth, (req, res) => {
+    res.json({
+      message: 'ProjectMood Backend API',
+      version: '1.0.0',
+      user: req.user ? {
+        uid: req.user.uid,
+        email: req.user.email,
+        displayName: req.user.displayName
+      } : null,
+      endpoints: API_ENDPOINTS,
+      socketIO: 'Socket.IO enabled on same port'
+    });
+  });
+
+  // Public routes
+  app.use('/api/mood', moodRoutes);
+  app.use('/api/tracks', trackRoutes);
+
+  // Routes that personalise when signed in; the Spotify OAuth callback must stay reachable
+  app.use('/api/spotify', optionalAuth, spotifyRoutes);
+  app.use('/api/music', optionalAuth, musicRoutes);
+
+  // Protected routes
+  app.use('/api/profile', requireAuth, profileRoutes);
+  app.use('/api/users', requireAuth, userListRoutes);
+  app.use('/api/voice', requireAuth, voiceRoutes);
+  app.use('/api/face', requireAuth, faceRoutes);
+  app.use('/api/rooms', requireAuth, roomRoutes, timelineRoutes, memoryRoutes, moderationRoutes);
+  app.use('/api/room-connections', requireAuth, roomConnectionRoutes);
+
+  // Automatic memories are announced to everyone in the room
+  const memoryWatcher = new MoodMemoryWatcher({
+    onCapture: (roomId, memory, triggers) => {
+      io.to(roomId).emit('memory:captured', {
+        roomId,
+        triggers,
+        memory: summarizeMemory(memory)
+      });
+    }
+  });
+
+  // Kick/mute/ban rules shared by the socket events and the REST routes
+  const roomModeration = new RoomModerationService(io);
+  moderationRoutes.init({ roomModeration });
+
+  // Music generation runs in the background; progress goes to the requester's sockets
+  const musicJobs = createMusicJobs({
+    onUpdate: (job) => {
+      if (job.userId) {
+        io.to(userChannel(job.userId)).emit('music-job:update', job);
+      }
+    }
+  });
+  musicRoutes.init({ musicJobs });
+
+  // Socket.IO: one auth middleware, then every handler set
+  io.use(auth.authenticateSocket);
+  io.on('connection', (socket) => {
+    console.log('New client connected:', socket.id);
+    if (socket.user) {
+      socket.join(userChannel(socket.user.uid));
+    }
+    registerRoomHandlers(io, socket, { memoryWatcher, roomModeration });
+  });
+
+  const roomConnectionSockets = new RoomConnectionSocketHandler(io);
+  roomConnectionRoutes.init(io, {
+    roomConnectionManager: roomConnectionSockets.getRoomConnectionManager(),
+    ambientMatchingService: roomConnectionSockets.getAmbientMatchingService()
+  });
+
+  // 404 handler
+  app.use((req, res) => {
+    res.status(404).json({
+      error: 'Route not found',
+      message: `Cannot ${req.method} ${req.originalUrl}`,
+      availableEndpoints: API_ENDPOINTS
+    });
+  });
+
+  // Error handling middleware
+  app.use((err, req, res, next) => {
+    console.error('Unhandled error:', err);
+
+    if (err.type === 'entity.too.large') {
+      return res.status(413).json({
+        error: 'Payload too large',
+        details: `Request bodies are limited to ${settings.jsonLimit}`
+      });
+    }
+
+    res.status(500).json({
+      error: 'Internal server error',
+      details: process.env.NODE_ENV === 'development' ? err.message : 'Something went wrong'
+    });
+  });
+
+  const listen = (port = settings.port) => new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, () => {
+      server.off('error', reject);
+      resolve(server);
+    });
+  });
+
+  // Closes sockets and the HTTP server; the database connection is owned by the caller
+  const close = () => new Promise((resolve) => {
+    musicJobs.close();
+    io.close(() => resolve());
+  });
+
+  return {
+    app,
+    server,
+    io,
+    auth,
+    config: settings,
+    services: {
+      memoryWatcher,
+      roomModeration,
+      musicJobs,
+      roomConnectionSockets,
+      roomConnectionManager: roomConnectionSockets.getRoomConnectionManager(),
+      playlistQueueManager: roomConnectionSockets.getPlaylistQueueManager()
+    },
+    listen,
+    close
+  };
+}
+
+module.exports = {
+  createServer,
+  getDefaultConfig
+};
@@ -38,6 +38,9 @@ const disconnectDB = async () => {
   }
 };
 
+// Whether Mongoose currently has a live connection
+const isDBConnected = () => mongoose.connection.readyState === 1;
+
 // Handle connection events
 mongoose.connection.on('connected', () => {
   console.log('🔗 Mongoose connected to MongoDB');
@@ -53,5 +56,6 @@ mongoose.connection.on('disconnected', () => {
 
 module.exports = {
   connectDB,
-  disconnectDB
+  disconnectDB,
+  isDBConnected
 };
@@ -1,8 +1,19 @@
 // Socket.IO room handlers for room management, mood tracking, and messaging
 // Handles createRoom, joinRoom, leaveRoom, updateMood, and chat functionality
+// Every chat message is scored for sentiment and feeds the sender's 'chat' mood input
+// `services.memoryWatcher`, when given, captures memories automatically as moods change
+// `services.roomModeration` handles kick/mute/ban/role events; bans and mutes are enforced here
+// Private rooms admit members, invite-link holders and password holders (services/roomAccess.js)
+// Authors edit their own messages; authors and moderators delete them; anyone present may react
 
 const Room = require('../models/Room');
+const Message = require('../models/Message');
 const { v4: uuidv4 } = require('uuid');
+const { analyzeChatSentiment, analyzeReaction, isReactionEmoji } = require('../services/chatSentiment');
+const { getMoodRegistry } = require('../utils/moodRegistry');
+const { getChatMoodWeight } = require('../utils/moodFusion');
+const { MODERATION_ACTIONS, isModerationError } = require('../services/roomModeration');
+const { checkJoinAccess, isAccessError, readInviteToken, hashPassword, validatePassword } = require('../services/roomAccess');
 
 // Generate unique room ID
 const generateRoomId = () => {
@@ -14,6 +25,22 @@ const generateMessageId = () => {
   return uuidv4();
 };
 
+// A reaction never replaces a chat mood read from the participant's own words within this window
+const REACTION_MOOD_HOLD_MS = 5 * 60 * 1000;
+
+// The caller's entry if they are online in the room and still a member (outsiders and banned users are not)
+const findActiveParticipant = (room, userId) => {
+  if (!room.isMember(userId)) {
+    return null;
+  }
+  return room.participants.find(p => p.userId === userId && p.isOnline) || null;
+};
+
+// Memory capture runs after the socket has been answered; failures are only logged
+const watchMemory = (promise) => {
+  promise.catch(error => console.error('Error capturing automatic memory:', error));
+};
+
 // Create a new room
 const handleCreateRoom = async (socket, data) => {
   try {
@@ -22,13 +49,25 @@ const handleCreateRoom = async (socket, data) => {
       return;
     }
 
-    const { name, description = '' } = data;
+    const { name, description = '', visibility = 'public', password } = data;
     
     if (!name || name.trim().length === 0) {
       socket.emit('error', { message: 'Room name is required' });
       return;
     }
 
+    if (!Room.ROOM_VISIBILITIES.includes(visibility)) {
+      socket.emit('error', { message: 'Invalid room visibility' });
+      return;
+    }
+
+    // Only private rooms are password-protected; without one they are invite-only
+    const passwordError = visibility === 'private' && password ? validatePassword(password) : null;
+    if (passwordError) {
+      socket.emit('error', { message: passwordError });
+      return;
+    }
+
     const roomId = generateRoomId();
     
     // Create new room in database
@@ -36,13 +75,17 @@ const handleCreateRoom = async (socket, data) => {
       roomId,
       name: name.trim(),
       description: description.trim(),
+      visibility,
+      passwordHash: visibility === 'private' && password ? await hashPassword(password) : null,
       createdBy: socket.user.uid,
+      ownerId: socket.user.uid,
       participants: [{
         userId: socket.user.uid,
         displayName: socket.user.displayName,
         email: socket.user.email,
         photoURL: socket.user.photoURL || '',
         mood: '😊',
+        role: 'owner',
         joinedAt: new Date(),
         lastSeen: new Date(),
         isOnline: true
@@ -62,6 +105,7 @@ const handleCreateRoom = async (socket, data) => {
       roomId,
       name: room.name,
       description: room.description,
+      visibility: room.visibility,
       participants: room.participants,
       messages: []
     });
@@ -70,7 +114,7 @@ const handleCreateRoom = async (socket, data) => {
     socket.to(roomId).emit('room:update', {
       roomId,
       participants: room.participants,
-      messages: room.getRecentMessages()
+      messages: await room.getRecentMessages()
     });
 
   } catch (error) {
@@ -87,7 +131,9 @@ const handleJoinRoom = async (socket, data) => {
       return;
     }
 
-    const { roomId } = data;
+    // An invite link names its room, so the room ID may be left out
+    const { password, invite } = data;
+    const roomId = data.roomId || readInviteToken(invite)?.roomId;
     
     if (!roomId) {
       socket.emit('error', { message: 'Room ID is required' });
@@ -102,6 +148,11 @@ const handleJoinRoom = async (socket, data) => {
       return;
     }
 
+    if (room.getActiveBan(socket.user.uid)) {
+      socket.emit('error', { message: 'You are banned from this room' });
+      return;
+    }
+
     // Check if room is full
     const onlineParticipants = room.getOnlineParticipants();
     if (onlineParticipants.length >= room.maxParticipants) {
@@ -109,6 +160,17 @@ const handleJoinRoom = async (socket, data) => {
       return;
     }
 
+    // Private rooms admit members, then invitees and password holders
+    try {
+      await checkJoinAccess(room, socket.user.uid, { password, invite });
+    } catch (error) {
+      if (isAccessError(error)) {
+        socket.emit('error', { message: error.message, code: error.code, roomId });
+        return;
+      }
+      throw error;
+    }
+
     // Add participant to room
     await room.addParticipant({
       userId: socket.user.uid,
@@ -124,20 +186,27 @@ const handleJoinRoom = async (socket, data) => {
 
     console.log(`User ${socket.user.email} joined room: ${roomId}`);
 
-    // Emit success to user
+    // Emit success to user; older history is paged from GET /api/rooms/:roomId/messages
+    const history = await Message.findPage(roomId);
     socket.emit('room:joined', {
       roomId,
       name: room.name,
       description: room.description,
+      visibility: room.visibility,
+      role: room.getParticipantRole(socket.user.uid),
       participants: room.participants.filter(p => p.isOnline),
-      messages: room.getRecentMessages()
+      messages: history.messages,
+      hasMoreMessages: history.hasMore,
+      messagesCursor: history.nextCursor,
+      // Clients fuse chat moods at the same weight as the server
+      chatMoodWeight: getChatMoodWeight()
     });
 
     // Broadcast to other participants
     socket.to(roomId).emit('room:update', {
       roomId,
       participants: room.participants.filter(p => p.isOnline),
-      messages: room.getRecentMessages()
+      messages: await room.getRecentMessages()
     });
 
     // Send system message
@@ -157,7 +226,7 @@ const handleJoinRoom = async (socket, data) => {
 };
 
 // Leave a room
-const handleLeaveRoom = async (socket, data) => {
+const handleLeaveRoom = async (socket, data, services = {}) => {
   try {
     const { roomId } = data || {};
     const targetRoomId = roomId || socket.currentRoom;
@@ -174,12 +243,16 @@ const handleLeaveRoom = async (socket, data) => {
         await room.removeParticipant(socket.user.uid);
         
         console.log(`User ${socket.user.email} left room: ${targetRoomId}`);
+
+        if (services.memoryWatcher && room.getOnlineParticipants().length === 0) {
+          watchMemory(services.memoryWatcher.endSession(room));
+        }
         
         // Broadcast to other participants
         socket.to(targetRoomId).emit('room:update', {
           roomId: targetRoomId,
           participants: room.participants.filter(p => p.isOnline),
-          messages: room.getRecentMessages()
+          messages: await room.getRecentMessages()
         });
 
         // Send system message
@@ -207,7 +280,7 @@ const handleLeaveRoom = async (socket, data) => {
 };
 
 // Update user mood in room
-const handleUpdateMood = async (socket, data) => {
+const handleUpdateMood = async (socket, data, services = {}) => {
   try {
     if (!socket.isAuthenticated) {
       socket.emit('error', { message: 'Authentication required to update mood' });
@@ -221,14 +294,17 @@ const handleUpdateMood = async (socket, data) => {
       return;
     }
 
-    const validMoods = ['😊', '😢', '😠', '😴', '🤔', '😍', '🤯', '🎉', 'happy', 'sad', 'angry', 'sleepy', 'thoughtful', 'excited', 'surprised', 'calm', 'neutral'];
     const validSources = ['manual', 'voice', 'face'];
+    const moodRegistry = getMoodRegistry();
     
-    if (!validMoods.includes(mood)) {
+    if (!moodRegistry.isValid(mood)) {
       socket.emit('error', { message: 'Invalid mood' });
       return;
     }
 
+    // Emoji are stored as sent; synonyms and localized names become the mood's name
+    const storedMood = moodRegistry.emoji().includes(mood) ? mood : moodRegistry.resolve(mood);
+
     if (!validSources.includes(moodSource)) {
       socket.emit('error', { message: 'Invalid mood source' });
       return;
@@ -242,16 +318,22 @@ const handleUpdateMood = async (socket, data) => {
       return;
     }
 
-    await room.updateParticipantMood(socket.user.uid, mood, moodSource, confidence);
+    // Banned users keep their participant entry, and outsiders must not broadcast into private rooms
+    if (!findActiveParticipant(room, socket.user.uid)) {
+      socket.emit('error', { message: 'You are not in this room' });
+      return;
+    }
 
-    console.log(`User ${socket.user.email} updated mood to ${mood} (${moodSource}, ${Math.round(confidence * 100)}%) in room: ${roomId}`);
+    await room.updateParticipantMood(socket.user.uid, storedMood, moodSource, confidence);
+
+    console.log(`User ${socket.user.email} updated mood to ${storedMood} (${moodSource}, ${Math.round(confidence * 100)}%) in room: ${roomId}`);
 
     // Broadcast mood update to all participants
     const updatedParticipant = room.participants.find(p => p.userId === socket.user.uid);
     
     socket.to(roomId).emit('participantMoodUpdated', {
       userId: socket.user.uid,
-      mood,
+      mood: storedMood,
       moodSource,
       confidence,
       timestamp: new Date().toISOString()
@@ -259,12 +341,16 @@ const handleUpdateMood = async (socket, data) => {
 
     socket.emit('mood:updated', { 
       roomId, 
-      mood, 
+      mood: storedMood, 
       moodSource, 
       confidence,
       timestamp: new Date().toISOString()
     });
 
+    if (services.memoryWatcher) {
+      watchMemory(services.memoryWatcher.observeRoom(room));
+    }
+
   } catch (error) {
     console.error('Error updating mood:', error);
     socket.emit('error', { message: 'Failed to update mood' });
@@ -272,7 +358,7 @@ const handleUpdateMood = async (socket, data) => {
 };
 
 // Send message to room
-const handleSendMessage = async (socket, data) => {
+const handleSendMessage = async (socket, data, services = {}) => {
   try {
     if (!socket.isAuthenticated) {
       socket.emit('error', { message: 'Authentication required to send messages' });
@@ -300,17 +386,24 @@ const handleSendMessage = async (socket, data) => {
     }
 
     // Check if user is in room
-    const participant = room.participants.find(p => p.userId === socket.user.uid && p.isOnline);
-    if (!participant) {
+    if (!findActiveParticipant(room, socket.user.uid)) {
       socket.emit('error', { message: 'You are not in this room' });
       return;
     }
 
+    if (room.isParticipantMuted(socket.user.uid)) {
+      socket.emit('error', { message: 'You are muted in this room' });
+      return;
+    }
+
+    const chatMood = analyzeChatSentiment(message);
+
     const messageData = {
       messageId: generateMessageId(),
       userId: socket.user.uid,
       displayName: socket.user.displayName,
       message: message.trim(),
+      ...(chatMood.mood && { mood: chatMood.mood, valence: chatMood.valence }),
       timestamp: new Date()
     };
 
@@ -334,21 +427,281 @@ const handleSendMessage = async (socket, data) => {
     socket.to(roomId).emit('message:received', messageToSend);
     socket.emit('message:sent', messageToSend);
 
+    // Messages without emotional content leave the sender's chat mood as it was
+    if (chatMood.mood) {
+      await room.updateParticipantChatMood(socket.user.uid, chatMood);
+
+      const chatMoodUpdate = {
+        userId: socket.user.uid,
+        mood: chatMood.mood,
+        sentiment: chatMood.sentiment,
+        confidence: chatMood.confidence,
+        timestamp: new Date().toISOString()
+      };
+      socket.to(roomId).emit('participantChatMoodUpdated', chatMoodUpdate);
+      socket.emit('participantChatMoodUpdated', chatMoodUpdate);
+
+      if (services.memoryWatcher) {
+        watchMemory(services.memoryWatcher.observeRoom(room));
+      }
+    }
+
   } catch (error) {
     console.error('Error sending message:', error);
     socket.emit('error', { message: 'Failed to send message' });
   }
 };
 
+// Shared checks for acting on an existing message; emits the error and resolves to null on failure
+const findRoomMessage = async (socket, data, action) => {
+  if (!socket.isAuthenticated) {
+    socket.emit('error', { message: `Authentication required to ${action} messages` });
+    return null;
+  }
+
+  const { roomId, messageId } = data || {};
+  if (!roomId || !messageId) {
+    socket.emit('error', { message: 'Room ID and message ID are required' });
+    return null;
+  }
+
+  const room = await Room.findByRoomId(roomId);
+  if (!room) {
+    socket.emit('error', { message: 'Room not found' });
+    return null;
+  }
+
+  if (!findActiveParticipant(room, socket.user.uid)) {
+    socket.emit('error', { message: 'You are not in this room' });
+    return null;
+  }
+
+  const message = await Message.findInRoom(roomId, messageId);
+  if (!message) {
+    socket.emit('error', { message: 'Message not found', code: 'MESSAGE_NOT_FOUND', messageId });
+    return null;
+  }
+
+  return { room, message };
+};
+
+// Edit one of your own messages; the new text is scored again for sentiment
+const handleEditMessage = async (socket, data) => {
+  try {
+    const found = await findRoomMessage(socket, data, 'edit');
+    if (!found) return;
+
+    const { room, message } = found;
+    const text = typeof data.message === 'string' ? data.message.trim() : '';
+
+    if (message.userId !== socket.user.uid) {
+      socket.emit('error', { message: 'You can only edit your own messages' });
+      return;
+    }
+
+    if (text.length === 0) {
+      socket.emit('error', { message: 'Message is required' });
+      return;
+    }
+
+    if (text.length > 1000) {
+      socket.emit('error', { message: 'Message too long (max 1000 characters)' });
+      return;
+    }
+
+    if (room.isParticipantMuted(socket.user.uid)) {
+      socket.emit('error', { message: 'You are muted in this room' });
+      return;
+    }
+
+    const chatMood = analyzeChatSentiment(text);
+    const edited = await message.edit(text, chatMood.mood
+      ? { mood: chatMood.mood, valence: chatMood.valence }
+      : {});
+
+    const update = {
+      roomId: room.roomId,
+      messageId: edited.messageId,
+      message: edited.message,
+      mood: edited.mood,
+      valence: edited.valence,
+      edited: true,
+      editedAt: edited.editedAt
+    };
+
+    socket.to(room.roomId).emit('message:edited', update);
+    socket.emit('message:edited', update);
+
+  } catch (error) {
+    console.error('Error editing message:', error);
+    socket.emit('error', { message: 'Failed to edit message' });
+  }
+};
+
+// Delete a message: the author may delete their own, moderators and the owner any
+const handleDeleteMessage = async (socket, data) => {
+  try {
+    const found = await findRoomMessage(socket, data, 'delete');
+    if (!found) return;
+
+    const { room, message } = found;
+    const isAuthor = message.userId === socket.user.uid;
+
+    if (!isAuthor && room.getParticipantRole(socket.user.uid) === 'member') {
+      socket.emit('error', { message: 'Only moderators can delete other people\'s messages' });
+      return;
+    }
+
+    await Message.removeFromRoom(room.roomId, message.messageId);
+
+    console.log(`User ${socket.user.email} deleted message ${message.messageId} in room: ${room.roomId}`);
+
+    const update = {
+      roomId: room.roomId,
+      messageId: message.messageId,
+      deletedBy: socket.user.uid,
+      byModerator: !isAuthor
+    };
+
+    socket.to(room.roomId).emit('message:deleted', update);
+    socket.emit('message:deleted', update);
+
+  } catch (error) {
+    console.error('Error deleting message:', error);
+    socket.emit('error', { message: 'Failed to delete message' });
+  }
+};
+
+// Toggle an emoji reaction; a new reaction can also nudge the reactor's chat mood
+const handleReactToMessage = async (socket, data, services = {}) => {
+  try {
+    const found = await findRoomMessage(socket, data, 'react to');
+    if (!found) return;
+
+    const { room, message } = found;
+    const { emoji } = data;
+
+    if (!isReactionEmoji(emoji)) {
+      socket.emit('error', { message: 'Reactions must be a single emoji' });
+      return;
+    }
+
+    if (room.isParticipantMuted(socket.user.uid)) {
+      socket.emit('error', { message: 'You are muted in this room' });
+      return;
+    }
+
+    const added = await message.toggleReaction(socket.user.uid, emoji);
+    if (added === null) {
+      socket.emit('error', { message: `A message can have at most ${Message.MAX_REACTIONS_PER_MESSAGE} different reactions` });
+      return;
+    }
+
+    const update = {
+      roomId: room.roomId,
+      messageId: message.messageId,
+      userId: socket.user.uid,
+      emoji,
+      added,
+      reactions: Message.summarizeReactions(message)
+    };
+
+    socket.to(room.roomId).emit('message:reactions', update);
+    socket.emit('message:reactions', update);
+
+    if (!added) return;
+
+    const reactionMood = analyzeReaction(emoji);
+    const current = room.participants.find(p => p.userId === socket.user.uid)?.chatMood;
+    const heldByWords = current && current.confidence > reactionMood.confidence &&
+      Date.now() - new Date(current.updatedAt).getTime() < REACTION_MOOD_HOLD_MS;
+
+    if (reactionMood.mood && !heldByWords) {
+      await room.updateParticipantChatMood(socket.user.uid, reactionMood);
+
+      const chatMoodUpdate = {
+        userId: socket.user.uid,
+        mood: reactionMood.mood,
+        sentiment: reactionMood.sentiment,
+        confidence: reactionMood.confidence,
+        fromReaction: true,
+        timestamp: new Date().toISOString()
+      };
+      socket.to(room.roomId).emit('participantChatMoodUpdated', chatMoodUpdate);
+      socket.emit('participantChatMoodUpdated', chatMoodUpdate);
+
+      if (services.memoryWatcher) {
+        watchMemory(services.memoryWatcher.observeRoom(room));
+      }
+    }
+
+  } catch (error) {
+    console.error('Error reacting to message:', error);
+    socket.emit('error', { message: 'Failed to react to message' });
+  }
+};
+
+// Kick, mute, ban, role and ownership events; the moderation service checks who may do what
+const handleModeration = async (socket, action, data, services = {}) => {
+  try {
+    if (!socket.isAuthenticated) {
+      socket.emit('error', { message: 'Authentication required to moderate rooms' });
+      return;
+    }
+
+    if (!services.roomModeration) {
+      socket.emit('error', { message: 'Moderation is not available' });
+      return;
+    }
+
+    const { roomId, userId, duration, reason, role } = data || {};
+
+    if (!roomId || !userId) {
+      socket.emit('error', { message: 'Room ID and user ID are required' });
+      return;
+    }
+
+    const result = await services.roomModeration.moderate(roomId, socket.user, action, {
+      targetUserId: userId,
+      duration,
+      reason,
+      role
+    });
+
+    console.log(`User ${socket.user.email} applied ${action} to ${userId} in room: ${roomId}`);
+    socket.emit('moderation:applied', result);
+
+  } catch (error) {
+    if (isModerationError(error)) {
+      socket.emit('error', { message: error.message, code: error.code });
+      return;
+    }
+    console.error('Error moderating room:', error);
+    socket.emit('error', { message: 'Failed to moderate room' });
+  }
+};
+
+// Socket event name for each moderation action
+const MODERATION_EVENTS = {
+  kickParticipant: MODERATION_ACTIONS.KICK,
+  muteParticipant: MODERATION_ACTIONS.MUTE,
+  unmuteParticipant: MODERATION_ACTIONS.UNMUTE,
+  banUser: MODERATION_ACTIONS.BAN,
+  unbanUser: MODERATION_ACTIONS.UNBAN,
+  setParticipantRole: MODERATION_ACTIONS.SET_ROLE,
+  transferOwnership: MODERATION_ACTIONS.TRANSFER_OWNERSHIP
+};
+
 // Get room list
 const handleGetRooms = async (socket) => {
   try {
-    const rooms = await Room.findActiveRooms();
+    const rooms = await Room.findVisibleRooms(socket.isAuthenticated ? socket.user.uid : null);
     
     const roomList = rooms.map(room => ({
       roomId: room.roomId,
       name: room.name,
       description: room.description,
+      visibility: room.visibility || 'public',
       participantCount: room.participants ? room.participants.filter(p => p.isOnline).length : 0,
       lastActivity: room.lastActivity
     }));
@@ -362,10 +715,10 @@ const handleGetRooms = async (socket) => {
 };
 
 // Handle disconnect
-const handleDisconnect = async (socket, reason) => {
+const handleDisconnect = async (socket, reason, services = {}) => {
   try {
     if (socket.currentRoom && socket.isAuthenticated) {
-      await handleLeaveRoom(socket, { roomId: socket.currentRoom });
+      await handleLeaveRoom(socket, { roomId: socket.currentRoom }, services);
     }
     
     console.log(`Client disconnected: ${socket.id}, Reason: ${reason}`);
@@ -377,12 +730,73 @@ const handleDisconnect = async (socket, reason) => {
   }
 };
 
+// Wire the room events for one connected socket
+const registerRoomHandlers = (io, socket, services = {}) => {
+  if (socket.isAuthenticated && socket.user) {
+    console.log('Authenticated user:', socket.user.email);
+    socket.emit('message', {
+      type: 'system',
+      text: `Welcome back, ${socket.user.displayName || socket.user.email}!`,
+      timestamp: new Date()
+    });
+  } else {
+    console.log('Unauthenticated connection');
+    socket.emit('message', {
+      type: 'system',
+      text: 'Connected as guest. Please sign in for full features.',
+      timestamp: new Date()
+    });
+  }
+
+  // Room management events
+  socket.on('createRoom', (data) => handleCreateRoom(socket, data));
+  socket.on('joinRoom', (data) => handleJoinRoom(socket, data));
+  socket.on('leaveRoom', (data) => handleLeaveRoom(socket, data, services));
+  socket.on('updateMood', (data) => handleUpdateMood(socket, data, services));
+  socket.on('sendMessage', (data) => handleSendMessage(socket, data, services));
+  socket.on('editMessage', (data) => handleEditMessage(socket, data));
+  socket.on('deleteMessage', (data) => handleDeleteMessage(socket, data));
+  socket.on('reactToMessage', (data) => handleReactToMessage(socket, data, services));
+  socket.on('getRooms', () => handleGetRooms(socket));
+
+  // Moderation events
+  Object.entries(MODERATION_EVENTS).forEach(([event, action]) => {
+    socket.on(event, (data) => handleModeration(socket, action, data, services));
+  });
+
+  // Legacy message handling (for backward compatibility)
+  socket.on('message', (data) => {
+    console.log('Legacy message received:', data);
+    
+    const messageData = {
+      type: 'user',
+      text: typeof data === 'string' ? data : data.text,
+      user: socket.isAuthenticated ? socket.user : {
+        displayName: 'Guest',
+        uid: socket.id
+      },
+      timestamp: new Date()
+    };
+    
+    // Broadcast to all connected clients
+    io.emit('message', messageData);
+  });
+
+  // Handle disconnection
+  socket.on('disconnect', (reason) => handleDisconnect(socket, reason, services));
+};
+
 module.exports = {
+  registerRoomHandlers,
   handleCreateRoom,
   handleJoinRoom,
   handleLeaveRoom,
   handleUpdateMood,
   handleSendMessage,
+  handleEditMessage,
+  handleDeleteMessage,
+  handleReactToMessage,
+  handleModeration,
   handleGetRooms,
   handleDisconnect
 };
@@ -1,121 +1,154 @@
-// Firebase JWT authentication middleware for Express routes
-// Validates Firebase ID tokens and attaches user info to requests
+// Firebase JWT authentication middleware for Express routes and Socket.IO
+// Validates Firebase ID tokens and attaches user info to requests and sockets
 
 const { getFirebaseAuth } = require('../firebase-admin');
 
-// Middleware to verify Firebase ID token
-const verifyFirebaseToken = async (req, res, next) => {
-  try {
-    const authHeader = req.headers.authorization;
-    
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({
-        error: 'Unauthorized',
-        message: 'Missing or invalid authorization header. Expected "Bearer <token>"'
-      });
-    }
+// Verify a Firebase ID token and return the user attached to req.user / socket.user
+const verifyFirebaseIdToken = async (idToken) => {
+  const firebaseAuth = getFirebaseAuth();
+  if (!firebaseAuth) {
+    const error = new Error('Firebase Auth not initialized');
+    error.code = 'auth/not-initialized';
+    throw error;
+  }
 
-    const idToken = authHeader.split('Bearer ')[1];
-    
-    if (!idToken) {
-      return res.status(401).json({
-        error: 'Unauthorized',
-        message: 'Missing ID token'
-      });
-    }
+  const decodedToken = await firebaseAuth.verifyIdToken(idToken);
+
+  return {
+    uid: decodedToken.uid,
+    email: decodedToken.email,
+    emailVerified: decodedToken.email_verified,
+    displayName: decodedToken.name,
+    photoURL: decodedToken.picture,
+    authTime: decodedToken.auth_time,
+    issuedAt: decodedToken.iat,
+    expiresAt: decodedToken.exp
+  };
+};
 
-    const firebaseAuth = getFirebaseAuth();
-    if (!firebaseAuth) {
-      return res.status(500).json({
-        error: 'Internal Server Error',
-        message: 'Firebase Auth not initialized'
-      });
-    }
+const getBearerToken = (req) => {
+  const authHeader = req.headers.authorization;
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return null;
+  }
+  return authHeader.split('Bearer ')[1] || null;
+};
 
-    // Verify the ID token
-    const decodedToken = await firebaseAuth.verifyIdToken(idToken);
-    
-    // Attach user info to request object
-    req.user = {
-      uid: decodedToken.uid,
-      email: decodedToken.email,
-      emailVerified: decodedToken.email_verified,
-      displayName: decodedToken.name,
-      photoURL: decodedToken.picture,
-      authTime: decodedToken.auth_time,
-      issuedAt: decodedToken.iat,
-      expiresAt: decodedToken.exp
-    };
+// Local development only: identify callers by x-user-id headers instead of a token.
+// Never honoured in production, and a request without the header stays anonymous.
+const getDevHeaderUser = (headers) => {
+  const uid = headers['x-user-id'];
+  if (!uid) {
+    return null;
+  }
+  return {
+    uid,
+    displayName: headers['x-user-name'] || uid,
+    email: headers['x-user-email'] || null
+  };
+};
+
+// Build the Express and Socket.IO middleware around one token verifier,
+// so every route and socket resolves users the same way
+const createAuthLayer = ({ verifyToken = verifyFirebaseIdToken, allowDevHeaders = false } = {}) => {
+  const devHeadersEnabled = allowDevHeaders && process.env.NODE_ENV !== 'production';
+
+  // Middleware to verify the bearer token
+  const requireAuth = async (req, res, next) => {
+    try {
+      const idToken = getBearerToken(req);
+
+      if (!idToken) {
+        const devUser = devHeadersEnabled && getDevHeaderUser(req.headers);
+        if (devUser) {
+          req.user = devUser;
+          return next();
+        }
+
+        return res.status(401).json({
+          error: 'Unauthorized',
+          message: 'Missing or invalid authorization header. Expected "Bearer <token>"'
+        });
+      }
+
+      req.user = await verifyToken(idToken);
+      next();
+    } catch (error) {
+      console.error('Token verification failed:', error);
+
+      if (error.code === 'auth/not-initialized') {
+        return res.status(500).json({
+          error: 'Internal Server Error',
+          message: 'Firebase Auth not initialized'
+        });
+      }
+      
+      if (error.code === 'auth/id-token-expired') {
+        return res.status(401).json({
+          error: 'Token Expired',
+          message: 'ID token has expired. Please sign in again.'
+        });
+      }
+      
+      if (error.code === 'auth/id-token-revoked') {
+        return res.status(401).json({
+          error: 'Token Revoked',
+          message: 'ID token has been revoked. Please sign in again.'
+        });
+      }
 
-    next();
-  } catch (error) {
-    console.error('Token verification failed:', error);
-    
-    if (error.code === 'auth/id-token-expired') {
-      return res.status(401).json({
-        error: 'Token Expired',
-        message: 'ID token has expired. Please sign in again.'
-      });
-    }
-    
-    if (error.code === 'auth/id-token-revoked') {
       return res.status(401).json({
-        error: 'Token Revoked',
-        message: 'ID token has been revoked. Please sign in again.'
+        error: 'Invalid Token',
+        message: 'Failed to verify ID token'
       });
     }
+  };
 
-    return res.status(401).json({
-      error: 'Invalid Token',
-      message: 'Failed to verify ID token'
-    });
-  }
-};
-
-// Middleware for optional authentication (doesn't fail if no token)
-const optionalAuth = async (req, res, next) => {
-  try {
-    const authHeader = req.headers.authorization;
-    
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+  // Middleware for optional authentication (doesn't fail if no token)
+  const optionalAuth = async (req, res, next) => {
+    try {
+      const idToken = getBearerToken(req);
+      req.user = idToken
+        ? await verifyToken(idToken)
+        : (devHeadersEnabled && getDevHeaderUser(req.headers)) || null;
+      next();
+    } catch (error) {
+      console.error('Optional auth failed:', error);
       req.user = null;
-      return next();
+      next();
     }
+  };
 
-    const idToken = authHeader.split('Bearer ')[1];
-    
-    if (!idToken) {
-      req.user = null;
-      return next();
-    }
+  // Socket.IO middleware: unauthenticated sockets may connect as guests
+  const authenticateSocket = async (socket, next) => {
+    socket.isAuthenticated = false;
+    socket.user = null;
 
-    const firebaseAuth = getFirebaseAuth();
-    if (!firebaseAuth) {
-      req.user = null;
-      return next();
-    }
+    try {
+      const { token, userId, displayName } = socket.handshake.auth || {};
 
-    const decodedToken = await firebaseAuth.verifyIdToken(idToken);
-    
-    req.user = {
-      uid: decodedToken.uid,
-      email: decodedToken.email,
-      emailVerified: decodedToken.email_verified,
-      displayName: decodedToken.name,
-      photoURL: decodedToken.picture,
-      authTime: decodedToken.auth_time,
-      issuedAt: decodedToken.iat,
-      expiresAt: decodedToken.exp
-    };
+      if (token) {
+        socket.user = await verifyToken(token);
+      } else if (devHeadersEnabled && userId) {
+        socket.user = { uid: userId, displayName: displayName || userId, email: null };
+      }
+
+      socket.isAuthenticated = !!socket.user;
+    } catch (error) {
+      console.error('Socket authentication failed:', error);
+    }
 
     next();
-  } catch (error) {
-    console.error('Optional auth failed:', error);
-    req.user = null;
-    next();
-  }
+  };
+
+  return { requireAuth, optionalAuth, authenticateSocket };
 };
 
+// Default Firebase-backed middleware
+const defaultAuthLayer = createAuthLayer();
+const verifyFirebaseToken = defaultAuthLayer.requireAuth;
+const optionalAuth = defaultAuthLayer.optionalAuth;
+
 // Middleware to check if user has specific claims/roles
 const requireRole = (requiredRole) => {
   return async (req, res, next) => {
@@ -158,6 +191,8 @@ const requireRole = (requiredRole) => {
 };
 
 module.exports = {
+  createAuthLayer,
+  verifyFirebaseIdToken,
   verifyFirebaseToken,
   optionalAuth,
   requireRole
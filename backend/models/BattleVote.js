@@ -0,0 +1,52 @@
+// Battle Vote Model - one audience vote cast during a DJ battle
+// Kept separately from the battle so votes can be audited and re-tallied
+
+const mongoose = require('mongoose');
+
+const battleVoteSchema = new mongoose.Schema({
+  battleId: {
+    type: String,
+    required: true
+  },
+  userId: {
+    type: String,
+    required: true
+  },
+  // Side the voter belongs to, from room membership
+  voterSide: {
+    type: String,
+    enum: ['A', 'B'],
+    required: true
+  },
+  // Side whose track was playing in the slot; the vote's points go here
+  room: {
+    type: String,
+    enum: ['A', 'B'],
+    required: true
+  },
+  trackId: String,
+  slotIndex: {
+    type: Number,
+    required: true
+  },
+  vote: {
+    type: String,
+    enum: ['up', 'down', 'fire'],
+    required: true
+  },
+  weight: Number,
+  timestamp: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: false
+});
+
+battleVoteSchema.index({ battleId: 1, timestamp: 1 });
+// One vote per user per slot
+battleVoteSchema.index({ battleId: 1, slotIndex: 1, userId: 1 }, { unique: true });
+
+const BattleVote = mongoose.model('BattleVote', battleVoteSchema);
+
+module.exports = BattleVote;
@@ -0,0 +1,120 @@
+// DJ Battle Model - one battle between two connected rooms, from schedule to final result
+// Progress is saved per slot so an interrupted battle can resume after a restart
+
+const mongoose = require('mongoose');
+
+const battleResultSchema = new mongoose.Schema({
+  winner: {
+    room: String,
+    score: Number,
+    decidedBy: String // 'votes', or 'engagement' when the votes tie
+  },
+  votes: {
+    roomA: Number,
+    roomB: Number
+  },
+  slotVotes: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+  },
+  engagementA: Number,
+  engagementB: Number,
+  moodMovement: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  trackCount: Number
+}, { _id: false });
+
+const djBattleSchema = new mongoose.Schema({
+  battleId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  sharedRoomId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  roomA: {
+    type: String,
+    required: true
+  },
+  roomB: {
+    type: String,
+    required: true
+  },
+  initiatedBy: String,
+  status: {
+    type: String,
+    enum: ['starting', 'active', 'finished', 'interrupted'],
+    default: 'starting'
+  },
+  duration: Number, // milliseconds
+  tracks: {
+    type: mongoose.Schema.Types.Mixed,
+    default: () => ({ roomA: [], roomB: [] })
+  },
+  schedule: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+  },
+  currentSlot: {
+    type: Number,
+    default: 0
+  },
+  currentTrack: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  // Running engagement totals and mood captures
+  stats: {
+    type: mongoose.Schema.Types.Mixed,
+    default: () => ({ moodShifts: [], engagementA: 0, engagementB: 0, winner: null })
+  },
+  result: {
+    type: battleResultSchema,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  finishedAt: Date
+}, {
+  timestamps: false
+});
+
+djBattleSchema.index({ status: 1 });
+djBattleSchema.index({ roomA: 1, finishedAt: -1 });
+djBattleSchema.index({ roomB: 1, finishedAt: -1 });
+
+// Static method to find battles that were running when the process stopped
+djBattleSchema.statics.findLive = function() {
+  return this.find({ status: { $in: ['starting', 'active'] } }).lean();
+};
+
+// Static method to list finished battles, newest first, optionally for one room
+djBattleSchema.statics.findHistory = async function({ roomId, limit = 20, offset = 0 } = {}) {
+  const query = { status: 'finished' };
+  if (roomId) {
+    query.$or = [{ roomA: roomId }, { roomB: roomId }];
+  }
+
+  const [battles, total] = await Promise.all([
+    this.find(query)
+      .select('-schedule -stats.moodShifts')
+      .sort({ finishedAt: -1 })
+      .skip(offset)
+      .limit(limit)
+      .lean(),
+    this.countDocuments(query)
+  ]);
+
+  return { battles, total };
+};
+
+const DjBattle = mongoose.model('DjBattle', djBattleSchema);
+
+module.exports = DjBattle;
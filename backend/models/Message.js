@@ -0,0 +1,254 @@
+// Message Model - room chat history, one document per message
+// Kept out of the Room document so history is unbounded and sending a message never rewrites the room.
+// Pages are read newest-first with an opaque cursor naming the oldest message already loaded.
+
+const mongoose = require('mongoose');
+
+// Distinct reaction emojis a single message can collect
+const MAX_REACTIONS_PER_MESSAGE = 20;
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+
+// One entry per emoji; the count is userIds.length, so each user reacts once per emoji
+const reactionSchema = new mongoose.Schema({
+  emoji: {
+    type: String,
+    required: true
+  },
+  userIds: {
+    type: [String],
+    default: []
+  }
+}, { _id: false });
+
+const messageSchema = new mongoose.Schema({
+  messageId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  roomId: {
+    type: String,
+    required: true
+  },
+  userId: {
+    type: String,
+    required: true
+  },
+  displayName: {
+    type: String,
+    required: true
+  },
+  message: {
+    type: String,
+    required: true,
+    maxlength: 1000
+  },
+  timestamp: {
+    type: Date,
+    default: Date.now
+  },
+  // Mood and valence (-1..1) read from the text when it was sent
+  mood: String,
+  valence: Number,
+  edited: {
+    type: Boolean,
+    default: false
+  },
+  editedAt: {
+    type: Date
+  },
+  reactions: {
+    type: [reactionSchema],
+    default: []
+  }
+}, {
+  timestamps: false
+});
+
+// Serves both the latest messages and every older page; messageId breaks timestamp ties
+messageSchema.index({ roomId: 1, timestamp: -1, messageId: -1 });
+
+// Cursors are opaque to clients: base64url of "<timestamp ms>:<messageId>"
+const encodeCursor = (message) =>
+  Buffer.from(`${new Date(message.timestamp).getTime()}:${message.messageId}`).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  if (typeof cursor !== 'string' || cursor.length === 0) {
+    return null;
+  }
+  const decoded = Buffer.from(cursor, 'base64url').toString();
+  const separator = decoded.indexOf(':');
+  const time = Number(decoded.slice(0, separator));
+  const messageId = decoded.slice(separator + 1);
+  if (separator <= 0 || !Number.isFinite(time) || !messageId) {
+    return null;
+  }
+  return { timestamp: new Date(time), messageId };
+};
+
+// Query for a room's messages strictly older than the cursor
+const buildPageQuery = (roomId, cursor) => {
+  const query = { roomId };
+  if (cursor) {
+    query.$or = [
+      { timestamp: { $lt: cursor.timestamp } },
+      { timestamp: cursor.timestamp, messageId: { $lt: cursor.messageId } }
+    ];
+  }
+  return query;
+};
+
+// Instance methods
+// Replace the text; mood and valence are re-read from the new text by the caller
+messageSchema.methods.edit = function(text, { mood, valence } = {}) {
+  this.message = text;
+  this.mood = mood;
+  this.valence = valence;
+  this.edited = true;
+  this.editedAt = new Date();
+  return this.save();
+};
+
+// Add the user's reaction, or take it back if they already reacted with that emoji.
+// Resolves to whether the reaction was added, or null when the message is full of reactions
+messageSchema.methods.toggleReaction = async function(userId, emoji) {
+  const reaction = this.reactions.find(r => r.emoji === emoji);
+  let added;
+
+  if (reaction && reaction.userIds.includes(userId)) {
+    reaction.userIds = reaction.userIds.filter(id => id !== userId);
+    this.reactions = this.reactions.filter(r => r.userIds.length > 0);
+    added = false;
+  } else if (reaction) {
+    reaction.userIds.push(userId);
+    added = true;
+  } else {
+    if (this.reactions.length >= MAX_REACTIONS_PER_MESSAGE) {
+      return null;
+    }
+    this.reactions.push({ emoji, userIds: [userId] });
+    added = true;
+  }
+
+  await this.save();
+  return added;
+};
+
+// Static methods
+messageSchema.statics.record = function(message) {
+  return this.create({
+    messageId: message.messageId,
+    roomId: message.roomId,
+    userId: message.userId,
+    displayName: message.displayName,
+    message: message.message,
+    mood: message.mood,
+    valence: message.valence,
+    timestamp: message.timestamp || new Date()
+  });
+};
+
+messageSchema.statics.findInRoom = function(roomId, messageId) {
+  return this.findOne({ roomId, messageId });
+};
+
+messageSchema.statics.removeFromRoom = function(roomId, messageId) {
+  return this.findOneAndDelete({ roomId, messageId });
+};
+
+/**
+ * One page of a room's history, older than `before` (a cursor from a previous page).
+ * Resolves to { messages, hasMore, nextCursor } with messages in chronological order;
+ * an unreadable cursor rejects with a 'INVALID_CURSOR' code.
+ */
+messageSchema.statics.findPage = async function(roomId, { before, limit = DEFAULT_PAGE_SIZE } = {}) {
+  const cursor = before ? decodeCursor(before) : null;
+  if (before && !cursor) {
+    const error = new Error('Invalid cursor');
+    error.code = 'INVALID_CURSOR';
+    throw error;
+  }
+
+  const size = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(limit, 10) || DEFAULT_PAGE_SIZE));
+
+  // One extra row tells whether anything older remains
+  const rows = await this.find(buildPageQuery(roomId, cursor))
+    .sort({ timestamp: -1, messageId: -1 })
+    .limit(size + 1)
+    .lean();
+
+  const hasMore = rows.length > size;
+  const messages = rows.slice(0, size).reverse();
+
+  return {
+    messages,
+    hasMore,
+    nextCursor: hasMore ? encodeCursor(messages[0]) : null
+  };
+};
+
+// Latest messages in chronological order, as sent with room:joined
+messageSchema.statics.findRecent = async function(roomId, limit = DEFAULT_PAGE_SIZE) {
+  const { messages } = await this.findPage(roomId, { limit });
+  return messages;
+};
+
+// Reaction counts for clients: [{ emoji, count, userIds }]
+messageSchema.statics.summarizeReactions = function(message) {
+  return (message.reactions || []).map(r => ({
+    emoji: r.emoji,
+    count: r.userIds.length,
+    userIds: [...r.userIds]
+  }));
+};
+
+// Move history still embedded in Room documents (from before this collection existed)
+// into Messages; safe to run on every boot. Resolves to the number of messages moved
+messageSchema.statics.migrateEmbeddedMessages = async function() {
+  const rooms = mongoose.connection.collection('rooms');
+  const embedded = rooms.find({ 'messages.0': { $exists: true } }, { projection: { roomId: 1, messages: 1 } });
+  let moved = 0;
+
+  for await (const room of embedded) {
+    const docs = room.messages
+      .filter(m => m.messageId && m.userId && m.message)
+      .map(m => ({ ...m, _id: undefined, roomId: room.roomId, displayName: m.displayName || 'Unknown User' }));
+
+    if (docs.length > 0) {
+      try {
+        const inserted = await this.insertMany(docs, { ordered: false });
+        moved += inserted.length;
+      } catch (error) {
+        // Duplicates are messages an interrupted earlier run already moved; any other failure stops
+        // the migration. Mongoose copies write errors into plain objects, so the code is on err
+        const codes = [].concat(error.writeErrors || error).map(e => e.code ?? e.err?.code);
+        if (codes.length === 0 || codes.some(code => code !== 11000)) throw error;
+        moved += error.insertedDocs?.length || 0;
+      }
+    }
+
+    // insertMany skips documents that fail validation without throwing, so the embedded copy
+    // is only dropped once every message is stored
+    const stored = docs.length > 0
+      ? await this.countDocuments({ messageId: { $in: docs.map(doc => doc.messageId) } })
+      : 0;
+    if (stored < docs.length) {
+      console.warn(`Kept embedded messages of room ${room.roomId}: ${docs.length - stored} could not be moved`);
+      continue;
+    }
+
+    await rooms.updateOne({ _id: room._id }, { $unset: { messages: '' } });
+  }
+
+  return moved;
+};
+
+const Message = mongoose.model('Message', messageSchema);
+
+Message.MAX_REACTIONS_PER_MESSAGE = MAX_REACTIONS_PER_MESSAGE;
+Message.encodeCursor = encodeCursor;
+Message.decodeCursor = decodeCursor;
+Message.buildPageQuery = buildPageQuery;
+
+module.exports = Message;
@@ -0,0 +1,60 @@
+// Mood Definition Model - database-backed entries for the mood registry (utils/moodRegistry.js)
+// Used when MOOD_REGISTRY_SOURCE=database; one document per mood, same fields as config/moods.json
+
+const mongoose = require('mongoose');
+
+const moodDefinitionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  label: {
+    type: String,
+    required: true
+  },
+  valence: {
+    type: Number,
+    required: true,
+    min: -1,
+    max: 1
+  },
+  arousal: {
+    type: Number,
+    required: true,
+    min: -1,
+    max: 1
+  },
+  emoji: {
+    type: [String],
+    default: []
+  },
+  synonyms: {
+    type: [String],
+    default: []
+  },
+  // Language code -> display name, e.g. { es: 'Feliz' }
+  localizedNames: {
+    type: Map,
+    of: String,
+    default: {}
+  },
+  // Reported by voice, face and chat detection
+  detectable: {
+    type: Boolean,
+    default: false
+  },
+  // Marks the mood unknown inputs fall back to
+  isDefault: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+const MoodDefinition = mongoose.model('MoodDefinition', moodDefinitionSchema);
+
+module.exports = MoodDefinition;
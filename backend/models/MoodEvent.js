@@ -0,0 +1,79 @@
+// Mood Event Model - append-only log of participant mood changes
+// One document per update so a room's emotional arc can be replayed over a session
+
+const mongoose = require('mongoose');
+
+const moodEventSchema = new mongoose.Schema({
+  roomId: {
+    type: String,
+    required: true
+  },
+  userId: {
+    type: String,
+    required: true
+  },
+  displayName: {
+    type: String,
+    default: ''
+  },
+  mood: {
+    type: String,
+    required: true
+  },
+  source: {
+    type: String,
+    default: 'manual'
+  },
+  confidence: {
+    type: Number,
+    min: 0,
+    max: 1,
+    default: 1.0
+  },
+  timestamp: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  // Events are never edited, so only the creation time matters
+  timestamps: false
+});
+
+moodEventSchema.index({ roomId: 1, timestamp: 1 });
+moodEventSchema.index({ roomId: 1, userId: 1, timestamp: 1 });
+
+// Static method to append an event
+moodEventSchema.statics.record = function(event) {
+  return this.create({
+    roomId: event.roomId,
+    userId: event.userId,
+    displayName: event.displayName,
+    mood: event.mood,
+    source: event.source,
+    confidence: event.confidence,
+    timestamp: event.timestamp || new Date()
+  });
+};
+
+// Static method to find a room's events in chronological order
+moodEventSchema.statics.findByRoom = function(roomId, { from, to, userId } = {}) {
+  const query = { roomId };
+
+  if (from || to) {
+    query.timestamp = {};
+    if (from) query.timestamp.$gte = from;
+    if (to) query.timestamp.$lte = to;
+  }
+
+  if (userId) {
+    query.userId = userId;
+  }
+
+  return this.find(query)
+    .sort({ timestamp: 1 })
+    .lean();
+};
+
+const MoodEvent = mongoose.model('MoodEvent', moodEventSchema);
+
+module.exports = MoodEvent;
@@ -0,0 +1,59 @@
+// Music Job Model - one background music generation, from queued request to finished track
+// Written through services/musicJobStore.js so a job can still be looked up after it leaves memory
+
+const mongoose = require('mongoose');
+
+const musicJobSchema = new mongoose.Schema({
+  jobId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Firebase uid of the requester; null for anonymous requests
+  userId: {
+    type: String,
+    default: null,
+    index: true
+  },
+  roomId: {
+    type: String,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'succeeded', 'failed', 'cancelled'],
+    default: 'queued'
+  },
+  progress: {
+    type: Number,
+    min: 0,
+    max: 1,
+    default: 0
+  },
+  stage: String,
+  // { mood, prompt, fullPrompt, duration, style, useAI, moodSnapshot? } as sent to the generators
+  request: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: Number,
+  // { track, aiGenerated, warnings } once the job succeeds
+  result: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  startedAt: Date,
+  finishedAt: Date
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('MusicJob', musicJobSchema);
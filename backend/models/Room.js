@@ -1,7 +1,52 @@
 // MongoDB Room model for persisting room data and participants
-// Stores room information, participants, and their current moods
+// Stores room information, participants, their current moods, and the shared playlist queue
+// Participants carry an owner/moderator/member role; bans and mutes are enforced by the handlers
+// Visibility decides who can list a room; private rooms are joined with a password or an invite
+// Chat history lives in the Message collection (models/Message.js), not in the room document
 
 const mongoose = require('mongoose');
+const MoodEvent = require('./MoodEvent');
+const Message = require('./Message');
+const { getMoodRegistry } = require('../utils/moodRegistry');
+
+// Moods are checked against the mood registry when saved, so registry changes need no schema change
+const registeredMood = {
+  validator: (value) => getMoodRegistry().has(value),
+  message: (props) => `${props.value} is not a registered mood`
+};
+
+// Participants may also hold one of a mood's emoji, as the emoji pickers send
+const registeredMoodOrEmoji = {
+  validator: (value) => getMoodRegistry().has(value) || getMoodRegistry().emoji().includes(value),
+  message: (props) => `${props.value} is not a registered mood or mood emoji`
+};
+
+// Latest mood read from a participant's chat; fused alongside their own mood as a 'chat' input
+const chatMoodSchema = new mongoose.Schema({
+  mood: {
+    type: String,
+    validate: registeredMood,
+    required: true
+  },
+  confidence: {
+    type: Number,
+    min: 0,
+    max: 1,
+    default: 0.5
+  },
+  valence: Number,
+  arousal: Number,
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const PARTICIPANT_ROLES = ['owner', 'moderator', 'member'];
+
+// public: listed for everyone; unlisted: joinable by room ID but never listed;
+// private: never listed, and only members, password holders or invitees may join
+const ROOM_VISIBILITIES = ['public', 'unlisted', 'private'];
 
 const participantSchema = new mongoose.Schema({
   userId: {
@@ -22,7 +67,7 @@ const participantSchema = new mongoose.Schema({
   },
   mood: {
     type: String,
-    enum: ['😊', '😢', '😠', '😴', '🤔', '😍', '🤯', '🎉', 'happy', 'sad', 'angry', 'sleepy', 'thoughtful', 'excited', 'surprised', 'calm', 'neutral'],
+    validate: registeredMoodOrEmoji,
     default: '😊'
   },
   moodSource: {
@@ -36,6 +81,24 @@ const participantSchema = new mongoose.Schema({
     max: 1,
     default: 1.0
   },
+  chatMood: {
+    type: chatMoodSchema,
+    default: null
+  },
+  role: {
+    type: String,
+    enum: PARTICIPANT_ROLES,
+    default: 'member'
+  },
+  // Muted participants can stay but not post; a null mutedUntil means until unmuted
+  muted: {
+    type: Boolean,
+    default: false
+  },
+  mutedUntil: {
+    type: Date,
+    default: null
+  },
   joinedAt: {
     type: Date,
     default: Date.now
@@ -50,37 +113,134 @@ const participantSchema = new mongoose.Schema({
   }
 });
 
-const messageSchema = new mongoose.Schema({
-  messageId: {
+const queueTrackSchema = new mongoose.Schema({
+  id: {
     type: String,
-    required: true,
-    unique: true
+    required: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  uri: String,
+  artists: [{
+    id: String,
+    name: String
+  }],
+  album: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  duration: Number, // milliseconds
+  previewUrl: String,
+  audioFeatures: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  addedBy: String,
+  addedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const playlistQueueSchema = new mongoose.Schema({
+  tracks: [queueTrackSchema],
+  currentTrackId: {
+    type: String,
+    default: null
+  },
+  isPlaying: {
+    type: Boolean,
+    default: false
   },
+  position: {
+    type: Number, // milliseconds into the current track at positionUpdatedAt
+    default: 0
+  },
+  positionUpdatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const banSchema = new mongoose.Schema({
   userId: {
     type: String,
     required: true
   },
-  displayName: {
+  bannedBy: {
     type: String,
     required: true
   },
-  message: {
+  reason: {
     type: String,
-    required: true,
-    maxlength: 1000
+    maxlength: 200,
+    default: ''
   },
-  timestamp: {
+  bannedAt: {
     type: Date,
     default: Date.now
   },
-  edited: {
+  // null bans permanently
+  expiresAt: {
+    type: Date,
+    default: null
+  }
+}, { _id: false });
+
+// Invite links are signed tokens naming one of these; the record holds expiry and remaining uses
+const inviteSchema = new mongoose.Schema({
+  inviteId: {
+    type: String,
+    required: true
+  },
+  createdBy: {
+    type: String,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  // null means unlimited; usesLeft counts down so a use can be claimed atomically
+  maxUses: {
+    type: Number,
+    min: 1,
+    default: null
+  },
+  usesLeft: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  uses: {
+    type: Number,
+    default: 0
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, { _id: false });
+
+// Automatic memory capture; cooldowns are milliseconds between captures per trigger
+const memorySettingsSchema = new mongoose.Schema({
+  autoCapture: {
     type: Boolean,
-    default: false
+    default: true
   },
-  editedAt: {
-    type: Date
+  cooldowns: {
+    quadrant_change: { type: Number, min: 0, default: 5 * 60 * 1000 },
+    energy_peak: { type: Number, min: 0, default: 10 * 60 * 1000 },
+    confidence_spike: { type: Number, min: 0, default: 10 * 60 * 1000 },
+    session_end: { type: Number, min: 0, default: 0 }
   }
-});
+}, { _id: false });
 
 const roomSchema = new mongoose.Schema({
   roomId: {
@@ -103,12 +263,40 @@ const roomSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  // Current owner; starts as the creator and changes on ownership transfer
+  ownerId: {
+    type: String
+  },
   createdAt: {
     type: Date,
     default: Date.now
   },
+  visibility: {
+    type: String,
+    enum: ROOM_VISIBILITIES,
+    default: 'public'
+  },
+  // scrypt hash from services/roomAccess.js; stripped from JSON
+  passwordHash: {
+    type: String,
+    default: null
+  },
+  invites: [inviteSchema],
   participants: [participantSchema],
-  messages: [messageSchema],
+  bans: [banSchema],
+  playlistQueue: {
+    type: playlistQueueSchema,
+    default: () => ({})
+  },
+  memorySettings: {
+    type: memorySettingsSchema,
+    default: () => ({})
+  },
+  // Name of a registered music provider (services/musicProvider.js); null uses the server default
+  musicProvider: {
+    type: String,
+    default: null
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -131,12 +319,70 @@ roomSchema.index({ createdBy: 1 });
 roomSchema.index({ 'participants.userId': 1 });
 roomSchema.index({ lastActivity: -1 });
 
+roomSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.passwordHash;
+    return ret;
+  }
+});
+
+roomSchema.pre('validate', function(next) {
+  if (!this.ownerId) {
+    this.ownerId = this.createdBy;
+  }
+  next();
+});
+
 // Methods
+roomSchema.methods.getOwnerId = function() {
+  return this.ownerId || this.createdBy;
+};
+
+// The owner is whoever holds ownerId, even before they have joined as a participant
+roomSchema.methods.getParticipantRole = function(userId) {
+  if (userId === this.getOwnerId()) {
+    return 'owner';
+  }
+  const participant = this.participants.find(p => p.userId === userId);
+  return participant?.role === 'moderator' ? 'moderator' : 'member';
+};
+
+// Bans keep the participant entry, so a banned user is not a member until the ban ends
+roomSchema.methods.isMember = function(userId) {
+  if (this.getActiveBan(userId)) {
+    return false;
+  }
+  return userId === this.getOwnerId() || this.participants.some(p => p.userId === userId);
+};
+
+// Private rooms are only visible to people who already belong to them
+roomSchema.methods.isVisibleTo = function(userId) {
+  return this.visibility !== 'private' || (!!userId && this.isMember(userId));
+};
+
+// The invite is usable if it exists, is not revoked or expired and has uses left
+roomSchema.methods.getUsableInvite = function(inviteId, now = new Date()) {
+  const invite = this.invites.find(i => i.inviteId === inviteId);
+  if (!invite || invite.revokedAt || invite.expiresAt <= now || invite.usesLeft === 0) {
+    return null;
+  }
+  return invite;
+};
+
+roomSchema.methods.getActiveBan = function(userId, now = new Date()) {
+  return this.bans.find(ban => ban.userId === userId && (!ban.expiresAt || ban.expiresAt > now)) || null;
+};
+
+roomSchema.methods.isParticipantMuted = function(userId, now = new Date()) {
+  const participant = this.participants.find(p => p.userId === userId);
+  return !!participant?.muted && (!participant.mutedUntil || participant.mutedUntil > now);
+};
+
 roomSchema.methods.addParticipant = function(participant) {
   const existingParticipant = this.participants.find(p => p.userId === participant.userId);
   
   if (!existingParticipant) {
-    this.participants.push(participant);
+    this.participants.push({ ...participant, role: this.getParticipantRole(participant.userId) });
   } else {
     // Update existing participant
     existingParticipant.isOnline = true;
@@ -161,45 +407,151 @@ roomSchema.methods.removeParticipant = function(userId) {
   return this.save();
 };
 
-roomSchema.methods.updateParticipantMood = function(userId, mood, moodSource = 'manual', confidence = 1.0) {
+// Updates the participant's current mood and appends the change to the mood event log
+roomSchema.methods.updateParticipantMood = async function(userId, mood, moodSource = 'manual', confidence = 1.0) {
   const participant = this.participants.find(p => p.userId === userId);
+  const now = new Date();
   if (participant) {
     participant.mood = mood;
     participant.moodSource = moodSource;
     participant.confidence = confidence;
-    participant.lastSeen = new Date();
+    participant.lastSeen = now;
   }
   
-  this.lastActivity = new Date();
+  this.lastActivity = now;
+  const room = await this.save();
+  
+  if (participant) {
+    await MoodEvent.record({
+      roomId: this.roomId,
+      userId,
+      displayName: participant.displayName,
+      mood,
+      source: moodSource,
+      confidence,
+      timestamp: now
+    });
+  }
+  
+  return room;
+};
+
+// Removes the participant from the room without banning them
+roomSchema.methods.kickParticipant = function(userId) {
+  return this.removeParticipant(userId);
+};
+
+roomSchema.methods.muteParticipant = function(userId, until = null) {
+  const participant = this.participants.find(p => p.userId === userId);
+  if (participant) {
+    participant.muted = true;
+    participant.mutedUntil = until;
+  }
   return this.save();
 };
 
-roomSchema.methods.addMessage = function(messageData) {
-  this.messages.push({
-    messageId: messageData.messageId,
-    userId: messageData.userId,
-    displayName: messageData.displayName,
-    message: messageData.message,
-    timestamp: new Date()
-  });
-  
-  // Keep only last 100 messages to prevent document size issues
-  if (this.messages.length > 100) {
-    this.messages = this.messages.slice(-100);
+roomSchema.methods.unmuteParticipant = function(userId) {
+  const participant = this.participants.find(p => p.userId === userId);
+  if (participant) {
+    participant.muted = false;
+    participant.mutedUntil = null;
   }
-  
+  return this.save();
+};
+
+// Bans replace any earlier ban of the same user and take them out of the room
+roomSchema.methods.banUser = function(userId, { bannedBy, reason = '', expiresAt = null }) {
+  this.bans = this.bans.filter(ban => ban.userId !== userId);
+  this.bans.push({ userId, bannedBy, reason, expiresAt, bannedAt: new Date() });
+
+  const participant = this.participants.find(p => p.userId === userId);
+  if (participant) {
+    participant.isOnline = false;
+    participant.lastSeen = new Date();
+    participant.role = 'member';
+  }
+
   this.lastActivity = new Date();
   return this.save();
 };
 
+roomSchema.methods.unbanUser = function(userId) {
+  this.bans = this.bans.filter(ban => ban.userId !== userId);
+  return this.save();
+};
+
+roomSchema.methods.setParticipantRole = function(userId, role) {
+  const participant = this.participants.find(p => p.userId === userId);
+  if (participant) {
+    participant.role = role;
+  }
+  return this.save();
+};
+
+// The previous owner stays on as a moderator
+roomSchema.methods.transferOwnership = function(newOwnerId) {
+  const previous = this.participants.find(p => p.userId === this.getOwnerId());
+  if (previous) {
+    previous.role = 'moderator';
+  }
+
+  const next = this.participants.find(p => p.userId === newOwnerId);
+  if (next) {
+    next.role = 'owner';
+    next.muted = false;
+    next.mutedUntil = null;
+  }
+
+  this.ownerId = newOwnerId;
+  return this.save();
+};
+
+// Stores the mood read from a participant's chat and logs it as a 'chat' mood event
+roomSchema.methods.updateParticipantChatMood = async function(userId, chatMood) {
+  const participant = this.participants.find(p => p.userId === userId);
+  if (!participant) {
+    return this;
+  }
+
+  const now = new Date();
+  participant.chatMood = {
+    mood: chatMood.mood,
+    confidence: chatMood.confidence,
+    valence: chatMood.valence,
+    arousal: chatMood.arousal,
+    updatedAt: now
+  };
+
+  const room = await this.save();
+
+  await MoodEvent.record({
+    roomId: this.roomId,
+    userId,
+    displayName: participant.displayName,
+    mood: chatMood.mood,
+    source: 'chat',
+    confidence: chatMood.confidence,
+    timestamp: now
+  });
+
+  return room;
+};
+
+// Store a chat message and mark the room active; resolves to the saved Message
+roomSchema.methods.addMessage = async function(messageData) {
+  const message = await Message.record({ ...messageData, roomId: this.roomId });
+  this.lastActivity = new Date();
+  await this.save();
+  return message;
+};
+
 roomSchema.methods.getOnlineParticipants = function() {
   return this.participants.filter(p => p.isOnline);
 };
 
+// Latest messages in chronological order; older ones are paged from Message.findPage
 roomSchema.methods.getRecentMessages = function(limit = 50) {
-  return this.messages
-    .slice(-limit)
-    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+  return Message.findRecent(this.roomId, limit);
 };
 
 // Static methods
@@ -207,12 +559,48 @@ roomSchema.statics.findByRoomId = function(roomId) {
   return this.findOne({ roomId, isActive: true });
 };
 
-roomSchema.statics.findActiveRooms = function() {
-  return this.find({ isActive: true })
-    .select('roomId name description createdBy createdAt participants.length lastActivity')
+roomSchema.statics.savePlaylistQueue = function(roomId, playlistQueue) {
+  return this.updateOne(
+    { roomId, isActive: true },
+    { $set: { playlistQueue, lastActivity: new Date() } }
+  );
+};
+
+// Public rooms plus any unlisted or private room the user belongs to and is not banned from
+roomSchema.statics.findVisibleRooms = function(userId, now = new Date()) {
+  const visible = [{ visibility: 'public' }, { visibility: { $exists: false } }];
+  if (userId) {
+    visible.push({
+      $or: [{ createdBy: userId }, { ownerId: userId }, { 'participants.userId': userId }],
+      bans: { $not: { $elemMatch: { userId, $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] } } }
+    });
+  }
+
+  return this.find({ isActive: true, $or: visible })
+    .select('roomId name description visibility createdBy createdAt participants lastActivity')
     .sort({ lastActivity: -1 });
 };
 
+// Take one use of an invite, refusing if another join got the last one first
+roomSchema.statics.claimInviteUse = async function(roomId, invite, now = new Date()) {
+  const limited = invite.maxUses !== null && invite.maxUses !== undefined;
+  const result = await this.updateOne(
+    {
+      roomId,
+      invites: {
+        $elemMatch: {
+          inviteId: invite.inviteId,
+          revokedAt: null,
+          expiresAt: { $gt: now },
+          ...(limited && { usesLeft: { $gt: 0 } })
+        }
+      }
+    },
+    { $inc: { 'invites.$.uses': 1, ...(limited && { 'invites.$.usesLeft': -1 }) } }
+  );
+  return result.modifiedCount === 1;
+};
+
 roomSchema.statics.findUserRooms = function(userId) {
   return this.find({
     'participants.userId': userId,
@@ -223,4 +611,7 @@ roomSchema.statics.findUserRooms = function(userId) {
 
 const Room = mongoose.model('Room', roomSchema);
 
+Room.PARTICIPANT_ROLES = PARTICIPANT_ROLES;
+Room.ROOM_VISIBILITIES = ROOM_VISIBILITIES;
+
 module.exports = Room;
@@ -65,19 +65,23 @@ const memorySchema = new mongoose.Schema({
     },
     description: String,
     tracks: [{
+      trackId: String, // Track catalog entry
       title: String,
       artist: String,
       genre: String,
       energy: Number, // 0-1 scale
       valence: Number, // 0-1 scale  
       danceability: Number, // 0-1 scale
+      tempo: Number, // BPM
       spotifyId: String,
       youtubeId: String,
-      duration: Number // seconds
+      duration: Number, // seconds
+      moodDistance: Number // distance from the memory's mood vector when picked
     }],
     totalDuration: Number, // seconds
     avgEnergy: Number,
-    avgValence: Number
+    avgValence: Number,
+    avgTempo: Number
   },
   // Snapshot of recent chat messages
   chatSnippet: {
@@ -105,7 +109,7 @@ const memorySchema = new mongoose.Schema({
     createdBy: String, // userId who triggered the memory
     trigger: {
       type: String,
-      enum: ['manual', 'mood_consensus', 'time_interval', 'energy_peak'],
+      enum: ['manual', 'mood_consensus', 'time_interval', 'energy_peak', 'quadrant_change', 'confidence_spike', 'session_end'],
       default: 'manual'
     },
     roomName: String,
@@ -136,21 +140,83 @@ memorySchema.statics.findByRoom = function(roomId, limit = 20) {
     .lean();
 };
 
-// Static method to find similar mood memories
-memorySchema.statics.findSimilarMoods = function(targetVector, tolerance = 0.3, limit = 10) {
-  return this.find({
-    'moodVector.valence': {
-      $gte: targetVector.valence - tolerance,
-      $lte: targetVector.valence + tolerance
-    },
-    'moodVector.arousal': {
-      $gte: targetVector.arousal - tolerance,
-      $lte: targetVector.arousal + tolerance
+// Dimensions available to the similar-memory search. Each difference is scaled to 0-1 by the
+// dimension's range so no single axis dominates; time of day wraps around midnight.
+const SIMILARITY_DIMENSIONS = {
+  valence: { field: '$moodVector.valence', range: 2 },
+  arousal: { field: '$moodVector.arousal', range: 2 },
+  energy: { field: '$playlist.avgEnergy', path: 'playlist.avgEnergy', range: 1 },
+  tempo: { field: '$playlist.avgTempo', path: 'playlist.avgTempo', range: 140 }, // 60-200 BPM
+  timeOfDay: { range: 12, circular: 24 } // hours; 12 is the furthest apart two times can be
+};
+
+const scaledDifference = (name, target, timezone) => {
+  const { field, range, circular } = SIMILARITY_DIMENSIONS[name];
+  if (circular) {
+    const hour = {
+      $add: [
+        { $hour: { date: '$timestamp', timezone } },
+        { $divide: [{ $minute: { date: '$timestamp', timezone } }, 60] }
+      ]
+    };
+    const diff = { $abs: { $subtract: [hour, target] } };
+    return { $divide: [{ $min: [diff, { $subtract: [circular, diff] }] }, range] };
+  }
+  return { $min: [1, { $divide: [{ $abs: { $subtract: [field, target] } }, range] }] };
+};
+
+// Aggregation for a k-nearest-neighbour search: scope first, then rank every candidate by its
+// root-mean-square scaled distance to the target, then paginate. With valence and arousal only,
+// 1 - distance equals the old calculateSimilarity score.
+memorySchema.statics.buildSimilarityPipeline = function(target, options = {}) {
+  const { roomId, userId, limit = 10, offset = 0, maxDistance, timezone = 'UTC' } = options;
+  const dimensions = Object.keys(SIMILARITY_DIMENSIONS).filter(name => typeof target[name] === 'number');
+
+  const match = {};
+  if (roomId) {
+    match.roomId = roomId;
+  }
+  if (userId) {
+    match.$or = [{ 'participants.userId': userId }, { 'metadata.createdBy': userId }];
+  }
+  // Memories saved before a dimension was recorded can't be compared on it
+  dimensions
+    .filter(name => SIMILARITY_DIMENSIONS[name].path)
+    .forEach(name => { match[SIMILARITY_DIMENSIONS[name].path] = { $type: 'number' }; });
+
+  const squares = dimensions.map(name => {
+    const diff = scaledDifference(name, target[name], timezone);
+    return { $multiply: [diff, diff] };
+  });
+
+  const pipeline = [
+    { $match: match },
+    { $addFields: { distance: { $sqrt: { $divide: [{ $add: squares }, dimensions.length] } } } }
+  ];
+  if (typeof maxDistance === 'number') {
+    pipeline.push({ $match: { distance: { $lte: maxDistance } } });
+  }
+  pipeline.push({
+    $facet: {
+      memories: [
+        { $sort: { distance: 1, timestamp: -1 } },
+        { $skip: offset },
+        { $limit: limit }
+      ],
+      total: [{ $count: 'count' }]
     }
-  })
-  .sort({ timestamp: -1 })
-  .limit(limit)
-  .lean();
+  });
+
+  return pipeline;
+};
+
+// Static method to find the memories nearest to a target mood; resolves to { memories, total }
+memorySchema.statics.findSimilarMoods = async function(target, options = {}) {
+  const [result] = await this.aggregate(this.buildSimilarityPipeline(target, options));
+  return {
+    memories: result.memories,
+    total: result.total.length > 0 ? result.total[0].count : 0
+  };
 };
 
 // Instance method to generate replay data
@@ -236,8 +302,8 @@ memorySchema.methods.getAnimationStyle = function() {
   }
 };
 
-// Pre-save middleware to generate memoryId
-memorySchema.pre('save', function(next) {
+// Generate memoryId before validation so the required check passes
+memorySchema.pre('validate', function(next) {
   if (!this.memoryId) {
     this.memoryId = `memory_${this.roomId}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
   }
@@ -246,4 +312,6 @@ memorySchema.pre('save', function(next) {
 
 const RoomMemory = mongoose.model('RoomMemory', memorySchema);
 
+RoomMemory.SIMILARITY_DIMENSIONS = SIMILARITY_DIMENSIONS;
+
 module.exports = RoomMemory;
@@ -0,0 +1,62 @@
+// Shared Room Model - two rooms connected into one temporary shared space
+// Lets live connections survive a restart and keeps a record of past ones
+
+const mongoose = require('mongoose');
+
+const sharedRoomSchema = new mongoose.Schema({
+  sharedRoomId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  roomA: {
+    type: String,
+    required: true
+  },
+  roomB: {
+    type: String,
+    required: true
+  },
+  initiatedBy: String,
+  status: {
+    type: String,
+    enum: ['connecting', 'connected', 'disconnected'],
+    default: 'connecting'
+  },
+  participants: {
+    type: mongoose.Schema.Types.Mixed,
+    default: () => ({ roomA: [], roomB: [], all: [] })
+  },
+  options: {
+    type: mongoose.Schema.Types.Mixed,
+    default: () => ({})
+  },
+  blendedMood: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  playlist: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  disconnectedAt: Date
+}, {
+  timestamps: false
+});
+
+sharedRoomSchema.index({ status: 1 });
+sharedRoomSchema.index({ roomA: 1, createdAt: -1 });
+sharedRoomSchema.index({ roomB: 1, createdAt: -1 });
+
+// Static method to find connections that were live when the process stopped
+sharedRoomSchema.statics.findLive = function() {
+  return this.find({ status: { $in: ['connecting', 'connected'] } }).lean();
+};
+
+const SharedRoom = mongoose.model('SharedRoom', sharedRoomSchema);
+
+module.exports = SharedRoom;
@@ -0,0 +1,45 @@
+// Spotify Token Model - one Spotify connection per ProjectMood user
+// accessToken and refreshToken hold AES-256-GCM ciphertext (utils/tokenCrypto.js), never plain tokens.
+// Read and written through services/spotifyTokenStore.js.
+
+const mongoose = require('mongoose');
+
+const spotifyTokenSchema = new mongoose.Schema({
+  // Firebase uid of the ProjectMood user who connected Spotify
+  userId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  spotifyUserId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  accessToken: {
+    type: String,
+    required: true
+  },
+  refreshToken: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  scope: String,
+  profile: {
+    id: String,
+    displayName: String,
+    email: String,
+    country: String,
+    product: String
+  }
+}, {
+  timestamps: true
+});
+
+const SpotifyToken = mongoose.model('SpotifyToken', spotifyTokenSchema);
+
+module.exports = SpotifyToken;
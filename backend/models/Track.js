@@ -0,0 +1,91 @@
+// Track Model - the mood-matched track catalog
+// Audio features follow Spotify's conventions: valence, energy and danceability on a 0-1 scale, tempo in BPM.
+// Filled by the importer (services/trackCatalog.js) and the local library scanner (services/libraryScanner.js);
+// ranked by services/trackRecommender.js.
+
+const mongoose = require('mongoose');
+
+const unitInterval = { type: Number, min: 0, max: 1 };
+
+const trackSchema = new mongoose.Schema({
+  trackId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  artist: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  album: String,
+  genre: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  valence: { ...unitInterval, required: true },
+  energy: { ...unitInterval, required: true },
+  danceability: { ...unitInterval, default: null },
+  tempo: {
+    type: Number, // BPM
+    min: 0,
+    default: null
+  },
+  duration: {
+    type: Number, // seconds
+    min: 0,
+    default: null
+  },
+  spotifyId: String,
+  youtubeId: String,
+  previewUrl: String,
+  // Where the entry came from, e.g. 'import', 'seed' or 'local' (services/libraryScanner.js)
+  source: {
+    type: String,
+    default: 'import'
+  },
+  // Local library files: absolute path on the server, served by /api/music/files/:trackId
+  filePath: {
+    type: String,
+    default: null
+  },
+  // What the local library's audio features rest on: 'audio', 'tags' or 'default'
+  featureSource: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Recommendations narrow candidates to a window around the target mood
+trackSchema.index({ valence: 1, energy: 1 });
+trackSchema.index({ genre: 1 });
+trackSchema.index({ source: 1 });
+
+// Insert new tracks and update existing ones by trackId; resolves to { inserted, updated }
+trackSchema.statics.upsertMany = async function(tracks) {
+  if (tracks.length === 0) {
+    return { inserted: 0, updated: 0 };
+  }
+
+  const result = await this.bulkWrite(tracks.map(track => ({
+    updateOne: {
+      filter: { trackId: track.trackId },
+      update: { $set: track },
+      upsert: true
+    }
+  })), { ordered: false });
+
+  return { inserted: result.upsertedCount, updated: result.modifiedCount };
+};
+
+const Track = mongoose.model('Track', trackSchema);
+
+module.exports = Track;
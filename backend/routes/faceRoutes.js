@@ -1,82 +1,56 @@
 const express = require('express');
+const { rescoreFaceResult, INVALID_FACE_RESULT } = require('../services/faceEmotion');
+const { getImageSize } = require('../utils/imageInfo');
 
 const router = express.Router();
 
-// Simple emotion detection from image data
-// In a real implementation, you would use computer vision APIs
-const analyzeFaceMood = async (imageData, clientSideMood) => {
-  // Simulate processing delay
-  await new Promise(resolve => setTimeout(resolve, 800 + Math.random() * 1200));
-  
-  // In a real implementation, you would:
-  // 1. Use Google Vision API, Azure Face API, or AWS Rekognition
-  // 2. Run a local TensorFlow.js model
-  // 3. Use OpenCV with emotion detection models
-  
-  // For demo, we'll enhance the client-side prediction with some server-side logic
-  const serverEmotions = [
-    { emotion: 'happy', confidence: 0.92 },
-    { emotion: 'calm', confidence: 0.88 },
-    { emotion: 'surprised', confidence: 0.85 },
-    { emotion: 'focused', confidence: 0.83 },
-    { emotion: 'neutral', confidence: 0.80 },
-    { emotion: 'thoughtful', confidence: 0.78 },
-    { emotion: 'excited', confidence: 0.90 }
-  ];
-  
-  // Use client-side mood as baseline and potentially enhance it
-  const baseEmotion = clientSideMood?.emotion || 'neutral';
-  const baseConfidence = clientSideMood?.confidence || 0.7;
-  
-  // Simulate server enhancement (could be more sophisticated)
-  const enhancedConfidence = Math.min(0.95, baseConfidence + 0.1);
-  
-  return {
-    emotion: baseEmotion,
-    confidence: enhancedConfidence,
-    serverEnhanced: true,
-    processingMethod: 'mock_cv_analysis'
-  };
-};
-
-// POST /api/face/mood - Analyze face mood from image
+// POST /api/face/mood - Validate and re-score a face-api result, optionally against the captured image
 router.post('/mood', async (req, res) => {
   try {
     const { image, clientSideMood, userId } = req.body;
+    const startedAt = Date.now();
 
-    if (!image) {
-      return res.status(400).json({ 
-        error: 'No image provided',
-        details: 'Please provide a base64 encoded image'
+    if (!clientSideMood) {
+      return res.status(400).json({
+        error: 'No face result provided',
+        details: 'clientSideMood must contain the faces detected in the browser'
       });
     }
 
     console.log(`Processing face mood for user: ${userId || 'anonymous'}`);
-    console.log(`Client-side mood: ${clientSideMood?.emotion || 'unknown'}`);
+    console.log(`Client-side mood: ${clientSideMood.emotion || 'no face'} (${clientSideMood.faces?.length ?? 0} faces)`);
+
+    // The image is optional; when present it lets us check the boxes against the real frame size
+    let imageSize = null;
+    if (image) {
+      if (typeof image !== 'string' || !image.startsWith('data:image/')) {
+        return res.status(400).json({
+          error: 'Invalid image format',
+          details: 'Image must be base64 encoded with data URL format'
+        });
+      }
 
-    // Validate image format
-    if (!image.startsWith('data:image/')) {
-      return res.status(400).json({
-        error: 'Invalid image format',
-        details: 'Image must be base64 encoded with data URL format'
-      });
-    }
+      const imageBuffer = Buffer.from(image.split(',')[1] || '', 'base64');
+      imageSize = getImageSize(imageBuffer);
 
-    // Extract image data (remove data URL prefix)
-    const imageBase64 = image.split(',')[1];
-    const imageBuffer = Buffer.from(imageBase64, 'base64');
-    
-    console.log(`Image size: ${imageBuffer.length} bytes`);
+      if (!imageSize) {
+        return res.status(400).json({
+          error: 'Invalid image data',
+          details: 'Image must be a valid JPEG or PNG'
+        });
+      }
 
-    // Analyze the image for mood
-    const moodResult = await analyzeFaceMood(imageBuffer, clientSideMood);
+      console.log(`Image size: ${imageBuffer.length} bytes (${imageSize.width}x${imageSize.height})`);
+    }
+
+    const moodResult = rescoreFaceResult(clientSideMood, { imageSize });
 
     // Important: Do not store images by default (privacy-first)
     // Only store if explicitly requested and user has given consent
     const storeImage = req.body.storeImage === 'true';
     let imageId = null;
     
-    if (storeImage && userId) {
+    if (image && storeImage && userId) {
       try {
         // In a real implementation, you might store in secure cloud storage
         // For now, we'll just generate an ID but not actually store
@@ -92,16 +66,27 @@ router.post('/mood', async (req, res) => {
     const response = {
       mood: moodResult.emotion,
       confidence: moodResult.confidence,
+      faceDetected: moodResult.faceDetected,
+      faceCount: moodResult.faceCount,
+      faces: moodResult.faces,
+      primaryFace: moodResult.primaryFace,
+      groupMood: moodResult.groupMood,
+      agreesWithClient: moodResult.agreesWithClient,
+      ...(moodResult.vector && { valence: moodResult.vector.valence, arousal: moodResult.vector.arousal }),
       timestamp: new Date().toISOString(),
-      processingTime: '1.2s', // Mock processing time
-      method: moodResult.processingMethod,
-      serverEnhanced: moodResult.serverEnhanced,
+      processingTime: `${((Date.now() - startedAt) / 1000).toFixed(2)}s`,
+      method: imageSize ? 'server_rescored_with_image' : 'server_rescored',
+      serverEnhanced: true,
       imageStored: !!imageId,
       ...(imageId && { imageId })
     };
 
     // Log for monitoring (without sensitive data)
-    console.log(`Face mood detected: ${moodResult.emotion} (${Math.round(moodResult.confidence * 100)}% confidence)`);
+    if (moodResult.faceDetected) {
+      console.log(`Face mood detected: ${moodResult.emotion} (${Math.round(moodResult.confidence * 100)}% confidence)`);
+    } else {
+      console.log('Face mood: no face detected');
+    }
 
     res.json(response);
 
@@ -109,10 +94,10 @@ router.post('/mood', async (req, res) => {
     console.error('Face mood analysis error:', error);
     
     // Return appropriate error response
-    if (error.message.includes('Invalid image')) {
+    if (error.code === INVALID_FACE_RESULT) {
       return res.status(400).json({
-        error: 'Invalid image data',
-        details: 'Please provide a valid base64 encoded image'
+        error: 'Invalid face result',
+        details: error.details || error.message
       });
     }
 
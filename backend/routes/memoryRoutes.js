@@ -4,144 +4,11 @@
 const express = require('express');
 const RoomMemory = require('../models/RoomMemory');
 const Room = require('../models/Room');
-const { fuseMoods, createMoodInput } = require('../utils/moodFusion');
+const { captureRoomMemory, summarizeMemory } = require('../services/roomMemory');
+const { DEFAULT_COOLDOWNS } = require('../services/memoryWatcher');
 
 const router = express.Router();
 
-// Generate a mood-based playlist (mock implementation)
-function generateMoodPlaylist(moodVector, fusedMood) {
-  const { valence, arousal } = moodVector;
-  const energy = (arousal + 1) / 2; // Convert -1,1 to 0,1
-  const positivity = (valence + 1) / 2; // Convert -1,1 to 0,1
-  
-  // Mock playlist generation based on mood
-  const playlistTemplates = {
-    energetic: {
-      title: "High Energy Vibes",
-      description: "Upbeat tracks to match your energetic mood",
-      tracks: [
-        { title: "Uptown Funk", artist: "Mark Ronson ft. Bruno Mars", genre: "Pop", energy: 0.9, valence: 0.8, danceability: 0.9 },
-        { title: "Can't Stop the Feeling", artist: "Justin Timberlake", genre: "Pop", energy: 0.85, valence: 0.9, danceability: 0.8 },
-        { title: "Good as Hell", artist: "Lizzo", genre: "Pop", energy: 0.8, valence: 0.85, danceability: 0.75 }
-      ]
-    },
-    peaceful: {
-      title: "Calm & Content",
-      description: "Peaceful tracks for your relaxed state",
-      tracks: [
-        { title: "Weightless", artist: "Marconi Union", genre: "Ambient", energy: 0.1, valence: 0.6, danceability: 0.2 },
-        { title: "Clair de Lune", artist: "Claude Debussy", genre: "Classical", energy: 0.2, valence: 0.7, danceability: 0.1 },
-        { title: "River", artist: "Leon Bridges", genre: "Soul", energy: 0.3, valence: 0.6, danceability: 0.3 }
-      ]
-    },
-    melancholic: {
-      title: "Reflective Moments",
-      description: "Contemplative music for introspective moods",
-      tracks: [
-        { title: "Mad World", artist: "Gary Jules", genre: "Alternative", energy: 0.2, valence: 0.3, danceability: 0.2 },
-        { title: "The Night We Met", artist: "Lord Huron", genre: "Indie Folk", energy: 0.25, valence: 0.35, danceability: 0.25 },
-        { title: "Hurt", artist: "Johnny Cash", genre: "Country", energy: 0.3, valence: 0.3, danceability: 0.2 }
-      ]
-    },
-    intense: {
-      title: "Intense Energy",
-      description: "Powerful tracks for high-intensity emotions",
-      tracks: [
-        { title: "In the End", artist: "Linkin Park", genre: "Rock", energy: 0.8, valence: 0.4, danceability: 0.6 },
-        { title: "The Pretender", artist: "Foo Fighters", genre: "Rock", energy: 0.85, valence: 0.45, danceability: 0.7 },
-        { title: "Lose Yourself", artist: "Eminem", genre: "Hip Hop", energy: 0.9, valence: 0.5, danceability: 0.6 }
-      ]
-    }
-  };
-  
-  // Select playlist template based on mood quadrant
-  let templateKey = 'peaceful'; // default
-  if (valence > 0 && arousal > 0) templateKey = 'energetic';
-  else if (valence <= 0 && arousal > 0) templateKey = 'intense';
-  else if (valence <= 0 && arousal <= 0) templateKey = 'melancholic';
-  
-  const template = playlistTemplates[templateKey];
-  
-  // Add some random variation and metadata
-  const tracks = template.tracks.map(track => ({
-    ...track,
-    duration: 180 + Math.floor(Math.random() * 120), // 3-5 minutes
-    spotifyId: `spotify_${Math.random().toString(36).substr(2, 9)}`,
-    youtubeId: `youtube_${Math.random().toString(36).substr(2, 9)}`
-  }));
-  
-  const totalDuration = tracks.reduce((sum, track) => sum + track.duration, 0);
-  const avgEnergy = tracks.reduce((sum, track) => sum + track.energy, 0) / tracks.length;
-  const avgValence = tracks.reduce((sum, track) => sum + track.valence, 0) / tracks.length;
-  
-  return {
-    title: `${template.title} - ${fusedMood.label}`,
-    description: `${template.description} (Generated for ${fusedMood.label} mood)`,
-    tracks,
-    totalDuration,
-    avgEnergy: Math.round(avgEnergy * 100) / 100,
-    avgValence: Math.round(avgValence * 100) / 100
-  };
-}
-
-// Analyze recent chat messages for sentiment
-function analyzeChatSnippet(messages) {
-  if (!messages || messages.length === 0) {
-    return {
-      messages: [],
-      participantCount: 0,
-      dominantMoods: ['neutral'],
-      avgSentiment: 0.5
-    };
-  }
-  
-  const recentMessages = messages.slice(-10); // Last 10 messages
-  const moodCounts = {};
-  let totalSentiment = 0;
-  
-  recentMessages.forEach(msg => {
-    // Simple sentiment analysis based on keywords
-    const text = msg.text.toLowerCase();
-    let sentiment = 0.5; // neutral
-    
-    // Positive keywords
-    if (text.match(/\b(good|great|awesome|love|happy|excited|amazing|perfect|wonderful)\b/)) {
-      sentiment = 0.8;
-    }
-    // Negative keywords
-    else if (text.match(/\b(bad|terrible|hate|sad|angry|awful|horrible|disappointed)\b/)) {
-      sentiment = 0.2;
-    }
-    
-    totalSentiment += sentiment;
-    
-    // Count moods if available
-    if (msg.mood) {
-      moodCounts[msg.mood] = (moodCounts[msg.mood] || 0) + 1;
-    }
-  });
-  
-  const dominantMoods = Object.entries(moodCounts)
-    .sort(([,a], [,b]) => b - a)
-    .slice(0, 3)
-    .map(([mood]) => mood);
-  
-  const uniqueParticipants = new Set(recentMessages.map(msg => msg.userId)).size;
-  
-  return {
-    messages: recentMessages.map(msg => ({
-      userId: msg.userId,
-      displayName: msg.displayName,
-      text: msg.text,
-      timestamp: msg.timestamp,
-      mood: msg.mood || 'neutral'
-    })),
-    participantCount: uniqueParticipants,
-    dominantMoods: dominantMoods.length > 0 ? dominantMoods : ['neutral'],
-    avgSentiment: Math.round((totalSentiment / recentMessages.length) * 100) / 100
-  };
-}
-
 // POST /api/rooms/:roomId/memory - Save current room state as memory
 router.post('/:roomId/memory', async (req, res) => {
   try {
@@ -155,83 +22,24 @@ router.post('/:roomId/memory', async (req, res) => {
     
     // Get current room state
     const room = await Room.findByRoomId(roomId);
-    if (!room) {
+    if (!room || !room.isVisibleTo(req.user?.uid)) {
       return res.status(404).json({ error: 'Room not found' });
     }
     
-    // Collect mood inputs from current participants
-    const moodInputs = room.participants
-      .filter(p => p.isOnline && p.mood)
-      .map(p => createMoodInput(
-        p.mood, 
-        p.confidence || 0.8, 
-        1.0, 
-        p.moodSource || 'manual'
-      ));
-    
-    if (moodInputs.length === 0) {
+    const memory = await captureRoomMemory(room, { trigger, createdBy: userId, tags });
+    
+    if (!memory) {
       return res.status(400).json({ 
         error: 'No mood data available',
         details: 'At least one participant must have a mood set to create a memory'
       });
     }
     
-    // Fuse moods using MoodFusion
-    const fusedMood = fuseMoods(moodInputs);
-    
-    // Generate playlist based on fused mood
-    const playlist = generateMoodPlaylist(fusedMood.vector, fusedMood);
-    
-    // Analyze recent chat messages
-    const chatSnippet = analyzeChatSnippet(room.messages);
-    
-    // Create memory document
-    const memory = new RoomMemory({
-      roomId,
-      moodVector: fusedMood.vector,
-      fusedMood: {
-        label: fusedMood.label,
-        confidence: fusedMood.confidence,
-        source: fusedMood.source,
-        contributingMoods: fusedMood.contributingMoods || []
-      },
-      playlist,
-      chatSnippet,
-      participants: room.participants.map(p => ({
-        userId: p.userId,
-        displayName: p.displayName,
-        mood: p.mood || 'neutral',
-        moodSource: p.moodSource || 'manual',
-        confidence: p.confidence || 1.0
-      })),
-      metadata: {
-        createdBy: userId,
-        trigger,
-        roomName: room.name,
-        tags,
-        isPublic: false // Default to private
-      }
-    });
-    
-    await memory.save();
-    
     console.log(`Memory created for room ${roomId} by user ${userId}`);
     
     res.status(201).json({
       success: true,
-      memory: {
-        memoryId: memory.memoryId,
-        timestamp: memory.timestamp,
-        moodVector: memory.moodVector,
-        fusedMood: memory.fusedMood,
-        playlist: {
-          title: memory.playlist.title,
-          trackCount: memory.playlist.tracks.length,
-          duration: memory.playlist.totalDuration
-        },
-        participantCount: memory.participants.length,
-        trigger: memory.metadata.trigger
-      }
+      memory: summarizeMemory(memory)
     });
     
   } catch (error) {
@@ -256,7 +64,7 @@ router.get('/:roomId/memories', async (req, res) => {
     
     // Verify user has access to this room
     const room = await Room.findByRoomId(roomId);
-    if (!room) {
+    if (!room || !room.isVisibleTo(req.user?.uid)) {
       return res.status(404).json({ error: 'Room not found' });
     }
     
@@ -336,6 +144,11 @@ router.get('/:roomId/memories/:memoryId/replay', async (req, res) => {
       return res.status(401).json({ error: 'Authentication required' });
     }
     
+    const room = await Room.findByRoomId(roomId);
+    if (!room || !room.isVisibleTo(userId)) {
+      return res.status(404).json({ error: 'Room not found' });
+    }
+    
     // Find the memory
     const memory = await RoomMemory.findOne({ roomId, memoryId });
     if (!memory) {
@@ -359,55 +172,120 @@ router.get('/:roomId/memories/:memoryId/replay', async (req, res) => {
   }
 });
 
-// GET /api/rooms/:roomId/memories/similar - Find memories with similar mood vectors
+// Allowed ranges for the similar-memory search target; valence and arousal are required
+const SIMILARITY_TARGET_RANGES = {
+  valence: [-1, 1],
+  arousal: [-1, 1],
+  energy: [0, 1],
+  tempo: [30, 300],
+  timeOfDay: [0, 24]
+};
+
+function parseSimilarityTarget(query) {
+  const target = {};
+  const errors = [];
+  
+  Object.entries(SIMILARITY_TARGET_RANGES).forEach(([name, [min, max]]) => {
+    if (query[name] === undefined || query[name] === '') {
+      if (name === 'valence' || name === 'arousal') {
+        errors.push(`${name} is required`);
+      }
+      return;
+    }
+    const value = parseFloat(query[name]);
+    if (Number.isNaN(value) || value < min || value > max) {
+      errors.push(`${name} must be between ${min} and ${max}`);
+      return;
+    }
+    target[name] = value;
+  });
+  
+  return { target, errors };
+}
+
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// GET /api/rooms/:roomId/memories/similar - Nearest memories to a mood, ranked by distance
+// Query: valence, arousal, optional energy (0-1), tempo (BPM) and timeOfDay (hours, in `timezone`);
+// scope=room (default) searches this room, scope=user every memory the caller took part in
 router.get('/:roomId/memories/similar', async (req, res) => {
   try {
     const { roomId } = req.params;
-    const { valence, arousal, tolerance = 0.3, limit = 10 } = req.query;
+    const { scope = 'room', limit = 10, offset = 0, maxDistance, timezone = 'UTC' } = req.query;
     const userId = req.user?.uid;
     
     if (!userId) {
       return res.status(401).json({ error: 'Authentication required' });
     }
     
-    if (!valence || !arousal) {
+    const { target, errors } = parseSimilarityTarget(req.query);
+    if (errors.length > 0) {
       return res.status(400).json({ 
-        error: 'Valence and arousal parameters required',
-        details: 'Provide valence and arousal values between -1 and 1'
+        error: 'Invalid similarity target',
+        details: errors.join('; ')
       });
     }
     
-    const targetVector = {
-      valence: parseFloat(valence),
-      arousal: parseFloat(arousal)
-    };
+    if (!['room', 'user'].includes(scope)) {
+      return res.status(400).json({ error: 'scope must be "room" or "user"' });
+    }
     
-    // Find similar memories
-    const similarMemories = await RoomMemory.findSimilarMoods(
-      targetVector, 
-      parseFloat(tolerance), 
-      parseInt(limit)
-    );
+    // User scope only returns the caller's own memories; room scope needs access to the room
+    if (scope === 'room') {
+      const room = await Room.findByRoomId(roomId);
+      if (!room || !room.isVisibleTo(userId)) {
+        return res.status(404).json({ error: 'Room not found' });
+      }
+    }
+    
+    if (!isValidTimezone(timezone)) {
+      return res.status(400).json({ error: `Unknown timezone: ${timezone}` });
+    }
     
-    // Filter to only this room or make it optional
-    const roomMemories = similarMemories.filter(memory => memory.roomId === roomId);
+    const pageLimit = Math.min(Math.max(parseInt(limit) || 10, 1), 50);
+    const pageOffset = Math.max(parseInt(offset) || 0, 0);
+    const distanceCap = maxDistance !== undefined ? parseFloat(maxDistance) : undefined;
+    
+    const { memories, total } = await RoomMemory.findSimilarMoods(target, {
+      ...(scope === 'room' ? { roomId } : { userId }),
+      limit: pageLimit,
+      offset: pageOffset,
+      maxDistance: Number.isNaN(distanceCap) ? undefined : distanceCap,
+      timezone
+    });
     
     res.json({
       success: true,
-      targetVector,
-      tolerance: parseFloat(tolerance),
-      similarMemories: roomMemories.map(memory => ({
+      target,
+      scope,
+      similarMemories: memories.map(memory => ({
         memoryId: memory.memoryId,
         roomId: memory.roomId,
         timestamp: memory.timestamp,
         moodVector: memory.moodVector,
         fusedMood: memory.fusedMood,
-        similarity: calculateSimilarity(targetVector, memory.moodVector),
+        distance: Math.round(memory.distance * 1000) / 1000,
+        similarity: Math.round((1 - memory.distance) * 1000) / 1000,
         playlist: {
           title: memory.playlist.title,
-          trackCount: memory.playlist.tracks.length
+          trackCount: memory.playlist.tracks.length,
+          avgEnergy: memory.playlist.avgEnergy,
+          avgTempo: memory.playlist.avgTempo
         }
-      }))
+      })),
+      pagination: {
+        total,
+        limit: pageLimit,
+        offset: pageOffset,
+        hasMore: (pageOffset + pageLimit) < total
+      }
     });
     
   } catch (error) {
@@ -419,14 +297,77 @@ router.get('/:roomId/memories/similar', async (req, res) => {
   }
 });
 
-// Helper function to calculate similarity between vectors
-function calculateSimilarity(vector1, vector2) {
-  const distance = Math.sqrt(
-    Math.pow(vector1.valence - vector2.valence, 2) + 
-    Math.pow(vector1.arousal - vector2.arousal, 2)
-  );
-  // Convert distance to similarity (0-1, where 1 is identical)
-  return Math.max(0, 1 - (distance / Math.sqrt(8))); // sqrt(8) is max possible distance
-}
+// GET /api/rooms/:roomId/memory-settings - Automatic capture settings
+router.get('/:roomId/memory-settings', async (req, res) => {
+  try {
+    const room = await Room.findByRoomId(req.params.roomId);
+    if (!room || !room.isVisibleTo(req.user?.uid)) {
+      return res.status(404).json({ error: 'Room not found' });
+    }
+    
+    res.json({
+      success: true,
+      memorySettings: room.memorySettings
+    });
+    
+  } catch (error) {
+    console.error('Error getting memory settings:', error);
+    res.status(500).json({
+      error: 'Failed to get memory settings',
+      details: error.message
+    });
+  }
+});
+
+// PUT /api/rooms/:roomId/memory-settings - Toggle auto capture and set per-trigger cooldowns (ms)
+router.put('/:roomId/memory-settings', async (req, res) => {
+  try {
+    const { autoCapture, cooldowns = {} } = req.body;
+    const userId = req.user?.uid;
+    
+    const room = await Room.findByRoomId(req.params.roomId);
+    if (!room || !room.isVisibleTo(req.user?.uid)) {
+      return res.status(404).json({ error: 'Room not found' });
+    }
+    
+    if (room.getOwnerId() !== userId) {
+      return res.status(403).json({ error: 'Only the room owner can change memory settings' });
+    }
+    
+    if (autoCapture !== undefined && typeof autoCapture !== 'boolean') {
+      return res.status(400).json({ error: 'autoCapture must be a boolean' });
+    }
+    
+    const invalid = Object.entries(cooldowns).filter(([trigger, value]) => 
+      !(trigger in DEFAULT_COOLDOWNS) || typeof value !== 'number' || value < 0
+    );
+    if (invalid.length > 0) {
+      return res.status(400).json({ 
+        error: 'Invalid cooldowns',
+        details: `Cooldowns are non-negative milliseconds for: ${Object.keys(DEFAULT_COOLDOWNS).join(', ')}`
+      });
+    }
+    
+    if (autoCapture !== undefined) {
+      room.memorySettings.autoCapture = autoCapture;
+    }
+    Object.entries(cooldowns).forEach(([trigger, value]) => {
+      room.memorySettings.cooldowns[trigger] = value;
+    });
+    await room.save();
+    
+    res.json({
+      success: true,
+      memorySettings: room.memorySettings
+    });
+    
+  } catch (error) {
+    console.error('Error updating memory settings:', error);
+    res.status(500).json({
+      error: 'Failed to update memory settings',
+      details: error.message
+    });
+  }
+});
 
 module.exports = router;
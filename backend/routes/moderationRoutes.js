@@ -0,0 +1,98 @@
+// Room Moderation Routes - REST counterparts of the kick/mute/ban/role socket events
+// Rules live in services/roomModeration.js; these routes only translate requests and errors
+
+const express = require('express');
+const Room = require('../models/Room');
+const { MODERATION_ACTIONS, MODERATION_ERRORS, isModerationError } = require('../services/roomModeration');
+
+const router = express.Router();
+
+// Shared with the socket handlers (initialized by createServer)
+let roomModeration = null;
+
+const ERROR_STATUS = {
+  [MODERATION_ERRORS.INVALID_REQUEST]: 400,
+  [MODERATION_ERRORS.INVALID_TARGET]: 400,
+  [MODERATION_ERRORS.NOT_ALLOWED]: 403,
+  [MODERATION_ERRORS.ROOM_NOT_FOUND]: 404
+};
+
+const runModeration = async (req, res, action, options) => {
+  if (!roomModeration) {
+    return res.status(500).json({ error: 'Moderation service not initialized' });
+  }
+
+  try {
+    const result = await roomModeration.moderate(req.params.roomId, req.user, action, options);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    if (isModerationError(error)) {
+      return res.status(ERROR_STATUS[error.code]).json({ error: error.message, code: error.code });
+    }
+    console.error(`Error applying ${action}:`, error);
+    res.status(500).json({ error: 'Failed to moderate room', details: error.message });
+  }
+};
+
+// POST /api/rooms/:roomId/participants/:userId/kick - Remove a participant; they may rejoin
+router.post('/:roomId/participants/:userId/kick', (req, res) =>
+  runModeration(req, res, MODERATION_ACTIONS.KICK, { targetUserId: req.params.userId, reason: req.body.reason }));
+
+// PUT /api/rooms/:roomId/participants/:userId/mute - Stop a participant posting; optional duration in ms
+router.put('/:roomId/participants/:userId/mute', (req, res) =>
+  runModeration(req, res, MODERATION_ACTIONS.MUTE, {
+    targetUserId: req.params.userId,
+    duration: req.body.duration,
+    reason: req.body.reason
+  }));
+
+// DELETE /api/rooms/:roomId/participants/:userId/mute
+router.delete('/:roomId/participants/:userId/mute', (req, res) =>
+  runModeration(req, res, MODERATION_ACTIONS.UNMUTE, { targetUserId: req.params.userId }));
+
+// PUT /api/rooms/:roomId/participants/:userId/role - Owner promotes to or demotes from moderator
+router.put('/:roomId/participants/:userId/role', (req, res) =>
+  runModeration(req, res, MODERATION_ACTIONS.SET_ROLE, { targetUserId: req.params.userId, role: req.body.role }));
+
+// PUT /api/rooms/:roomId/owner - Owner hands the room to another participant
+router.put('/:roomId/owner', (req, res) =>
+  runModeration(req, res, MODERATION_ACTIONS.TRANSFER_OWNERSHIP, { targetUserId: req.body.userId }));
+
+// GET /api/rooms/:roomId/bans - Active bans, visible to moderators
+router.get('/:roomId/bans', async (req, res) => {
+  try {
+    const room = await Room.findByRoomId(req.params.roomId);
+    if (!room) {
+      return res.status(404).json({ error: 'Room not found' });
+    }
+
+    if (room.getParticipantRole(req.user.uid) === 'member') {
+      return res.status(403).json({ error: 'Only moderators can view bans' });
+    }
+
+    const now = new Date();
+    const bans = room.bans.filter(ban => !ban.expiresAt || ban.expiresAt > now);
+    res.json({ bans, count: bans.length });
+  } catch (error) {
+    console.error('Error fetching bans:', error);
+    res.status(500).json({ error: 'Failed to fetch bans' });
+  }
+});
+
+// PUT /api/rooms/:roomId/bans/:userId - Ban a user; optional duration in ms and reason
+router.put('/:roomId/bans/:userId', (req, res) =>
+  runModeration(req, res, MODERATION_ACTIONS.BAN, {
+    targetUserId: req.params.userId,
+    duration: req.body.duration,
+    reason: req.body.reason
+  }));
+
+// DELETE /api/rooms/:roomId/bans/:userId
+router.delete('/:roomId/bans/:userId', (req, res) =>
+  runModeration(req, res, MODERATION_ACTIONS.UNBAN, { targetUserId: req.params.userId }));
+
+router.init = (services) => {
+  roomModeration = services.roomModeration;
+};
+
+module.exports = router;
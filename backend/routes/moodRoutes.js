@@ -0,0 +1,175 @@
+// Mood Routes - stateless MoodFusion endpoints for experimenting with fusion, plus the mood vocabulary
+
+const express = require('express');
+const { fuseMoods, createMoodInput, isValidFusionMethod, isValidTrimFraction, FUSION_METHODS } = require('../utils/moodFusion');
+const { getMoodRegistry } = require('../utils/moodRegistry');
+
+const router = express.Router();
+
+// Fusion and clustering run on the event loop, so keep one request from hogging it
+const MAX_MOOD_INPUTS = 200;
+
+// POST /api/mood/fuse - Fuse a list of moods into one vector and label
+router.post('/fuse', (req, res) => {
+  try {
+    const { moodInputs, fusionMethod = FUSION_METHODS.WEIGHTED_AVERAGE, halfLifeMs, trimFraction } = req.body;
+    
+    if (!moodInputs || !Array.isArray(moodInputs) || moodInputs.length === 0) {
+      return res.status(400).json({
+        error: 'Invalid input',
+        details: 'moodInputs must be a non-empty array'
+      });
+    }
+
+    if (moodInputs.length > MAX_MOOD_INPUTS) {
+      return res.status(400).json({
+        error: 'Invalid input',
+        details: `moodInputs can hold at most ${MAX_MOOD_INPUTS} moods`
+      });
+    }
+    
+    if (!isValidFusionMethod(fusionMethod)) {
+      return res.status(400).json({
+        error: 'Invalid input',
+        details: `fusionMethod must be one of: ${Object.values(FUSION_METHODS).join(', ')}`
+      });
+    }
+    
+    if (halfLifeMs !== undefined && !(typeof halfLifeMs === 'number' && halfLifeMs > 0)) {
+      return res.status(400).json({
+        error: 'Invalid input',
+        details: 'halfLifeMs must be a positive number of milliseconds'
+      });
+    }
+    
+    if (trimFraction !== undefined && !isValidTrimFraction(trimFraction)) {
+      return res.status(400).json({
+        error: 'Invalid input',
+        details: 'trimFraction must be a number from 0 up to (not including) 0.5'
+      });
+    }
+    
+    // Validate and create mood inputs
+    const processedInputs = moodInputs.map(input => {
+      if (typeof input === 'string') {
+        return createMoodInput(input);
+      } else if (typeof input === 'object' && input.mood) {
+        return createMoodInput(
+          input.mood,
+          input.confidence || 1.0,
+          input.weight || 1.0,
+          input.source || 'api',
+          input.timestamp || new Date()
+        );
+      } else {
+        throw new Error(`Invalid mood input: ${JSON.stringify(input)}`);
+      }
+    });
+    
+    // Fuse moods
+    const result = fuseMoods(processedInputs, { fusionMethod, halfLifeMs, trimFraction });
+    
+    res.json({
+      success: true,
+      input: {
+        moodCount: processedInputs.length,
+        moods: processedInputs.map(input => input.mood)
+      },
+      splitRoom: Boolean(result.consensus && result.consensus.isSplit),
+      result
+    });
+    
+  } catch (error) {
+    console.error('Mood fusion error:', error);
+    res.status(400).json({
+      error: 'Mood fusion failed',
+      details: error.message
+    });
+  }
+});
+
+// GET /api/mood/registry?locale= - Every mood with its vector, emoji, synonyms and localized names;
+// `displayName` is localized when the locale (e.g. 'es' or 'fr-CA') has a translation
+router.get('/registry', (req, res) => {
+  res.json({
+    success: true,
+    ...getMoodRegistry().describe(req.query.locale)
+  });
+});
+
+// GET /api/mood/examples - Sample payloads for /api/mood/fuse
+router.get('/examples', (req, res) => {
+  const examples = [
+    {
+      name: 'Calm + Excited Mix',
+      inputs: ['calm', 'excited'],
+      description: 'Demonstrates fusion of opposite moods'
+    },
+    {
+      name: 'Sad + Anxious Combination',
+      inputs: ['sad', 'anxious'],
+      description: 'Shows how negative moods combine'
+    },
+    {
+      name: 'Complex Mix',
+      inputs: [
+        { mood: 'happy', confidence: 0.8, weight: 1.5 },
+        { mood: 'relaxed', confidence: 0.6, weight: 1.0 },
+        { mood: 'content', confidence: 0.9, weight: 1.2 }
+      ],
+      description: 'Weighted fusion with confidence scores'
+    },
+    {
+      name: 'Time-Decayed Mix',
+      inputs: [
+        { mood: 'sad', source: 'face', timestamp: new Date(Date.now() - 10 * 60 * 1000).toISOString() },
+        { mood: 'happy', source: 'manual', timestamp: new Date(Date.now() - 5 * 1000).toISOString() }
+      ],
+      fusionMethod: FUSION_METHODS.TIME_DECAY,
+      halfLifeMs: 5 * 60 * 1000,
+      description: 'Older readings count less than recent ones'
+    },
+    {
+      name: 'One Loud Outlier',
+      inputs: [
+        { mood: 'calm', confidence: 0.8 },
+        { mood: 'calm', confidence: 0.9 },
+        { mood: 'content', confidence: 0.8 },
+        { mood: 'calm', confidence: 0.7 },
+        { mood: 'angry', confidence: 1.0 }
+      ],
+      fusionMethod: FUSION_METHODS.WEIGHTED_MEDIAN,
+      description: 'A robust method keeps a single extreme input from dragging the room; it is flagged as an outlier'
+    },
+    {
+      name: 'Split Room',
+      inputs: ['excited', 'happy', 'depressed', 'sad'],
+      description: 'Averages to neutral, but consensus reports two opposed clusters and splitRoom is true'
+    }
+  ];
+  
+  res.json({
+    success: true,
+    examples,
+    usage: {
+      endpoint: 'POST /api/mood/fuse',
+      format: {
+        moodInputs: [
+          'string mood names or',
+          {
+            mood: 'string',
+            confidence: 'number (0-1, optional)',
+            weight: 'number (optional)',
+            source: 'string (optional)',
+            timestamp: 'ISO date string (optional, defaults to now)'
+          }
+        ],
+        fusionMethod: `${Object.values(FUSION_METHODS).join(' | ')} (optional)`,
+        halfLifeMs: 'number (optional, time_decay only)',
+        trimFraction: 'number in [0, 0.5) (optional, trimmed_mean only, default 0.2)'
+      }
+    }
+  });
+});
+
+module.exports = router;
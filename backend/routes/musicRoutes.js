@@ -1,353 +1,108 @@
 // AI Music Generation Route - Creates mood-based music using AI services
-// Handles text-to-music generation with fallback to royalty-free alternatives
+// Generations run as background jobs (services/musicJobQueue.js): POST /generate-music answers with a
+// job straight away, progress arrives over Socket.IO and GET /jobs/:id reports the result.
 
 const express = require('express');
-const axios = require('axios');
-const fs = require('fs').promises;
-const path = require('path');
+const Room = require('../models/Room');
+const { fuseMoods, getParticipantMoodInputs } = require('../utils/moodFusion');
+const { getTrackRecommender } = require('../services/trackRecommender');
+const { planMoodTrajectory, isTrajectoryError } = require('../services/moodTrajectory');
+const { LocalLibraryProvider } = require('../services/localLibraryProvider');
+const {
+  AI_SERVICES,
+  GENERATED_MUSIC_DIR,
+  generateMoodPrompt,
+  moodToGenerationMood,
+  enabledServices,
+  toLibraryEntry,
+  moodSimilarity,
+  getMusicJobs
+} = require('../services/musicGeneration');
+const { isJobError, JOB_ERRORS } = require('../services/musicJobQueue');
+const {
+  getMusicProviders,
+  parseTrackId,
+  isProviderError,
+  PROVIDER_ERRORS
+} = require('../services/musicProvider');
 
 const router = express.Router();
 
-// Configuration for AI music services
-const AI_SERVICES = {
-  // Suno AI API (example - replace with actual service)
-  suno: {
-    enabled: process.env.SUNO_API_KEY ? true : false,
-    apiKey: process.env.SUNO_API_KEY,
-    baseUrl: 'https://api.suno.ai/v1',
-    rateLimitPerMinute: 10
-  },
-  
-  // MusicGen by Meta (Hugging Face)
-  musicgen: {
-    enabled: process.env.HUGGINGFACE_API_KEY ? true : false,
-    apiKey: process.env.HUGGINGFACE_API_KEY,
-    baseUrl: 'https://api-inference.huggingface.co/models/facebook/musicgen-small',
-    rateLimitPerMinute: 5
-  },
-  
-  // Replicate API (for various music models)
-  replicate: {
-    enabled: process.env.REPLICATE_API_TOKEN ? true : false,
-    apiKey: process.env.REPLICATE_API_TOKEN,
-    baseUrl: 'https://api.replicate.com/v1',
-    rateLimitPerMinute: 20
-  }
-};
-
-// Fallback royalty-free music library
-const ROYALTY_FREE_LIBRARY = [
-  {
-    id: 'rf001',
-    name: 'Peaceful Morning',
-    mood: { valence: 0.7, energy: 0.3, danceability: 0.2 },
-    genre: 'ambient',
-    duration: 180,
-    url: '/assets/music/peaceful-morning.mp3',
-    description: 'Calm and uplifting ambient track'
-  },
-  {
-    id: 'rf002',
-    name: 'Energetic Workout',
-    mood: { valence: 0.8, energy: 0.9, danceability: 0.8 },
-    genre: 'electronic',
-    duration: 210,
-    url: '/assets/music/energetic-workout.mp3',
-    description: 'High-energy electronic beat'
-  },
-  {
-    id: 'rf003',
-    name: 'Melancholic Rain',
-    mood: { valence: 0.2, energy: 0.3, danceability: 0.1 },
-    genre: 'ambient',
-    duration: 240,
-    url: '/assets/music/melancholic-rain.mp3',
-    description: 'Sad and contemplative piano piece'
-  },
-  {
-    id: 'rf004',
-    name: 'Happy Dance',
-    mood: { valence: 0.9, energy: 0.8, danceability: 0.9 },
-    genre: 'pop',
-    duration: 195,
-    url: '/assets/music/happy-dance.mp3',
-    description: 'Upbeat and danceable pop track'
-  },
-  {
-    id: 'rf005',
-    name: 'Focused Work',
-    mood: { valence: 0.6, energy: 0.5, danceability: 0.3 },
-    genre: 'lofi',
-    duration: 300,
-    url: '/assets/music/focused-work.mp3',
-    description: 'Lo-fi hip-hop for concentration'
-  }
-];
-
-// Rate limiting storage (in production, use Redis)
-const rateLimitStore = new Map();
+let musicProviders = null;
+let localLibrary = null;
+let musicJobs = null;
+const providers = () => musicProviders || getMusicProviders();
+const library = () => localLibrary || new LocalLibraryProvider();
+const jobs = () => musicJobs || getMusicJobs();
 
-// Utility functions
-const checkRateLimit = (service, userId) => {
-  const key = `${service}-${userId}`;
-  const now = Date.now();
-  const windowStart = now - 60000; // 1 minute window
-  
-  if (!rateLimitStore.has(key)) {
-    rateLimitStore.set(key, []);
-  }
-  
-  const requests = rateLimitStore.get(key);
-  
-  // Remove old requests outside the window
-  const validRequests = requests.filter(timestamp => timestamp > windowStart);
-  rateLimitStore.set(key, validRequests);
-  
-  const limit = AI_SERVICES[service]?.rateLimitPerMinute || 10;
-  
-  if (validRequests.length >= limit) {
-    return false;
-  }
-  
-  // Add current request
-  validRequests.push(now);
-  return true;
+// Share a provider registry, local library and generation queue with the server (tests pass their own)
+router.init = (services = {}) => {
+  musicProviders = services.musicProviders || null;
+  localLibrary = services.localLibrary || null;
+  musicJobs = services.musicJobs || null;
 };
 
-const generateMoodPrompt = (moodData, userPrompt = '') => {
-  const { valence, energy, danceability } = moodData;
-  
-  let moodDescriptors = [];
-  
-  // Valence (happiness/sadness)
-  if (valence > 0.7) {
-    moodDescriptors.push('happy', 'joyful', 'uplifting');
-  } else if (valence > 0.4) {
-    moodDescriptors.push('neutral', 'balanced');
-  } else {
-    moodDescriptors.push('melancholic', 'sad', 'contemplative');
-  }
-  
-  // Energy
-  if (energy > 0.7) {
-    moodDescriptors.push('energetic', 'powerful', 'intense');
-  } else if (energy > 0.4) {
-    moodDescriptors.push('moderate', 'steady');
-  } else {
-    moodDescriptors.push('calm', 'peaceful', 'relaxed');
-  }
-  
-  // Danceability
-  if (danceability > 0.7) {
-    moodDescriptors.push('danceable', 'rhythmic', 'groovy');
-  } else if (danceability > 0.4) {
-    moodDescriptors.push('flowing', 'rhythmic');
-  } else {
-    moodDescriptors.push('ambient', 'atmospheric');
-  }
-  
-  const basePrompt = `A ${moodDescriptors.join(', ')} musical piece`;
-  
-  return userPrompt ? `${basePrompt}. ${userPrompt}` : basePrompt;
+// Recommenders trajectories can draw from; the library is the scanned files, else the bundled list
+const TRAJECTORY_SOURCES = {
+  catalog: async () => getTrackRecommender(),
+  library: () => library().getRecommender()
 };
 
-const findSimilarRoyaltyFreeTrack = (targetMood) => {
-  const { valence, energy, danceability } = targetMood;
-  
-  let bestMatch = null;
-  let bestScore = Infinity;
-  
-  for (const track of ROYALTY_FREE_LIBRARY) {
-    const score = Math.abs(track.mood.valence - valence) +
-                  Math.abs(track.mood.energy - energy) +
-                  Math.abs(track.mood.danceability - danceability);
-    
-    if (score < bestScore) {
-      bestScore = score;
-      bestMatch = track;
-    }
-  }
-  
-  return {
-    ...bestMatch,
-    moodSimilarity: 1 - (bestScore / 3), // Normalize to 0-1
-    isAIGenerated: false,
-    fallbackReason: 'AI service unavailable'
-  };
-};
+const getLibraryEntries = async () => (await library().getTracks()).map(toLibraryEntry);
 
-// AI Service implementations
-const generateWithSuno = async (prompt, moodData) => {
-  if (!AI_SERVICES.suno.enabled) {
-    throw new Error('Suno AI service not configured');
-  }
-  
-  try {
-    const response = await axios.post(
-      `${AI_SERVICES.suno.baseUrl}/generate`,
-      {
-        prompt,
-        mood: moodData,
-        duration: 30, // 30 seconds for quick generation
-        style: 'instrumental'
-      },
-      {
-        headers: {
-          'Authorization': `Bearer ${AI_SERVICES.suno.apiKey}`,
-          'Content-Type': 'application/json'
-        },
-        timeout: 30000
-      }
-    );
-    
-    return {
-      id: response.data.id,
-      url: response.data.audio_url,
-      name: `AI Generated - ${prompt.slice(0, 30)}...`,
-      duration: response.data.duration || 30,
-      isAIGenerated: true,
-      service: 'suno',
-      prompt,
-      moodData
-    };
-  } catch (error) {
-    console.error('Suno AI generation failed:', error.message);
-    throw error;
-  }
+const JOB_ERROR_STATUS = {
+  [JOB_ERRORS.NOT_FOUND]: 404,
+  [JOB_ERRORS.ALREADY_FINISHED]: 409,
+  [JOB_ERRORS.TOO_MANY_JOBS]: 429
 };
 
-const generateWithMusicGen = async (prompt, moodData) => {
-  if (!AI_SERVICES.musicgen.enabled) {
-    throw new Error('MusicGen service not configured');
-  }
-  
-  try {
-    const response = await axios.post(
-      AI_SERVICES.musicgen.baseUrl,
-      {
-        inputs: prompt,
-        parameters: {
-          max_length: 1024,
-          do_sample: true,
-          temperature: 0.7
-        }
-      },
-      {
-        headers: {
-          'Authorization': `Bearer ${AI_SERVICES.musicgen.apiKey}`,
-          'Content-Type': 'application/json'
-        },
-        timeout: 60000
-      }
-    );
-    
-    // MusicGen returns audio as base64 or blob
-    const audioData = response.data;
-    
-    // In a real implementation, you'd save this to a file and return the URL
-    const filename = `musicgen-${Date.now()}.wav`;
-    const filepath = path.join(process.cwd(), 'public', 'generated', filename);
-    
-    // Save audio file (this is simplified - handle base64/blob properly)
-    await fs.writeFile(filepath, audioData);
-    
-    return {
-      id: `musicgen-${Date.now()}`,
-      url: `/generated/${filename}`,
-      name: `MusicGen - ${prompt.slice(0, 30)}...`,
-      duration: 30,
-      isAIGenerated: true,
-      service: 'musicgen',
-      prompt,
-      moodData
-    };
-  } catch (error) {
-    console.error('MusicGen generation failed:', error.message);
-    throw error;
-  }
-};
+const sendJobError = (res, error) => res.status(JOB_ERROR_STATUS[error.code]).json({
+  success: false,
+  error: error.message,
+  code: error.code
+});
 
-const generateWithReplicate = async (prompt, moodData) => {
-  if (!AI_SERVICES.replicate.enabled) {
-    throw new Error('Replicate service not configured');
-  }
-  
-  try {
-    // Start generation
-    const response = await axios.post(
-      `${AI_SERVICES.replicate.baseUrl}/predictions`,
-      {
-        version: "7a76a8258b23fae65c5a22debb8841d1d7e816b75c2f24218cd2bd8573787906",
-        input: {
-          prompt,
-          duration: 30
-        }
-      },
-      {
-        headers: {
-          'Authorization': `Token ${AI_SERVICES.replicate.apiKey}`,
-          'Content-Type': 'application/json'
-        }
-      }
-    );
-    
-    const predictionId = response.data.id;
-    
-    // Poll for completion (simplified - implement proper polling)
-    let result = null;
-    for (let i = 0; i < 30; i++) { // Max 30 attempts
-      await new Promise(resolve => setTimeout(resolve, 2000)); // Wait 2 seconds
-      
-      const statusResponse = await axios.get(
-        `${AI_SERVICES.replicate.baseUrl}/predictions/${predictionId}`,
-        {
-          headers: {
-            'Authorization': `Token ${AI_SERVICES.replicate.apiKey}`
-          }
-        }
-      );
-      
-      if (statusResponse.data.status === 'succeeded') {
-        result = statusResponse.data.output;
-        break;
-      } else if (statusResponse.data.status === 'failed') {
-        throw new Error('Replicate generation failed');
-      }
-    }
-    
-    if (!result) {
-      throw new Error('Generation timeout');
-    }
-    
-    return {
-      id: predictionId,
-      url: result,
-      name: `AI Music - ${prompt.slice(0, 30)}...`,
-      duration: 30,
-      isAIGenerated: true,
-      service: 'replicate',
+// Anonymous jobs are reachable by id alone; everyone else's only by their owner
+const canSeeJob = (job, req) => Boolean(job) && (!job.userId || job.userId === req.user?.uid);
+
+// Queue a generation job and answer 202 with it
+const queueGeneration = (req, res, { mood, prompt = '', duration = 30, style = 'instrumental', useAI = true, roomId = null, moodSnapshot = null }) => {
+  const job = jobs().enqueue({
+    userId: req.user?.uid || null,
+    clientId: req.ip,
+    roomId,
+    request: {
+      mood,
       prompt,
-      moodData
-    };
-  } catch (error) {
-    console.error('Replicate generation failed:', error.message);
-    throw error;
-  }
+      fullPrompt: generateMoodPrompt(mood, prompt),
+      duration,
+      style,
+      useAI,
+      ...(moodSnapshot && { moodSnapshot })
+    }
+  });
+
+  res.status(202).json({
+    success: true,
+    job,
+    mood,
+    ...(moodSnapshot && { moodSnapshot }),
+    availableServices: enabledServices()
+  });
 };
 
-// Main generation endpoint
-router.post('/generate-music', async (req, res) => {
+// Generate music for a mood sent by the client (0-1 valence, energy, danceability)
+router.post('/generate-music', (req, res) => {
   try {
     const {
       mood,
       prompt = '',
       duration = 30,
       style = 'instrumental',
-      useAI = true
+      useAI = true,
+      roomId = null
     } = req.body;
-    
-    const userId = req.user?.uid || 'anonymous';
-    
+
     // Validate mood data
     if (!mood || typeof mood.valence !== 'number' || typeof mood.energy !== 'number') {
       return res.status(400).json({
@@ -355,86 +110,20 @@ router.post('/generate-music', async (req, res) => {
         error: 'Valid mood data (valence, energy, danceability) is required'
       });
     }
-    
+
     // Normalize mood values
     const normalizedMood = {
       valence: Math.max(0, Math.min(1, mood.valence)),
       energy: Math.max(0, Math.min(1, mood.energy)),
       danceability: Math.max(0, Math.min(1, mood.danceability || 0.5))
     };
-    
-    // Generate mood-based prompt
-    const fullPrompt = generateMoodPrompt(normalizedMood, prompt);
-    
-    let generatedTrack = null;
-    let errors = [];
-    
-    // Try AI generation if enabled and requested
-    if (useAI) {
-      const services = ['replicate', 'suno', 'musicgen'];
-      
-      for (const service of services) {
-        if (!AI_SERVICES[service].enabled) {
-          continue;
-        }
-        
-        // Check rate limits
-        if (!checkRateLimit(service, userId)) {
-          errors.push(`${service}: Rate limit exceeded`);
-          continue;
-        }
-        
-        try {
-          switch (service) {
-            case 'suno':
-              generatedTrack = await generateWithSuno(fullPrompt, normalizedMood);
-              break;
-            case 'musicgen':
-              generatedTrack = await generateWithMusicGen(fullPrompt, normalizedMood);
-              break;
-            case 'replicate':
-              generatedTrack = await generateWithReplicate(fullPrompt, normalizedMood);
-              break;
-          }
-          
-          if (generatedTrack) {
-            break; // Success - stop trying other services
-          }
-        } catch (error) {
-          errors.push(`${service}: ${error.message}`);
-          console.error(`${service} generation failed:`, error);
-        }
-      }
-    }
-    
-    // Fallback to royalty-free music if AI generation failed
-    if (!generatedTrack) {
-      generatedTrack = findSimilarRoyaltyFreeTrack(normalizedMood);
-      errors.push('AI generation failed, using royalty-free alternative');
-    }
-    
-    // Add metadata
-    const result = {
-      ...generatedTrack,
-      generatedAt: new Date().toISOString(),
-      requestedMood: normalizedMood,
-      requestedPrompt: prompt,
-      fullPrompt,
-      userId
-    };
-    
-    res.json({
-      success: true,
-      track: result,
-      mood: normalizedMood,
-      aiGenerated: generatedTrack.isAIGenerated,
-      warnings: errors.length > 0 ? errors : undefined,
-      availableServices: Object.entries(AI_SERVICES)
-        .filter(([_, config]) => config.enabled)
-        .map(([name]) => name)
-    });
-    
+
+    queueGeneration(req, res, { mood: normalizedMood, prompt, duration, style, useAI, roomId });
+
   } catch (error) {
+    if (isJobError(error)) {
+      return sendJobError(res, error);
+    }
     console.error('Music generation error:', error);
     res.status(500).json({
       success: false,
@@ -444,8 +133,42 @@ router.post('/generate-music', async (req, res) => {
   }
 });
 
+// GET /api/music/jobs/:id - Status, progress and, once succeeded, the generated track
+router.get('/jobs/:id', async (req, res) => {
+  try {
+    const job = await jobs().get(req.params.id);
+    if (!canSeeJob(job, req)) {
+      return res.status(404).json({ success: false, error: 'Job not found', code: JOB_ERRORS.NOT_FOUND });
+    }
+    res.json({ success: true, job });
+  } catch (error) {
+    console.error('Music job lookup error:', error);
+    res.status(500).json({ success: false, error: 'Failed to load job', details: error.message });
+  }
+});
+
+// DELETE /api/music/jobs/:id - Cancel a queued or running generation
+router.delete('/jobs/:id', async (req, res) => {
+  try {
+    const job = await jobs().get(req.params.id);
+    if (!canSeeJob(job, req)) {
+      return res.status(404).json({ success: false, error: 'Job not found', code: JOB_ERRORS.NOT_FOUND });
+    }
+    res.json({ success: true, job: await jobs().cancel(job.id) });
+  } catch (error) {
+    if (isJobError(error)) {
+      return sendJobError(res, error);
+    }
+    console.error('Music job cancel error:', error);
+    res.status(500).json({ success: false, error: 'Failed to cancel job', details: error.message });
+  }
+});
+
+// MusicGen output written by generation jobs
+router.use('/generated', express.static(GENERATED_MUSIC_DIR));
+
 // Get available AI services status
-router.get('/services', (req, res) => {
+router.get('/services', async (req, res) => {
   const serviceStatus = Object.entries(AI_SERVICES).map(([name, config]) => ({
     name,
     enabled: config.enabled,
@@ -457,17 +180,17 @@ router.get('/services', (req, res) => {
     services: serviceStatus,
     royaltyFreeLibrary: {
       available: true,
-      trackCount: ROYALTY_FREE_LIBRARY.length
+      trackCount: (await getLibraryEntries()).length
     },
     fallbackEnabled: true
   });
 });
 
-// Get royalty-free music library
-router.get('/library', (req, res) => {
+// Get the local music library (scanned files, or the bundled royalty-free tracks)
+router.get('/library', async (req, res) => {
   const { mood } = req.query;
   
-  let tracks = ROYALTY_FREE_LIBRARY;
+  let tracks = await getLibraryEntries();
   
   // Filter by mood if provided
   if (mood) {
@@ -475,11 +198,7 @@ router.get('/library', (req, res) => {
       const targetMood = JSON.parse(mood);
       tracks = tracks.map(track => ({
         ...track,
-        moodSimilarity: 1 - (
-          Math.abs(track.mood.valence - targetMood.valence) +
-          Math.abs(track.mood.energy - targetMood.energy) +
-          Math.abs(track.mood.danceability - (targetMood.danceability || 0.5))
-        ) / 3
+        moodSimilarity: moodSimilarity(track, targetMood)
       })).sort((a, b) => b.moodSimilarity - a.moodSimilarity);
     } catch (error) {
       // Invalid mood JSON, return all tracks
@@ -493,10 +212,219 @@ router.get('/library', (req, res) => {
   });
 });
 
-// Generate music from room mood
+// Stream a scanned local library file
+router.get('/files/:trackId', async (req, res) => {
+  const track = await library().find(req.params.trackId);
+  if (!track || !track.filePath) {
+    return res.status(404).json({ success: false, error: 'Track not found' });
+  }
+
+  res.sendFile(track.filePath, (error) => {
+    if (error && !res.headersSent) {
+      res.status(error.status === 404 || error.code === 'ENOENT' ? 404 : 500).json({
+        success: false,
+        error: 'Track file is unavailable'
+      });
+    }
+  });
+});
+
+// Plan a playlist that moves from one mood to another
+// Body: to, and from or roomId (the room's current fused mood); trackCount or durationMinutes;
+// optional genres and source ('catalog', the default, or the local 'library')
+router.post('/trajectory', async (req, res) => {
+  try {
+    const { roomId, to, trackCount, durationMinutes, genres = [], source = 'catalog' } = req.body;
+    let { from } = req.body;
+
+    if (!Object.prototype.hasOwnProperty.call(TRAJECTORY_SOURCES, source)) {
+      return res.status(400).json({
+        success: false,
+        error: `source must be one of: ${Object.keys(TRAJECTORY_SOURCES).join(', ')}`
+      });
+    }
+
+    if (from === undefined) {
+      if (!roomId) {
+        return res.status(400).json({
+          success: false,
+          error: 'Either from or roomId is required'
+        });
+      }
+
+      const room = await Room.findByRoomId(roomId);
+      if (!room || !room.isVisibleTo(req.user?.uid)) {
+        return res.status(404).json({ success: false, error: 'Room not found' });
+      }
+
+      const moodInputs = room.participants.filter(p => p.isOnline).flatMap(p => getParticipantMoodInputs(p));
+      from = fuseMoods(moodInputs).vector;
+    }
+
+    const trajectory = await planMoodTrajectory(from, to, {
+      trackCount,
+      durationMinutes,
+      genres: [].concat(genres)
+    }, { recommender: await TRAJECTORY_SOURCES[source]() });
+
+    res.json({
+      success: true,
+      source,
+      ...(roomId && { roomId }),
+      trajectory
+    });
+
+  } catch (error) {
+    if (isTrajectoryError(error)) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+        code: error.code
+      });
+    }
+    console.error('Trajectory playlist error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Trajectory playlist failed',
+      details: error.message
+    });
+  }
+});
+
+// Provider errors as responses; anything else is the caller's 500
+const PROVIDER_ERROR_STATUS = {
+  [PROVIDER_ERRORS.UNKNOWN_PROVIDER]: 400,
+  [PROVIDER_ERRORS.ACCOUNT_REQUIRED]: 401,
+  [PROVIDER_ERRORS.TRACK_NOT_FOUND]: 404
+};
+
+const sendProviderError = (res, error) => res.status(PROVIDER_ERROR_STATUS[error.code]).json({
+  success: false,
+  error: error.message,
+  code: error.code,
+  ...(error.code === PROVIDER_ERRORS.ACCOUNT_REQUIRED && { authRequired: true })
+});
+
+// The provider named by ?provider=, else the one ?roomId= picked, else the default.
+// Resolves to { name, provider }, or null when the room is not visible to the caller.
+async function resolveProvider(req) {
+  const { provider, roomId } = req.query;
+  const registry = providers();
+  const context = { userId: req.user?.uid };
+
+  if (provider) {
+    return { name: provider, provider: registry.create(provider, context) };
+  }
+
+  let room = null;
+  if (roomId) {
+    room = await Room.findByRoomId(roomId);
+    if (!room || !room.isVisibleTo(req.user?.uid)) {
+      return null;
+    }
+  }
+  return { name: registry.nameForRoom(room), provider: registry.forRoom(room, context) };
+}
+
+const listParam = (value) => [].concat(value || []).flatMap(item => String(item).split(',')).map(item => item.trim()).filter(Boolean);
+
+// GET /api/music/providers - Music providers a room can pick
+router.get('/providers', (req, res) => {
+  res.json({
+    success: true,
+    providers: providers().list()
+  });
+});
+
+// GET /api/music/search?q=&limit=&offset=&provider=|roomId= - Text search through a provider
+router.get('/search', async (req, res) => {
+  try {
+    const { q } = req.query;
+    if (!q || !q.trim()) {
+      return res.status(400).json({ success: false, error: 'Search query (q) is required' });
+    }
+
+    const resolved = await resolveProvider(req);
+    if (!resolved) {
+      return res.status(404).json({ success: false, error: 'Room not found' });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 50);
+    const offset = parseInt(req.query.offset, 10) || 0;
+    const { tracks, total } = await resolved.provider.search(q, { limit, offset });
+
+    res.json({ success: true, provider: resolved.name, query: q, tracks, total, limit, offset });
+  } catch (error) {
+    if (isProviderError(error)) {
+      return sendProviderError(res, error);
+    }
+    console.error('Provider search error:', error);
+    res.status(500).json({ success: false, error: 'Music search failed', details: error.message });
+  }
+});
+
+// GET /api/music/search-by-mood?valence=&arousal=&limit=&genre=&exclude=&provider=|roomId=
+// Tracks closest to a mood vector (-1..1); exclude takes provider track ids
+router.get('/search-by-mood', async (req, res) => {
+  try {
+    const valence = parseFloat(req.query.valence);
+    const arousal = parseFloat(req.query.arousal);
+    const inMoodRange = (value) => Number.isFinite(value) && value >= -1 && value <= 1;
+
+    if (!inMoodRange(valence) || !inMoodRange(arousal)) {
+      return res.status(400).json({ success: false, error: 'valence and arousal must be numbers from -1 to 1' });
+    }
+
+    const resolved = await resolveProvider(req);
+    if (!resolved) {
+      return res.status(404).json({ success: false, error: 'Room not found' });
+    }
+
+    const tracks = await resolved.provider.searchByMood({ valence, arousal }, {
+      limit: Math.min(parseInt(req.query.limit, 10) || 20, 50),
+      genres: listParam(req.query.genre),
+      excludeIds: listParam(req.query.exclude)
+    });
+
+    res.json({ success: true, provider: resolved.name, moodVector: { valence, arousal }, tracks });
+  } catch (error) {
+    if (isProviderError(error)) {
+      return sendProviderError(res, error);
+    }
+    console.error('Provider mood search error:', error);
+    res.status(500).json({ success: false, error: 'Mood-based search failed', details: error.message });
+  }
+});
+
+// GET /api/music/playable/:trackId - How to play a normalized track ('local:rf001', 'spotify:4uLU6hMC', ...)
+router.get('/playable/:trackId', async (req, res) => {
+  try {
+    const parsed = parseTrackId(req.params.trackId);
+    if (!parsed) {
+      return res.status(400).json({ success: false, error: 'Track ids look like provider:id' });
+    }
+
+    const provider = providers().create(parsed.provider, { userId: req.user?.uid });
+    const playable = await provider.resolvePlayable(parsed.providerId);
+    if (!playable) {
+      return res.status(404).json({ success: false, error: 'Track is not playable', code: PROVIDER_ERRORS.TRACK_NOT_FOUND });
+    }
+
+    res.json({ success: true, trackId: req.params.trackId, playable });
+  } catch (error) {
+    if (isProviderError(error)) {
+      return sendProviderError(res, error);
+    }
+    console.error('Resolve playable error:', error);
+    res.status(500).json({ success: false, error: 'Failed to resolve track', details: error.message });
+  }
+});
+
+// Generate music for a room's current mood: the online participants' moods are fused here, not sent
+// by the client, and the fused snapshot travels with the job onto the generated track
 router.post('/generate-from-room', async (req, res) => {
   try {
-    const { roomId, participantMoods = [] } = req.body;
+    const { roomId, prompt = '', useAI = true } = req.body;
     
     if (!roomId) {
       return res.status(400).json({
@@ -504,35 +432,44 @@ router.post('/generate-from-room', async (req, res) => {
         error: 'Room ID is required'
       });
     }
-    
-    if (participantMoods.length === 0) {
+
+    const room = await Room.findByRoomId(roomId);
+    if (!room || !room.isVisibleTo(req.user?.uid)) {
+      return res.status(404).json({ success: false, error: 'Room not found' });
+    }
+
+    const moodParticipants = room.participants.filter(p => p.isOnline && p.mood);
+    if (moodParticipants.length === 0) {
       return res.status(400).json({
         success: false,
-        error: 'At least one participant mood is required'
+        error: 'No online participants to take the room mood from'
       });
     }
-    
-    // Calculate average room mood
-    const averageMood = {
-      valence: participantMoods.reduce((sum, mood) => sum + mood.valence, 0) / participantMoods.length,
-      energy: participantMoods.reduce((sum, mood) => sum + mood.energy, 0) / participantMoods.length,
-      danceability: participantMoods.reduce((sum, mood) => sum + (mood.danceability || 0.5), 0) / participantMoods.length
-    };
-    
-    // Generate prompt based on room context
-    const roomPrompt = `Music for a group mood session with ${participantMoods.length} participants`;
-    
-    // Use the main generation endpoint
-    req.body = {
-      mood: averageMood,
-      prompt: roomPrompt,
-      useAI: true
+
+    const fused = fuseMoods(moodParticipants.flatMap(p => getParticipantMoodInputs(p)));
+    const moodSnapshot = {
+      roomId,
+      label: fused.label,
+      vector: fused.vector,
+      confidence: fused.confidence,
+      participantCount: moodParticipants.length,
+      capturedAt: new Date().toISOString()
     };
-    
-    // Call the main generation function
-    return router.handle(req, res);
+
+    const roomPrompt = `Music for a group mood session with ${moodParticipants.length} participants`;
+
+    queueGeneration(req, res, {
+      mood: moodToGenerationMood(fused.vector),
+      prompt: prompt ? `${roomPrompt}. ${prompt}` : roomPrompt,
+      useAI,
+      roomId,
+      moodSnapshot
+    });
     
   } catch (error) {
+    if (isJobError(error)) {
+      return sendJobError(res, error);
+    }
     console.error('Room mood generation error:', error);
     res.status(500).json({
       success: false,
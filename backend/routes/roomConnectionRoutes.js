@@ -6,18 +6,14 @@ const router = express.Router();
 const { RoomConnectionManager } = require('../services/roomConnection');
 const { AmbientMatchingService } = require('../services/ambientMatching');
 
-// Global managers (initialized in app.js)
+// Managers shared with the socket handler (initialized by createServer)
 let roomConnectionManager = null;
 let ambientMatchingService = null;
 
-// Initialize services
-const initializeServices = (io) => {
-  if (!roomConnectionManager) {
-    roomConnectionManager = new RoomConnectionManager(io);
-  }
-  if (!ambientMatchingService) {
-    ambientMatchingService = new AmbientMatchingService(io);
-  }
+// Initialize services, reusing the socket handler's managers so REST and sockets see the same state
+const initializeServices = (io, services = {}) => {
+  roomConnectionManager = services.roomConnectionManager || new RoomConnectionManager(io);
+  ambientMatchingService = services.ambientMatchingService || new AmbientMatchingService(io);
 };
 
 // Middleware to ensure services are initialized
@@ -36,12 +32,13 @@ const requireServices = (req, res, next) => {
 // Connect two rooms
 router.post('/connect', requireServices, async (req, res) => {
   try {
-    const { roomA, roomB, userId, options = {} } = req.body;
+    const { roomA, roomB, options = {} } = req.body;
+    const userId = req.user.uid;
 
-    if (!roomA || !roomB || !userId) {
+    if (!roomA || !roomB) {
       return res.status(400).json({
         success: false,
-        error: 'roomA, roomB, and userId are required'
+        error: 'roomA and roomB are required'
       });
     }
 
@@ -72,12 +69,13 @@ router.post('/connect', requireServices, async (req, res) => {
 // Disconnect rooms
 router.post('/disconnect', requireServices, async (req, res) => {
   try {
-    const { sharedRoomId, userId } = req.body;
+    const { sharedRoomId } = req.body;
+    const userId = req.user.uid;
 
-    if (!sharedRoomId || !userId) {
+    if (!sharedRoomId) {
       return res.status(400).json({
         success: false,
-        error: 'sharedRoomId and userId are required'
+        error: 'sharedRoomId is required'
       });
     }
 
@@ -203,11 +201,35 @@ router.get('/dj-battle/status/:battleId', requireServices, async (req, res) => {
   }
 });
 
+// Shape a finished battle (live or stored) for the results and history endpoints
+const formatBattleResult = (battle) => ({
+  battleId: battle.id || battle.battleId,
+  sharedRoomId: battle.sharedRoomId,
+  winner: battle.stats.winner,
+  votes: battle.result?.votes || battle.stats.winner?.votes,
+  slotVotes: battle.result?.slotVotes,
+  duration: battle.duration,
+  roomA: {
+    name: battle.roomA,
+    engagement: battle.stats.engagementA,
+    tracks: battle.tracks.roomA.length
+  },
+  roomB: {
+    name: battle.roomB,
+    engagement: battle.stats.engagementB,
+    tracks: battle.tracks.roomB.length
+  },
+  moodMovement: battle.stats.moodMovement,
+  finishedAt: battle.finishedAt
+});
+
 // Get DJ battle results
 router.get('/dj-battle/results/:battleId', requireServices, async (req, res) => {
   try {
     const { battleId } = req.params;
-    const battle = roomConnectionManager.djBattles.get(battleId);
+    // Finished battles leave memory after a few minutes; the stored copy answers after that
+    const battle = roomConnectionManager.djBattles.get(battleId) ||
+      await roomConnectionManager.store.findBattle(battleId);
 
     if (!battle) {
       return res.status(404).json({
@@ -225,23 +247,7 @@ router.get('/dj-battle/results/:battleId', requireServices, async (req, res) =>
 
     res.json({
       success: true,
-      results: {
-        battleId: battle.id,
-        winner: battle.stats.winner,
-        duration: battle.duration,
-        roomA: {
-          name: battle.roomA,
-          engagement: battle.stats.engagementA,
-          tracks: battle.tracks.roomA.length
-        },
-        roomB: {
-          name: battle.roomB,
-          engagement: battle.stats.engagementB,
-          tracks: battle.tracks.roomB.length
-        },
-        moodMovement: battle.stats.moodMovement,
-        finishedAt: battle.finishedAt
-      }
+      results: formatBattleResult(battle)
     });
 
   } catch (error) {
@@ -253,6 +259,46 @@ router.get('/dj-battle/results/:battleId', requireServices, async (req, res) =>
   }
 });
 
+// List past DJ battles and their winners, newest first; roomId narrows to one room's battles
+router.get('/dj-battle/history', requireServices, async (req, res) => {
+  try {
+    const { roomId, limit = 20, offset = 0 } = req.query;
+
+    if (!roomConnectionManager.store.isAvailable()) {
+      return res.status(503).json({
+        success: false,
+        error: 'Battle history is unavailable while the database is disconnected'
+      });
+    }
+
+    const pageLimit = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+    const pageOffset = Math.max(parseInt(offset) || 0, 0);
+    const { battles, total } = await roomConnectionManager.store.findBattleHistory({
+      roomId,
+      limit: pageLimit,
+      offset: pageOffset
+    });
+
+    res.json({
+      success: true,
+      battles: battles.map(formatBattleResult),
+      pagination: {
+        total,
+        limit: pageLimit,
+        offset: pageOffset,
+        hasMore: (pageOffset + pageLimit) < total
+      }
+    });
+
+  } catch (error) {
+    console.error('Battle history retrieval failed:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Battle history retrieval failed'
+    });
+  }
+});
+
 // === AMBIENT MATCHING ENDPOINTS ===
 
 // Register room for ambient matching
@@ -311,12 +357,13 @@ router.get('/ambient/matches/:roomId', requireServices, async (req, res) => {
 // Suggest connections to user
 router.post('/ambient/suggest', requireServices, async (req, res) => {
   try {
-    const { roomId, userId } = req.body;
+    const { roomId } = req.body;
+    const userId = req.user.uid;
 
-    if (!roomId || !userId) {
+    if (!roomId) {
       return res.status(400).json({
         success: false,
-        error: 'roomId and userId are required'
+        error: 'roomId is required'
       });
     }
 
@@ -340,12 +387,13 @@ router.post('/ambient/suggest', requireServices, async (req, res) => {
 // Request connection to matched room
 router.post('/ambient/request', requireServices, async (req, res) => {
   try {
-    const { fromRoomId, toAnonymousId, userId, message = '' } = req.body;
+    const { fromRoomId, toAnonymousId, message = '' } = req.body;
+    const userId = req.user.uid;
 
-    if (!fromRoomId || !toAnonymousId || !userId) {
+    if (!fromRoomId || !toAnonymousId) {
       return res.status(400).json({
         success: false,
-        error: 'fromRoomId, toAnonymousId, and userId are required'
+        error: 'fromRoomId and toAnonymousId are required'
       });
     }
 
@@ -374,12 +422,13 @@ router.post('/ambient/request', requireServices, async (req, res) => {
 // Respond to connection request
 router.post('/ambient/respond', requireServices, async (req, res) => {
   try {
-    const { requestId, roomId, userId, response, message = '' } = req.body;
+    const { requestId, roomId, response, message = '' } = req.body;
+    const userId = req.user.uid;
 
-    if (!requestId || !roomId || !userId || !response) {
+    if (!requestId || !roomId || !response) {
       return res.status(400).json({
         success: false,
-        error: 'requestId, roomId, userId, and response are required'
+        error: 'requestId, roomId, and response are required'
       });
     }
 
@@ -506,9 +555,9 @@ router.get('/health', (req, res) => {
   }
 });
 
-// Initialize services with socket.io instance
-router.init = (io) => {
-  initializeServices(io);
+// Initialize services with socket.io instance and optional shared managers
+router.init = (io, services) => {
+  initializeServices(io, services);
 };
 
 module.exports = router;
@@ -0,0 +1,258 @@
+// Room Routes - REST listing and lookup for chat rooms, paged chat history, plus visibility, passwords, invites
+// and the room's music provider
+
+const express = require('express');
+const Room = require('../models/Room');
+const Message = require('../models/Message');
+const { hashPassword, validatePassword, createInvite, summarizeInvite } = require('../services/roomAccess');
+const { getMusicProviders } = require('../services/musicProvider');
+
+const router = express.Router();
+
+const canManageInvites = (room, userId) => room.getParticipantRole(userId) !== 'member';
+
+// GET /api/rooms - Rooms the user may see (public ones and their own) with online participant counts
+router.get('/', async (req, res) => {
+  try {
+    const rooms = await Room.findVisibleRooms(req.user.uid);
+    
+    const roomList = rooms.map(room => ({
+      roomId: room.roomId,
+      name: room.name,
+      description: room.description,
+      visibility: room.visibility || 'public',
+      participantCount: room.participants ? room.participants.filter(p => p.isOnline).length : 0,
+      lastActivity: room.lastActivity,
+      createdAt: room.createdAt
+    }));
+
+    res.json({
+      rooms: roomList,
+      count: roomList.length
+    });
+  } catch (error) {
+    console.error('Error fetching rooms:', error);
+    res.status(500).json({
+      error: 'Failed to fetch rooms'
+    });
+  }
+});
+
+// GET /api/rooms/:roomId - Room details with online participants and recent messages
+router.get('/:roomId', async (req, res) => {
+  try {
+    const { roomId } = req.params;
+    const room = await Room.findByRoomId(roomId);
+    
+    // Private rooms look the same as missing ones to outsiders
+    if (!room || !room.isVisibleTo(req.user.uid)) {
+      return res.status(404).json({
+        error: 'Room not found'
+      });
+    }
+
+    res.json({
+      roomId: room.roomId,
+      name: room.name,
+      description: room.description,
+      visibility: room.visibility,
+      participants: room.participants.filter(p => p.isOnline),
+      messages: await room.getRecentMessages(20),
+      createdAt: room.createdAt,
+      lastActivity: room.lastActivity
+    });
+  } catch (error) {
+    console.error('Error fetching room:', error);
+    res.status(500).json({
+      error: 'Failed to fetch room'
+    });
+  }
+});
+
+// GET /api/rooms/:roomId/messages?before=&limit= - Chat history, newest page first.
+// `before` is the nextCursor of the previous page; each page is in chronological order
+router.get('/:roomId/messages', async (req, res) => {
+  try {
+    const room = await Room.findByRoomId(req.params.roomId);
+    if (!room || !room.isVisibleTo(req.user.uid)) {
+      return res.status(404).json({ error: 'Room not found' });
+    }
+
+    const page = await Message.findPage(room.roomId, { before: req.query.before, limit: req.query.limit });
+    res.json(page);
+  } catch (error) {
+    if (error.code === 'INVALID_CURSOR') {
+      return res.status(400).json({ error: 'Invalid cursor', details: 'before must be a nextCursor from an earlier page' });
+    }
+    console.error('Error fetching messages:', error);
+    res.status(500).json({ error: 'Failed to fetch messages' });
+  }
+});
+
+// PUT /api/rooms/:roomId/access - Owner sets visibility and the private-room password (null clears it)
+router.put('/:roomId/access', async (req, res) => {
+  try {
+    const { visibility, password } = req.body;
+    const room = await Room.findByRoomId(req.params.roomId);
+
+    if (!room || !room.isVisibleTo(req.user.uid)) {
+      return res.status(404).json({ error: 'Room not found' });
+    }
+
+    if (room.getOwnerId() !== req.user.uid) {
+      return res.status(403).json({ error: 'Only the room owner can change who may join' });
+    }
+
+    if (visibility !== undefined && !Room.ROOM_VISIBILITIES.includes(visibility)) {
+      return res.status(400).json({
+        error: 'Invalid visibility',
+        details: `visibility must be one of: ${Room.ROOM_VISIBILITIES.join(', ')}`
+      });
+    }
+
+    if (password !== undefined && password !== null) {
+      const passwordError = validatePassword(password);
+      if (passwordError) {
+        return res.status(400).json({ error: 'Invalid password', details: passwordError });
+      }
+    }
+
+    if (visibility !== undefined) {
+      room.visibility = visibility;
+    }
+    if (password !== undefined) {
+      room.passwordHash = password === null ? null : await hashPassword(password);
+    }
+    await room.save();
+
+    res.json({
+      roomId: room.roomId,
+      visibility: room.visibility,
+      hasPassword: !!room.passwordHash
+    });
+  } catch (error) {
+    console.error('Error updating room access:', error);
+    res.status(500).json({ error: 'Failed to update room access' });
+  }
+});
+
+// PUT /api/rooms/:roomId/music-provider - Moderators pick where the room's music comes from (null resets to the default)
+router.put('/:roomId/music-provider', async (req, res) => {
+  try {
+    const { provider } = req.body;
+    const room = await Room.findByRoomId(req.params.roomId);
+
+    if (!room || !room.isVisibleTo(req.user.uid)) {
+      return res.status(404).json({ error: 'Room not found' });
+    }
+
+    if (room.getParticipantRole(req.user.uid) === 'member') {
+      return res.status(403).json({ error: 'Only moderators can change the music provider' });
+    }
+
+    const registry = getMusicProviders();
+    if (provider !== null && !registry.has(provider)) {
+      return res.status(400).json({
+        error: 'Invalid provider',
+        details: `provider must be one of: ${registry.list().map(p => p.name).join(', ')}`
+      });
+    }
+
+    room.musicProvider = provider;
+    await room.save();
+
+    res.json({
+      roomId: room.roomId,
+      musicProvider: registry.nameForRoom(room)
+    });
+  } catch (error) {
+    console.error('Error updating music provider:', error);
+    res.status(500).json({ error: 'Failed to update music provider' });
+  }
+});
+
+// POST /api/rooms/:roomId/invites - Moderators create a signed invite link; expiresIn in ms, optional maxUses
+router.post('/:roomId/invites', async (req, res) => {
+  try {
+    const { expiresIn, maxUses = null } = req.body;
+    const room = await Room.findByRoomId(req.params.roomId);
+
+    if (!room || !room.isVisibleTo(req.user.uid)) {
+      return res.status(404).json({ error: 'Room not found' });
+    }
+
+    if (!canManageInvites(room, req.user.uid)) {
+      return res.status(403).json({ error: 'Only moderators can create invites' });
+    }
+
+    let created;
+    try {
+      created = createInvite(room, req.user.uid, { expiresIn, maxUses });
+    } catch (error) {
+      return res.status(400).json({ error: 'Invalid invite', details: error.message });
+    }
+
+    room.invites.push(created.invite);
+    await room.save();
+
+    res.status(201).json({
+      ...summarizeInvite(created.invite),
+      token: created.token,
+      path: `/room/${room.roomId}?invite=${encodeURIComponent(created.token)}`
+    });
+  } catch (error) {
+    console.error('Error creating invite:', error);
+    res.status(500).json({ error: 'Failed to create invite' });
+  }
+});
+
+// GET /api/rooms/:roomId/invites - Invites and how often they were used, for moderators
+router.get('/:roomId/invites', async (req, res) => {
+  try {
+    const room = await Room.findByRoomId(req.params.roomId);
+
+    if (!room || !room.isVisibleTo(req.user.uid)) {
+      return res.status(404).json({ error: 'Room not found' });
+    }
+
+    if (!canManageInvites(room, req.user.uid)) {
+      return res.status(403).json({ error: 'Only moderators can view invites' });
+    }
+
+    const invites = room.invites.map(summarizeInvite);
+    res.json({ invites, count: invites.length });
+  } catch (error) {
+    console.error('Error fetching invites:', error);
+    res.status(500).json({ error: 'Failed to fetch invites' });
+  }
+});
+
+// DELETE /api/rooms/:roomId/invites/:inviteId - Revoke an invite link
+router.delete('/:roomId/invites/:inviteId', async (req, res) => {
+  try {
+    const room = await Room.findByRoomId(req.params.roomId);
+
+    if (!room || !room.isVisibleTo(req.user.uid)) {
+      return res.status(404).json({ error: 'Room not found' });
+    }
+
+    if (!canManageInvites(room, req.user.uid)) {
+      return res.status(403).json({ error: 'Only moderators can revoke invites' });
+    }
+
+    const invite = room.invites.find(i => i.inviteId === req.params.inviteId);
+    if (!invite) {
+      return res.status(404).json({ error: 'Invite not found' });
+    }
+
+    invite.revokedAt = invite.revokedAt || new Date();
+    await room.save();
+
+    res.json(summarizeInvite(invite));
+  } catch (error) {
+    console.error('Error revoking invite:', error);
+    res.status(500).json({ error: 'Failed to revoke invite' });
+  }
+});
+
+module.exports = router;
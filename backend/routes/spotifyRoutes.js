@@ -2,57 +2,48 @@
 // Handles Spotify OAuth flow, token management, and search API proxying
 
 const express = require('express');
-const SpotifyWebApi = require('spotify-web-api-node');
-const crypto = require('crypto');
+const {
+  getSpotifySessions,
+  isSpotifyError,
+  SPOTIFY_ERRORS,
+  SPOTIFY_APPS_URL
+} = require('../services/spotifyClient');
 
 const router = express.Router();
 
-// Spotify credentials (should be in environment variables)
-const spotifyApi = new SpotifyWebApi({
-  clientId: process.env.SPOTIFY_CLIENT_ID || 'your_spotify_client_id',
-  clientSecret: process.env.SPOTIFY_CLIENT_SECRET || 'your_spotify_client_secret',
-  redirectUri: process.env.SPOTIFY_REDIRECT_URI || 'http://localhost:3001/api/spotify/callback'
-});
+let spotifySessions = null;
+const sessions = () => spotifySessions || getSpotifySessions();
 
-// In-memory token storage (in production, use Redis or database)
-const tokenStorage = new Map();
-const stateStorage = new Map();
+// Share a session manager with the server (tests pass their own)
+router.init = (services = {}) => {
+  spotifySessions = services.spotifySessions || null;
+};
 
-// Utility function to generate random state for OAuth security
-function generateState() {
-  return crypto.randomBytes(16).toString('hex');
+// Spotify connections belong to the signed-in ProjectMood user
+function requireUser(req, res, next) {
+  if (!req.user?.uid) {
+    return res.status(401).json({
+      success: false,
+      error: 'Sign in to connect Spotify'
+    });
+  }
+  next();
 }
 
 // Get Spotify authorization URL
-router.get('/auth', (req, res) => {
-  const state = generateState();
-  const scopes = [
-    'user-read-private',
-    'user-read-email',
-    'playlist-read-private',
-    'playlist-read-collaborative',
-    'streaming',
-    'user-read-playback-state',
-    'user-modify-playback-state'
-  ];
-
-  // Store state for validation
-  stateStorage.set(state, { 
-    createdAt: Date.now(),
-    userId: req.user?.uid || 'anonymous'
-  });
+router.get('/auth', requireUser, (req, res) => {
+  const { authUrl, state } = sessions().createAuthorization(req.user.uid);
 
-  const authorizeURL = spotifyApi.createAuthorizeURL(scopes, state);
-  
   res.json({
     success: true,
-    authUrl: authorizeURL,
+    authUrl,
     state,
     message: 'Visit the auth URL to authorize the application'
   });
 });
 
 // Handle Spotify OAuth callback
+// Reached from Spotify without our auth header; the state identifies the user who started the flow
 router.get('/callback', async (req, res) => {
   const { code, state, error } = req.query;
 
@@ -71,65 +62,27 @@ router.get('/callback', async (req, res) => {
     });
   }
 
-  // Validate state
-  const storedState = stateStorage.get(state);
-  if (!storedState) {
-    return res.status(400).json({
-      success: false,
-      error: 'Invalid state parameter'
-    });
-  }
-
-  // Clean up expired states (older than 10 minutes)
-  const tenMinutesAgo = Date.now() - 10 * 60 * 1000;
-  for (const [key, value] of stateStorage.entries()) {
-    if (value.createdAt < tenMinutesAgo) {
-      stateStorage.delete(key);
-    }
-  }
-
   try {
-    // Exchange authorization code for access token
-    const data = await spotifyApi.authorizationCodeGrant(code);
-    
-    const { access_token, refresh_token, expires_in } = data.body;
-    
-    // Set tokens on the API instance
-    spotifyApi.setAccessToken(access_token);
-    spotifyApi.setRefreshToken(refresh_token);
-
-    // Get user info
-    const userInfo = await spotifyApi.getMe();
-    const userId = userInfo.body.id;
-
-    // Store tokens securely (in production, encrypt and store in database)
-    tokenStorage.set(userId, {
-      accessToken: access_token,
-      refreshToken: refresh_token,
-      expiresAt: Date.now() + (expires_in * 1000),
-      userInfo: {
-        id: userId,
-        displayName: userInfo.body.display_name,
-        email: userInfo.body.email,
-        country: userInfo.body.country,
-        product: userInfo.body.product
-      }
-    });
-
-    stateStorage.delete(state);
+    const { profile, expiresIn } = await sessions().connect(state, code);
 
     res.json({
       success: true,
       message: 'Successfully authenticated with Spotify',
       user: {
-        id: userId,
-        displayName: userInfo.body.display_name,
-        email: userInfo.body.email
+        id: profile.id,
+        displayName: profile.displayName,
+        email: profile.email
       },
-      expiresIn: expires_in
+      expiresIn
     });
 
   } catch (error) {
+    if (error.code === SPOTIFY_ERRORS.INVALID_STATE) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid state parameter'
+      });
+    }
     console.error('Spotify OAuth error:', error);
     res.status(500).json({
       success: false,
@@ -139,50 +92,26 @@ router.get('/callback', async (req, res) => {
   }
 });
 
-// Middleware to ensure valid Spotify token
+// Middleware giving the request its own Spotify client (req.spotify) and profile (req.spotifyUser)
 async function ensureSpotifyAuth(req, res, next) {
-  const userId = req.headers['x-spotify-user'] || 'default';
-  const userTokens = tokenStorage.get(userId);
-
-  if (!userTokens) {
-    return res.status(401).json({
+  try {
+    const { client, profile } = await sessions().getClient(req.user?.uid);
+    req.spotify = client;
+    req.spotifyUser = profile;
+    next();
+  } catch (error) {
+    if (!isSpotifyError(error)) {
+      return next(error);
+    }
+    res.status(401).json({
       success: false,
-      error: 'No Spotify authentication found',
+      error: error.code === SPOTIFY_ERRORS.REFRESH_FAILED
+        ? 'Failed to refresh Spotify token'
+        : 'No Spotify authentication found',
+      code: error.code,
       authRequired: true
     });
   }
-
-  // Check if token is expired
-  if (Date.now() >= userTokens.expiresAt) {
-    try {
-      // Refresh the token
-      spotifyApi.setRefreshToken(userTokens.refreshToken);
-      const data = await spotifyApi.refreshAccessToken();
-      
-      const newAccessToken = data.body.access_token;
-      const newExpiresIn = data.body.expires_in;
-      
-      // Update stored tokens
-      userTokens.accessToken = newAccessToken;
-      userTokens.expiresAt = Date.now() + (newExpiresIn * 1000);
-      
-      spotifyApi.setAccessToken(newAccessToken);
-      
-    } catch (error) {
-      console.error('Token refresh error:', error);
-      tokenStorage.delete(userId);
-      return res.status(401).json({
-        success: false,
-        error: 'Failed to refresh Spotify token',
-        authRequired: true
-      });
-    }
-  } else {
-    spotifyApi.setAccessToken(userTokens.accessToken);
-  }
-
-  req.spotifyUser = userTokens.userInfo;
-  next();
 }
 
 // Search Spotify tracks
@@ -203,7 +132,7 @@ router.get('/search', ensureSpotifyAuth, async (req, res) => {
       market: market || req.spotifyUser.country || 'US'
     };
 
-    const searchResult = await spotifyApi.search(q, [type], searchOptions);
+    const searchResult = await req.spotify.search(q, [type], searchOptions);
     
     // Format the response to include preview URLs and relevant data
     const tracks = searchResult.body.tracks.items.map(track => ({
@@ -272,7 +201,7 @@ router.get('/audio-features', ensureSpotifyAuth, async (req, res) => {
       });
     }
 
-    const audioFeatures = await spotifyApi.getAudioFeaturesForTracks(trackIds);
+    const audioFeatures = await req.spotify.getAudioFeaturesForTracks(trackIds);
     
     res.json({
       success: true,
@@ -331,7 +260,7 @@ router.get('/search-by-mood', ensureSpotifyAuth, async (req, res) => {
     };
 
     // First, search for tracks
-    const searchResult = await spotifyApi.search(searchQuery, ['track'], searchOptions);
+    const searchResult = await req.spotify.search(searchQuery, ['track'], searchOptions);
     const tracks = searchResult.body.tracks.items;
 
     if (tracks.length === 0) {
@@ -344,7 +273,7 @@ router.get('/search-by-mood', ensureSpotifyAuth, async (req, res) => {
 
     // Get audio features for the found tracks
     const trackIds = tracks.map(track => track.id);
-    const audioFeaturesResult = await spotifyApi.getAudioFeaturesForTracks(trackIds);
+    const audioFeaturesResult = await req.spotify.getAudioFeaturesForTracks(trackIds);
     const audioFeatures = audioFeaturesResult.body.audio_features;
 
     // Filter and score tracks based on mood parameters
@@ -435,7 +364,7 @@ router.get('/playlists', ensureSpotifyAuth, async (req, res) => {
   try {
     const { limit = 20, offset = 0 } = req.query;
     
-    const playlists = await spotifyApi.getUserPlaylists(req.spotifyUser.id, {
+    const playlists = await req.spotify.getUserPlaylists(req.spotifyUser.id, {
       limit: parseInt(limit),
       offset: parseInt(offset)
     });
@@ -467,27 +396,55 @@ router.get('/playlists', ensureSpotifyAuth, async (req, res) => {
 });
 
 // Get user authentication status
-router.get('/status', (req, res) => {
-  const userId = req.headers['x-spotify-user'] || 'default';
-  const userTokens = tokenStorage.get(userId);
+router.get('/status', async (req, res) => {
+  try {
+    const status = await sessions().getStatus(req.user?.uid);
+
+    if (!status) {
+      return res.json({
+        success: true,
+        authenticated: false,
+        message: 'Not authenticated with Spotify'
+      });
+    }
 
-  if (!userTokens) {
-    return res.json({
+    // An expired access token is refreshed on the next Spotify request
+    res.json({
       success: true,
-      authenticated: false,
-      message: 'Not authenticated with Spotify'
+      authenticated: Date.now() < status.expiresAt || status.canRefresh,
+      ...status
+    });
+  } catch (error) {
+    console.error('Spotify status error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get Spotify status',
+      details: error.message
     });
   }
+});
 
-  const isExpired = Date.now() >= userTokens.expiresAt;
+// Disconnect Spotify - deletes the stored tokens for the signed-in user
+// Spotify has no token revocation endpoint, so the response points at the account page where
+// the user can also remove ProjectMood's access on Spotify's side
+router.delete('/connection', requireUser, async (req, res) => {
+  try {
+    const disconnected = await sessions().disconnect(req.user.uid);
 
-  res.json({
-    success: true,
-    authenticated: !isExpired,
-    user: userTokens.userInfo,
-    expiresAt: userTokens.expiresAt,
-    canRefresh: !!userTokens.refreshToken
-  });
+    res.json({
+      success: true,
+      disconnected,
+      revokeUrl: SPOTIFY_APPS_URL,
+      message: disconnected ? 'Spotify disconnected' : 'Spotify was not connected'
+    });
+  } catch (error) {
+    console.error('Spotify disconnect error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to disconnect Spotify',
+      details: error.message
+    });
+  }
 });
 
 module.exports = router;
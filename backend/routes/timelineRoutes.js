@@ -0,0 +1,96 @@
+// Room Timeline Routes - mood history for charting a session's emotional arc
+
+const express = require('express');
+const Room = require('../models/Room');
+const MoodEvent = require('../models/MoodEvent');
+const { buildMoodTimeline, countBuckets, fitInterval, MAX_BUCKETS } = require('../utils/moodTimeline');
+
+const router = express.Router();
+
+const DEFAULT_INTERVAL_MS = 60 * 1000;
+
+// GET /api/rooms/:roomId/timeline - Fused mood per interval plus per-participant history.
+// Without an interval, buckets are whole minutes, widened so long sessions still fit MAX_BUCKETS.
+router.get('/:roomId/timeline', async (req, res) => {
+  try {
+    const { roomId } = req.params;
+    const { from, to, userId: participantId } = req.query;
+    const requestedInterval = req.query.interval ? parseInt(req.query.interval) : null;
+    const userId = req.user?.uid;
+
+    if (!userId) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    if (requestedInterval !== null && (isNaN(requestedInterval) || requestedInterval < 1000)) {
+      return res.status(400).json({
+        error: 'Invalid interval',
+        details: 'interval must be at least 1000 milliseconds'
+      });
+    }
+
+    const room = await Room.findByRoomId(roomId);
+    if (!room || !room.isVisibleTo(req.user?.uid)) {
+      return res.status(404).json({ error: 'Room not found' });
+    }
+
+    const rangeFrom = from ? new Date(from) : room.createdAt;
+    const rangeTo = to ? new Date(to) : new Date();
+
+    if (isNaN(rangeFrom.getTime()) || isNaN(rangeTo.getTime())) {
+      return res.status(400).json({
+        error: 'Invalid range',
+        details: 'from and to must be valid dates'
+      });
+    }
+
+    if (rangeTo < rangeFrom) {
+      return res.status(400).json({
+        error: 'Invalid range',
+        details: 'from must not be after to'
+      });
+    }
+
+    const interval = requestedInterval || fitInterval(rangeFrom, rangeTo, DEFAULT_INTERVAL_MS);
+
+    // Checked before loading events so an oversized range never reaches the database
+    if (countBuckets(rangeFrom, rangeTo, interval) > MAX_BUCKETS) {
+      return res.status(400).json({
+        error: 'Invalid timeline request',
+        details: `Range too large for interval (max ${MAX_BUCKETS} buckets)`
+      });
+    }
+
+    const events = await MoodEvent.findByRoom(roomId, {
+      from: rangeFrom,
+      to: rangeTo,
+      userId: participantId
+    });
+
+    let timeline;
+    try {
+      timeline = buildMoodTimeline(events, { from: rangeFrom, to: rangeTo, interval });
+    } catch (error) {
+      return res.status(400).json({
+        error: 'Invalid timeline request',
+        details: error.message
+      });
+    }
+
+    res.json({
+      success: true,
+      roomId,
+      eventCount: events.length,
+      ...timeline
+    });
+
+  } catch (error) {
+    console.error('Error building mood timeline:', error);
+    res.status(500).json({
+      error: 'Failed to build mood timeline',
+      details: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,53 @@
+// Track Routes - mood-matched recommendations from the track catalog
+
+const express = require('express');
+const { getTrackRecommender } = require('../services/trackRecommender');
+
+const router = express.Router();
+
+const inMoodRange = (value) => Number.isFinite(value) && value >= -1 && value <= 1;
+
+// GET /api/tracks/recommendations?valence=&arousal=&count=&genre= - Catalog tracks closest to a mood vector
+// genre may repeat or be comma-separated; exclude takes comma-separated trackIds
+router.get('/recommendations', async (req, res) => {
+  try {
+    const valence = parseFloat(req.query.valence);
+    const arousal = parseFloat(req.query.arousal);
+    const count = req.query.count !== undefined ? parseInt(req.query.count, 10) : undefined;
+
+    if (!inMoodRange(valence) || !inMoodRange(arousal)) {
+      return res.status(400).json({
+        error: 'Invalid input',
+        details: 'valence and arousal must be numbers from -1 to 1'
+      });
+    }
+
+    if (count !== undefined && !(count > 0)) {
+      return res.status(400).json({
+        error: 'Invalid input',
+        details: 'count must be a positive integer'
+      });
+    }
+
+    const list = (value) => [].concat(value || []).flatMap(item => String(item).split(',')).map(item => item.trim()).filter(Boolean);
+    const tracks = await getTrackRecommender().recommend({ valence, arousal }, {
+      count,
+      genres: list(req.query.genre),
+      excludeIds: list(req.query.exclude)
+    });
+
+    res.json({
+      success: true,
+      moodVector: { valence, arousal },
+      tracks
+    });
+  } catch (error) {
+    console.error('Track recommendation error:', error);
+    res.status(500).json({
+      error: 'Failed to recommend tracks',
+      details: error.message
+    });
+  }
+});
+
+module.exports = router;
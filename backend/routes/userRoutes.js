@@ -0,0 +1,80 @@
+// User Routes - Firestore-backed profile and user directory
+
+const express = require('express');
+const { getFirestore } = require('../firebase-admin');
+
+// GET /api/profile - Signed-in user's Firestore profile
+const profileRoutes = express.Router();
+
+profileRoutes.get('/', async (req, res) => {
+  try {
+    const firestore = getFirestore();
+    if (!firestore) {
+      return res.status(500).json({
+        error: 'Firestore not available'
+      });
+    }
+
+    // Get user profile from Firestore
+    const userDoc = await firestore.collection('users').doc(req.user.uid).get();
+    
+    if (!userDoc.exists) {
+      return res.status(404).json({
+        error: 'Profile not found'
+      });
+    }
+
+    res.json({
+      user: req.user,
+      profile: userDoc.data()
+    });
+  } catch (error) {
+    console.error('Error fetching profile:', error);
+    res.status(500).json({
+      error: 'Failed to fetch profile'
+    });
+  }
+});
+
+// GET /api/users - Public fields for up to 50 users
+const userListRoutes = express.Router();
+
+userListRoutes.get('/', async (req, res) => {
+  try {
+    const firestore = getFirestore();
+    if (!firestore) {
+      return res.status(500).json({
+        error: 'Firestore not available'
+      });
+    }
+
+    // Get list of users (limited for privacy)
+    const usersSnapshot = await firestore.collection('users')
+      .select('displayName', 'email', 'photoURL', 'createdAt')
+      .limit(50)
+      .get();
+    
+    const users = [];
+    usersSnapshot.forEach(doc => {
+      users.push({
+        id: doc.id,
+        ...doc.data()
+      });
+    });
+
+    res.json({
+      users,
+      count: users.length
+    });
+  } catch (error) {
+    console.error('Error fetching users:', error);
+    res.status(500).json({
+      error: 'Failed to fetch users'
+    });
+  }
+});
+
+module.exports = {
+  profileRoutes,
+  userListRoutes
+};
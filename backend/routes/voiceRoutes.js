@@ -2,6 +2,8 @@ const express = require('express');
 const multer = require('multer');
 const fs = require('fs').promises;
 const path = require('path');
+const { getVoiceAnalyzer } = require('../services/voiceEmotion');
+const { UNSUPPORTED_AUDIO } = require('../utils/audioDecoder');
 
 const router = express.Router();
 
@@ -21,36 +23,6 @@ const upload = multer({
   }
 });
 
-// Simple emotion detection based on audio characteristics
-// In a real implementation, you would use Whisper API or Google Speech-to-Text
-const analyzeAudioMood = async (audioBuffer) => {
-  // Simulate audio processing delay
-  await new Promise(resolve => setTimeout(resolve, 1000 + Math.random() * 2000));
-  
-  // Mock emotion detection logic
-  // In reality, you would:
-  // 1. Convert audio to text using speech recognition
-  // 2. Analyze text sentiment
-  // 3. Analyze voice tone/pitch characteristics
-  // 4. Combine both for emotion classification
-  
-  const emotions = [
-    { emotion: 'happy', confidence: 0.85 },
-    { emotion: 'calm', confidence: 0.78 },
-    { emotion: 'excited', confidence: 0.82 },
-    { emotion: 'sad', confidence: 0.73 },
-    { emotion: 'neutral', confidence: 0.80 },
-    { emotion: 'anxious', confidence: 0.75 },
-    { emotion: 'confident', confidence: 0.88 }
-  ];
-  
-  // Simulate some basic audio analysis
-  const audioLength = audioBuffer.length;
-  const emotionIndex = Math.floor((audioLength % 100) / 100 * emotions.length);
-  
-  return emotions[emotionIndex] || emotions[4]; // Default to neutral
-};
-
 // POST /api/voice/mood - Analyze voice mood from audio
 router.post('/mood', upload.single('audio'), async (req, res) => {
   try {
@@ -68,8 +40,11 @@ router.post('/mood', upload.single('audio'), async (req, res) => {
     console.log(`Audio file size: ${req.file.size} bytes`);
     console.log(`Audio mime type: ${req.file.mimetype}`);
 
-    // Analyze the audio for mood
-    const moodResult = await analyzeAudioMood(req.file.buffer);
+    // Analyze the audio for mood with the configured analyzer (acoustic by default)
+    const startedAt = Date.now();
+    const analyzer = getVoiceAnalyzer(req.body.analyzer);
+    const moodResult = await analyzer.analyze(req.file.buffer, { mimetype: req.file.mimetype });
+    const processingMs = Date.now() - startedAt;
 
     // Optional: Store audio if explicitly requested and user has consented
     let audioId = null;
@@ -89,8 +64,12 @@ router.post('/mood', upload.single('audio'), async (req, res) => {
     const response = {
       mood: moodResult.emotion,
       confidence: moodResult.confidence,
+      valence: moodResult.vector.valence,
+      arousal: moodResult.vector.arousal,
+      features: moodResult.features,
+      analyzer: moodResult.analyzer,
       timestamp: new Date().toISOString(),
-      processingTime: '1.5s', // Mock processing time
+      processingTime: `${(processingMs / 1000).toFixed(2)}s`,
       audioStored: !!audioId,
       ...(audioId && { audioId })
     };
@@ -111,6 +90,13 @@ router.post('/mood', upload.single('audio'), async (req, res) => {
       });
     }
     
+    if (error.code === UNSUPPORTED_AUDIO) {
+      return res.status(415).json({
+        error: 'Unsupported audio format',
+        details: `${error.message}. Record as WAV (16-bit PCM) or send raw PCM as audio/L16.`
+      });
+    }
+
     if (error.code === 'LIMIT_FILE_SIZE') {
       return res.status(400).json({
         error: 'File too large',
@@ -127,6 +113,8 @@ router.post('/mood', upload.single('audio'), async (req, res) => {
 });
 
 // Optional: Real Whisper API integration (commented out - requires OpenAI API key)
+// To use it, wrap transcribeWithWhisper in a VoiceEmotionAnalyzer subclass, register it with
+// registerVoiceAnalyzer() from services/voiceEmotion and set VOICE_ANALYZER to its name.
 /*
 const transcribeWithWhisper = async (audioBuffer) => {
   const OpenAI = require('openai');
@@ -0,0 +1,126 @@
+// Battle Store - persistence for room connections, DJ battles and their votes
+// Every write is skipped while MongoDB is down so live sessions keep working from memory
+
+const SharedRoom = require('../models/SharedRoom');
+const DjBattle = require('../models/DjBattle');
+const BattleVote = require('../models/BattleVote');
+const { isDBConnected } = require('../database');
+
+class BattleStore {
+  isAvailable() {
+    return isDBConnected();
+  }
+
+  // Run a write, logging instead of throwing so a failed save never breaks a live session
+  async write(description, operation) {
+    if (!this.isAvailable()) return null;
+
+    try {
+      return await operation();
+    } catch (error) {
+      console.error(`Failed to ${description}:`, error);
+      return null;
+    }
+  }
+
+  saveSharedRoom(sharedRoom) {
+    return this.write('save shared room', () => SharedRoom.create({
+      sharedRoomId: sharedRoom.id,
+      roomA: sharedRoom.roomA,
+      roomB: sharedRoom.roomB,
+      initiatedBy: sharedRoom.initiatedBy,
+      status: sharedRoom.status,
+      participants: sharedRoom.participants,
+      options: sharedRoom.options,
+      blendedMood: sharedRoom.blendedMood,
+      playlist: sharedRoom.playlist,
+      createdAt: sharedRoom.createdAt
+    }));
+  }
+
+  updateSharedRoomStatus(sharedRoomId, status) {
+    return this.write('update shared room', () => SharedRoom.updateOne(
+      { sharedRoomId },
+      { $set: { status, ...(status === 'disconnected' && { disconnectedAt: new Date() }) } }
+    ));
+  }
+
+  saveBattle(battle) {
+    return this.write('save DJ battle', () => DjBattle.create({
+      battleId: battle.id,
+      sharedRoomId: battle.sharedRoomId,
+      roomA: battle.roomA,
+      roomB: battle.roomB,
+      initiatedBy: battle.initiatedBy,
+      status: battle.status,
+      duration: battle.duration,
+      tracks: battle.tracks,
+      schedule: battle.schedule,
+      stats: battle.stats,
+      createdAt: battle.createdAt
+    }));
+  }
+
+  // Save progress at each slot so a restart can resume from it
+  updateBattleProgress(battle) {
+    return this.write('update DJ battle', () => DjBattle.updateOne(
+      { battleId: battle.id },
+      {
+        $set: {
+          status: battle.status,
+          currentSlot: battle.currentSlot,
+          currentTrack: battle.currentTrack,
+          stats: battle.stats
+        }
+      }
+    ));
+  }
+
+  saveBattleResult(battle, result) {
+    return this.write('save DJ battle results', () => DjBattle.updateOne(
+      { battleId: battle.id },
+      {
+        $set: {
+          status: battle.status,
+          stats: battle.stats,
+          currentTrack: null,
+          result,
+          finishedAt: battle.finishedAt
+        }
+      }
+    ));
+  }
+
+  recordVote(vote) {
+    return this.write('record battle vote', () => BattleVote.create(vote));
+  }
+
+  loadVotes(battleId) {
+    if (!this.isAvailable()) return Promise.resolve([]);
+    return BattleVote.find({ battleId }).sort({ timestamp: 1 }).lean();
+  }
+
+  // Connections and battles that were live when the process stopped
+  async loadLiveSessions() {
+    if (!this.isAvailable()) {
+      return { sharedRooms: [], battles: [] };
+    }
+
+    const [sharedRooms, battles] = await Promise.all([
+      SharedRoom.findLive(),
+      DjBattle.findLive()
+    ]);
+    return { sharedRooms, battles };
+  }
+
+  findBattle(battleId) {
+    if (!this.isAvailable()) return Promise.resolve(null);
+    return DjBattle.findOne({ battleId }).lean();
+  }
+
+  findBattleHistory(options) {
+    return DjBattle.findHistory(options);
+  }
+}
+
+module.exports = { BattleStore };
@@ -0,0 +1,66 @@
+// Catalog Provider - the Track collection (or bundled catalog) as a music provider
+// Stands in for YouTube: catalog tracks play as their YouTube video, else their Spotify URI, scanned
+// local file or preview.
+
+const { getTrackRecommender } = require('./trackRecommender');
+const { normalizeTrack, PLAYABLE_TYPES } = require('./musicProvider');
+const { localFileUrl } = require('./localLibraryProvider');
+
+const PROVIDER = 'catalog';
+
+const toTrack = (track) => normalizeTrack(PROVIDER, { ...track, providerId: track.trackId });
+
+class CatalogProvider {
+  constructor({ recommender = getTrackRecommender() } = {}) {
+    this.recommender = recommender;
+  }
+
+  async search(query, { limit = 20, offset = 0 } = {}) {
+    const { tracks, total } = await this.recommender.searchText(query, { limit, offset });
+    return { tracks: tracks.map(toTrack), total };
+  }
+
+  async getAudioFeatures(providerIds) {
+    const tracks = await this.recommender.findByIds(providerIds);
+    return providerIds.map(id => {
+      const track = tracks.find(t => t.trackId === id);
+      return track ? {
+        id,
+        valence: track.valence,
+        energy: track.energy,
+        danceability: track.danceability ?? null,
+        tempo: track.tempo ?? null
+      } : null;
+    });
+  }
+
+  async searchByMood(moodVector, { limit = 20, genres = [], excludeIds = [] } = {}) {
+    const tracks = await this.recommender.recommend(moodVector, { count: limit, genres, excludeIds });
+    return tracks.map(track => ({
+      ...toTrack(track),
+      moodDistance: track.moodDistance,
+      matchScore: track.matchScore
+    }));
+  }
+
+  async resolvePlayable(providerId) {
+    const [track] = await this.recommender.findByIds([providerId]);
+    if (!track) return null;
+
+    if (track.youtubeId) {
+      return { type: PLAYABLE_TYPES.YOUTUBE, url: `https://www.youtube.com/watch?v=${track.youtubeId}`, uri: null };
+    }
+    if (track.spotifyId) {
+      return { type: PLAYABLE_TYPES.SPOTIFY, url: track.previewUrl || null, uri: `spotify:track:${track.spotifyId}` };
+    }
+    if (track.filePath) {
+      return { type: PLAYABLE_TYPES.AUDIO, url: localFileUrl(track.trackId), uri: null };
+    }
+    if (track.previewUrl) {
+      return { type: PLAYABLE_TYPES.AUDIO, url: track.previewUrl, uri: null };
+    }
+    return null;
+  }
+}
+
+module.exports = { CatalogProvider };
@@ -0,0 +1,207 @@
+// Chat Sentiment Analysis Service
+// Lexicon-based sentiment and emotion scoring for chat messages, entirely offline
+// Each affective word or emoji carries a valence/arousal vector; negation flips it,
+// intensifiers scale it, and the combined vector maps onto a participant mood.
+// Emoji reactions are read the same way but count as a weaker signal (REACTION_MOOD_WEIGHT)
+
+const { vectorToMoodLabel, getDetectableMoods } = require('../utils/moodFusion');
+
+// Words with a clear emotional charge, as [valence, arousal] in [-1, 1]
+const WORD_LEXICON = {
+  // positive, energetic
+  love: [0.8, 0.5], loving: [0.8, 0.5], awesome: [0.8, 0.6], amazing: [0.8, 0.6], incredible: [0.7, 0.7],
+  excited: [0.7, 0.8], exciting: [0.7, 0.8], thrilled: [0.8, 0.8], hyped: [0.6, 0.9], pumped: [0.6, 0.9],
+  fun: [0.7, 0.5], yay: [0.7, 0.7], wow: [0.5, 0.7], epic: [0.7, 0.7], banger: [0.7, 0.8], fire: [0.6, 0.7],
+  party: [0.6, 0.8], dance: [0.5, 0.7], lit: [0.6, 0.8], wild: [0.3, 0.8], omg: [0.3, 0.8],
+  // positive, settled
+  good: [0.5, 0.1], great: [0.7, 0.3], nice: [0.5, 0.1], happy: [0.7, 0.4], glad: [0.6, 0.2],
+  perfect: [0.8, 0.2], wonderful: [0.8, 0.3], beautiful: [0.7, 0.1], lovely: [0.7, 0.1], cool: [0.4, 0.1],
+  enjoy: [0.6, 0.2], thanks: [0.5, 0.0], thank: [0.5, 0.0], lol: [0.5, 0.4], haha: [0.6, 0.5],
+  calm: [0.5, -0.5], chill: [0.5, -0.5], relaxed: [0.6, -0.6], relaxing: [0.6, -0.6], peaceful: [0.7, -0.6],
+  cozy: [0.6, -0.5], mellow: [0.4, -0.5], smooth: [0.4, -0.3], vibe: [0.4, 0.1], vibes: [0.4, 0.1],
+  // negative, energetic
+  angry: [-0.7, 0.8], mad: [-0.6, 0.7], furious: [-0.9, 0.9], hate: [-0.8, 0.6], annoying: [-0.6, 0.5],
+  annoyed: [-0.6, 0.5], awful: [-0.8, 0.4], terrible: [-0.8, 0.4], horrible: [-0.8, 0.5], worst: [-0.8, 0.5],
+  stressed: [-0.6, 0.7], anxious: [-0.5, 0.7], nervous: [-0.4, 0.6], scared: [-0.6, 0.7], ugh: [-0.5, 0.4],
+  wtf: [-0.5, 0.7], cringe: [-0.5, 0.4], frustrated: [-0.6, 0.6], loud: [-0.1, 0.6],
+  // negative, low energy
+  bad: [-0.6, 0.1], sad: [-0.7, -0.4], unhappy: [-0.6, -0.3], depressed: [-0.8, -0.6], lonely: [-0.6, -0.4],
+  cry: [-0.6, 0.1], crying: [-0.6, 0.1], miss: [-0.3, -0.2], tired: [-0.3, -0.7], sleepy: [-0.1, -0.8],
+  exhausted: [-0.5, -0.7], bored: [-0.4, -0.6], boring: [-0.5, -0.5], meh: [-0.2, -0.4], disappointed: [-0.6, -0.2],
+  hurt: [-0.6, 0.1], sorry: [-0.3, -0.1], slow: [-0.1, -0.5], sleep: [0.0, -0.7],
+  // neutral-ish but reflective
+  hmm: [0.0, 0.1], interesting: [0.3, 0.3], wonder: [0.2, 0.2], curious: [0.3, 0.4], thinking: [0.1, 0.2]
+};
+
+// Emoji carry the same kind of vector; many chat messages are nothing but emoji
+const EMOJI_LEXICON = {
+  '😀': [0.7, 0.5], '😃': [0.7, 0.6], '😄': [0.7, 0.6], '😁': [0.7, 0.6], '😊': [0.7, 0.3], '🙂': [0.4, 0.0],
+  '😂': [0.6, 0.7], '🤣': [0.6, 0.8], '😍': [0.8, 0.6], '🥰': [0.8, 0.4], '😘': [0.7, 0.4], '❤️': [0.8, 0.4],
+  '❤': [0.8, 0.4], '💕': [0.8, 0.4], '🎉': [0.7, 0.8], '🥳': [0.8, 0.8], '🔥': [0.6, 0.8], '💯': [0.6, 0.6],
+  '👍': [0.5, 0.2], '👏': [0.6, 0.5], '🙌': [0.7, 0.6], '💃': [0.6, 0.8], '🕺': [0.6, 0.8], '🤩': [0.8, 0.7],
+  '😎': [0.5, 0.2], '😌': [0.5, -0.5], '😴': [-0.1, -0.8], '🥱': [-0.2, -0.7], '😐': [0.0, -0.1], '🤔': [0.1, 0.2],
+  '😢': [-0.7, -0.3], '😭': [-0.7, 0.2], '😞': [-0.6, -0.4], '😔': [-0.6, -0.4], '💔': [-0.7, 0.1], '👎': [-0.5, 0.2],
+  '😠': [-0.7, 0.7], '😡': [-0.8, 0.8], '🤬': [-0.9, 0.9], '😤': [-0.5, 0.6], '😰': [-0.5, 0.7], '😱': [-0.4, 0.9],
+  '🤯': [0.2, 0.9], '😮': [0.2, 0.7], '🙄': [-0.4, 0.1], '😒': [-0.5, 0.0]
+};
+
+const NEGATORS = new Set([
+  'not', 'no', 'never', 'nothing', 'nobody', 'none', 'neither', 'nor', 'without', 'hardly',
+  'dont', 'doesnt', 'didnt', 'isnt', 'arent', 'wasnt', 'werent', 'cant', 'cannot', 'wont', 'aint', 'shouldnt', 'wouldnt'
+]);
+
+// Multipliers for the next affective term; values below 1 soften it
+const INTENSIFIERS = {
+  very: 1.5, really: 1.4, so: 1.4, extremely: 1.8, super: 1.5, totally: 1.4, absolutely: 1.6, incredibly: 1.7,
+  too: 1.3, insanely: 1.8, such: 1.3,
+  slightly: 0.5, somewhat: 0.6, kinda: 0.6, kind: 0.7, little: 0.6, bit: 0.6, barely: 0.4, fairly: 0.8
+};
+
+// A negation reaches this many words ahead, e.g. "not very good"
+const NEGATION_SCOPE = 3;
+const NEGATION_VALENCE = -0.6; // "not good" is milder than "bad"
+const NEGATION_AROUSAL = 0.6;
+const CAPS_BOOST = 1.3;
+const EXCLAMATION_AROUSAL = 0.1; // per "!", up to three
+const SENTIMENT_THRESHOLD = 0.15;
+
+const clamp = (value, min = -1, max = 1) => Math.max(min, Math.min(max, value));
+const round = (value) => Math.round(value * 1000) / 1000;
+
+// Longest emoji first so "❤️" is matched before the bare "❤"
+const EMOJI_KEYS = Object.keys(EMOJI_LEXICON).sort((a, b) => b.length - a.length);
+
+function extractEmoji(text) {
+  const found = [];
+  let rest = text;
+  for (const emoji of EMOJI_KEYS) {
+    const parts = rest.split(emoji);
+    for (let i = 1; i < parts.length; i++) found.push(emoji);
+    rest = parts.join(' ');
+  }
+  return { emoji: found, rest };
+}
+
+// Look a word up as written, then with stretched letters squeezed ("sooo goood" -> "so good")
+function lookupWord(word) {
+  if (WORD_LEXICON[word]) return word;
+  const squeezed = word.replace(/(.)\1{2,}/g, '$1$1');
+  if (WORD_LEXICON[squeezed]) return squeezed;
+  const single = word.replace(/(.)\1+/g, '$1');
+  return WORD_LEXICON[single] ? single : null;
+}
+
+function lookupModifier(word) {
+  const single = word.replace(/(.)\1{2,}/g, '$1');
+  return INTENSIFIERS[word] || INTENSIFIERS[single] || null;
+}
+
+/**
+ * Score a chat message.
+ * Returns { valence, arousal, mood, confidence, sentiment, terms }; confidence is 0 and
+ * mood is null when the text carries no recognisable emotion.
+ */
+function analyzeChatSentiment(text) {
+  const neutral = { valence: 0, arousal: 0, mood: null, confidence: 0, sentiment: 'neutral', terms: [] };
+  if (typeof text !== 'string' || text.trim().length === 0) {
+    return neutral;
+  }
+
+  const { emoji, rest } = extractEmoji(text);
+  const tokens = rest.match(/[A-Za-z']+/g) || [];
+  const terms = [];
+
+  let negationLeft = 0;
+  let modifier = 1;
+
+  for (const token of tokens) {
+    const word = token.toLowerCase().replace(/'/g, '');
+
+    if (NEGATORS.has(word) || /n't$/i.test(token)) {
+      negationLeft = NEGATION_SCOPE;
+      continue;
+    }
+
+    const intensity = lookupModifier(word);
+    if (intensity) {
+      modifier *= intensity;
+      continue;
+    }
+
+    const entry = lookupWord(word);
+    if (entry) {
+      let [valence, arousal] = WORD_LEXICON[entry];
+      let scale = modifier;
+      if (token.length >= 3 && token === token.toUpperCase()) scale *= CAPS_BOOST;
+      if (negationLeft > 0) {
+        valence *= NEGATION_VALENCE;
+        arousal *= NEGATION_AROUSAL;
+      }
+      terms.push({ term: entry, negated: negationLeft > 0, valence: valence * scale, arousal: arousal * scale });
+      modifier = 1;
+    }
+
+    negationLeft = Math.max(0, negationLeft - 1);
+  }
+
+  for (const symbol of emoji) {
+    const [valence, arousal] = EMOJI_LEXICON[symbol];
+    terms.push({ term: symbol, negated: false, valence, arousal });
+  }
+
+  if (terms.length === 0) {
+    return neutral;
+  }
+
+  // Average the term vectors; intensified terms already carry their larger magnitude
+  const valence = clamp(terms.reduce((sum, term) => sum + term.valence, 0) / terms.length);
+  const exclamations = Math.min(3, (text.match(/!/g) || []).length);
+  const arousal = clamp(terms.reduce((sum, term) => sum + term.arousal, 0) / terms.length + exclamations * EXCLAMATION_AROUSAL);
+
+  // More emotional terms make the reading more trustworthy; a single word is a weak signal
+  const confidence = Math.min(0.9, 0.4 + 0.15 * (terms.length - 1)) * Math.min(1, 0.5 + Math.hypot(valence, arousal));
+
+  return {
+    valence: round(valence),
+    arousal: round(arousal),
+    mood: vectorToMoodLabel(valence, arousal, getDetectableMoods()).moodName,
+    confidence: round(confidence),
+    sentiment: valence > SENTIMENT_THRESHOLD ? 'positive' : valence < -SENTIMENT_THRESHOLD ? 'negative' : 'neutral',
+    terms: terms.map(({ term, negated }) => ({ term, negated }))
+  };
+}
+
+// A single emoji, allowing skin tones, variation selectors and ZWJ sequences (e.g. 👍🏽, ❤️, 🧑‍🎤)
+const REACTION_PATTERN = /^\p{Extended_Pictographic}(?:\p{Emoji_Modifier}|\uFE0F|\u200D\p{Extended_Pictographic})*$/u;
+
+const DEFAULT_REACTION_MOOD_WEIGHT = 0.3;
+
+const isReactionEmoji = (emoji) => typeof emoji === 'string' && emoji.length <= 16 && REACTION_PATTERN.test(emoji);
+
+// Scales a reaction's confidence relative to a chat message; 0 stops reactions affecting mood
+function getReactionMoodWeight() {
+  const configured = parseFloat(process.env.REACTION_MOOD_WEIGHT);
+  return Number.isFinite(configured) && configured >= 0 ? Math.min(1, configured) : DEFAULT_REACTION_MOOD_WEIGHT;
+}
+
+/**
+ * Read a reaction emoji as a lightweight mood signal.
+ * Same shape as analyzeChatSentiment, with confidence scaled by the reaction weight;
+ * mood is null for emoji outside the lexicon or when reactions are switched off.
+ */
+function analyzeReaction(emoji, weight = getReactionMoodWeight()) {
+  const reading = analyzeChatSentiment(emoji);
+  if (!reading.mood || weight <= 0) {
+    return { ...reading, mood: null, confidence: 0 };
+  }
+  return { ...reading, confidence: round(reading.confidence * weight) };
+}
+
+module.exports = {
+  analyzeChatSentiment,
+  analyzeReaction,
+  isReactionEmoji,
+  getReactionMoodWeight,
+  WORD_LEXICON,
+  EMOJI_LEXICON
+};
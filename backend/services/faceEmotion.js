@@ -0,0 +1,213 @@
+// Face Emotion Service
+// Validates and re-scores facial expression results produced in the browser by face-api.
+// The client sends per-face boxes and expression probabilities; the server checks them
+// against the uploaded image and derives the mood itself instead of trusting the client label
+
+const { fuseMoods, createMoodInput, vectorToMoodLabel, getDetectableMoods } = require('../utils/moodFusion');
+
+const INVALID_FACE_RESULT = 'INVALID_FACE_RESULT';
+
+// Valence/arousal for each face-api expression class
+const EXPRESSION_VECTORS = {
+  neutral: { valence: 0.0, arousal: 0.0 },
+  happy: { valence: 0.8, arousal: 0.5 },
+  sad: { valence: -0.7, arousal: -0.4 },
+  angry: { valence: -0.7, arousal: 0.8 },
+  fearful: { valence: -0.6, arousal: 0.7 },
+  disgusted: { valence: -0.7, arousal: 0.3 },
+  surprised: { valence: 0.2, arousal: 0.8 }
+};
+
+const EXPRESSIONS = Object.keys(EXPRESSION_VECTORS);
+const MAX_FACES = 10;
+const PROBABILITY_TOLERANCE = 0.05; // softmax output, allowing for client-side rounding
+const BOX_TOLERANCE_PX = 2;
+
+function invalidFaceResult(message) {
+  const error = new Error(message);
+  error.code = INVALID_FACE_RESULT;
+  return error;
+}
+
+const isProbability = (value) => typeof value === 'number' && value >= 0 && value <= 1;
+
+// Check one face against the expected shape and, when known, the image bounds
+function validateFace(face, index, imageSize) {
+  const problems = [];
+  const { box, score, expressions } = face || {};
+
+  if (!box || !['x', 'y', 'width', 'height'].every(key => typeof box[key] === 'number' && isFinite(box[key]))) {
+    problems.push(`faces[${index}].box must have numeric x, y, width and height`);
+  } else if (box.width <= 0 || box.height <= 0) {
+    problems.push(`faces[${index}].box must have a positive size`);
+  } else if (imageSize && (
+    box.x < -BOX_TOLERANCE_PX ||
+    box.y < -BOX_TOLERANCE_PX ||
+    box.x + box.width > imageSize.width + BOX_TOLERANCE_PX ||
+    box.y + box.height > imageSize.height + BOX_TOLERANCE_PX
+  )) {
+    problems.push(`faces[${index}].box lies outside the ${imageSize.width}x${imageSize.height} image`);
+  }
+
+  if (score !== undefined && !isProbability(score)) {
+    problems.push(`faces[${index}].score must be between 0 and 1`);
+  }
+
+  if (!expressions || typeof expressions !== 'object') {
+    problems.push(`faces[${index}].expressions is required`);
+  } else {
+    const unknown = Object.keys(expressions).filter(key => !EXPRESSION_VECTORS[key]);
+    if (unknown.length > 0) {
+      problems.push(`faces[${index}].expressions has unknown classes: ${unknown.join(', ')}`);
+    }
+
+    const values = EXPRESSIONS.map(key => expressions[key] ?? 0);
+    if (!values.every(isProbability)) {
+      problems.push(`faces[${index}].expressions values must be between 0 and 1`);
+    } else if (Math.abs(values.reduce((sum, value) => sum + value, 0) - 1) > PROBABILITY_TOLERANCE) {
+      problems.push(`faces[${index}].expressions must sum to 1`);
+    }
+  }
+
+  return problems;
+}
+
+// Returns a list of problems; empty means the result is structurally sound
+function validateFaceResult(result, imageSize = null) {
+  if (!result || typeof result !== 'object') {
+    return ['Face result must be an object'];
+  }
+
+  if (!Array.isArray(result.faces)) {
+    return ['faces must be an array'];
+  }
+
+  if (result.faces.length > MAX_FACES) {
+    return [`At most ${MAX_FACES} faces are supported`];
+  }
+
+  const problems = result.faces.flatMap((face, index) => validateFace(face, index, imageSize));
+
+  // The client's reported frame size should match the image it uploaded
+  if (imageSize && result.imageSize &&
+      (result.imageSize.width !== imageSize.width || result.imageSize.height !== imageSize.height)) {
+    problems.push(`imageSize ${result.imageSize.width}x${result.imageSize.height} does not match the uploaded ${imageSize.width}x${imageSize.height} image`);
+  }
+
+  return problems;
+}
+
+// Expected valence/arousal over the expression distribution, mapped to a participant mood
+function scoreExpressions(expressions) {
+  let valence = 0;
+  let arousal = 0;
+  let total = 0;
+  let dominantExpression = 'neutral';
+
+  for (const expression of EXPRESSIONS) {
+    const probability = expressions[expression] || 0;
+    valence += probability * EXPRESSION_VECTORS[expression].valence;
+    arousal += probability * EXPRESSION_VECTORS[expression].arousal;
+    total += probability;
+
+    if (probability > (expressions[dominantExpression] || 0)) {
+      dominantExpression = expression;
+    }
+  }
+
+  if (total > 0) {
+    valence /= total;
+    arousal /= total;
+  }
+
+  const { moodName } = vectorToMoodLabel(valence, arousal, getDetectableMoods());
+
+  return {
+    emotion: moodName,
+    // An unambiguous expression is a more trustworthy reading than a flat distribution
+    confidence: Math.round(((expressions[dominantExpression] || 0) / (total || 1)) * 100) / 100,
+    dominantExpression,
+    vector: {
+      valence: Math.round(valence * 1000) / 1000,
+      arousal: Math.round(arousal * 1000) / 1000
+    }
+  };
+}
+
+// The largest, most confident face is taken to be the person holding the camera
+function pickPrimaryFace(faces) {
+  let primaryIndex = 0;
+  let bestWeight = -Infinity;
+
+  faces.forEach((face, index) => {
+    const weight = face.box.width * face.box.height * (face.score ?? 1);
+    if (weight > bestWeight) {
+      bestWeight = weight;
+      primaryIndex = index;
+    }
+  });
+
+  return primaryIndex;
+}
+
+// Validate the client result and compute the mood server-side.
+// Throws an INVALID_FACE_RESULT error when the payload doesn't hold up.
+function rescoreFaceResult(clientResult, { imageSize = null } = {}) {
+  const problems = validateFaceResult(clientResult, imageSize);
+  if (problems.length > 0) {
+    const error = invalidFaceResult('Face result failed validation');
+    error.details = problems;
+    throw error;
+  }
+
+  if (clientResult.faces.length === 0) {
+    return {
+      faceDetected: false,
+      faceCount: 0,
+      emotion: null,
+      confidence: 0,
+      faces: [],
+      primaryFace: null,
+      groupMood: null,
+      agreesWithClient: !clientResult.emotion
+    };
+  }
+
+  const faces = clientResult.faces.map(face => ({
+    box: face.box,
+    score: face.score ?? null,
+    ...scoreExpressions(face.expressions)
+  }));
+
+  const primaryFace = pickPrimaryFace(faces);
+  const primary = faces[primaryFace];
+
+  // With several people in frame, also report the fused mood of everyone visible
+  const groupMood = faces.length > 1
+    ? fuseMoods(faces.map(face => createMoodInput(face.emotion, face.confidence * (face.score ?? 1), 1.0, 'face')))
+    : null;
+
+  return {
+    faceDetected: true,
+    faceCount: faces.length,
+    emotion: primary.emotion,
+    confidence: primary.confidence,
+    vector: primary.vector,
+    faces,
+    primaryFace,
+    groupMood: groupMood && {
+      label: groupMood.label,
+      vector: groupMood.vector,
+      confidence: groupMood.confidence
+    },
+    agreesWithClient: clientResult.emotion === primary.emotion
+  };
+}
+
+module.exports = {
+  rescoreFaceResult,
+  validateFaceResult,
+  scoreExpressions,
+  EXPRESSION_VECTORS,
+  INVALID_FACE_RESULT
+};
@@ -0,0 +1,192 @@
+// Local Library Scanner - turns a folder of audio files into mood-searchable tracks
+// Reads ID3/Vorbis/MP4/RIFF tags, measures WAV audio offline (utils/musicFeatures.js) and estimates
+// valence, energy and tempo from the tags for formats we cannot decode. Only WAV is decoded: an MP3,
+// FLAC, OGG or M4A file without BPM, key or genre tags gets the neutral estimate (featureSource
+// 'default') and cannot be told apart from other such files in mood search.
+// WAV files the decoder refuses, such as audio sampled below 8 kHz, are reported as skipped.
+// Results are upserted into the Track collection with source 'local', where the local music provider,
+// trajectories and the AI-music fallback find them.
+//
+// Usage: npm run scan:library -- <directory>
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+// music-metadata's v7 line is the last one that supports require()
+const { parseFile } = require('music-metadata');
+const { decodeWav, isWav } = require('../utils/audioDecoder');
+const { extractMusicFeatures, estimateTrackFeatures } = require('../utils/musicFeatures');
+
+const AUDIO_EXTENSIONS = ['.mp3', '.flac', '.ogg', '.oga', '.opus', '.m4a', '.aac', '.wav'];
+
+// WAV files above this are scanned from their tags only, so one long recording cannot exhaust memory
+const MAX_DECODE_BYTES = 200 * 1024 * 1024;
+
+const SCAN_ERRORS = {
+  INVALID_DIRECTORY: 'INVALID_DIRECTORY'
+};
+
+const scanError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+// Audio files under dir, depth first, in name order; hidden files and folders are skipped
+async function listAudioFiles(dir) {
+  const entries = await fs.promises.readdir(dir, { withFileTypes: true });
+  const files = [];
+
+  for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+    if (entry.name.startsWith('.')) continue;
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...await listAudioFiles(fullPath));
+    } else if (entry.isFile() && AUDIO_EXTENSIONS.includes(path.extname(entry.name).toLowerCase())) {
+      files.push(fullPath);
+    }
+  }
+
+  return files;
+}
+
+// Stable per file, so rescanning updates tracks instead of duplicating them
+const localTrackId = (filePath) => `local-${crypto.createHash('sha1').update(path.resolve(filePath)).digest('hex').slice(0, 16)}`;
+
+// 'Artist - Title.mp3' or 'Title.mp3' when the file has no tags
+function namesFromFile(filePath) {
+  const base = path.basename(filePath, path.extname(filePath)).replace(/^\d+[\s.\-_]+/, '').trim();
+  const separator = base.indexOf(' - ');
+  return separator > 0
+    ? { artist: base.slice(0, separator).trim(), title: base.slice(separator + 3).trim() }
+    : { artist: null, title: base };
+}
+
+async function readTags(filePath) {
+  const { common, format } = await parseFile(filePath, { skipCovers: true });
+
+  return {
+    title: common.title,
+    artist: common.artist || (common.artists && common.artists.join(', ')),
+    album: common.album,
+    genre: common.genre && common.genre[0],
+    bpm: common.bpm,
+    key: common.key,
+    duration: format.duration
+  };
+}
+
+// Measured features for formats we can decode, else null
+async function analyzeAudio(filePath) {
+  const { size } = await fs.promises.stat(filePath);
+  if (size > MAX_DECODE_BYTES) return null;
+
+  const buffer = await fs.promises.readFile(filePath);
+  if (!isWav(buffer)) return null;
+
+  const { samples, sampleRate } = decodeWav(buffer);
+  return extractMusicFeatures(samples, sampleRate);
+}
+
+// One file as a Track record
+async function scanFile(filePath, { source = 'local' } = {}) {
+  let tags = {};
+  try {
+    tags = await readTags(filePath);
+  } catch (error) {
+    // Untagged or unusual files still get a track from their name and audio
+  }
+
+  const audio = await analyzeAudio(filePath);
+  const features = estimateTrackFeatures({ audio, tags });
+  const fromName = namesFromFile(filePath);
+  const duration = tags.duration || (audio && audio.duration);
+
+  return {
+    trackId: localTrackId(filePath),
+    title: tags.title || fromName.title,
+    artist: tags.artist || fromName.artist || 'Unknown Artist',
+    album: tags.album || null,
+    genre: tags.genre || null,
+    valence: features.valence,
+    energy: features.energy,
+    danceability: features.danceability,
+    tempo: features.tempo,
+    duration: duration ? Math.round(duration) : null,
+    filePath: path.resolve(filePath),
+    featureSource: features.featureSource,
+    source
+  };
+}
+
+/**
+ * Scan a directory into the Track collection.
+ * Resolves to { scanned, inserted, updated, skipped, errors: [{ file, message }], tracks }.
+ */
+async function scanLibrary(dir, { Track = require('../models/Track'), source = 'local', onTrack = () => {} } = {}) {
+  const stats = await fs.promises.stat(dir).catch(() => null);
+  if (!stats || !stats.isDirectory()) {
+    throw scanError(SCAN_ERRORS.INVALID_DIRECTORY, `Not a directory: ${dir}`);
+  }
+
+  const tracks = [];
+  const errors = [];
+  const files = await listAudioFiles(dir);
+
+  for (const file of files) {
+    try {
+      const track = await scanFile(file, { source });
+      tracks.push(track);
+      onTrack(track);
+    } catch (error) {
+      errors.push({ file, message: error.message });
+    }
+  }
+
+  const { inserted, updated } = await Track.upsertMany(tracks);
+  return { scanned: files.length, inserted, updated, skipped: errors.length, errors, tracks };
+}
+
+module.exports = {
+  scanLibrary,
+  scanFile,
+  listAudioFiles,
+  readTags,
+  localTrackId,
+  AUDIO_EXTENSIONS,
+  SCAN_ERRORS
+};
+
+if (require.main === module) {
+  require('dotenv').config();
+  const { connectDB, disconnectDB } = require('../database');
+  const dir = process.argv[2] || process.env.LOCAL_MUSIC_DIR;
+
+  if (!dir) {
+    console.error('Usage: npm run scan:library -- <directory> (or set LOCAL_MUSIC_DIR)');
+    process.exit(1);
+  }
+
+  (async () => {
+    await connectDB();
+    try {
+      const result = await scanLibrary(path.resolve(dir), {
+        onTrack: (track) => console.log(`  ${track.artist} - ${track.title}: valence ${track.valence}, energy ${track.energy}, ` +
+          `${track.tempo ? `${track.tempo} BPM` : 'tempo unknown'} (${track.featureSource})`)
+      });
+      console.log(`🎵 Scanned ${result.scanned} files: ${result.inserted} new and ${result.updated} updated tracks, skipped ${result.skipped}`);
+      result.errors.forEach(({ file, message }) => console.warn(`  ${file}: ${message}`));
+
+      const unmeasured = result.tracks.filter(track => track.featureSource === 'default').length;
+      if (unmeasured > 0) {
+        console.warn(`⚠️  ${unmeasured} tracks have no BPM, key or genre tags and are not WAV, so they got a neutral ` +
+          'mood estimate (valence and energy 0.5). Tag them or convert them to WAV to make them searchable by mood.');
+      }
+    } catch (error) {
+      console.error('Library scan failed:', error.message);
+      process.exitCode = 1;
+    } finally {
+      await disconnectDB();
+    }
+  })();
+}
@@ -0,0 +1,158 @@
+// Local Library Provider - audio files served by ProjectMood itself as a music provider
+// Plays the files scanned into the Track collection by services/libraryScanner.js (source 'local');
+// until a library has been scanned, or without MongoDB, it offers the bundled royalty-free list.
+
+const { TrackRecommender } = require('./trackRecommender');
+const { isDBConnected } = require('../database');
+const { normalizeTrack, rankByMood, PLAYABLE_TYPES } = require('./musicProvider');
+
+const PROVIDER = 'local';
+
+// Royalty-free library bundled with the app; also the fallback for AI music generation
+const ROYALTY_FREE_LIBRARY = [
+  {
+    id: 'rf001',
+    name: 'Peaceful Morning',
+    mood: { valence: 0.7, energy: 0.3, danceability: 0.2 },
+    genre: 'ambient',
+    duration: 180,
+    url: '/assets/music/peaceful-morning.mp3',
+    description: 'Calm and uplifting ambient track'
+  },
+  {
+    id: 'rf002',
+    name: 'Energetic Workout',
+    mood: { valence: 0.8, energy: 0.9, danceability: 0.8 },
+    genre: 'electronic',
+    duration: 210,
+    url: '/assets/music/energetic-workout.mp3',
+    description: 'High-energy electronic beat'
+  },
+  {
+    id: 'rf003',
+    name: 'Melancholic Rain',
+    mood: { valence: 0.2, energy: 0.3, danceability: 0.1 },
+    genre: 'ambient',
+    duration: 240,
+    url: '/assets/music/melancholic-rain.mp3',
+    description: 'Sad and contemplative piano piece'
+  },
+  {
+    id: 'rf004',
+    name: 'Happy Dance',
+    mood: { valence: 0.9, energy: 0.8, danceability: 0.9 },
+    genre: 'pop',
+    duration: 195,
+    url: '/assets/music/happy-dance.mp3',
+    description: 'Upbeat and danceable pop track'
+  },
+  {
+    id: 'rf005',
+    name: 'Focused Work',
+    mood: { valence: 0.6, energy: 0.5, danceability: 0.3 },
+    genre: 'lofi',
+    duration: 300,
+    url: '/assets/music/focused-work.mp3',
+    description: 'Lo-fi hip-hop for concentration'
+  }
+];
+
+// The library as catalog tracks, so the track recommender can rank and plan over it
+const LIBRARY_TRACKS = ROYALTY_FREE_LIBRARY.map(track => ({
+  trackId: track.id,
+  title: track.name,
+  artist: 'ProjectMood Library',
+  genre: track.genre,
+  valence: track.mood.valence,
+  energy: track.mood.energy,
+  danceability: track.mood.danceability,
+  duration: track.duration,
+  url: track.url,
+  description: track.description,
+  source: 'library'
+}));
+
+// Where a scanned file is streamed from
+const localFileUrl = (trackId) => `/api/music/files/${encodeURIComponent(trackId)}`;
+
+const toTrack = (track) => normalizeTrack(PROVIDER, { ...track, providerId: track.trackId });
+
+class LocalLibraryProvider {
+  constructor({
+    Track = require('../models/Track'),
+    isConnected = isDBConnected,
+    fallbackTracks = LIBRARY_TRACKS
+  } = {}) {
+    this.Track = Track;
+    this.isConnected = isConnected;
+    this.fallbackTracks = fallbackTracks;
+    this.tracks = null;
+  }
+
+  // Scanned tracks (loaded once per provider, i.e. per request), else the bundled library
+  async getTracks() {
+    if (!this.tracks) {
+      let scanned = [];
+      if (this.isConnected()) {
+        try {
+          scanned = await this.Track.find({ source: PROVIDER }).lean();
+        } catch (error) {
+          console.error('Local library query failed, using the bundled library:', error);
+        }
+      }
+      this.tracks = scanned.length > 0
+        ? scanned.map(track => ({ ...track, url: localFileUrl(track.trackId) }))
+        : this.fallbackTracks;
+    }
+    return this.tracks;
+  }
+
+  // A track recommender over this library, so trajectories can be planned from local files
+  async getRecommender() {
+    return new TrackRecommender({ isConnected: () => false, seedTracks: await this.getTracks() });
+  }
+
+  async find(providerId) {
+    return (await this.getTracks()).find(track => track.trackId === providerId) || null;
+  }
+
+  async search(query, { limit = 20, offset = 0 } = {}) {
+    const text = query.trim().toLowerCase();
+    const matches = (await this.getTracks()).filter(track => [track.title, track.artist, track.album, track.genre]
+      .some(field => field && field.toLowerCase().includes(text)));
+    return { tracks: matches.slice(offset, offset + limit).map(toTrack), total: matches.length };
+  }
+
+  async getAudioFeatures(providerIds) {
+    const tracks = await this.getTracks();
+    return providerIds.map(id => {
+      const track = tracks.find(t => t.trackId === id);
+      return track ? {
+        id,
+        valence: track.valence,
+        energy: track.energy,
+        danceability: track.danceability ?? null,
+        tempo: track.tempo ?? null
+      } : null;
+    });
+  }
+
+  async searchByMood(moodVector, { limit = 20, genres = [], excludeIds = [] } = {}) {
+    const wantedGenres = genres.map(genre => genre.toLowerCase());
+    const candidates = (await this.getTracks()).filter(track => !excludeIds.includes(track.trackId) &&
+      (wantedGenres.length === 0 || (track.genre && wantedGenres.includes(track.genre.toLowerCase()))));
+    return rankByMood(candidates.map(toTrack), moodVector, limit);
+  }
+
+  async resolvePlayable(providerId) {
+    const track = await this.find(providerId);
+    return track && track.url ? { type: PLAYABLE_TYPES.AUDIO, url: track.url, uri: null } : null;
+  }
+}
+
+module.exports = {
+  LocalLibraryProvider,
+  ROYALTY_FREE_LIBRARY,
+  LIBRARY_TRACKS,
+  localFileUrl
+};
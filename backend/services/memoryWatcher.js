@@ -0,0 +1,191 @@
+// Mood Memory Watcher - captures RoomMemory snapshots automatically as the room mood moves
+// Triggers: quadrant change, arousal peak, confidence spike and session end, each with its own
+// per-room cooldown taken from room.memorySettings
+
+const { fuseMoods, getParticipantMoodInputs } = require('../utils/moodFusion');
+const { captureRoomMemory } = require('./roomMemory');
+
+const MEMORY_TRIGGERS = {
+  QUADRANT_CHANGE: 'quadrant_change',
+  ENERGY_PEAK: 'energy_peak',
+  CONFIDENCE_SPIKE: 'confidence_spike',
+  SESSION_END: 'session_end'
+};
+
+// Used when a room has no memorySettings (e.g. documents created before they existed)
+const DEFAULT_COOLDOWNS = {
+  [MEMORY_TRIGGERS.QUADRANT_CHANGE]: 5 * 60 * 1000,
+  [MEMORY_TRIGGERS.ENERGY_PEAK]: 10 * 60 * 1000,
+  [MEMORY_TRIGGERS.CONFIDENCE_SPIKE]: 10 * 60 * 1000,
+  [MEMORY_TRIGGERS.SESSION_END]: 0
+};
+
+const DEFAULT_THRESHOLDS = {
+  quadrantDeadband: 0.15, // both axes must clear zero by this much to count as a new quadrant
+  peakArousal: 0.6, // minimum arousal for a peak
+  peakDrop: 0.1, // the peak is confirmed once arousal falls this far below it
+  confidenceJump: 0.25, // rise over the recent minimum that counts as a spike
+  minSpikeConfidence: 0.7, // and the confidence it has to reach
+  confidenceWindow: 5 // samples kept for the recent minimum
+};
+
+// When several triggers fire on one update, the memory is labelled with the first of these
+const TRIGGER_PRIORITY = [
+  MEMORY_TRIGGERS.QUADRANT_CHANGE,
+  MEMORY_TRIGGERS.ENERGY_PEAK,
+  MEMORY_TRIGGERS.CONFIDENCE_SPIKE
+];
+
+const getQuadrant = ({ valence, arousal }, deadband = 0) => {
+  if (Math.abs(valence) < deadband || Math.abs(arousal) < deadband) {
+    return null;
+  }
+  return `${valence > 0 ? 'positive' : 'negative'}_${arousal > 0 ? 'high' : 'low'}`;
+};
+
+const getCooldowns = (room) => {
+  const settings = room.memorySettings || {};
+  const cooldowns = settings.cooldowns || {};
+  return Object.fromEntries(Object.entries(DEFAULT_COOLDOWNS).map(([trigger, fallback]) => [
+    trigger,
+    typeof cooldowns[trigger] === 'number' ? cooldowns[trigger] : fallback
+  ]));
+};
+
+const isAutoCaptureEnabled = (room) => !room.memorySettings || room.memorySettings.autoCapture !== false;
+
+class MoodMemoryWatcher {
+  constructor({ capture = captureRoomMemory, onCapture = null, thresholds = {} } = {}) {
+    this.capture = capture;
+    this.onCapture = onCapture;
+    this.thresholds = { ...DEFAULT_THRESHOLDS, ...thresholds };
+    this.rooms = new Map(); // roomId -> detection state
+  }
+
+  getState(roomId) {
+    if (!this.rooms.has(roomId)) {
+      this.rooms.set(roomId, {
+        quadrant: null,
+        peakCandidate: null,
+        recentConfidence: [],
+        lastCaptured: {}
+      });
+    }
+    return this.rooms.get(roomId);
+  }
+
+  // Feed one fused mood sample; returns the triggers it fires (before cooldowns)
+  detectTriggers(roomId, fused) {
+    const state = this.getState(roomId);
+    const { quadrantDeadband, peakArousal, peakDrop, confidenceJump, minSpikeConfidence, confidenceWindow } = this.thresholds;
+    const { valence, arousal } = fused.vector;
+    const fired = [];
+
+    // Quadrant change - the first clear quadrant is only a baseline
+    const quadrant = getQuadrant(fused.vector, quadrantDeadband);
+    if (quadrant) {
+      if (state.quadrant && quadrant !== state.quadrant) {
+        fired.push(MEMORY_TRIGGERS.QUADRANT_CHANGE);
+      }
+      state.quadrant = quadrant;
+    }
+
+    // Arousal peak - track the highest point, fire once the energy starts coming down
+    if (state.peakCandidate && arousal <= state.peakCandidate.arousal - peakDrop) {
+      fired.push(MEMORY_TRIGGERS.ENERGY_PEAK);
+      state.peakCandidate = null;
+    } else if (arousal >= peakArousal && (!state.peakCandidate || arousal > state.peakCandidate.arousal)) {
+      state.peakCandidate = { valence, arousal };
+    }
+
+    // Confidence spike against the recent minimum
+    if (state.recentConfidence.length > 0) {
+      const recentMin = Math.min(...state.recentConfidence);
+      if (fused.confidence >= minSpikeConfidence && fused.confidence - recentMin >= confidenceJump) {
+        fired.push(MEMORY_TRIGGERS.CONFIDENCE_SPIKE);
+        state.recentConfidence = [];
+      }
+    }
+    state.recentConfidence.push(fused.confidence);
+    if (state.recentConfidence.length > confidenceWindow) {
+      state.recentConfidence.shift();
+    }
+
+    return fired;
+  }
+
+  isCoolingDown(roomId, trigger, cooldowns, now) {
+    const last = this.getState(roomId).lastCaptured[trigger];
+    return last !== undefined && now - last < cooldowns[trigger];
+  }
+
+  // Re-fuse the online participants after a mood change and capture a memory if a trigger fires
+  async observeRoom(room, now = Date.now()) {
+    const moodInputs = room.participants
+      .filter(p => p.isOnline)
+      .flatMap(p => getParticipantMoodInputs(p));
+
+    if (moodInputs.length === 0) {
+      return null;
+    }
+
+    const fired = this.detectTriggers(room.roomId, fuseMoods(moodInputs));
+    if (fired.length === 0 || !isAutoCaptureEnabled(room)) {
+      return null;
+    }
+
+    const cooldowns = getCooldowns(room);
+    const ready = TRIGGER_PRIORITY.filter(trigger => fired.includes(trigger) && !this.isCoolingDown(room.roomId, trigger, cooldowns, now));
+    if (ready.length === 0) {
+      return null;
+    }
+
+    return this.captureFor(room, ready, now, {});
+  }
+
+  // Last participant left - capture the session's closing mood, then forget the room
+  async endSession(room, now = Date.now()) {
+    try {
+      if (!isAutoCaptureEnabled(room)) {
+        return null;
+      }
+      const cooldowns = getCooldowns(room);
+      if (this.isCoolingDown(room.roomId, MEMORY_TRIGGERS.SESSION_END, cooldowns, now)) {
+        return null;
+      }
+      return await this.captureFor(room, [MEMORY_TRIGGERS.SESSION_END], now, { includeOffline: true });
+    } finally {
+      const state = this.rooms.get(room.roomId);
+      // Keep only the cooldown clock so a quick rejoin/leave doesn't capture again
+      this.rooms.delete(room.roomId);
+      if (state) {
+        this.getState(room.roomId).lastCaptured = state.lastCaptured;
+      }
+    }
+  }
+
+  async captureFor(room, triggers, now, options) {
+    const state = this.getState(room.roomId);
+    triggers.forEach(trigger => { state.lastCaptured[trigger] = now; });
+
+    const memory = await this.capture(room, {
+      trigger: triggers[0],
+      createdBy: null,
+      tags: ['auto', ...triggers],
+      ...options
+    });
+
+    if (memory && this.onCapture) {
+      this.onCapture(room.roomId, memory, triggers);
+    }
+    return memory;
+  }
+}
+
+module.exports = {
+  MoodMemoryWatcher,
+  MEMORY_TRIGGERS,
+  DEFAULT_COOLDOWNS,
+  DEFAULT_THRESHOLDS,
+  getQuadrant
+};
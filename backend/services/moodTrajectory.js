@@ -0,0 +1,141 @@
+// Mood Trajectory Playlists - move a room from one mood to another over several tracks
+// Waypoints are eased along the straight valence/arousal path from `from` to `to`; each one is
+// filled from the track recommender, preferring tracks close to the waypoint and to the previous pick.
+
+const { getTrackRecommender, trackToMoodVector, moodToAudioTarget } = require('./trackRecommender');
+const { getMoodVector, isValidMood } = require('../utils/moodFusion');
+
+const TRAJECTORY_ERRORS = {
+  INVALID_MOOD: 'INVALID_MOOD',
+  INVALID_LENGTH: 'INVALID_LENGTH'
+};
+
+const trajectoryError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+const DEFAULT_TRACK_COUNT = 8;
+const MAX_TRACK_COUNT = 50;
+const MAX_DURATION_MINUTES = 240;
+
+// Assumed length of tracks without a duration, in seconds
+const DEFAULT_TRACK_SECONDS = 210;
+
+// Candidates considered per waypoint, and how much a jump from the previous track counts
+// against a candidate compared with its distance from the waypoint
+const CANDIDATES_PER_STEP = 5;
+const SMOOTHNESS_WEIGHT = 0.3;
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+// Slow start and finish, so the room eases out of its mood and settles into the target
+const ease = (t) => t * t * (3 - 2 * t);
+
+function moodAt(from, to, fraction) {
+  const t = ease(Math.max(0, Math.min(1, fraction)));
+  return {
+    valence: round(from.valence + (to.valence - from.valence) * t),
+    arousal: round(from.arousal + (to.arousal - from.arousal) * t)
+  };
+}
+
+// A mood name (or emoji/synonym) or a { valence, arousal } vector, as a vector
+function resolveMoodPoint(value, name) {
+  if (typeof value === 'string') {
+    if (!isValidMood(value)) {
+      throw trajectoryError(TRAJECTORY_ERRORS.INVALID_MOOD, `${name} is not a registered mood: ${value}`);
+    }
+    const { valence, arousal } = getMoodVector(value);
+    return { valence, arousal };
+  }
+
+  const inRange = (v) => typeof v === 'number' && v >= -1 && v <= 1;
+  if (!value || !inRange(value.valence) || !inRange(value.arousal)) {
+    throw trajectoryError(TRAJECTORY_ERRORS.INVALID_MOOD, `${name} must be a mood name or { valence, arousal } between -1 and 1`);
+  }
+  return { valence: value.valence, arousal: value.arousal };
+}
+
+// Length of the playlist: trackCount tracks, or enough tracks to fill durationMinutes
+function resolveLength({ trackCount, durationMinutes }) {
+  if (trackCount !== undefined && durationMinutes !== undefined) {
+    throw trajectoryError(TRAJECTORY_ERRORS.INVALID_LENGTH, 'Give either trackCount or durationMinutes, not both');
+  }
+  if (durationMinutes !== undefined) {
+    if (!(typeof durationMinutes === 'number' && durationMinutes > 0 && durationMinutes <= MAX_DURATION_MINUTES)) {
+      throw trajectoryError(TRAJECTORY_ERRORS.INVALID_LENGTH, `durationMinutes must be above 0 and at most ${MAX_DURATION_MINUTES}`);
+    }
+    return { totalSeconds: durationMinutes * 60 };
+  }
+
+  const count = trackCount === undefined ? DEFAULT_TRACK_COUNT : trackCount;
+  if (!(Number.isInteger(count) && count >= 2 && count <= MAX_TRACK_COUNT)) {
+    throw trajectoryError(TRAJECTORY_ERRORS.INVALID_LENGTH, `trackCount must be a whole number from 2 to ${MAX_TRACK_COUNT}`);
+  }
+  return { trackCount: count };
+}
+
+const distance = (a, b) => Math.hypot(a.valence - b.valence, a.arousal - b.arousal);
+
+/**
+ * Plan a playlist that moves from one mood to another.
+ * from/to: mood names or { valence, arousal }; options: trackCount or durationMinutes, genres, excludeIds.
+ * Resolves to { from, to, tracks, totalDuration } where every track carries its position, the waypoint
+ * it was chosen for (plus that waypoint as audio-feature targets) and when it starts, in seconds.
+ * A duration is filled with at most MAX_TRACK_COUNT tracks, so totalDuration can fall short of it.
+ */
+async function planMoodTrajectory(from, to, options = {}, { recommender = getTrackRecommender() } = {}) {
+  const start = resolveMoodPoint(from, 'from');
+  const end = resolveMoodPoint(to, 'to');
+  const { trackCount, totalSeconds } = resolveLength(options);
+  const { genres = [], excludeIds = [] } = options;
+
+  const used = new Set(excludeIds);
+  const tracks = [];
+  let elapsed = 0;
+  let previous = null;
+
+  while (tracks.length < (trackCount || MAX_TRACK_COUNT) && (trackCount || elapsed < totalSeconds)) {
+    // By count the last track lands on the target; by time the one starting last does, unless the
+    // duration needs more than MAX_TRACK_COUNT tracks, in which case the last allowed track does
+    const fraction = trackCount
+      ? tracks.length / (trackCount - 1)
+      : Math.max(elapsed / Math.max(1, totalSeconds - DEFAULT_TRACK_SECONDS), tracks.length / (MAX_TRACK_COUNT - 1));
+    const waypoint = moodAt(start, end, fraction);
+
+    const candidates = await recommender.recommend(waypoint, { count: CANDIDATES_PER_STEP, genres, excludeIds: [...used] });
+    if (candidates.length === 0) {
+      break;
+    }
+
+    const cost = (track) => track.moodDistance +
+      (previous ? SMOOTHNESS_WEIGHT * distance(trackToMoodVector(previous), trackToMoodVector(track)) : 0);
+    const pick = candidates.reduce((best, track) => (cost(track) < cost(best) ? track : best));
+
+    used.add(pick.trackId);
+    tracks.push({
+      ...pick,
+      position: tracks.length,
+      waypoint,
+      target: moodToAudioTarget(waypoint),
+      startsAt: elapsed
+    });
+    elapsed += pick.duration || DEFAULT_TRACK_SECONDS;
+    previous = pick;
+  }
+
+  return { from: start, to: end, tracks, totalDuration: elapsed };
+}
+
+const isTrajectoryError = (error) => Object.values(TRAJECTORY_ERRORS).includes(error && error.code);
+
+module.exports = {
+  planMoodTrajectory,
+  moodAt,
+  isTrajectoryError,
+  TRAJECTORY_ERRORS,
+  DEFAULT_TRACK_COUNT,
+  MAX_TRACK_COUNT
+};
@@ -0,0 +1,437 @@
+// Music Generation - mood-based text-to-music through AI services, with a royalty-free fallback
+// generateMusic() is one attempt of the pipeline; it runs inside a MusicJobQueue worker so long
+// generations never hold an HTTP request open. Each service reports progress and stops when the
+// job's AbortSignal fires.
+
+const axios = require('axios');
+const fs = require('fs').promises;
+const path = require('path');
+const { LocalLibraryProvider } = require('./localLibraryProvider');
+const { moodToAudioTarget } = require('./trackRecommender');
+const { MusicJobQueue } = require('./musicJobQueue');
+const { MusicJobStore } = require('./musicJobStore');
+
+// Configuration for AI music services
+const AI_SERVICES = {
+  // Suno AI API (example - replace with actual service)
+  suno: {
+    enabled: process.env.SUNO_API_KEY ? true : false,
+    apiKey: process.env.SUNO_API_KEY,
+    baseUrl: 'https://api.suno.ai/v1',
+    rateLimitPerMinute: 10
+  },
+
+  // MusicGen by Meta (Hugging Face)
+  musicgen: {
+    enabled: process.env.HUGGINGFACE_API_KEY ? true : false,
+    apiKey: process.env.HUGGINGFACE_API_KEY,
+    baseUrl: 'https://api-inference.huggingface.co/models/facebook/musicgen-small',
+    rateLimitPerMinute: 5
+  },
+
+  // Replicate API (for various music models)
+  replicate: {
+    enabled: process.env.REPLICATE_API_TOKEN ? true : false,
+    apiKey: process.env.REPLICATE_API_TOKEN,
+    baseUrl: 'https://api.replicate.com/v1',
+    rateLimitPerMinute: 20
+  }
+};
+
+// Tried in this order until one returns a track
+const SERVICE_ORDER = ['replicate', 'suno', 'musicgen'];
+
+// Where MusicGen audio is written; served at /api/music/generated
+const GENERATED_MUSIC_DIR = process.env.GENERATED_MUSIC_DIR || path.join(__dirname, '..', 'public', 'generated');
+
+const REPLICATE_POLL_MS = 2000;
+const REPLICATE_MAX_POLLS = 30;
+
+// Rate limiting storage (in production, use Redis)
+const rateLimitStore = new Map();
+
+const checkRateLimit = (service, userId) => {
+  const key = `${service}-${userId}`;
+  const now = Date.now();
+  const windowStart = now - 60000; // 1 minute window
+
+  // Remove old requests outside the window
+  const validRequests = (rateLimitStore.get(key) || []).filter(timestamp => timestamp > windowStart);
+  rateLimitStore.set(key, validRequests);
+
+  const limit = AI_SERVICES[service]?.rateLimitPerMinute || 10;
+  if (validRequests.length >= limit) {
+    return false;
+  }
+
+  // Add current request
+  validRequests.push(now);
+  return true;
+};
+
+const enabledServices = () => Object.entries(AI_SERVICES)
+  .filter(([, config]) => config.enabled)
+  .map(([name]) => name);
+
+const generateMoodPrompt = (moodData, userPrompt = '') => {
+  const { valence, energy, danceability } = moodData;
+
+  let moodDescriptors = [];
+
+  // Valence (happiness/sadness)
+  if (valence > 0.7) {
+    moodDescriptors.push('happy', 'joyful', 'uplifting');
+  } else if (valence > 0.4) {
+    moodDescriptors.push('neutral', 'balanced');
+  } else {
+    moodDescriptors.push('melancholic', 'sad', 'contemplative');
+  }
+
+  // Energy
+  if (energy > 0.7) {
+    moodDescriptors.push('energetic', 'powerful', 'intense');
+  } else if (energy > 0.4) {
+    moodDescriptors.push('moderate', 'steady');
+  } else {
+    moodDescriptors.push('calm', 'peaceful', 'relaxed');
+  }
+
+  // Danceability
+  if (danceability > 0.7) {
+    moodDescriptors.push('danceable', 'rhythmic', 'groovy');
+  } else if (danceability > 0.4) {
+    moodDescriptors.push('flowing', 'rhythmic');
+  } else {
+    moodDescriptors.push('ambient', 'atmospheric');
+  }
+
+  const basePrompt = `A ${moodDescriptors.join(', ')} musical piece`;
+
+  return userPrompt ? `${basePrompt}. ${userPrompt}` : basePrompt;
+};
+
+// A fused mood vector (-1..1) in the 0-1 space generation works in. Danceability has no axis of its
+// own, so it follows how upbeat the mood is: high for happy, energetic rooms, low for sad, calm ones.
+const moodToGenerationMood = (moodVector) => {
+  const { valence, energy } = moodToAudioTarget(moodVector);
+  const round = (value) => Math.round(value * 1000) / 1000;
+  return {
+    valence: round(valence),
+    energy: round(energy),
+    danceability: round((valence + energy) / 2)
+  };
+};
+
+// Local library tracks (scanned files, or the bundled royalty-free list) in the library response shape
+const toLibraryEntry = (track) => ({
+  id: track.trackId,
+  name: track.title,
+  artist: track.artist,
+  mood: { valence: track.valence, energy: track.energy, danceability: track.danceability ?? 0.5 },
+  genre: track.genre,
+  duration: track.duration,
+  tempo: track.tempo ?? null,
+  url: track.url,
+  ...(track.description && { description: track.description })
+});
+
+const moodSimilarity = (entry, { valence, energy, danceability = 0.5 }) => 1 - (
+  Math.abs(entry.mood.valence - valence) +
+  Math.abs(entry.mood.energy - energy) +
+  Math.abs(entry.mood.danceability - danceability)
+) / 3;
+
+const findSimilarRoyaltyFreeTrack = async (targetMood, library = new LocalLibraryProvider()) => {
+  let bestMatch = null;
+  let bestSimilarity = -Infinity;
+
+  for (const entry of (await library.getTracks()).map(toLibraryEntry)) {
+    const similarity = moodSimilarity(entry, targetMood);
+    if (similarity > bestSimilarity) {
+      bestSimilarity = similarity;
+      bestMatch = entry;
+    }
+  }
+
+  return {
+    ...bestMatch,
+    moodSimilarity: bestSimilarity,
+    isAIGenerated: false,
+    fallbackReason: 'AI service unavailable'
+  };
+};
+
+// Wait ms, or reject as soon as signal aborts
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(new Error('Generation cancelled'));
+    return;
+  }
+  const timer = setTimeout(resolve, ms);
+  signal?.addEventListener('abort', () => {
+    clearTimeout(timer);
+    reject(new Error('Generation cancelled'));
+  }, { once: true });
+});
+
+// AI Service implementations: (prompt, moodData, { signal, onProgress }) -> track
+const generateWithSuno = async (prompt, moodData, { signal, onProgress = () => {} } = {}) => {
+  if (!AI_SERVICES.suno.enabled) {
+    throw new Error('Suno AI service not configured');
+  }
+
+  onProgress(0.1, 'Generating with Suno');
+  const response = await axios.post(
+    `${AI_SERVICES.suno.baseUrl}/generate`,
+    {
+      prompt,
+      mood: moodData,
+      duration: 30, // 30 seconds for quick generation
+      style: 'instrumental'
+    },
+    {
+      headers: {
+        'Authorization': `Bearer ${AI_SERVICES.suno.apiKey}`,
+        'Content-Type': 'application/json'
+      },
+      timeout: 120000,
+      signal
+    }
+  );
+
+  return {
+    id: response.data.id,
+    url: response.data.audio_url,
+    name: `AI Generated - ${prompt.slice(0, 30)}...`,
+    duration: response.data.duration || 30,
+    isAIGenerated: true,
+    service: 'suno',
+    prompt,
+    moodData
+  };
+};
+
+const generateWithMusicGen = async (prompt, moodData, { signal, onProgress = () => {} } = {}) => {
+  if (!AI_SERVICES.musicgen.enabled) {
+    throw new Error('MusicGen service not configured');
+  }
+
+  onProgress(0.1, 'Generating with MusicGen');
+  const response = await axios.post(
+    AI_SERVICES.musicgen.baseUrl,
+    {
+      inputs: prompt,
+      parameters: {
+        max_length: 1024,
+        do_sample: true,
+        temperature: 0.7
+      }
+    },
+    {
+      headers: {
+        'Authorization': `Bearer ${AI_SERVICES.musicgen.apiKey}`,
+        'Content-Type': 'application/json'
+      },
+      // The inference API answers with the audio file itself
+      responseType: 'arraybuffer',
+      timeout: 180000,
+      signal
+    }
+  );
+
+  onProgress(0.9, 'Saving generated audio');
+  const id = `musicgen-${Date.now()}`;
+  const filename = `${id}.wav`;
+  await fs.mkdir(GENERATED_MUSIC_DIR, { recursive: true });
+  await fs.writeFile(path.join(GENERATED_MUSIC_DIR, filename), Buffer.from(response.data));
+
+  return {
+    id,
+    url: `/api/music/generated/${filename}`,
+    name: `MusicGen - ${prompt.slice(0, 30)}...`,
+    duration: 30,
+    isAIGenerated: true,
+    service: 'musicgen',
+    prompt,
+    moodData
+  };
+};
+
+// Replicate logs the model's progress bar ("45%|####"); the last percentage is the best estimate
+const replicateProgress = (logs) => {
+  const matches = String(logs || '').match(/(\d{1,3})%\|/g);
+  return matches ? Math.min(100, parseInt(matches[matches.length - 1], 10)) / 100 : null;
+};
+
+const generateWithReplicate = async (prompt, moodData, { signal, onProgress = () => {} } = {}) => {
+  if (!AI_SERVICES.replicate.enabled) {
+    throw new Error('Replicate service not configured');
+  }
+
+  const headers = { 'Authorization': `Token ${AI_SERVICES.replicate.apiKey}` };
+
+  onProgress(0.05, 'Starting Replicate prediction');
+  const response = await axios.post(
+    `${AI_SERVICES.replicate.baseUrl}/predictions`,
+    {
+      version: "7a76a8258b23fae65c5a22debb8841d1d7e816b75c2f24218cd2bd8573787906",
+      input: {
+        prompt,
+        duration: 30
+      }
+    },
+    { headers: { ...headers, 'Content-Type': 'application/json' }, signal }
+  );
+
+  const predictionId = response.data.id;
+  const predictionUrl = `${AI_SERVICES.replicate.baseUrl}/predictions/${predictionId}`;
+
+  try {
+    for (let poll = 1; poll <= REPLICATE_MAX_POLLS; poll++) {
+      await sleep(REPLICATE_POLL_MS, signal);
+
+      const { data } = await axios.get(predictionUrl, { headers, signal });
+      if (data.status === 'succeeded') {
+        return {
+          id: predictionId,
+          url: data.output,
+          name: `AI Music - ${prompt.slice(0, 30)}...`,
+          duration: 30,
+          isAIGenerated: true,
+          service: 'replicate',
+          prompt,
+          moodData
+        };
+      }
+      if (data.status === 'failed' || data.status === 'canceled') {
+        throw new Error(`Replicate generation ${data.status}${data.error ? `: ${data.error}` : ''}`);
+      }
+
+      const reported = replicateProgress(data.logs);
+      onProgress(0.1 + 0.85 * (reported ?? poll / REPLICATE_MAX_POLLS),
+        data.status === 'starting' ? 'Waiting for a Replicate worker' : 'Generating with Replicate');
+    }
+    throw new Error('Generation timeout');
+  } catch (error) {
+    // Free the Replicate worker when our job was cancelled
+    if (signal?.aborted) {
+      axios.post(`${predictionUrl}/cancel`, {}, { headers }).catch(() => {});
+    }
+    throw error;
+  }
+};
+
+const GENERATORS = {
+  suno: generateWithSuno,
+  musicgen: generateWithMusicGen,
+  replicate: generateWithReplicate
+};
+
+/**
+ * One generation attempt for request { mood, prompt, fullPrompt, useAI, moodSnapshot? } (mood on 0-1
+ * scales; moodSnapshot is the fused room mood a room generation was made for, kept on the track).
+ * Tries each configured AI service in turn. When they all fail, throws so the job queue can retry,
+ * except on the last attempt, which settles for the closest royalty-free track.
+ * Resolves to { track, aiGenerated, warnings }.
+ */
+async function generateMusic(request, {
+  userId = 'anonymous',
+  signal,
+  onProgress = () => {},
+  isLastAttempt = true,
+  library,
+  services = AI_SERVICES,
+  generators = GENERATORS
+} = {}) {
+  const { mood, prompt = '', fullPrompt, useAI = true, moodSnapshot = null } = request;
+  const warnings = [];
+  let generatedTrack = null;
+  let attempted = false;
+
+  if (useAI) {
+    for (const service of SERVICE_ORDER) {
+      if (!services[service].enabled) {
+        continue;
+      }
+
+      if (!checkRateLimit(service, userId)) {
+        warnings.push(`${service}: Rate limit exceeded`);
+        continue;
+      }
+
+      attempted = true;
+      try {
+        generatedTrack = await generators[service](fullPrompt, mood, { signal, onProgress });
+        break;
+      } catch (error) {
+        if (signal?.aborted) throw error;
+        warnings.push(`${service}: ${error.message}`);
+        console.error(`${service} generation failed:`, error.message);
+      }
+    }
+  }
+
+  if (!generatedTrack) {
+    if (attempted && !isLastAttempt) {
+      throw new Error(`AI generation failed (${warnings.join('; ')})`);
+    }
+    onProgress(0.9, 'Choosing a royalty-free track');
+    generatedTrack = await findSimilarRoyaltyFreeTrack(mood, library);
+    warnings.push('AI generation failed, using royalty-free alternative');
+  }
+
+  return {
+    track: {
+      ...generatedTrack,
+      generatedAt: new Date().toISOString(),
+      requestedMood: mood,
+      requestedPrompt: prompt,
+      fullPrompt,
+      userId,
+      ...(moodSnapshot && { moodSnapshot })
+    },
+    aiGenerated: generatedTrack.isAIGenerated,
+    warnings
+  };
+}
+
+// A job queue whose workers run generateMusic
+function createMusicJobs({ onUpdate, store = new MusicJobStore(), getLibrary = () => undefined, ...options } = {}) {
+  return new MusicJobQueue({
+    run: (job, context) => generateMusic(job.request, {
+      ...context,
+      userId: job.userId || 'anonymous',
+      library: getLibrary()
+    }),
+    store,
+    onUpdate,
+    concurrency: parseInt(process.env.MUSIC_JOB_CONCURRENCY, 10) || 2,
+    maxAttempts: parseInt(process.env.MUSIC_JOB_MAX_ATTEMPTS, 10) || 3,
+    maxActiveAnonymous: parseInt(process.env.MUSIC_JOB_MAX_ANONYMOUS, 10) || 5,
+    ...options
+  });
+}
+
+let musicJobs = null;
+
+// Queue used when the server has not provided one (no progress events)
+const getMusicJobs = () => {
+  if (!musicJobs) {
+    musicJobs = createMusicJobs();
+  }
+  return musicJobs;
+};
+
+module.exports = {
+  generateMusic,
+  generateMoodPrompt,
+  moodToGenerationMood,
+  findSimilarRoyaltyFreeTrack,
+  toLibraryEntry,
+  moodSimilarity,
+  enabledServices,
+  createMusicJobs,
+  getMusicJobs,
+  AI_SERVICES,
+  GENERATED_MUSIC_DIR
+};
@@ -0,0 +1,277 @@
+// Music Job Queue - runs music generations in the background instead of inside the HTTP request
+// Jobs go queued -> running -> succeeded | failed | cancelled. A failed attempt is queued again after
+// an exponential backoff until maxAttempts is reached; every change is passed to onUpdate, which the
+// server forwards to the requester over Socket.IO.
+
+const crypto = require('crypto');
+
+const JOB_STATUS = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+};
+
+const FINISHED_STATUSES = [JOB_STATUS.SUCCEEDED, JOB_STATUS.FAILED, JOB_STATUS.CANCELLED];
+
+const JOB_ERRORS = {
+  NOT_FOUND: 'JOB_NOT_FOUND',
+  ALREADY_FINISHED: 'JOB_ALREADY_FINISHED',
+  TOO_MANY_JOBS: 'TOO_MANY_JOBS'
+};
+
+const jobError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+const isJobError = (error) => Object.values(JOB_ERRORS).includes(error?.code);
+
+const isFinished = (job) => FINISHED_STATUSES.includes(job.status);
+
+// What clients see: the job without its timers or abort controller
+const serializeJob = (job) => ({
+  id: job.id,
+  userId: job.userId,
+  roomId: job.roomId,
+  status: job.status,
+  progress: job.progress,
+  stage: job.stage,
+  request: job.request,
+  attempts: job.attempts,
+  maxAttempts: job.maxAttempts,
+  result: job.result,
+  error: job.error,
+  createdAt: job.createdAt,
+  startedAt: job.startedAt,
+  finishedAt: job.finishedAt,
+  nextAttemptAt: job.nextAttemptAt
+});
+
+class MusicJobQueue {
+  /**
+   * run(job, { signal, onProgress, attempt, isLastAttempt }) does one attempt and resolves to the
+   * job's result. It should stop when signal aborts (the job was cancelled), report progress with
+   * onProgress(fraction 0-1, stage) and throw an error with retryable: false when a retry cannot help.
+   */
+  constructor({
+    run,
+    store = null,
+    onUpdate = () => {},
+    concurrency = 2,
+    maxAttempts = 3,
+    retryDelayMs = 2000,
+    maxActivePerUser = 3,
+    maxActiveAnonymous = 5,
+    keepFinishedMs = 60 * 60 * 1000,
+    now = Date.now
+  }) {
+    this.run = run;
+    this.store = store;
+    this.onUpdate = onUpdate;
+    this.concurrency = concurrency;
+    this.maxAttempts = maxAttempts;
+    this.retryDelayMs = retryDelayMs;
+    this.maxActivePerUser = maxActivePerUser;
+    this.maxActiveAnonymous = maxActiveAnonymous;
+    this.keepFinishedMs = keepFinishedMs;
+    this.now = now;
+
+    this.jobs = new Map(); // jobId -> job
+    this.pending = []; // jobIds waiting for a worker, oldest first
+    this.active = new Map(); // jobId -> AbortController of the running attempt
+    this.retryTimers = new Map(); // jobId -> backoff timeout
+  }
+
+  // Signed-in requesters are limited by userId; anonymous ones by clientId (e.g. their IP address)
+  // and, since those are easy to change, by a cap on all unfinished anonymous jobs together
+  enqueue({ userId = null, clientId = null, roomId = null, request }) {
+    this.prune();
+
+    const unfinished = [...this.jobs.values()].filter(job => !isFinished(job));
+    const requester = userId ? `user:${userId}` : `client:${clientId}`;
+    if (unfinished.filter(job => job.requester === requester).length >= this.maxActivePerUser) {
+      throw jobError(JOB_ERRORS.TOO_MANY_JOBS, `At most ${this.maxActivePerUser} generations can run at once per user`);
+    }
+    if (!userId && unfinished.filter(job => !job.userId).length >= this.maxActiveAnonymous) {
+      throw jobError(JOB_ERRORS.TOO_MANY_JOBS, 'Too many generations are running for signed-out users; sign in or try again later');
+    }
+
+    const job = {
+      id: crypto.randomUUID(),
+      userId,
+      requester,
+      roomId,
+      status: JOB_STATUS.QUEUED,
+      progress: 0,
+      stage: 'Waiting for a free generator',
+      request,
+      attempts: 0,
+      maxAttempts: this.maxAttempts,
+      result: null,
+      error: null,
+      createdAt: new Date(this.now()),
+      startedAt: null,
+      finishedAt: null,
+      nextAttemptAt: null
+    };
+
+    this.jobs.set(job.id, job);
+    this.pending.push(job.id);
+    this.update(job);
+    this.drain();
+    return serializeJob(job);
+  }
+
+  // A live job, else the saved copy; jobs that were unfinished when the process stopped report as failed
+  async get(jobId) {
+    const job = this.jobs.get(jobId);
+    if (job) return serializeJob(job);
+
+    const saved = this.store ? await this.store.find(jobId) : null;
+    if (saved && !isFinished(saved)) {
+      return { ...saved, status: JOB_STATUS.FAILED, error: 'Interrupted by a server restart' };
+    }
+    return saved;
+  }
+
+  async cancel(jobId) {
+    const job = this.jobs.get(jobId);
+    if (!job) {
+      // Only finished (or interrupted) jobs leave memory
+      const saved = await this.get(jobId);
+      throw saved
+        ? jobError(JOB_ERRORS.ALREADY_FINISHED, `Job already ${saved.status}`)
+        : jobError(JOB_ERRORS.NOT_FOUND, 'Job not found');
+    }
+    if (isFinished(job)) {
+      throw jobError(JOB_ERRORS.ALREADY_FINISHED, `Job already ${job.status}`);
+    }
+
+    clearTimeout(this.retryTimers.get(jobId));
+    this.retryTimers.delete(jobId);
+    this.pending = this.pending.filter(id => id !== jobId);
+    const controller = this.active.get(jobId);
+    if (controller) controller.abort();
+
+    this.finish(job, JOB_STATUS.CANCELLED, { stage: 'Cancelled' });
+    return serializeJob(job);
+  }
+
+  // Stop retries and running attempts, e.g. on shutdown
+  close() {
+    this.retryTimers.forEach(timer => clearTimeout(timer));
+    this.retryTimers.clear();
+    this.active.forEach(controller => controller.abort());
+    this.pending = [];
+  }
+
+  update(job) {
+    if (this.store) {
+      this.store.save(job).catch(error => console.error('Failed to save music job:', error));
+    }
+    this.onUpdate(serializeJob(job));
+  }
+
+  finish(job, status, fields = {}) {
+    Object.assign(job, fields, { status, finishedAt: new Date(this.now()), nextAttemptAt: null });
+    this.update(job);
+  }
+
+  drain() {
+    while (this.active.size < this.concurrency && this.pending.length > 0) {
+      const job = this.jobs.get(this.pending.shift());
+      if (job && job.status === JOB_STATUS.QUEUED) {
+        this.start(job);
+      }
+    }
+  }
+
+  async start(job) {
+    const controller = new AbortController();
+    const { signal } = controller;
+    this.active.set(job.id, controller);
+
+    Object.assign(job, {
+      status: JOB_STATUS.RUNNING,
+      attempts: job.attempts + 1,
+      progress: 0,
+      stage: 'Starting',
+      startedAt: job.startedAt || new Date(this.now()),
+      nextAttemptAt: null
+    });
+    this.update(job);
+
+    const onProgress = (progress, stage = job.stage) => {
+      if (signal.aborted) return;
+      job.progress = Math.round(Math.max(0, Math.min(1, progress)) * 100) / 100;
+      job.stage = stage;
+      this.update(job);
+    };
+
+    try {
+      const result = await this.run(job, {
+        signal,
+        onProgress,
+        attempt: job.attempts,
+        isLastAttempt: job.attempts >= job.maxAttempts
+      });
+      if (!signal.aborted) {
+        this.finish(job, JOB_STATUS.SUCCEEDED, { result, progress: 1, stage: 'Done', error: null });
+      }
+    } catch (error) {
+      if (!signal.aborted) {
+        this.fail(job, error);
+      }
+    } finally {
+      this.active.delete(job.id);
+      this.drain();
+    }
+  }
+
+  // Queue another attempt after a backoff, or give up
+  fail(job, error) {
+    if (job.attempts >= job.maxAttempts || error.retryable === false) {
+      this.finish(job, JOB_STATUS.FAILED, { error: error.message, stage: 'Failed' });
+      return;
+    }
+
+    const delay = this.retryDelayMs * 2 ** (job.attempts - 1);
+    Object.assign(job, {
+      status: JOB_STATUS.QUEUED,
+      progress: 0,
+      stage: `Retrying (attempt ${job.attempts + 1} of ${job.maxAttempts})`,
+      error: error.message,
+      nextAttemptAt: new Date(this.now() + delay)
+    });
+
+    const timer = setTimeout(() => {
+      this.retryTimers.delete(job.id);
+      this.pending.push(job.id);
+      this.drain();
+    }, delay);
+    if (timer.unref) timer.unref();
+    this.retryTimers.set(job.id, timer);
+
+    this.update(job);
+  }
+
+  // Forget finished jobs after keepFinishedMs; the store still has them
+  prune() {
+    const cutoff = this.now() - this.keepFinishedMs;
+    for (const [jobId, job] of this.jobs) {
+      if (isFinished(job) && job.finishedAt.getTime() < cutoff) {
+        this.jobs.delete(jobId);
+      }
+    }
+  }
+}
+
+module.exports = {
+  MusicJobQueue,
+  JOB_STATUS,
+  JOB_ERRORS,
+  isJobError
+};
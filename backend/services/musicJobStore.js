@@ -0,0 +1,81 @@
+// Music Job Store - persistence for background music generation jobs
+// The queue keeps live jobs in memory; this copy answers status lookups once a job has been pruned
+// or the process restarted. Writes are skipped while MongoDB is down and never fail a job.
+
+const { isDBConnected } = require('../database');
+
+class MusicJobStore {
+  constructor({
+    model = require('../models/MusicJob'),
+    isAvailable = isDBConnected
+  } = {}) {
+    this.model = model;
+    this.isAvailable = isAvailable;
+    this.saving = new Map(); // jobId -> last queued write
+  }
+
+  // Writes for one job run one after another, so a late progress update cannot overwrite the
+  // finished state. The job is copied now, as it keeps changing while earlier writes are pending.
+  save(job) {
+    const fields = {
+      userId: job.userId,
+      roomId: job.roomId,
+      status: job.status,
+      progress: job.progress,
+      stage: job.stage,
+      request: job.request,
+      attempts: job.attempts,
+      maxAttempts: job.maxAttempts,
+      result: job.result,
+      error: job.error,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt
+    };
+
+    const write = (this.saving.get(job.id) || Promise.resolve()).then(() => this.write(job.id, fields));
+    this.saving.set(job.id, write);
+    return write.then(() => {
+      if (this.saving.get(job.id) === write) {
+        this.saving.delete(job.id);
+      }
+    });
+  }
+
+  async write(jobId, fields) {
+    if (!this.isAvailable()) return;
+
+    try {
+      await this.model.updateOne({ jobId }, { $set: fields }, { upsert: true });
+    } catch (error) {
+      console.error('Failed to save music job:', error);
+    }
+  }
+
+  // The saved job in the queue's shape, or null
+  async find(jobId) {
+    if (!this.isAvailable()) return null;
+
+    const record = await this.model.findOne({ jobId }).lean();
+    if (!record) return null;
+
+    return {
+      id: record.jobId,
+      userId: record.userId,
+      roomId: record.roomId,
+      status: record.status,
+      progress: record.progress,
+      stage: record.stage,
+      request: record.request,
+      attempts: record.attempts,
+      maxAttempts: record.maxAttempts,
+      result: record.result,
+      error: record.error,
+      createdAt: record.createdAt,
+      startedAt: record.startedAt || null,
+      finishedAt: record.finishedAt || null,
+      nextAttemptAt: null
+    };
+  }
+}
+
+module.exports = { MusicJobStore };
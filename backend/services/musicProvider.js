@@ -0,0 +1,162 @@
+// Music Providers - one interface over every place rooms get music from
+//
+// A provider implements:
+//   search(query, { limit, offset })              -> { tracks, total }
+//   getAudioFeatures(providerIds)                 -> [{ id, valence, energy, danceability, tempo } | null]
+//   searchByMood(moodVector, { limit, genres, excludeIds }) -> tracks ranked by moodDistance, with matchScore
+//   resolvePlayable(providerId)                   -> { type, url, uri } or null
+// and returns tracks in the normalized shape built by normalizeTrack. Providers are created per
+// request from the registry, so account-bound ones (Spotify) act for the caller only.
+
+const { moodDistance, toMatchScore } = require('./trackRecommender');
+
+const PROVIDER_METHODS = ['search', 'getAudioFeatures', 'searchByMood', 'resolvePlayable'];
+
+const PROVIDER_ERRORS = {
+  UNKNOWN_PROVIDER: 'UNKNOWN_PROVIDER',
+  ACCOUNT_REQUIRED: 'PROVIDER_ACCOUNT_REQUIRED',
+  TRACK_NOT_FOUND: 'TRACK_NOT_FOUND'
+};
+
+const providerError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+const isProviderError = (error) => Object.values(PROVIDER_ERRORS).includes(error && error.code);
+
+// How resolvePlayable results are played: an audio file or preview URL, a Spotify URI for the
+// Web Playback SDK, or a YouTube video
+const PLAYABLE_TYPES = {
+  AUDIO: 'audio',
+  SPOTIFY: 'spotify',
+  YOUTUBE: 'youtube'
+};
+
+const orNull = (value) => (value === undefined || value === '' ? null : value);
+
+/**
+ * The normalized track every provider returns.
+ * id is provider-qualified ('local:rf001') so tracks from different providers never collide;
+ * duration is in seconds and audio features follow Spotify's 0-1 scales (null when unknown).
+ */
+function normalizeTrack(provider, fields) {
+  return {
+    id: `${provider}:${fields.providerId}`,
+    provider,
+    providerId: fields.providerId,
+    title: fields.title,
+    artist: fields.artist,
+    album: orNull(fields.album),
+    genre: orNull(fields.genre),
+    duration: orNull(fields.duration),
+    valence: orNull(fields.valence),
+    energy: orNull(fields.energy),
+    danceability: orNull(fields.danceability),
+    tempo: orNull(fields.tempo),
+    previewUrl: orNull(fields.previewUrl),
+    artworkUrl: orNull(fields.artworkUrl)
+  };
+}
+
+// Split a provider-qualified track id; the provider id itself may contain colons (Spotify URIs do)
+function parseTrackId(id) {
+  const separator = typeof id === 'string' ? id.indexOf(':') : -1;
+  if (separator <= 0 || separator === id.length - 1) {
+    return null;
+  }
+  return { provider: id.slice(0, separator), providerId: id.slice(separator + 1) };
+}
+
+// Tracks with audio features ranked by distance to a mood vector, closest first
+function rankByMood(tracks, moodVector, limit) {
+  return tracks
+    .filter(track => typeof track.valence === 'number' && typeof track.energy === 'number')
+    .map(track => ({ track, distance: moodDistance(track, moodVector) }))
+    .sort((a, b) => a.distance - b.distance || a.track.id.localeCompare(b.track.id))
+    .slice(0, limit)
+    .map(({ track, distance }) => ({
+      ...track,
+      moodDistance: Math.round(distance * 1000) / 1000,
+      matchScore: toMatchScore(distance)
+    }));
+}
+
+class MusicProviderRegistry {
+  constructor({ defaultProvider = process.env.MUSIC_PROVIDER || 'catalog' } = {}) {
+    this.defaultProvider = defaultProvider;
+    this.providers = new Map();
+  }
+
+  // factory(context) builds a provider for one request; context carries the caller's userId
+  register(name, factory, { label = name, requiresAccount = false } = {}) {
+    this.providers.set(name, { factory, label, requiresAccount });
+    return this;
+  }
+
+  has(name) {
+    return this.providers.has(name);
+  }
+
+  list() {
+    return [...this.providers.entries()].map(([name, { label, requiresAccount }]) => ({
+      name,
+      label,
+      requiresAccount,
+      isDefault: name === this.defaultProvider
+    }));
+  }
+
+  create(name, context = {}) {
+    const entry = this.providers.get(name);
+    if (!entry) {
+      throw providerError(PROVIDER_ERRORS.UNKNOWN_PROVIDER, `Unknown music provider: ${name}`);
+    }
+
+    const provider = entry.factory(context);
+    const missing = PROVIDER_METHODS.filter(method => typeof provider[method] !== 'function');
+    if (missing.length > 0) {
+      throw new Error(`Music provider ${name} does not implement ${missing.join(', ')}`);
+    }
+    return provider;
+  }
+
+  // The provider a room picked, or the server default
+  nameForRoom(room) {
+    return (room && room.musicProvider) || this.defaultProvider;
+  }
+
+  forRoom(room, context = {}) {
+    return this.create(this.nameForRoom(room), context);
+  }
+}
+
+// Built-in providers, registered on first use so adapters can require this module
+let registry = null;
+const getMusicProviders = () => {
+  if (!registry) {
+    const { CatalogProvider } = require('./catalogProvider');
+    const { LocalLibraryProvider } = require('./localLibraryProvider');
+    const { SpotifyProvider } = require('./spotifyProvider');
+
+    registry = new MusicProviderRegistry()
+      .register('catalog', () => new CatalogProvider(), { label: 'Track catalog (YouTube)' })
+      .register('local', () => new LocalLibraryProvider(), { label: 'Local library' })
+      .register('spotify', ({ userId }) => new SpotifyProvider({ userId }), { label: 'Spotify', requiresAccount: true });
+  }
+  return registry;
+};
+
+module.exports = {
+  MusicProviderRegistry,
+  getMusicProviders,
+  normalizeTrack,
+  parseTrackId,
+  rankByMood,
+  providerError,
+  isProviderError,
+  PROVIDER_ERRORS,
+  PROVIDER_METHODS,
+  PLAYABLE_TYPES
+};
@@ -0,0 +1,286 @@
+// Shared Playlist Queue Service
+// Keeps one authoritative track queue and playback clock per room
+// Persists queue state on the Room model so it survives restarts
+
+const Room = require('../models/Room');
+const { isDBConnected } = require('../database');
+
+class PlaylistQueueManager {
+  constructor() {
+    this.queues = new Map(); // roomId -> queue state
+    this.loading = new Map(); // roomId -> pending load promise
+    this.persisting = new Map(); // roomId -> last pending save promise
+    this.maxQueueLength = 200;
+  }
+
+  // Get the queue for a room, loading it from the database on first access
+  async getQueue(roomId) {
+    if (this.queues.has(roomId)) {
+      return this.queues.get(roomId);
+    }
+
+    if (!this.loading.has(roomId)) {
+      const load = this.loadQueue(roomId).finally(() => this.loading.delete(roomId));
+      this.loading.set(roomId, load);
+    }
+
+    return this.loading.get(roomId);
+  }
+
+  async loadQueue(roomId) {
+    let stored = null;
+
+    if (isDBConnected()) {
+      try {
+        const room = await Room.findByRoomId(roomId).select('playlistQueue').lean();
+        stored = room?.playlistQueue || null;
+      } catch (error) {
+        console.error(`Failed to load playlist queue for room ${roomId}:`, error);
+      }
+    }
+
+    const queue = {
+      tracks: stored?.tracks || [],
+      currentTrackId: stored?.currentTrackId || null,
+      isPlaying: stored?.isPlaying || false,
+      position: stored?.position || 0,
+      positionUpdatedAt: stored?.positionUpdatedAt ? new Date(stored.positionUpdatedAt).getTime() : Date.now()
+    };
+
+    // A restart interrupts playback, so resume from where the clock stopped
+    if (queue.isPlaying) {
+      queue.position = this.getPosition(queue);
+      queue.isPlaying = false;
+      queue.positionUpdatedAt = Date.now();
+    }
+
+    this.queues.set(roomId, queue);
+    return queue;
+  }
+
+  // Append a track to the end of the queue
+  async addTrack(roomId, track, userId) {
+    if (!track || !track.id || !track.name) {
+      throw new Error('Track id and name are required');
+    }
+
+    const queue = await this.getQueue(roomId);
+
+    if (queue.tracks.some(t => t.id === track.id)) {
+      throw new Error('Track is already in the queue');
+    }
+
+    if (queue.tracks.length >= this.maxQueueLength) {
+      throw new Error(`Queue is full (max ${this.maxQueueLength} tracks)`);
+    }
+
+    const queuedTrack = {
+      id: track.id,
+      name: track.name,
+      uri: track.uri,
+      artists: (track.artists || []).map(artist => ({ id: artist.id, name: artist.name })),
+      album: track.album || null,
+      duration: track.duration,
+      previewUrl: track.previewUrl,
+      audioFeatures: track.audioFeatures || null,
+      addedBy: userId,
+      addedAt: new Date()
+    };
+
+    queue.tracks.push(queuedTrack);
+    this.persist(roomId);
+
+    return queuedTrack;
+  }
+
+  // Remove a track, stopping playback if it was the current one
+  async removeTrack(roomId, trackId) {
+    const queue = await this.getQueue(roomId);
+    const index = queue.tracks.findIndex(t => t.id === trackId);
+
+    if (index === -1) {
+      throw new Error('Track not found in queue');
+    }
+
+    queue.tracks.splice(index, 1);
+
+    const stoppedPlayback = queue.currentTrackId === trackId;
+    if (stoppedPlayback) {
+      this.setClock(queue, null, 0, false);
+    }
+
+    this.persist(roomId);
+    return { trackId, stoppedPlayback };
+  }
+
+  // Move a track to a new position in the queue
+  async reorderTrack(roomId, trackId, toIndex) {
+    const queue = await this.getQueue(roomId);
+    const fromIndex = queue.tracks.findIndex(t => t.id === trackId);
+
+    if (fromIndex === -1) {
+      throw new Error('Track not found in queue');
+    }
+
+    if (!Number.isInteger(toIndex)) {
+      throw new Error('Target index must be an integer');
+    }
+
+    const targetIndex = Math.max(0, Math.min(queue.tracks.length - 1, toIndex));
+    const [track] = queue.tracks.splice(fromIndex, 1);
+    queue.tracks.splice(targetIndex, 0, track);
+
+    this.persist(roomId);
+    return queue;
+  }
+
+  // Start or resume a queued track; resuming the current track keeps its position
+  async play(roomId, trackId, position = null) {
+    const queue = await this.getQueue(roomId);
+    const targetId = trackId || queue.currentTrackId || queue.tracks[0]?.id;
+
+    if (!targetId || !queue.tracks.some(t => t.id === targetId)) {
+      throw new Error('Track is not in the room queue');
+    }
+
+    let startPosition = 0;
+    if (typeof position === 'number') {
+      startPosition = position;
+    } else if (targetId === queue.currentTrackId) {
+      startPosition = this.getPosition(queue);
+    }
+
+    this.setClock(queue, targetId, startPosition, true);
+    this.persist(roomId);
+    return queue;
+  }
+
+  async pause(roomId) {
+    const queue = await this.getQueue(roomId);
+
+    if (!queue.currentTrackId) {
+      throw new Error('Nothing is playing');
+    }
+
+    this.setClock(queue, queue.currentTrackId, this.getPosition(queue), false);
+    this.persist(roomId);
+    return queue;
+  }
+
+  async seek(roomId, position) {
+    const queue = await this.getQueue(roomId);
+
+    if (!queue.currentTrackId) {
+      throw new Error('Nothing is playing');
+    }
+
+    if (typeof position !== 'number' || isNaN(position)) {
+      throw new Error('Position must be a number of milliseconds');
+    }
+
+    this.setClock(queue, queue.currentTrackId, position, queue.isPlaying);
+    this.persist(roomId);
+    return queue;
+  }
+
+  // Advance to the next track. fromTrackId guards against several clients
+  // reporting the end of the same track and skipping more than once.
+  async nextTrack(roomId, fromTrackId = null) {
+    const queue = await this.getQueue(roomId);
+
+    if (fromTrackId && fromTrackId !== queue.currentTrackId) {
+      return { queue, advanced: false };
+    }
+
+    if (queue.tracks.length === 0) {
+      this.setClock(queue, null, 0, false);
+    } else {
+      const currentIndex = queue.tracks.findIndex(t => t.id === queue.currentTrackId);
+      const nextTrack = queue.tracks[(currentIndex + 1) % queue.tracks.length];
+      this.setClock(queue, nextTrack.id, 0, true);
+    }
+
+    this.persist(roomId);
+    return { queue, advanced: true };
+  }
+
+  // Current playback position in milliseconds, extrapolated while playing
+  getPosition(queue, now = Date.now()) {
+    let position = queue.position;
+
+    if (queue.isPlaying) {
+      position += now - queue.positionUpdatedAt;
+    }
+
+    const track = queue.tracks.find(t => t.id === queue.currentTrackId);
+    if (track?.duration) {
+      position = Math.min(position, track.duration);
+    }
+
+    return Math.max(0, Math.round(position));
+  }
+
+  setClock(queue, trackId, position, isPlaying) {
+    const track = queue.tracks.find(t => t.id === trackId);
+    const maxPosition = track?.duration || Infinity;
+
+    queue.currentTrackId = trackId;
+    queue.position = Math.max(0, Math.min(maxPosition, position));
+    queue.isPlaying = !!trackId && isPlaying;
+    queue.positionUpdatedAt = Date.now();
+  }
+
+  // Playback state in the shape clients consume for playback-changed events
+  getPlaybackState(queue) {
+    const now = Date.now();
+    return {
+      track: queue.tracks.find(t => t.id === queue.currentTrackId) || null,
+      isPlaying: queue.isPlaying,
+      position: this.getPosition(queue, now),
+      serverTime: now
+    };
+  }
+
+  // Full snapshot for playlist-synced events and late joiners
+  async getSnapshot(roomId) {
+    const queue = await this.getQueue(roomId);
+    const playback = this.getPlaybackState(queue);
+
+    return {
+      roomId,
+      playlist: queue.tracks,
+      currentTrack: playback.track,
+      isPlaying: playback.isPlaying,
+      position: playback.position,
+      serverTime: playback.serverTime
+    };
+  }
+
+  // Save queue state, serialising writes per room so they land in order
+  persist(roomId) {
+    if (!isDBConnected()) return;
+
+    const queue = this.queues.get(roomId);
+    const snapshot = {
+      tracks: queue.tracks.map(track => ({ ...track })),
+      currentTrackId: queue.currentTrackId,
+      isPlaying: queue.isPlaying,
+      position: queue.position,
+      positionUpdatedAt: new Date(queue.positionUpdatedAt)
+    };
+
+    const previous = this.persisting.get(roomId) || Promise.resolve();
+    const save = previous
+      .then(() => Room.savePlaylistQueue(roomId, snapshot))
+      .catch(error => console.error(`Failed to save playlist queue for room ${roomId}:`, error))
+      .finally(() => {
+        if (this.persisting.get(roomId) === save) {
+          this.persisting.delete(roomId);
+        }
+      });
+
+    this.persisting.set(roomId, save);
+  }
+}
+
+module.exports = { PlaylistQueueManager };
@@ -0,0 +1,183 @@
+// Room Access Service - who may join a room
+// Passwords are stored as scrypt hashes; invite links carry an HMAC-signed token naming
+// an invite record on the room, which holds the expiry and remaining uses
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { v4: uuidv4 } = require('uuid');
+const Room = require('../models/Room');
+
+const scrypt = promisify(crypto.scrypt);
+
+const KEY_LENGTH = 32;
+const MIN_PASSWORD_LENGTH = 4;
+const DEFAULT_INVITE_TTL_MS = 24 * 60 * 60 * 1000;
+const MAX_INVITE_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Error codes for refused joins; the message is safe to show to the user
+const ACCESS_ERRORS = {
+  PASSWORD_REQUIRED: 'PASSWORD_REQUIRED',
+  INVALID_PASSWORD: 'INVALID_PASSWORD',
+  INVALID_INVITE: 'INVALID_INVITE',
+  INVITE_EXPIRED: 'INVITE_EXPIRED',
+  INVITE_ONLY: 'INVITE_ONLY'
+};
+
+const accessError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+const isAccessError = (error) => Object.values(ACCESS_ERRORS).includes(error?.code);
+
+// Without ROOM_INVITE_SECRET, invites are signed with a per-process key and stop working on restart
+let generatedSecret = null;
+const getInviteSecret = () => {
+  if (process.env.ROOM_INVITE_SECRET) {
+    return process.env.ROOM_INVITE_SECRET;
+  }
+  if (!generatedSecret) {
+    console.warn('ROOM_INVITE_SECRET is not set; invite links will not survive a restart');
+    generatedSecret = crypto.randomBytes(32).toString('hex');
+  }
+  return generatedSecret;
+};
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = await scrypt(password, salt, KEY_LENGTH);
+  return `scrypt$${salt}$${hash.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, salt, expected] = (stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !expected || typeof password !== 'string') {
+    return false;
+  }
+  const hash = await scrypt(password, salt, KEY_LENGTH);
+  return crypto.timingSafeEqual(hash, Buffer.from(expected, 'hex'));
+}
+
+const validatePassword = (password) => {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return `password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  return null;
+};
+
+const sign = (payload, secret) => crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+
+function createInviteToken({ roomId, inviteId, expiresAt }, secret = getInviteSecret()) {
+  const payload = Buffer.from(JSON.stringify({ r: roomId, i: inviteId, e: new Date(expiresAt).getTime() })).toString('base64url');
+  return `${payload}.${sign(payload, secret)}`;
+}
+
+// Returns { roomId, inviteId, expiresAt } for a well-signed token, or null
+function readInviteToken(token, secret = getInviteSecret()) {
+  if (typeof token !== 'string' || !token.includes('.')) {
+    return null;
+  }
+
+  const [payload, signature] = token.split('.');
+  const expected = sign(payload, secret);
+  if (!signature || signature.length !== expected.length ||
+      !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+    return null;
+  }
+
+  try {
+    const { r, i, e } = JSON.parse(Buffer.from(payload, 'base64url').toString());
+    return { roomId: r, inviteId: i, expiresAt: new Date(e) };
+  } catch (error) {
+    return null;
+  }
+}
+
+// Build an invite record and its link token; the caller pushes the record onto room.invites
+function createInvite(room, createdBy, { expiresIn = DEFAULT_INVITE_TTL_MS, maxUses = null } = {}) {
+  const ttl = Number(expiresIn);
+  if (!Number.isFinite(ttl) || ttl <= 0 || ttl > MAX_INVITE_TTL_MS) {
+    throw new Error(`expiresIn must be between 1 and ${MAX_INVITE_TTL_MS} milliseconds`);
+  }
+  if (maxUses !== null && (!Number.isInteger(maxUses) || maxUses < 1)) {
+    throw new Error('maxUses must be a positive integer');
+  }
+
+  const invite = {
+    inviteId: uuidv4(),
+    createdBy,
+    createdAt: new Date(),
+    expiresAt: new Date(Date.now() + ttl),
+    maxUses,
+    usesLeft: maxUses,
+    uses: 0,
+    revokedAt: null
+  };
+
+  return { invite, token: createInviteToken({ roomId: room.roomId, inviteId: invite.inviteId, expiresAt: invite.expiresAt }) };
+}
+
+/**
+ * Decide whether userId may join room, given what they presented.
+ * Resolves to how access was granted ('open', 'member', 'password' or 'invite');
+ * rejects with an ACCESS_ERRORS code otherwise. A valid invite use is claimed here.
+ */
+async function checkJoinAccess(room, userId, { password, invite } = {}, { claimInvite = (invite) => Room.claimInviteUse(room.roomId, invite) } = {}) {
+  if (room.visibility !== 'private') {
+    return 'open';
+  }
+  if (room.isMember(userId)) {
+    return 'member';
+  }
+
+  if (invite) {
+    const token = readInviteToken(invite);
+    if (!token || token.roomId !== room.roomId) {
+      throw accessError(ACCESS_ERRORS.INVALID_INVITE, 'This invite link is not valid');
+    }
+
+    const record = room.getUsableInvite(token.inviteId);
+    if (!record || !(await claimInvite(record))) {
+      throw accessError(ACCESS_ERRORS.INVITE_EXPIRED, 'This invite link has expired or been used up');
+    }
+    return 'invite';
+  }
+
+  if (!room.passwordHash) {
+    throw accessError(ACCESS_ERRORS.INVITE_ONLY, 'This room is invite-only');
+  }
+  if (!password) {
+    throw accessError(ACCESS_ERRORS.PASSWORD_REQUIRED, 'This room requires a password');
+  }
+  if (!(await verifyPassword(password, room.passwordHash))) {
+    throw accessError(ACCESS_ERRORS.INVALID_PASSWORD, 'Incorrect room password');
+  }
+  return 'password';
+}
+
+// Invite details safe to show to moderators
+const summarizeInvite = (invite) => ({
+  inviteId: invite.inviteId,
+  createdBy: invite.createdBy,
+  createdAt: invite.createdAt,
+  expiresAt: invite.expiresAt,
+  maxUses: invite.maxUses,
+  uses: invite.uses,
+  revoked: !!invite.revokedAt
+});
+
+module.exports = {
+  ACCESS_ERRORS,
+  isAccessError,
+  hashPassword,
+  verifyPassword,
+  validatePassword,
+  createInvite,
+  createInviteToken,
+  readInviteToken,
+  checkJoinAccess,
+  summarizeInvite,
+  DEFAULT_INVITE_TTL_MS,
+  MAX_INVITE_TTL_MS
+};
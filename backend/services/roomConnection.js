@@ -2,17 +2,122 @@
 // Handles cross-room interactions, mood blending, and competitive music experiences
 
 const { fuseMoods, vectorToMoodLabel } = require('../utils/moodFusion');
-const RoomMemory = require('../models/RoomMemory');
+const { BattleStore } = require('./battleStore');
+const { getTrackRecommender, toQueueTrack } = require('./trackRecommender');
+const Room = require('../models/Room');
+const { isDBConnected } = require('../database');
+
+// Points each audience vote gives the track playing in its slot
+const VOTE_WEIGHTS = { fire: 3, up: 1, down: -1 };
+
+// Error codes for rejected votes; the message is safe to show to the voter
+const VOTE_ERRORS = {
+  INVALID_VOTE: 'INVALID_VOTE',
+  BATTLE_NOT_ACTIVE: 'BATTLE_NOT_ACTIVE',
+  SLOT_CLOSED: 'SLOT_CLOSED',
+  NOT_A_PARTICIPANT: 'NOT_A_PARTICIPANT',
+  ALREADY_VOTED: 'ALREADY_VOTED'
+};
+
+const voteError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
 
 class RoomConnectionManager {
-  constructor(io) {
+  constructor(io, { store = new BattleStore(), recommender = getTrackRecommender() } = {}) {
     this.io = io;
+    this.store = store; // persists connections, battles and votes; see rehydrate()
+    this.recommender = recommender; // mood-matched tracks for blended and fallback playlists
     this.connectedRooms = new Map(); // roomId -> connectedRoomId
     this.sharedRooms = new Map(); // sharedRoomId -> { roomA, roomB, participants, playlist }
     this.djBattles = new Map(); // battleId -> battle data
     this.crossfadeManager = new CrossfadeManager();
   }
 
+  // Restore the connections and battles that were live when the process stopped.
+  // Expired connections are closed; battles resume from the slot that was playing.
+  async rehydrate() {
+    const { sharedRooms, battles } = await this.store.loadLiveSessions();
+    let restoredRooms = 0;
+    let resumedBattles = 0;
+
+    for (const doc of sharedRooms) {
+      const sharedRoom = {
+        id: doc.sharedRoomId,
+        roomA: doc.roomA,
+        roomB: doc.roomB,
+        participants: doc.participants || { roomA: [], roomB: [], all: [] },
+        createdAt: new Date(doc.createdAt),
+        initiatedBy: doc.initiatedBy,
+        status: 'connected',
+        options: doc.options || {},
+        blendedMood: doc.blendedMood,
+        playlist: doc.playlist || []
+      };
+
+      const elapsed = Date.now() - sharedRoom.createdAt.getTime();
+      if (elapsed > (sharedRoom.options.duration || 1800000)) {
+        await this.store.updateSharedRoomStatus(sharedRoom.id, 'disconnected');
+        continue;
+      }
+
+      this.connectedRooms.set(sharedRoom.roomA, sharedRoom.roomB);
+      this.connectedRooms.set(sharedRoom.roomB, sharedRoom.roomA);
+      this.sharedRooms.set(sharedRoom.id, sharedRoom);
+      this.startSharedSession(sharedRoom.id);
+      restoredRooms++;
+    }
+
+    for (const doc of battles) {
+      const battle = {
+        id: doc.battleId,
+        sharedRoomId: doc.sharedRoomId,
+        roomA: doc.roomA,
+        roomB: doc.roomB,
+        initiatedBy: doc.initiatedBy,
+        status: doc.status,
+        duration: doc.duration,
+        createdAt: new Date(doc.createdAt),
+        tracks: doc.tracks || { roomA: [], roomB: [] },
+        schedule: doc.schedule || [],
+        currentSlot: doc.currentSlot || 0,
+        currentTrack: null,
+        stats: { moodShifts: [], engagementA: 0, engagementB: 0, winner: null, ...doc.stats },
+        slotVotes: [],
+        timeline: []
+      };
+
+      // A battle can't outlive its connection
+      if (!this.sharedRooms.has(battle.sharedRoomId)) {
+        battle.status = 'interrupted';
+        await this.store.updateBattleProgress(battle);
+        continue;
+      }
+
+      // Votes are the source of truth for the tallies
+      const votes = await this.store.loadVotes(battle.id);
+      votes.forEach(vote => this.addVoteToTally(battle, vote));
+
+      this.djBattles.set(battle.id, battle);
+      this.executeDjBattle(battle.id);
+      resumedBattles++;
+    }
+
+    if (restoredRooms > 0 || resumedBattles > 0) {
+      console.log(`Restored ${restoredRooms} room connection(s) and ${resumedBattles} DJ battle(s)`);
+    }
+
+    return { restoredRooms, resumedBattles };
+  }
+
+  // The live shared room a room belongs to, if any
+  getSharedRoomFor(roomId) {
+    return Array.from(this.sharedRooms.values())
+      .find(room => room.roomA === roomId || room.roomB === roomId) || null;
+  }
+
   // Connect two rooms into a temporary shared space
   async connectRooms(roomA, roomB, initiatorUserId, options = {}) {
     try {
@@ -64,6 +169,7 @@ class RoomConnectionManager {
       this.connectedRooms.set(roomA, roomB);
       this.connectedRooms.set(roomB, roomA);
       this.sharedRooms.set(sharedRoomId, connectionData);
+      await this.store.saveSharedRoom(connectionData);
 
       // Join participants to shared room
       await this.joinParticipantsToSharedRoom(sharedRoomId, connectionData);
@@ -89,6 +195,7 @@ class RoomConnectionManager {
 
       // Start shared session
       connectionData.status = 'connected';
+      await this.store.updateSharedRoomStatus(sharedRoomId, 'connected');
       this.startSharedSession(sharedRoomId);
 
       return {
@@ -220,6 +327,7 @@ class RoomConnectionManager {
         sharedRoomId,
         roomA: sharedRoom.roomA,
         roomB: sharedRoom.roomB,
+        initiatedBy: options.initiatedBy,
         status: 'starting',
         duration: options.duration || 90000, // 90 seconds
         createdAt: new Date(),
@@ -233,6 +341,8 @@ class RoomConnectionManager {
           engagementB: 0,
           winner: null
         },
+        slotVotes: [], // per-slot vote tallies, indexed like schedule
+        currentSlot: 0,
         currentTrack: null,
         timeline: []
       };
@@ -250,6 +360,7 @@ class RoomConnectionManager {
 
       // Store battle
       this.djBattles.set(battleId, battle);
+      await this.store.saveBattle(battle);
 
       // Notify participants
       this.io.to(sharedRoomId).emit('dj-battle-starting', {
@@ -277,36 +388,42 @@ class RoomConnectionManager {
     }
   }
 
-  // Execute the DJ battle with crossfading
+  // Execute the DJ battle with crossfading, from battle.currentSlot (non-zero when resumed)
   async executeDjBattle(battleId) {
+    let battle;
     try {
-      const battle = this.djBattles.get(battleId);
+      battle = this.djBattles.get(battleId);
       if (!battle) return;
 
       battle.status = 'active';
       const sharedRoomId = battle.sharedRoomId;
-      let currentTime = 0;
-      let trackIndex = 0;
+      const firstSlot = battle.currentSlot || 0;
+      let currentTime = battle.schedule.slice(0, firstSlot).reduce((sum, slot) => sum + slot.duration, 0);
 
       // Start battle
       this.io.to(sharedRoomId).emit('dj-battle-started', {
         battleId,
-        message: '🚀 DJ Battle is LIVE!'
+        message: firstSlot > 0 ? '🔁 DJ Battle resumed!' : '🚀 DJ Battle is LIVE!'
       });
 
-      // Execute each track in the schedule
-      for (const slot of battle.schedule) {
+      // Execute each track in the schedule; a resumed battle replays the interrupted slot
+      for (let slotIndex = firstSlot; slotIndex < battle.schedule.length; slotIndex++) {
+        const slot = battle.schedule[slotIndex];
         const track = slot.track;
         const room = slot.room;
         const duration = slot.duration;
 
-        // Update current track
+        // Update current track; votes for this slot are accepted until slotEndsAt
+        battle.currentSlot = slotIndex;
         battle.currentTrack = { ...track, room, startTime: Date.now() };
+        battle.slotEndsAt = Date.now() + duration;
 
         // Emit track change with crossfade instructions
         this.io.to(sharedRoomId).emit('dj-battle-track-change', {
           battleId,
+          slotIndex,
           track: {
+            id: track.id,
             name: track.name,
             artist: track.artists?.[0]?.name || 'Unknown',
             room,
@@ -328,6 +445,7 @@ class RoomConnectionManager {
         // Capture mood at track start
         const moodCapture = await this.captureBattleMood(sharedRoomId, track, room);
         battle.stats.moodShifts.push(moodCapture);
+        await this.store.updateBattleProgress(battle);
 
         // Wait for track duration
         await this.sleep(duration);
@@ -335,8 +453,6 @@ class RoomConnectionManager {
 
         // Update engagement stats
         this.updateBattleEngagement(battle, room, track);
-
-        trackIndex++;
       }
 
       // Battle finished
@@ -359,6 +475,7 @@ class RoomConnectionManager {
 
       battle.status = 'finished';
       battle.finishedAt = new Date();
+      battle.slotEndsAt = null;
 
       // Calculate battle statistics
       const stats = this.calculateBattleStats(battle);
@@ -370,13 +487,17 @@ class RoomConnectionManager {
 
       // Calculate mood movement
       const moodMovement = this.calculateMoodMovement(battle.stats.moodShifts);
+      battle.stats.moodMovement = moodMovement;
 
       // Emit battle results
       this.io.to(battle.sharedRoomId).emit('dj-battle-finished', {
         battleId,
         duration: battle.duration,
         winner: winner.room,
+        decidedBy: winner.decidedBy,
         stats: {
+          votes: winner.votes,
+          slotVotes: this.getSlotTallies(battle),
           engagementA: battle.stats.engagementA,
           engagementB: battle.stats.engagementB,
           moodMovement: moodMovement,
@@ -387,22 +508,27 @@ class RoomConnectionManager {
         summary: {
           roomA: {
             name: battle.roomA,
+            votes: winner.votes.roomA,
             engagement: battle.stats.engagementA,
             moodInfluence: moodMovement.roomAInfluence,
             topTrack: this.getTopTrack(battle.tracks.roomA)
           },
           roomB: {
             name: battle.roomB,
+            votes: winner.votes.roomB,
             engagement: battle.stats.engagementB,
             moodInfluence: moodMovement.roomBInfluence,
             topTrack: this.getTopTrack(battle.tracks.roomB)
           }
         },
-        message: `🏆 Battle complete! ${winner.room} wins with ${winner.score.toFixed(1)} engagement score!`
+        message: winner.decidedBy === 'votes'
+          ? `🏆 Battle complete! ${winner.room} wins with ${winner.score} vote points!`
+          : `🏆 Battle complete! ${winner.room} wins with ${winner.score.toFixed(1)} engagement score!`
       });
 
       // Save battle results
       await this.saveBattleResults(battle);
+      battle.currentTrack = null;
 
       // Clean up
       setTimeout(() => {
@@ -415,13 +541,24 @@ class RoomConnectionManager {
   }
 
   // Utility methods
+  // Online participants and queued tracks of a room; null when the room does not exist.
+  // Without MongoDB the room is treated as empty.
   async getRoomData(roomId) {
-    // In a real implementation, this would query your room database
-    // For now, return mock data or interface with your existing room system
+    if (!isDBConnected()) {
+      return { id: roomId, participants: [], playlist: [], currentMood: null };
+    }
+
+    const room = await Room.findByRoomId(roomId).select('participants playlistQueue').lean();
+    if (!room) {
+      return null;
+    }
+
     return {
       id: roomId,
-      participants: [], // Get from your room system
-      playlist: [], // Get from your room system
+      participants: room.participants
+        .filter(p => p.isOnline)
+        .map(p => ({ userId: p.userId, displayName: p.displayName, mood: p.mood })),
+      playlist: room.playlistQueue?.tracks || [],
       currentMood: null
     };
   }
@@ -454,16 +591,10 @@ class RoomConnectionManager {
     return result;
   }
 
+  // Catalog tracks closest to the blended mood, as queue tracks
   async findMoodMatchedTracks(fusedMood, count) {
-    // Interface with your Spotify/music service
-    // For now, return mock tracks
-    return Array.from({ length: count }, (_, i) => ({
-      id: `mood_track_${i}`,
-      name: `Mood Track ${i + 1}`,
-      artists: [{ name: 'AI Generated' }],
-      source: 'mood-matched',
-      moodScore: Math.random()
-    }));
+    const tracks = await this.recommender.recommend(fusedMood.vector || { valence: 0, arousal: 0 }, { count });
+    return tracks.map(track => toQueueTrack(track, 'mood-matched'));
   }
 
   createBattleRotation(tracks, totalDuration) {
@@ -528,13 +659,25 @@ class RoomConnectionManager {
     };
   }
 
+  // Vote points from the per-slot tallies decide the battle; engagement only breaks a tie
   determineBattleWinner(battle) {
+    const votes = { roomA: 0, roomB: 0 };
+    (battle.slotVotes || []).filter(Boolean).forEach(tally => {
+      votes[tally.room === 'A' ? 'roomA' : 'roomB'] += tally.score;
+    });
+
+    if (votes.roomA !== votes.roomB) {
+      return votes.roomA > votes.roomB
+        ? { room: battle.roomA, score: votes.roomA, votes, decidedBy: 'votes' }
+        : { room: battle.roomB, score: votes.roomB, votes, decidedBy: 'votes' };
+    }
+
     const scoreA = battle.stats.engagementA;
     const scoreB = battle.stats.engagementB;
     
     return scoreA > scoreB 
-      ? { room: battle.roomA, score: scoreA }
-      : { room: battle.roomB, score: scoreB };
+      ? { room: battle.roomA, score: scoreA, votes, decidedBy: 'engagement' }
+      : { room: battle.roomB, score: scoreB, votes, decidedBy: 'engagement' };
   }
 
   calculateMoodMovement(moodShifts) {
@@ -645,6 +788,7 @@ class RoomConnectionManager {
     this.connectedRooms.delete(sharedRoom.roomA);
     this.connectedRooms.delete(sharedRoom.roomB);
     this.sharedRooms.delete(sharedRoomId);
+    await this.store.updateSharedRoomStatus(sharedRoomId, 'disconnected');
 
     // Move participants back to original rooms
     this.io.in(sharedRoomId).socketsLeave(sharedRoomId);
@@ -654,15 +798,15 @@ class RoomConnectionManager {
     return new Promise(resolve => setTimeout(resolve, ms));
   }
 
+  // Mood-matched tracks alone, used when blending the rooms' playlists fails
   async getFallbackPlaylist(mood) {
-    return [
-      {
-        id: 'fallback_1',
-        name: 'Fallback Track 1',
-        artists: [{ name: 'System' }],
-        source: 'fallback'
-      }
-    ];
+    try {
+      const tracks = await this.recommender.recommend(mood?.vector || { valence: 0, arousal: 0 }, { count: 15 });
+      return tracks.map(track => toQueueTrack(track, 'fallback'));
+    } catch (error) {
+      console.error('Fallback playlist failed:', error);
+      return [];
+    }
   }
 
   calculateMoodVariance(moodShifts) {
@@ -688,25 +832,141 @@ class RoomConnectionManager {
     , tracks[0] || { name: 'None' });
   }
 
+  // Persist the final result; history and results endpoints read it after the battle leaves memory
   async saveBattleResults(battle) {
-    // Save to database for analytics
-    try {
-      await RoomMemory.create({
-        roomId: battle.sharedRoomId,
-        type: 'dj_battle',
-        data: {
-          battleId: battle.id,
-          roomA: battle.roomA,
-          roomB: battle.roomB,
-          winner: battle.stats.winner,
-          duration: battle.duration,
-          stats: battle.stats
-        },
-        timestamp: battle.finishedAt
-      });
-    } catch (error) {
-      console.error('Failed to save battle results:', error);
+    const { room, score, decidedBy, votes } = battle.stats.winner;
+    await this.store.saveBattleResult(battle, {
+      winner: { room, score, decidedBy },
+      votes,
+      slotVotes: this.getSlotTallies(battle),
+      engagementA: battle.stats.engagementA,
+      engagementB: battle.stats.engagementB,
+      moodMovement: battle.stats.moodMovement,
+      trackCount: battle.tracks.roomA.length + battle.tracks.roomB.length
+    });
+  }
+
+  // Accept one vote per user for the slot that is playing right now.
+  // The voter's side comes from room membership, the points go to the slot's room.
+  async castBattleVote(battleId, { userId, slotIndex, trackId, vote, currentRoomId }) {
+    if (!userId || !VOTE_WEIGHTS.hasOwnProperty(vote)) {
+      throw voteError(VOTE_ERRORS.INVALID_VOTE, 'Vote must be fire, up or down');
+    }
+
+    const battle = this.djBattles.get(battleId);
+    const slot = this.getVotableSlot(battle, slotIndex, trackId);
+    const voterSide = await this.resolveVoterSide(battle, userId, currentRoomId);
+
+    // Re-check after the membership lookup: the slot may have ended or a duplicate slipped in
+    if (this.getVotableSlot(battle, slotIndex, trackId).index !== slot.index) {
+      throw voteError(VOTE_ERRORS.SLOT_CLOSED, 'Voting for this track has closed');
+    }
+    if (battle.slotVotes[slot.index]?.voters[userId]) {
+      throw voteError(VOTE_ERRORS.ALREADY_VOTED, 'You already voted for this track');
+    }
+
+    const record = {
+      battleId,
+      userId,
+      voterSide,
+      room: slot.room,
+      trackId: slot.track?.id,
+      slotIndex: slot.index,
+      vote,
+      weight: VOTE_WEIGHTS[vote],
+      timestamp: new Date()
+    };
+    const tally = this.addVoteToTally(battle, record);
+    await this.store.recordVote(record);
+
+    return { battle, tally, vote: record };
+  }
+
+  // The schedule slot a vote targets, provided it is the one playing
+  getVotableSlot(battle, slotIndex, trackId) {
+    if (!battle || battle.status !== 'active' || !battle.slotEndsAt) {
+      throw voteError(VOTE_ERRORS.BATTLE_NOT_ACTIVE, 'This battle is not running');
+    }
+
+    const index = battle.currentSlot;
+    const slot = battle.schedule[index];
+    const targetsCurrent = slotIndex !== undefined && slotIndex !== null
+      ? Number(slotIndex) === index
+      : trackId !== undefined && trackId === slot.track?.id;
+
+    if (!targetsCurrent || Date.now() >= battle.slotEndsAt) {
+      throw voteError(VOTE_ERRORS.SLOT_CLOSED, 'Voting for this track has closed');
+    }
+
+    return { index, room: slot.room, track: slot.track };
+  }
+
+  // 'A' or 'B' from the voter's membership of the battling rooms.
+  // Someone in both rooms votes for the side their socket is in.
+  async resolveVoterSide(battle, userId, currentRoomId) {
+    const sharedRoom = this.sharedRooms.get(battle.sharedRoomId);
+    const memberOf = new Set();
+
+    const listed = (list) => (list || []).some(p => p.userId === userId);
+    if (listed(sharedRoom?.participants?.roomA)) memberOf.add(battle.roomA);
+    if (listed(sharedRoom?.participants?.roomB)) memberOf.add(battle.roomB);
+
+    if (memberOf.size === 0) {
+      (await this.findMemberRooms(userId, [battle.roomA, battle.roomB])).forEach(roomId => memberOf.add(roomId));
+    }
+
+    if (memberOf.size === 2 && [battle.roomA, battle.roomB].includes(currentRoomId)) {
+      return currentRoomId === battle.roomA ? 'A' : 'B';
+    }
+    if (memberOf.size === 1) {
+      return memberOf.has(battle.roomA) ? 'A' : 'B';
+    }
+
+    throw voteError(VOTE_ERRORS.NOT_A_PARTICIPANT, 'Only members of the battling rooms can vote');
+  }
+
+  // Rooms among roomIds where the user is currently an online participant
+  async findMemberRooms(userId, roomIds) {
+    if (!isDBConnected()) return [];
+
+    const rooms = await Room.find({
+      roomId: { $in: roomIds },
+      isActive: true,
+      participants: { $elemMatch: { userId, isOnline: true } }
+    }).select('roomId').lean();
+    return rooms.map(room => room.roomId);
+  }
+
+  addVoteToTally(battle, vote) {
+    if (!battle.slotVotes[vote.slotIndex]) {
+      battle.slotVotes[vote.slotIndex] = {
+        slotIndex: vote.slotIndex,
+        room: vote.room,
+        trackId: vote.trackId,
+        up: 0,
+        down: 0,
+        fire: 0,
+        score: 0,
+        voters: {}
+      };
     }
+
+    const tally = battle.slotVotes[vote.slotIndex];
+    if (tally.voters[vote.userId]) {
+      return tally;
+    }
+    tally.voters[vote.userId] = vote.vote;
+    tally[vote.vote] += 1;
+    tally.score += VOTE_WEIGHTS[vote.vote];
+    return tally;
+  }
+
+  // Tallies without voter identities, for broadcasting
+  getSlotTallies(battle) {
+    return (battle.slotVotes || []).filter(Boolean).map(({ voters, ...tally }) => ({
+      ...tally,
+      voterCount: Object.keys(voters).length
+    }));
   }
 }
 
@@ -752,4 +1012,4 @@ class CrossfadeManager {
   }
 }
 
-module.exports = { RoomConnectionManager, CrossfadeManager };
+module.exports = { RoomConnectionManager, CrossfadeManager, VOTE_WEIGHTS, VOTE_ERRORS };
@@ -1,14 +1,18 @@
 // Room Connection Socket Events
 // Real-time socket handling for room connections, DJ battles, and ambient matching
 
-const { RoomConnectionManager } = require('../services/roomConnection');
+const Room = require('../models/Room');
+const { RoomConnectionManager, VOTE_ERRORS } = require('../services/roomConnection');
+const { checkJoinAccess, isAccessError } = require('../services/roomAccess');
 const { AmbientMatchingService } = require('../services/ambientMatching');
+const { PlaylistQueueManager } = require('../services/playlistQueue');
 
 class RoomConnectionSocketHandler {
   constructor(io) {
     this.io = io;
     this.roomConnectionManager = new RoomConnectionManager(io);
     this.ambientMatchingService = new AmbientMatchingService(io);
+    this.playlistQueueManager = new PlaylistQueueManager();
     
     this.setupSocketHandlers();
   }
@@ -22,7 +26,13 @@ class RoomConnectionSocketHandler {
       // Join room and register for ambient matching
       socket.on('join-room', async (data) => {
         try {
-          const { roomId, userId, userInfo = {}, matchingOptions = {} } = data;
+          const { roomId, userInfo = {}, matchingOptions = {}, password, invite } = data;
+          // The verified identity wins; guests fall back to the id they announce
+          const userId = socket.isAuthenticated ? socket.user.uid : data.userId;
+
+          if (!(await this.authorizeJoin(socket, roomId, { password, invite }))) {
+            return;
+          }
           
           socket.join(roomId);
           socket.roomId = roomId;
@@ -54,6 +64,12 @@ class RoomConnectionSocketHandler {
             timestamp: new Date()
           });
 
+          // Rejoin a live connection, e.g. one restored after a server restart
+          const sharedRoom = this.roomConnectionManager.getSharedRoomFor(roomId);
+          if (sharedRoom) {
+            socket.join(sharedRoom.id);
+          }
+
           // Send current room status
           const connectionStatus = this.roomConnectionManager.connectedRooms.has(roomId);
           socket.emit('room-status', {
@@ -62,6 +78,9 @@ class RoomConnectionSocketHandler {
             connectedRoom: connectionStatus ? this.roomConnectionManager.connectedRooms.get(roomId) : null
           });
 
+          // Late joiners pick up the shared queue at the current playback position
+          socket.emit('playlist-synced', await this.playlistQueueManager.getSnapshot(roomId));
+
         } catch (error) {
           console.error('Join room failed:', error);
           socket.emit('error', { message: 'Failed to join room', error: error.message });
@@ -105,6 +124,137 @@ class RoomConnectionSocketHandler {
         }
       });
 
+      // === SHARED PLAYLIST EVENTS ===
+
+      // Add a track to the room queue
+      socket.on('add-track', async (data) => {
+        try {
+          const roomId = await this.requirePlaylistControl(socket, data);
+          if (!roomId) return;
+
+          const track = await this.playlistQueueManager.addTrack(roomId, data.track, socket.userId);
+
+          this.io.to(roomId).emit('track-added', {
+            roomId,
+            track,
+            addedBy: socket.userId
+          });
+
+        } catch (error) {
+          console.error('Add track failed:', error);
+          socket.emit('error', { message: 'Failed to add track', error: error.message });
+        }
+      });
+
+      // Remove a track from the room queue
+      socket.on('remove-track', async (data) => {
+        try {
+          const roomId = await this.requirePlaylistControl(socket, data);
+          if (!roomId) return;
+
+          const result = await this.playlistQueueManager.removeTrack(roomId, data.trackId);
+
+          this.io.to(roomId).emit('track-removed', {
+            roomId,
+            trackId: result.trackId,
+            removedBy: socket.userId
+          });
+
+          if (result.stoppedPlayback) {
+            await this.broadcastPlayback(roomId, socket.userId);
+          }
+
+        } catch (error) {
+          console.error('Remove track failed:', error);
+          socket.emit('error', { message: 'Failed to remove track', error: error.message });
+        }
+      });
+
+      // Move a track within the room queue
+      socket.on('reorder-track', async (data) => {
+        try {
+          const roomId = await this.requirePlaylistControl(socket, data);
+          if (!roomId) return;
+
+          await this.playlistQueueManager.reorderTrack(roomId, data.trackId, data.toIndex);
+
+          this.io.to(roomId).emit('playlist-synced', await this.playlistQueueManager.getSnapshot(roomId));
+
+        } catch (error) {
+          console.error('Reorder track failed:', error);
+          socket.emit('error', { message: 'Failed to reorder track', error: error.message });
+        }
+      });
+
+      // Play or pause the shared queue
+      socket.on('playback-change', async (data) => {
+        try {
+          const roomId = await this.requirePlaylistControl(socket, data);
+          if (!roomId) return;
+
+          const { track, isPlaying, position } = data;
+
+          if (isPlaying) {
+            await this.playlistQueueManager.play(roomId, track?.id, position);
+          } else {
+            await this.playlistQueueManager.pause(roomId);
+          }
+
+          await this.broadcastPlayback(roomId, socket.userId);
+
+        } catch (error) {
+          console.error('Playback change failed:', error);
+          socket.emit('error', { message: 'Failed to change playback', error: error.message });
+        }
+      });
+
+      // Seek within the current track
+      socket.on('seek-track', async (data) => {
+        try {
+          const roomId = await this.requirePlaylistControl(socket, data);
+          if (!roomId) return;
+
+          await this.playlistQueueManager.seek(roomId, data.position);
+          await this.broadcastPlayback(roomId, socket.userId);
+
+        } catch (error) {
+          console.error('Seek failed:', error);
+          socket.emit('error', { message: 'Failed to seek', error: error.message });
+        }
+      });
+
+      // Advance to the next track when the current one ends
+      socket.on('next-track', async (data) => {
+        try {
+          const roomId = await this.requirePlaylistControl(socket, data);
+          if (!roomId) return;
+
+          const { advanced } = await this.playlistQueueManager.nextTrack(roomId, data?.fromTrackId);
+
+          if (advanced) {
+            await this.broadcastPlayback(roomId, socket.userId);
+          }
+
+        } catch (error) {
+          console.error('Next track failed:', error);
+          socket.emit('error', { message: 'Failed to skip track', error: error.message });
+        }
+      });
+
+      // Resend the full queue state to one client
+      socket.on('request-playlist-sync', async (data) => {
+        try {
+          const roomId = this.requirePlaylistRoom(socket, data);
+          if (!roomId) return;
+
+          socket.emit('playlist-synced', await this.playlistQueueManager.getSnapshot(roomId));
+
+        } catch (error) {
+          console.error('Playlist sync failed:', error);
+          socket.emit('error', { message: 'Failed to sync playlist', error: error.message });
+        }
+      });
+
       // === DJ BATTLE EVENTS ===
 
       // Start DJ battle
@@ -138,41 +288,51 @@ class RoomConnectionSocketHandler {
         }
       });
 
-      // DJ battle track vote
-      socket.on('dj-battle-vote', async (data) => {
+      // DJ battle track vote - one per signed-in member per slot, for the slot that is playing
+      socket.on('dj-battle-vote', async (data = {}) => {
+        const { battleId, slotIndex, trackId, vote } = data; // vote: 'up', 'down', 'fire'
+
         try {
-          const { battleId, trackId, room, vote } = data; // vote: 'up', 'down', 'fire'
-          
-          if (!battleId || !trackId || !room || !vote) {
+          if (!socket.isAuthenticated) {
+            socket.emit('dj-battle-vote-rejected', { battleId, code: VOTE_ERRORS.NOT_A_PARTICIPANT, reason: 'Sign in to vote' });
+            return;
+          }
+
+          if (!battleId || !vote) {
             socket.emit('error', { message: 'Missing vote data' });
             return;
           }
 
-          // Process vote (update engagement metrics)
-          const battle = this.roomConnectionManager.djBattles.get(battleId);
-          if (battle && battle.status === 'active') {
-            const voteWeight = this.getVoteWeight(vote);
-            
-            if (room === 'A') {
-              battle.stats.engagementA += voteWeight;
-            } else {
-              battle.stats.engagementB += voteWeight;
-            }
+          const { battle, tally, vote: accepted } = await this.roomConnectionManager.castBattleVote(battleId, {
+            userId: socket.user.uid,
+            slotIndex,
+            trackId,
+            vote,
+            currentRoomId: socket.roomId
+          });
 
-            // Broadcast vote to all battle participants
-            this.io.to(battle.sharedRoomId).emit('dj-battle-vote-received', {
-              battleId,
-              room,
-              vote,
-              userId: socket.userId,
-              currentEngagement: {
-                roomA: battle.stats.engagementA,
-                roomB: battle.stats.engagementB
-              }
-            });
-          }
+          // Broadcast vote to all battle participants
+          const winner = this.roomConnectionManager.determineBattleWinner(battle);
+          this.io.to(battle.sharedRoomId).emit('dj-battle-vote-received', {
+            battleId,
+            slotIndex: accepted.slotIndex,
+            room: accepted.room,
+            voterSide: accepted.voterSide,
+            vote,
+            userId: accepted.userId,
+            slotTally: this.roomConnectionManager.getSlotTallies(battle).find(t => t.slotIndex === tally.slotIndex),
+            currentVotes: winner.votes,
+            currentEngagement: {
+              roomA: battle.stats.engagementA,
+              roomB: battle.stats.engagementB
+            }
+          });
 
         } catch (error) {
+          if (Object.values(VOTE_ERRORS).includes(error.code)) {
+            socket.emit('dj-battle-vote-rejected', { battleId, slotIndex, code: error.code, reason: error.message });
+            return;
+          }
           console.error('DJ battle vote failed:', error);
           socket.emit('error', { message: 'Vote processing failed' });
         }
@@ -486,13 +646,86 @@ class RoomConnectionSocketHandler {
   }
 
   // Utility methods
-  getVoteWeight(vote) {
-    switch (vote) {
-      case 'fire': return 3;
-      case 'up': return 1;
-      case 'down': return -1;
-      default: return 0;
+
+  // The checks joinRoom makes: bans first, then private-room access. Guests have no identity to
+  // check, so they only get into rooms that are not private. Resolves to the room, or null once
+  // the refusal has been sent.
+  async authorizeJoin(socket, roomId, credentials) {
+    const room = roomId ? await Room.findByRoomId(roomId) : null;
+    if (!room) {
+      socket.emit('error', { message: 'Room not found' });
+      return null;
+    }
+
+    const uid = socket.isAuthenticated ? socket.user.uid : null;
+    if (uid && room.getActiveBan(uid)) {
+      socket.emit('error', { message: 'You are banned from this room' });
+      return null;
+    }
+    if (!uid && room.visibility === 'private') {
+      socket.emit('error', { message: 'Authentication required to join private rooms' });
+      return null;
+    }
+
+    try {
+      await checkJoinAccess(room, uid, credentials);
+    } catch (error) {
+      if (isAccessError(error)) {
+        socket.emit('error', { message: error.message, code: error.code, roomId });
+        return null;
+      }
+      throw error;
     }
+    return room;
+  }
+
+  // Playlist events act on the room the socket joined, never an arbitrary roomId
+  requirePlaylistRoom(socket, data = {}) {
+    const roomId = socket.roomId;
+
+    if (!roomId) {
+      socket.emit('error', { message: 'Must be in a room to manage the playlist' });
+      return null;
+    }
+
+    if (data?.roomId && data.roomId !== roomId) {
+      socket.emit('error', { message: 'Not a member of that room' });
+      return null;
+    }
+
+    return roomId;
+  }
+
+  // Changing the queue takes a signed-in, online participant of the room who is not banned
+  async requirePlaylistControl(socket, data = {}) {
+    const roomId = this.requirePlaylistRoom(socket, data);
+    if (!roomId) {
+      return null;
+    }
+
+    if (!socket.isAuthenticated) {
+      socket.emit('error', { message: 'Sign in to manage the playlist' });
+      return null;
+    }
+
+    const room = await Room.findByRoomId(roomId);
+    const participant = room?.participants.find(p => p.userId === socket.user.uid);
+    if (!participant?.isOnline || room.getActiveBan(socket.user.uid)) {
+      socket.emit('error', { message: 'Only participants in the room can manage the playlist' });
+      return null;
+    }
+
+    return roomId;
+  }
+
+  async broadcastPlayback(roomId, changedBy) {
+    const queue = await this.playlistQueueManager.getQueue(roomId);
+
+    this.io.to(roomId).emit('playback-changed', {
+      roomId,
+      ...this.playlistQueueManager.getPlaybackState(queue),
+      changedBy
+    });
   }
 
   calculateEngagementValue(type, value) {
@@ -525,6 +758,10 @@ class RoomConnectionSocketHandler {
   getAmbientMatchingService() {
     return this.ambientMatchingService;
   }
+
+  getPlaylistQueueManager() {
+    return this.playlistQueueManager;
+  }
 }
 
 module.exports = { RoomConnectionSocketHandler };
@@ -0,0 +1,149 @@
+// Room Memory Service - builds and saves RoomMemory snapshots of a room's current state
+// Shared by the manual memory endpoint and the automatic mood-triggered watcher
+
+const RoomMemory = require('../models/RoomMemory');
+const { fuseMoods, getParticipantMoodInputs } = require('../utils/moodFusion');
+const { analyzeChatSentiment } = require('./chatSentiment');
+const { getTrackRecommender } = require('./trackRecommender');
+
+// Tracks in a memory's playlist
+const MEMORY_PLAYLIST_LENGTH = 10;
+
+// Playlist of catalog tracks closest to the fused mood
+async function generateMoodPlaylist(fusedMood, { recommender = getTrackRecommender(), count = MEMORY_PLAYLIST_LENGTH } = {}) {
+  return recommender.buildPlaylist(fusedMood, { count });
+}
+
+// Analyze recent chat messages for sentiment
+function analyzeChatSnippet(messages) {
+  if (!messages || messages.length === 0) {
+    return {
+      messages: [],
+      participantCount: 0,
+      dominantMoods: ['neutral'],
+      avgSentiment: 0.5
+    };
+  }
+  
+  const recentMessages = messages.slice(-10); // Last 10 messages
+  const moodCounts = {};
+  let totalSentiment = 0;
+  
+  recentMessages.forEach(msg => {
+    // Messages scored when sent carry their valence; older ones are scored now
+    const text = msg.message || msg.text || '';
+    const valence = typeof msg.valence === 'number' ? msg.valence : analyzeChatSentiment(text).valence;
+    const sentiment = (valence + 1) / 2; // 0 negative .. 1 positive
+    
+    totalSentiment += sentiment;
+    
+    // Count moods if available
+    if (msg.mood) {
+      moodCounts[msg.mood] = (moodCounts[msg.mood] || 0) + 1;
+    }
+  });
+  
+  const dominantMoods = Object.entries(moodCounts)
+    .sort(([,a], [,b]) => b - a)
+    .slice(0, 3)
+    .map(([mood]) => mood);
+  
+  const uniqueParticipants = new Set(recentMessages.map(msg => msg.userId)).size;
+  
+  return {
+    messages: recentMessages.map(msg => ({
+      userId: msg.userId,
+      displayName: msg.displayName,
+      text: msg.message || msg.text,
+      timestamp: msg.timestamp,
+      mood: msg.mood || 'neutral'
+    })),
+    participantCount: uniqueParticipants,
+    dominantMoods: dominantMoods.length > 0 ? dominantMoods : ['neutral'],
+    avgSentiment: Math.round((totalSentiment / recentMessages.length) * 100) / 100
+  };
+}
+
+// Participants whose mood feeds the snapshot. Session-end captures happen after everyone
+// has left, so they fall back to the last known moods of the whole session.
+function getMoodParticipants(room, includeOffline) {
+  return room.participants.filter(p => (p.mood || p.chatMood?.mood) && (includeOffline || p.isOnline));
+}
+
+// Fuse the participants' moods and save a RoomMemory.
+// Returns null when nobody has a mood to snapshot.
+async function captureRoomMemory(room, { trigger = 'manual', createdBy = null, tags = [], includeOffline = false, recommender } = {}) {
+  const participants = getMoodParticipants(room, includeOffline);
+
+  // Collect mood inputs from current participants, including what their chat suggests
+  const moodInputs = participants.flatMap(p => getParticipantMoodInputs(p));
+
+  if (moodInputs.length === 0) {
+    return null;
+  }
+
+  // Fuse moods using MoodFusion
+  const fusedMood = fuseMoods(moodInputs);
+
+  // Generate playlist based on fused mood
+  const playlist = await generateMoodPlaylist(fusedMood, { recommender });
+
+  // Analyze recent chat messages
+  const chatSnippet = analyzeChatSnippet(await room.getRecentMessages(10));
+
+  // Create memory document
+  const memory = new RoomMemory({
+    roomId: room.roomId,
+    moodVector: fusedMood.vector,
+    fusedMood: {
+      label: fusedMood.label,
+      confidence: fusedMood.confidence,
+      source: fusedMood.source,
+      contributingMoods: fusedMood.contributingMoods || []
+    },
+    playlist,
+    chatSnippet,
+    participants: room.participants.map(p => ({
+      userId: p.userId,
+      displayName: p.displayName,
+      mood: p.mood || 'neutral',
+      moodSource: p.moodSource || 'manual',
+      confidence: p.confidence || 1.0
+    })),
+    metadata: {
+      createdBy,
+      trigger,
+      roomName: room.name,
+      tags,
+      isPublic: false // Default to private
+    }
+  });
+
+  await memory.save();
+  return memory;
+}
+
+// Compact view used in API responses and socket events
+function summarizeMemory(memory) {
+  return {
+    memoryId: memory.memoryId,
+    timestamp: memory.timestamp,
+    moodVector: memory.moodVector,
+    fusedMood: memory.fusedMood,
+    playlist: {
+      title: memory.playlist.title,
+      trackCount: memory.playlist.tracks.length,
+      duration: memory.playlist.totalDuration
+    },
+    participantCount: memory.participants.length,
+    trigger: memory.metadata.trigger,
+    tags: memory.metadata.tags
+  };
+}
+
+module.exports = {
+  captureRoomMemory,
+  summarizeMemory,
+  generateMoodPlaylist,
+  analyzeChatSnippet
+};
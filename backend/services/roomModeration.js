@@ -0,0 +1,211 @@
+// Room Moderation Service - kick, mute, ban, role changes and ownership transfer
+// Shared by the socket handlers and the REST routes so both enforce the same rules.
+// Every action is announced to the room as a system message.
+
+const Room = require('../models/Room');
+const { v4: uuidv4 } = require('uuid');
+
+const MODERATION_ACTIONS = {
+  KICK: 'kick',
+  MUTE: 'mute',
+  UNMUTE: 'unmute',
+  BAN: 'ban',
+  UNBAN: 'unban',
+  SET_ROLE: 'set_role',
+  TRANSFER_OWNERSHIP: 'transfer_ownership'
+};
+
+// Error codes for refused actions; the message is safe to show to the moderator
+const MODERATION_ERRORS = {
+  INVALID_REQUEST: 'INVALID_REQUEST',
+  ROOM_NOT_FOUND: 'ROOM_NOT_FOUND',
+  NOT_ALLOWED: 'NOT_ALLOWED',
+  INVALID_TARGET: 'INVALID_TARGET'
+};
+
+// An actor may only act on participants ranked below them
+const ROLE_RANK = { owner: 3, moderator: 2, member: 1 };
+
+const OWNER_ONLY_ACTIONS = [MODERATION_ACTIONS.SET_ROLE, MODERATION_ACTIONS.TRANSFER_OWNERSHIP];
+
+// Roles that set_role may hand out; ownership only moves through transfer_ownership
+const ASSIGNABLE_ROLES = ['moderator', 'member'];
+
+const moderationError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+const isModerationError = (error) => Object.values(MODERATION_ERRORS).includes(error?.code);
+
+const formatDuration = (ms) => {
+  const minutes = Math.round(ms / 60000);
+  if (minutes < 60) return `${Math.max(1, minutes)} minute${minutes === 1 ? '' : 's'}`;
+  const hours = Math.round(minutes / 60);
+  return `${hours} hour${hours === 1 ? '' : 's'}`;
+};
+
+// Optional durations arrive in milliseconds; none means until lifted
+const parseDuration = (duration) => {
+  if (duration === undefined || duration === null) return null;
+  const ms = Number(duration);
+  if (!Number.isFinite(ms) || ms <= 0) {
+    throw moderationError(MODERATION_ERRORS.INVALID_REQUEST, 'duration must be a positive number of milliseconds');
+  }
+  return ms;
+};
+
+class RoomModerationService {
+  constructor(io, { findRoom = (roomId) => Room.findByRoomId(roomId) } = {}) {
+    this.io = io;
+    this.findRoom = findRoom;
+  }
+
+  // actor is the authenticated user ({ uid, displayName }); resolves to a summary of what changed
+  async moderate(roomId, actor, action, { targetUserId, duration, reason = '', role } = {}) {
+    if (!Object.values(MODERATION_ACTIONS).includes(action)) {
+      throw moderationError(MODERATION_ERRORS.INVALID_REQUEST, `Unknown moderation action: ${action}`);
+    }
+    if (!targetUserId) {
+      throw moderationError(MODERATION_ERRORS.INVALID_REQUEST, 'A target user is required');
+    }
+    if (targetUserId === actor.uid) {
+      throw moderationError(MODERATION_ERRORS.INVALID_TARGET, 'You cannot moderate yourself');
+    }
+
+    const durationMs = parseDuration(duration);
+    const room = await this.findRoom(roomId);
+    if (!room) {
+      throw moderationError(MODERATION_ERRORS.ROOM_NOT_FOUND, 'Room not found');
+    }
+
+    this.checkPermission(room, actor.uid, targetUserId, action);
+
+    // Bans may target someone who has not joined yet; everything else needs a participant
+    const target = room.participants.find(p => p.userId === targetUserId);
+    if (!target && ![MODERATION_ACTIONS.BAN, MODERATION_ACTIONS.UNBAN].includes(action)) {
+      throw moderationError(MODERATION_ERRORS.INVALID_TARGET, 'That user is not in this room');
+    }
+
+    const targetName = target?.displayName || 'A user';
+    const actorName = actor.displayName || 'A moderator';
+    const until = durationMs ? new Date(Date.now() + durationMs) : null;
+    const result = { roomId: room.roomId, action, targetUserId, by: actor.uid };
+    let text;
+
+    switch (action) {
+      case MODERATION_ACTIONS.KICK:
+        await room.kickParticipant(targetUserId);
+        await this.removeFromRoom(room.roomId, targetUserId, { action, reason, by: actor.uid });
+        text = `${targetName} was removed from the room by ${actorName}`;
+        break;
+
+      case MODERATION_ACTIONS.MUTE:
+        await room.muteParticipant(targetUserId, until);
+        result.mutedUntil = until;
+        text = `${targetName} was muted by ${actorName}${durationMs ? ` for ${formatDuration(durationMs)}` : ''}`;
+        break;
+
+      case MODERATION_ACTIONS.UNMUTE:
+        await room.unmuteParticipant(targetUserId);
+        text = `${targetName} can chat again`;
+        break;
+
+      case MODERATION_ACTIONS.BAN:
+        await room.banUser(targetUserId, { bannedBy: actor.uid, reason, expiresAt: until });
+        await this.removeFromRoom(room.roomId, targetUserId, { action, reason, by: actor.uid, expiresAt: until });
+        result.expiresAt = until;
+        text = `${targetName} was banned by ${actorName}${durationMs ? ` for ${formatDuration(durationMs)}` : ''}`;
+        break;
+
+      case MODERATION_ACTIONS.UNBAN:
+        if (!room.getActiveBan(targetUserId)) {
+          throw moderationError(MODERATION_ERRORS.INVALID_TARGET, 'That user is not banned');
+        }
+        await room.unbanUser(targetUserId);
+        text = `${targetName} was unbanned by ${actorName}`;
+        break;
+
+      case MODERATION_ACTIONS.SET_ROLE:
+        if (!ASSIGNABLE_ROLES.includes(role)) {
+          throw moderationError(MODERATION_ERRORS.INVALID_REQUEST, `role must be one of: ${ASSIGNABLE_ROLES.join(', ')}`);
+        }
+        await room.setParticipantRole(targetUserId, role);
+        result.role = role;
+        text = role === 'moderator' ? `${targetName} is now a moderator` : `${targetName} is no longer a moderator`;
+        break;
+
+      case MODERATION_ACTIONS.TRANSFER_OWNERSHIP:
+        if (room.getActiveBan(targetUserId)) {
+          throw moderationError(MODERATION_ERRORS.INVALID_TARGET, 'A banned user cannot own the room');
+        }
+        await room.transferOwnership(targetUserId);
+        result.role = 'owner';
+        text = `${actorName} handed room ownership to ${targetName}`;
+        break;
+    }
+
+    await this.announce(room, result, text, reason);
+    return result;
+  }
+
+  checkPermission(room, actorId, targetUserId, action) {
+    const actorRole = room.getParticipantRole(actorId);
+    const targetRole = room.getParticipantRole(targetUserId);
+
+    if (OWNER_ONLY_ACTIONS.includes(action)) {
+      if (actorRole !== 'owner') {
+        throw moderationError(MODERATION_ERRORS.NOT_ALLOWED, 'Only the room owner can change roles');
+      }
+      return;
+    }
+
+    if (ROLE_RANK[actorRole] < ROLE_RANK.moderator) {
+      throw moderationError(MODERATION_ERRORS.NOT_ALLOWED, 'Only moderators can do that');
+    }
+    if (ROLE_RANK[actorRole] <= ROLE_RANK[targetRole]) {
+      throw moderationError(MODERATION_ERRORS.NOT_ALLOWED, `You cannot ${action} another ${targetRole}`);
+    }
+  }
+
+  // Take every socket of the user out of the Socket.IO room and tell them why. Sockets get there
+  // through joinRoom (currentRoom) or join-room (roomId), so membership is read from the room itself.
+  async removeFromRoom(roomId, userId, details) {
+    const sockets = (await this.io.in(roomId).fetchSockets()).filter(socket => socket.user?.uid === userId);
+    for (const socket of sockets) {
+      socket.emit('room:removed', { roomId, ...details });
+      socket.leave(roomId);
+      if (socket.currentRoom === roomId) {
+        socket.currentRoom = null;
+      }
+      if (socket.roomId === roomId) {
+        socket.roomId = null;
+      }
+    }
+  }
+
+  async announce(room, result, text, reason) {
+    const { roomId } = result;
+
+    this.io.to(roomId).emit('room:moderation', { ...result, ...(reason && { reason }) });
+    this.io.to(roomId).emit('room:update', {
+      roomId,
+      participants: room.participants.filter(p => p.isOnline),
+      messages: await room.getRecentMessages()
+    });
+    this.io.to(roomId).emit('message:received', {
+      messageId: uuidv4(),
+      type: 'system',
+      message: reason ? `${text} (${reason})` : text,
+      timestamp: new Date()
+    });
+  }
+}
+
+module.exports = {
+  RoomModerationService,
+  MODERATION_ACTIONS,
+  MODERATION_ERRORS,
+  isModerationError
+};
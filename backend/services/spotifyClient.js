@@ -0,0 +1,208 @@
+// Spotify Sessions - a fresh Spotify client per request, built from the user's stored tokens
+// Nothing is shared between users: each call gets its own SpotifyWebApi instance. Expiring tokens
+// are refreshed once per user even when several requests notice at the same time.
+
+const crypto = require('crypto');
+const SpotifyWebApi = require('spotify-web-api-node');
+const { SpotifyTokenStore } = require('./spotifyTokenStore');
+
+const SPOTIFY_ERRORS = {
+  NOT_CONNECTED: 'SPOTIFY_NOT_CONNECTED',
+  REFRESH_FAILED: 'SPOTIFY_REFRESH_FAILED',
+  INVALID_STATE: 'SPOTIFY_INVALID_STATE'
+};
+
+const spotifyError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+// Tokens this close to expiry are refreshed before use
+const REFRESH_MARGIN_MS = 60 * 1000;
+
+// How long an authorization link stays valid
+const STATE_TTL_MS = 10 * 60 * 1000;
+
+// Where users can revoke ProjectMood's access on Spotify's side
+const SPOTIFY_APPS_URL = 'https://www.spotify.com/account/apps/';
+
+const SCOPES = [
+  'user-read-private',
+  'user-read-email',
+  'playlist-read-private',
+  'playlist-read-collaborative',
+  'streaming',
+  'user-read-playback-state',
+  'user-modify-playback-state'
+];
+
+function createSpotifyClient(tokens = {}) {
+  return new SpotifyWebApi({
+    clientId: process.env.SPOTIFY_CLIENT_ID || 'your_spotify_client_id',
+    clientSecret: process.env.SPOTIFY_CLIENT_SECRET || 'your_spotify_client_secret',
+    redirectUri: process.env.SPOTIFY_REDIRECT_URI || 'http://localhost:3001/api/spotify/callback',
+    ...tokens
+  });
+}
+
+// Spotify answers 400 invalid_grant once a refresh token has been revoked. Other 400s, such as
+// invalid_client from a wrong or rotated client secret, are our fault and keep the stored tokens.
+const isRevoked = (error) => error?.body?.error === 'invalid_grant';
+
+class SpotifySessionManager {
+  constructor({
+    store = new SpotifyTokenStore(),
+    createClient = createSpotifyClient,
+    now = Date.now
+  } = {}) {
+    this.store = store;
+    this.createClient = createClient;
+    this.now = now;
+    this.pendingStates = new Map();
+    this.refreshing = new Map();
+  }
+
+  // Start the OAuth flow for a signed-in user; the state ties the callback back to them
+  createAuthorization(userId) {
+    this.pruneStates();
+    const state = crypto.randomBytes(16).toString('hex');
+    this.pendingStates.set(state, { userId, createdAt: this.now() });
+
+    return { authUrl: this.createClient().createAuthorizeURL(SCOPES, state), state };
+  }
+
+  pruneStates() {
+    const cutoff = this.now() - STATE_TTL_MS;
+    for (const [state, pending] of this.pendingStates.entries()) {
+      if (pending.createdAt < cutoff) {
+        this.pendingStates.delete(state);
+      }
+    }
+  }
+
+  // Finish the OAuth flow: exchange the code and store the tokens for the user who started it
+  async connect(state, code) {
+    this.pruneStates();
+    const pending = this.pendingStates.get(state);
+    if (!pending) {
+      throw spotifyError(SPOTIFY_ERRORS.INVALID_STATE, 'Invalid or expired state parameter');
+    }
+    this.pendingStates.delete(state);
+
+    const client = this.createClient();
+    const { body } = await client.authorizationCodeGrant(code);
+    client.setAccessToken(body.access_token);
+    const { body: me } = await client.getMe();
+
+    const profile = {
+      id: me.id,
+      displayName: me.display_name,
+      email: me.email,
+      country: me.country,
+      product: me.product
+    };
+
+    await this.store.save(pending.userId, {
+      spotifyUserId: me.id,
+      accessToken: body.access_token,
+      refreshToken: body.refresh_token,
+      expiresAt: this.now() + body.expires_in * 1000,
+      scope: body.scope,
+      profile
+    });
+
+    return { userId: pending.userId, profile, expiresIn: body.expires_in };
+  }
+
+  /**
+   * A Spotify client authorised as this user, refreshing the access token first if it is about to expire.
+   * Resolves to { client, profile }; rejects with NOT_CONNECTED or REFRESH_FAILED.
+   */
+  async getClient(userId) {
+    let tokens = userId ? await this.store.get(userId) : null;
+    if (!tokens) {
+      throw spotifyError(SPOTIFY_ERRORS.NOT_CONNECTED, 'No Spotify connection for this user');
+    }
+
+    if (this.now() >= tokens.expiresAt - REFRESH_MARGIN_MS) {
+      tokens = await this.refresh(userId, tokens);
+    }
+
+    return {
+      client: this.createClient({ accessToken: tokens.accessToken, refreshToken: tokens.refreshToken }),
+      profile: tokens.profile
+    };
+  }
+
+  // Single-flight: concurrent callers for the same user share one refresh request
+  refresh(userId, tokens) {
+    if (!this.refreshing.has(userId)) {
+      const refreshing = this.refreshTokens(userId, tokens)
+        .finally(() => this.refreshing.delete(userId));
+      this.refreshing.set(userId, refreshing);
+    }
+    return this.refreshing.get(userId);
+  }
+
+  async refreshTokens(userId, tokens) {
+    let body;
+    try {
+      ({ body } = await this.createClient({ refreshToken: tokens.refreshToken }).refreshAccessToken());
+    } catch (error) {
+      if (isRevoked(error)) {
+        await this.store.remove(userId);
+      }
+      console.error('Spotify token refresh error:', error.message);
+      throw spotifyError(SPOTIFY_ERRORS.REFRESH_FAILED, 'Failed to refresh Spotify token');
+    }
+
+    const refreshed = {
+      ...tokens,
+      accessToken: body.access_token,
+      // Spotify may rotate the refresh token
+      refreshToken: body.refresh_token || tokens.refreshToken,
+      expiresAt: this.now() + body.expires_in * 1000,
+      scope: body.scope || tokens.scope
+    };
+    await this.store.save(userId, refreshed);
+    return refreshed;
+  }
+
+  // Connection status without refreshing; resolves to null when not connected
+  async getStatus(userId) {
+    const tokens = userId ? await this.store.get(userId) : null;
+    if (!tokens) return null;
+
+    return {
+      user: tokens.profile,
+      expiresAt: tokens.expiresAt,
+      canRefresh: !!tokens.refreshToken
+    };
+  }
+
+  // Forget the user's Spotify tokens; resolves to whether there was a connection
+  disconnect(userId) {
+    return this.store.remove(userId);
+  }
+}
+
+const isSpotifyError = (error) => Object.values(SPOTIFY_ERRORS).includes(error && error.code);
+
+let sessions = null;
+const getSpotifySessions = () => {
+  if (!sessions) {
+    sessions = new SpotifySessionManager();
+  }
+  return sessions;
+};
+
+module.exports = {
+  SpotifySessionManager,
+  createSpotifyClient,
+  getSpotifySessions,
+  isSpotifyError,
+  SPOTIFY_ERRORS,
+  SPOTIFY_APPS_URL,
+  REFRESH_MARGIN_MS
+};
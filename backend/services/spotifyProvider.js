@@ -0,0 +1,112 @@
+// Spotify Provider - the caller's Spotify account as a music provider
+// Built per request for one user; every call uses that user's own Spotify client.
+
+const { getSpotifySessions, isSpotifyError } = require('./spotifyClient');
+const {
+  normalizeTrack,
+  rankByMood,
+  providerError,
+  PROVIDER_ERRORS,
+  PLAYABLE_TYPES
+} = require('./musicProvider');
+
+const PROVIDER = 'spotify';
+
+// Spotify caps search at 50 results and audio features at 100 ids per call
+const MAX_SEARCH_LIMIT = 50;
+const MAX_FEATURE_IDS = 100;
+
+const toTrack = (item) => normalizeTrack(PROVIDER, {
+  providerId: item.id,
+  title: item.name,
+  artist: item.artists.map(artist => artist.name).join(', '),
+  album: item.album?.name,
+  duration: Math.round(item.duration_ms / 1000),
+  previewUrl: item.preview_url,
+  artworkUrl: item.album?.images?.[0]?.url
+});
+
+class SpotifyProvider {
+  constructor({ userId, sessions = getSpotifySessions() } = {}) {
+    this.userId = userId;
+    this.sessions = sessions;
+    this.session = null;
+  }
+
+  async getSession() {
+    if (!this.session) {
+      try {
+        this.session = await this.sessions.getClient(this.userId);
+      } catch (error) {
+        if (isSpotifyError(error)) {
+          throw providerError(PROVIDER_ERRORS.ACCOUNT_REQUIRED, 'Connect Spotify to use it as the music provider');
+        }
+        throw error;
+      }
+    }
+    return this.session;
+  }
+
+  async search(query, { limit = 20, offset = 0 } = {}) {
+    const { client, profile } = await this.getSession();
+    const { body } = await client.search(query, ['track'], {
+      limit: Math.min(limit, MAX_SEARCH_LIMIT),
+      offset,
+      market: profile?.country || 'US'
+    });
+    return { tracks: body.tracks.items.map(toTrack), total: body.tracks.total };
+  }
+
+  async getAudioFeatures(providerIds) {
+    const { client } = await this.getSession();
+    const features = [];
+    for (let i = 0; i < providerIds.length; i += MAX_FEATURE_IDS) {
+      const { body } = await client.getAudioFeaturesForTracks(providerIds.slice(i, i + MAX_FEATURE_IDS));
+      features.push(...body.audio_features);
+    }
+    return features.map((feature, i) => (feature ? {
+      id: providerIds[i],
+      valence: feature.valence,
+      energy: feature.energy,
+      danceability: feature.danceability,
+      tempo: feature.tempo
+    } : null));
+  }
+
+  // Spotify has no search by audio features: search the genres (or recent releases), then rank by features
+  async searchByMood(moodVector, { limit = 20, genres = [], excludeIds = [] } = {}) {
+    const query = genres.length > 0
+      ? genres.map(genre => `genre:"${genre}"`).join(' OR ')
+      : 'year:2020-2024';
+    const { tracks } = await this.search(query, { limit: MAX_SEARCH_LIMIT });
+    const candidates = tracks.filter(track => !excludeIds.includes(track.providerId));
+    if (candidates.length === 0) {
+      return [];
+    }
+
+    const features = await this.getAudioFeatures(candidates.map(track => track.providerId));
+    const withFeatures = candidates.map((track, i) => ({ ...track, ...(features[i] && {
+      valence: features[i].valence,
+      energy: features[i].energy,
+      danceability: features[i].danceability,
+      tempo: features[i].tempo
+    }) }));
+
+    return rankByMood(withFeatures, moodVector, limit);
+  }
+
+  async resolvePlayable(providerId) {
+    const { client } = await this.getSession();
+    try {
+      const { body } = await client.getTrack(providerId);
+      return { type: PLAYABLE_TYPES.SPOTIFY, url: body.preview_url || null, uri: body.uri };
+    } catch (error) {
+      if (error.statusCode === 400 || error.statusCode === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+}
+
+module.exports = { SpotifyProvider };
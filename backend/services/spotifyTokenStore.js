@@ -0,0 +1,74 @@
+// Spotify Token Store - encrypted, persistent Spotify connections keyed by ProjectMood user
+// Tokens are encrypted before they reach MongoDB. While MongoDB is down connections are kept
+// in memory (still encrypted) so sign-ins keep working, but they do not survive a restart.
+
+const { isDBConnected } = require('../database');
+const { createTokenCipher } = require('../utils/tokenCrypto');
+
+class SpotifyTokenStore {
+  constructor({
+    model = require('../models/SpotifyToken'),
+    cipher = createTokenCipher(),
+    isAvailable = isDBConnected
+  } = {}) {
+    this.model = model;
+    this.cipher = cipher;
+    this.isAvailable = isAvailable;
+    this.memory = new Map();
+  }
+
+  // Resolves to { userId, spotifyUserId, accessToken, refreshToken, expiresAt (ms), scope, profile } or null
+  async get(userId) {
+    const record = this.isAvailable()
+      ? await this.model.findOne({ userId }).lean()
+      : this.memory.get(userId);
+
+    if (!record) return null;
+
+    try {
+      return {
+        userId: record.userId,
+        spotifyUserId: record.spotifyUserId,
+        accessToken: this.cipher.decrypt(record.accessToken),
+        refreshToken: this.cipher.decrypt(record.refreshToken),
+        expiresAt: new Date(record.expiresAt).getTime(),
+        scope: record.scope,
+        profile: record.profile
+      };
+    } catch (error) {
+      // Encrypted with a different key (e.g. TOKEN_ENCRYPTION_KEY changed); the user has to reconnect
+      console.warn(`Discarding unreadable Spotify tokens for ${userId}:`, error.message);
+      await this.remove(userId);
+      return null;
+    }
+  }
+
+  async save(userId, { spotifyUserId, accessToken, refreshToken, expiresAt, scope, profile }) {
+    const record = {
+      userId,
+      spotifyUserId,
+      accessToken: this.cipher.encrypt(accessToken),
+      refreshToken: this.cipher.encrypt(refreshToken),
+      expiresAt: new Date(expiresAt),
+      scope,
+      profile
+    };
+
+    if (this.isAvailable()) {
+      await this.model.updateOne({ userId }, { $set: record }, { upsert: true });
+    } else {
+      this.memory.set(userId, record);
+    }
+  }
+
+  // Resolves to whether a connection was removed
+  async remove(userId) {
+    const inMemory = this.memory.delete(userId);
+    if (!this.isAvailable()) return inMemory;
+
+    const result = await this.model.deleteOne({ userId });
+    return inMemory || result.deletedCount > 0;
+  }
+}
+
+module.exports = { SpotifyTokenStore };
@@ -0,0 +1,237 @@
+// Track Catalog Importer - loads tracks with audio features from CSV or JSON into the Track collection
+// Run from the backend directory: npm run import:tracks -- path/to/tracks.csv
+// Columns (or JSON keys): title, artist, valence and energy are required; id, album, genre,
+// danceability, tempo, duration (seconds) or duration_ms, spotifyId, youtubeId and previewUrl are optional.
+
+const fs = require('fs');
+const path = require('path');
+
+const IMPORT_ERRORS = {
+  INVALID_FORMAT: 'INVALID_FORMAT',
+  INVALID_FILE: 'INVALID_FILE'
+};
+
+const importError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+// Column names from common exports (e.g. Spotify's) mapped to Track fields
+const FIELD_ALIASES = {
+  trackId: ['trackid', 'id', 'track_id'],
+  title: ['title', 'name', 'track_name'],
+  artist: ['artist', 'artists', 'artist_name'],
+  album: ['album', 'album_name'],
+  genre: ['genre', 'track_genre'],
+  valence: ['valence'],
+  energy: ['energy'],
+  danceability: ['danceability'],
+  tempo: ['tempo', 'bpm'],
+  duration: ['duration', 'duration_s'],
+  durationMs: ['duration_ms'],
+  spotifyId: ['spotifyid', 'spotify_id'],
+  youtubeId: ['youtubeid', 'youtube_id'],
+  previewUrl: ['previewurl', 'preview_url']
+};
+
+// Split CSV text into rows of fields; handles quoted fields, escaped quotes and CRLF
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(fields => fields.some(value => value.trim() !== ''));
+}
+
+// CSV rows as objects keyed by the header row
+function csvToRecords(text) {
+  const [header, ...rows] = parseCsv(text.replace(/^\uFEFF/, ''));
+  if (!header) {
+    return [];
+  }
+  const keys = header.map(name => name.trim());
+  return rows.map(fields => Object.fromEntries(keys.map((key, i) => [key, fields[i] !== undefined ? fields[i].trim() : ''])));
+}
+
+// Parse catalog text; format is 'csv' or 'json' (an array, or { tracks: [...] })
+function parseTrackCatalog(text, format) {
+  if (format === 'csv') {
+    return csvToRecords(text);
+  }
+  if (format === 'json') {
+    const data = JSON.parse(text);
+    const records = Array.isArray(data) ? data : data && data.tracks;
+    if (!Array.isArray(records)) {
+      throw importError(IMPORT_ERRORS.INVALID_FILE, 'JSON catalogs must be an array of tracks or { "tracks": [...] }');
+    }
+    return records;
+  }
+  throw importError(IMPORT_ERRORS.INVALID_FORMAT, `Unsupported catalog format: ${format}`);
+}
+
+const slugify = (value) => value.toLowerCase().normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+  .replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+
+const pick = (record, field) => {
+  const key = Object.keys(record).find(name => FIELD_ALIASES[field].includes(name.toLowerCase()));
+  const value = key === undefined ? undefined : record[key];
+  return value === '' || value === null ? undefined : value;
+};
+
+const toNumber = (value) => (value === undefined ? undefined : Number(value));
+
+// Validate one record and map it to Track fields; throws with a readable message
+function normalizeTrackRecord(record) {
+  const title = pick(record, 'title');
+  const artistValue = pick(record, 'artist');
+  const artist = Array.isArray(artistValue) ? artistValue.join(', ') : artistValue;
+
+  if (!title || !artist) {
+    throw new Error('title and artist are required');
+  }
+
+  const track = {
+    trackId: String(pick(record, 'trackId') || slugify(`${artist} ${title}`)),
+    title: String(title).trim(),
+    artist: String(artist).trim()
+  };
+
+  for (const field of ['valence', 'energy', 'danceability']) {
+    const value = toNumber(pick(record, field));
+    if (value === undefined && field === 'danceability') continue;
+    if (!(value >= 0 && value <= 1)) {
+      throw new Error(`${field} must be a number from 0 to 1`);
+    }
+    track[field] = value;
+  }
+
+  const tempo = toNumber(pick(record, 'tempo'));
+  if (tempo !== undefined) {
+    if (!(tempo > 0)) throw new Error('tempo must be a positive number of BPM');
+    track.tempo = tempo;
+  }
+
+  const durationMs = toNumber(pick(record, 'durationMs'));
+  const duration = durationMs !== undefined ? Math.round(durationMs / 1000) : toNumber(pick(record, 'duration'));
+  if (duration !== undefined) {
+    if (!(duration >= 0)) throw new Error('duration must be a number of seconds');
+    track.duration = duration;
+  }
+
+  for (const field of ['album', 'genre', 'spotifyId', 'youtubeId', 'previewUrl']) {
+    const value = pick(record, field);
+    if (value !== undefined) track[field] = String(value).trim();
+  }
+
+  return track;
+}
+
+// Normalize every record; invalid ones are reported by position (1-based, header excluded) and skipped
+function normalizeTrackRecords(records) {
+  const tracks = [];
+  const errors = [];
+  const seen = new Map();
+
+  records.forEach((record, index) => {
+    try {
+      const track = normalizeTrackRecord(record);
+      if (seen.has(track.trackId)) {
+        // Later rows win, like the upsert would
+        tracks[seen.get(track.trackId)] = track;
+      } else {
+        seen.set(track.trackId, tracks.length);
+        tracks.push(track);
+      }
+    } catch (error) {
+      errors.push({ record: index + 1, message: error.message });
+    }
+  });
+
+  return { tracks, errors };
+}
+
+const formatFromPath = (filePath) => {
+  const extension = path.extname(filePath).toLowerCase();
+  return extension === '.csv' ? 'csv' : extension === '.json' ? 'json' : null;
+};
+
+/**
+ * Import a CSV or JSON catalog file into the Track collection.
+ * Resolves to { inserted, updated, skipped, errors }.
+ */
+async function importTrackCatalog(filePath, { Track = require('../models/Track'), format = formatFromPath(filePath), source = 'import' } = {}) {
+  const records = parseTrackCatalog(fs.readFileSync(filePath, 'utf8'), format);
+  const { tracks, errors } = normalizeTrackRecords(records);
+  const { inserted, updated } = await Track.upsertMany(tracks.map(track => ({ ...track, source })));
+
+  return { inserted, updated, skipped: errors.length, errors };
+}
+
+module.exports = {
+  parseCsv,
+  parseTrackCatalog,
+  normalizeTrackRecord,
+  normalizeTrackRecords,
+  importTrackCatalog,
+  IMPORT_ERRORS
+};
+
+if (require.main === module) {
+  require('dotenv').config();
+  const { connectDB, disconnectDB } = require('../database');
+  const filePath = process.argv[2];
+
+  if (!filePath) {
+    console.error('Usage: npm run import:tracks -- <tracks.csv|tracks.json>');
+    process.exit(1);
+  }
+
+  (async () => {
+    await connectDB();
+    try {
+      const result = await importTrackCatalog(path.resolve(filePath));
+      console.log(`🎵 Imported ${result.inserted} new and ${result.updated} updated tracks, skipped ${result.skipped}`);
+      result.errors.forEach(({ record, message }) => console.warn(`  record ${record}: ${message}`));
+    } catch (error) {
+      console.error('Track import failed:', error.message);
+      process.exitCode = 1;
+    } finally {
+      await disconnectDB();
+    }
+  })();
+}
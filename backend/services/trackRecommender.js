@@ -0,0 +1,215 @@
+// Track Recommender - the one place playlists get mood-matched tracks from
+// Tracks sit in mood space at (valence, energy) rescaled from 0-1 to -1..1, so a fused mood vector
+// (valence, arousal) can be matched by distance. Reads the Track collection; while MongoDB is down
+// or the collection is empty it falls back to the bundled config/tracks.json catalog.
+
+const path = require('path');
+const { isDBConnected } = require('../database');
+
+const SEED_CATALOG_PATH = path.join(__dirname, '..', 'config', 'tracks.json');
+
+// Half-widths (in 0-1 feature units) of the valence/energy windows tried in turn before
+// ranking; the last one covers the whole catalog
+const SEARCH_WINDOWS = [0.15, 0.35, 1];
+
+const DEFAULT_COUNT = 10;
+const MAX_COUNT = 100;
+
+// Largest distance in the -1..1 mood square, used to turn distance into a 0-1 match score
+const MAX_MOOD_DISTANCE = Math.hypot(2, 2);
+
+// Where a track sits in valence/arousal space
+function trackToMoodVector(track) {
+  return { valence: track.valence * 2 - 1, arousal: track.energy * 2 - 1 };
+}
+
+// The audio features a mood vector asks for
+function moodToAudioTarget(moodVector) {
+  return { valence: (moodVector.valence + 1) / 2, energy: (moodVector.arousal + 1) / 2 };
+}
+
+function moodDistance(track, moodVector) {
+  const position = trackToMoodVector(track);
+  return Math.hypot(position.valence - moodVector.valence, position.arousal - moodVector.arousal);
+}
+
+// Distance from a mood as a 0-1 score, 1 being an exact match
+const toMatchScore = (distance) => Math.round((1 - distance / MAX_MOOD_DISTANCE) * 1000) / 1000;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+class TrackRecommender {
+  constructor({
+    Track = require('../models/Track'),
+    seedTracks = require(SEED_CATALOG_PATH).map(track => ({ ...track, source: 'seed' })),
+    isConnected = isDBConnected
+  } = {}) {
+    this.Track = Track;
+    this.seedTracks = seedTracks;
+    this.isConnected = isConnected;
+  }
+
+  // Tracks within `window` of the target features, honouring genre and exclusion filters
+  async findCandidates(target, window, { genres = [], excludeIds = [] } = {}) {
+    const near = (track) => Math.abs(track.valence - target.valence) <= window &&
+      Math.abs(track.energy - target.energy) <= window;
+    const wantedGenres = genres.map(genre => genre.toLowerCase());
+    const matchesFilters = (track) => !excludeIds.includes(track.trackId) &&
+      (wantedGenres.length === 0 || (track.genre && wantedGenres.includes(track.genre.toLowerCase())));
+
+    if (this.isConnected()) {
+      try {
+        const query = {
+          valence: { $gte: target.valence - window, $lte: target.valence + window },
+          energy: { $gte: target.energy - window, $lte: target.energy + window }
+        };
+        if (excludeIds.length > 0) {
+          query.trackId = { $nin: excludeIds };
+        }
+        if (genres.length > 0) {
+          query.genre = { $in: genres.map(genre => new RegExp(`^${escapeRegex(genre)}$`, 'i')) };
+        }
+        const tracks = await this.Track.find(query).lean();
+        if (tracks.length > 0 || await this.Track.estimatedDocumentCount() > 0) {
+          return tracks;
+        }
+      } catch (error) {
+        console.error('Track catalog query failed, using the bundled catalog:', error);
+      }
+    }
+
+    return this.seedTracks.filter(track => near(track) && matchesFilters(track));
+  }
+
+  /**
+   * Tracks ranked by distance to the mood vector, closest first.
+   * Each result carries moodDistance and a 0-1 matchScore.
+   * options: count, genres, excludeIds (trackIds already played or queued)
+   */
+  async recommend(moodVector, options = {}) {
+    const count = Math.max(1, Math.min(MAX_COUNT, options.count || DEFAULT_COUNT));
+    const target = moodToAudioTarget(moodVector);
+
+    let candidates = [];
+    for (const window of SEARCH_WINDOWS) {
+      candidates = await this.findCandidates(target, window, options);
+      if (candidates.length >= count) break;
+    }
+
+    return candidates
+      .map(track => ({ track, distance: moodDistance(track, moodVector) }))
+      .sort((a, b) => a.distance - b.distance || a.track.trackId.localeCompare(b.track.trackId))
+      .slice(0, count)
+      .map(({ track, distance }) => ({
+        ...track,
+        moodDistance: Math.round(distance * 1000) / 1000,
+        matchScore: toMatchScore(distance)
+      }));
+  }
+
+  // Catalog tracks by trackId, in the order asked for; unknown ids are skipped
+  async findByIds(trackIds) {
+    let tracks = null;
+    if (this.isConnected()) {
+      try {
+        tracks = await this.Track.find({ trackId: { $in: trackIds } }).lean();
+      } catch (error) {
+        console.error('Track catalog lookup failed, using the bundled catalog:', error);
+      }
+    }
+    const found = tracks && tracks.length > 0 ? tracks : this.seedTracks;
+    return trackIds.map(id => found.find(track => track.trackId === id)).filter(Boolean);
+  }
+
+  // Catalog tracks whose title or artist contains the text, ignoring case
+  async searchText(text, { limit = DEFAULT_COUNT, offset = 0 } = {}) {
+    const pattern = new RegExp(escapeRegex(text.trim()), 'i');
+    if (this.isConnected()) {
+      try {
+        const query = { $or: [{ title: pattern }, { artist: pattern }] };
+        const [tracks, total] = await Promise.all([
+          this.Track.find(query).sort({ title: 1 }).skip(offset).limit(limit).lean(),
+          this.Track.countDocuments(query)
+        ]);
+        if (total > 0 || await this.Track.estimatedDocumentCount() > 0) {
+          return { tracks, total };
+        }
+      } catch (error) {
+        console.error('Track catalog search failed, using the bundled catalog:', error);
+      }
+    }
+
+    const matches = this.seedTracks
+      .filter(track => pattern.test(track.title) || pattern.test(track.artist))
+      .sort((a, b) => a.title.localeCompare(b.title));
+    return { tracks: matches.slice(offset, offset + limit), total: matches.length };
+  }
+
+  // A titled playlist for a fused mood, in the shape RoomMemory stores
+  async buildPlaylist(fusedMood, options = {}) {
+    const tracks = await this.recommend(fusedMood.vector, options);
+    const average = (field) => {
+      const values = tracks.map(track => track[field]).filter(value => typeof value === 'number');
+      return values.length > 0 ? Math.round(values.reduce((sum, v) => sum + v, 0) / values.length * 100) / 100 : null;
+    };
+
+    return {
+      title: `${fusedMood.label} Mix`,
+      description: `Tracks closest to the room's ${fusedMood.label.toLowerCase()} mood`,
+      tracks: tracks.map(track => ({
+        trackId: track.trackId,
+        title: track.title,
+        artist: track.artist,
+        genre: track.genre,
+        energy: track.energy,
+        valence: track.valence,
+        danceability: track.danceability,
+        tempo: track.tempo,
+        spotifyId: track.spotifyId,
+        youtubeId: track.youtubeId,
+        duration: track.duration,
+        moodDistance: track.moodDistance
+      })),
+      totalDuration: tracks.reduce((sum, track) => sum + (track.duration || 0), 0),
+      avgEnergy: average('energy'),
+      avgValence: average('valence'),
+      avgTempo: average('tempo')
+    };
+  }
+}
+
+// Catalog tracks as room queue tracks (the shape playlistQueue and DJ battles use)
+function toQueueTrack(track, source = 'mood-matched') {
+  return {
+    id: track.spotifyId || track.trackId,
+    name: track.title,
+    ...(track.spotifyId && { uri: `spotify:track:${track.spotifyId}` }),
+    artists: [{ name: track.artist }],
+    album: track.album ? { name: track.album } : null,
+    duration: track.duration ? track.duration * 1000 : undefined,
+    previewUrl: track.previewUrl,
+    audioFeatures: {
+      valence: track.valence,
+      energy: track.energy,
+      danceability: track.danceability,
+      tempo: track.tempo
+    },
+    source,
+    moodScore: track.matchScore
+  };
+}
+
+const recommender = new TrackRecommender();
+
+const getTrackRecommender = () => recommender;
+
+module.exports = {
+  TrackRecommender,
+  getTrackRecommender,
+  trackToMoodVector,
+  moodToAudioTarget,
+  moodDistance,
+  toMatchScore,
+  toQueueTrack,
+  SEED_CATALOG_PATH
+};
@@ -0,0 +1,290 @@
+// Voice Emotion Analysis Service
+// Pluggable analyzers that turn recorded speech into a mood with valence and arousal
+// The default analyzer works offline from acoustic features; others (e.g. Whisper +
+// text sentiment) can register behind the same interface
+
+const { decodeAudio } = require('../utils/audioDecoder');
+const { vectorToMoodLabel, getDetectableMoods } = require('../utils/moodFusion');
+
+const ANALYSIS_SAMPLE_RATE = 16000; // downsample target; speech pitch sits far below 8 kHz
+const FRAME_MS = 32;
+const HOP_MS = 16;
+const MIN_PITCH_HZ = 70;
+const MAX_PITCH_HZ = 400;
+
+const clamp = (value, min = 0, max = 1) => Math.max(min, Math.min(max, value));
+
+// Scale value from [low, high] to [0, 1]
+const normalize = (value, low, high) => clamp((value - low) / (high - low));
+
+const median = (values) => {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+const percentile = (values, p) => {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+};
+
+// Average blocks of samples down to roughly ANALYSIS_SAMPLE_RATE
+function downsample(samples, sampleRate) {
+  const factor = Math.max(1, Math.floor(sampleRate / ANALYSIS_SAMPLE_RATE));
+  if (factor === 1) {
+    return { samples, sampleRate };
+  }
+
+  const output = new Float32Array(Math.floor(samples.length / factor));
+  for (let i = 0; i < output.length; i++) {
+    let sum = 0;
+    for (let j = 0; j < factor; j++) {
+      sum += samples[i * factor + j];
+    }
+    output[i] = sum / factor;
+  }
+
+  return { samples: output, sampleRate: sampleRate / factor };
+}
+
+function frameRms(samples, start, length) {
+  let sum = 0;
+  for (let i = start; i < start + length; i++) {
+    sum += samples[i] * samples[i];
+  }
+  return Math.sqrt(sum / length);
+}
+
+function frameZeroCrossingRate(samples, start, length) {
+  let crossings = 0;
+  for (let i = start + 1; i < start + length; i++) {
+    if ((samples[i - 1] >= 0) !== (samples[i] >= 0)) {
+      crossings++;
+    }
+  }
+  return crossings / (length - 1);
+}
+
+// Autocorrelation pitch estimate; returns 0 for unvoiced frames
+function framePitch(samples, start, length, sampleRate) {
+  const minLag = Math.floor(sampleRate / MAX_PITCH_HZ);
+  const maxLag = Math.min(length - 1, Math.ceil(sampleRate / MIN_PITCH_HZ));
+
+  let energy = 0;
+  for (let i = start; i < start + length; i++) {
+    energy += samples[i] * samples[i];
+  }
+  if (energy === 0) return 0;
+
+  let bestLag = 0;
+  let bestCorrelation = 0;
+
+  for (let lag = minLag; lag <= maxLag; lag++) {
+    let correlation = 0;
+    for (let i = start; i < start + length - lag; i++) {
+      correlation += samples[i] * samples[i + lag];
+    }
+    correlation /= energy;
+
+    if (correlation > bestCorrelation) {
+      bestCorrelation = correlation;
+      bestLag = lag;
+    }
+  }
+
+  return bestCorrelation > 0.3 && bestLag > 0 ? sampleRate / bestLag : 0;
+}
+
+// Count syllable-like peaks in the smoothed energy envelope of active speech
+function countSyllables(frameEnergies, activeThreshold, hopSeconds) {
+  const smoothed = frameEnergies.map((_, i) => {
+    const window = frameEnergies.slice(Math.max(0, i - 2), i + 3);
+    return window.reduce((sum, value) => sum + value, 0) / window.length;
+  });
+
+  const minGapFrames = Math.ceil(0.12 / hopSeconds); // syllables rarely come faster than ~8/s
+  let lastPeak = -Infinity;
+  let peaks = 0;
+
+  for (let i = 1; i < smoothed.length - 1; i++) {
+    const isPeak = smoothed[i] > smoothed[i - 1] && smoothed[i] >= smoothed[i + 1];
+    if (isPeak && smoothed[i] > activeThreshold && i - lastPeak >= minGapFrames) {
+      peaks++;
+      lastPeak = i;
+    }
+  }
+
+  return peaks;
+}
+
+// Compute offline acoustic features from mono samples
+function extractAcousticFeatures(rawSamples, rawSampleRate) {
+  const { samples, sampleRate } = downsample(rawSamples, rawSampleRate);
+  const frameLength = Math.floor(sampleRate * FRAME_MS / 1000);
+  const hopLength = Math.floor(sampleRate * HOP_MS / 1000);
+  const duration = rawSamples.length / rawSampleRate;
+
+  if (frameLength <= 0 || hopLength <= 0) {
+    return { duration, speechDetected: false };
+  }
+
+  const energies = [];
+  const zcrs = [];
+  for (let start = 0; start + frameLength <= samples.length; start += hopLength) {
+    energies.push(frameRms(samples, start, frameLength));
+    zcrs.push(frameZeroCrossingRate(samples, start, frameLength));
+  }
+
+  if (energies.length === 0) {
+    return { duration, speechDetected: false };
+  }
+
+  // Adaptive threshold: well above the noise floor, never below near-silence
+  const noiseFloor = percentile(energies, 0.1);
+  const activeThreshold = Math.max(noiseFloor * 2, 0.01);
+  const activeFrames = energies
+    .map((energy, index) => ({ energy, index }))
+    .filter(frame => frame.energy > activeThreshold);
+
+  const activeRatio = activeFrames.length / energies.length;
+  if (activeFrames.length < 3) {
+    return { duration, activeRatio, speechDetected: false };
+  }
+
+  const pitches = activeFrames
+    .map(frame => framePitch(samples, frame.index * hopLength, frameLength, sampleRate))
+    .filter(pitch => pitch > 0);
+
+  const pitchMean = median(pitches);
+  // Pitch spread in semitones is independent of the speaker's register
+  const semitones = pitches.map(pitch => 12 * Math.log2(pitch / (pitchMean || 1)));
+  const pitchVariability = semitones.length > 1
+    ? Math.sqrt(semitones.reduce((sum, value) => sum + value * value, 0) / semitones.length)
+    : 0;
+
+  const activeEnergy = Math.sqrt(activeFrames.reduce((sum, frame) => sum + frame.energy * frame.energy, 0) / activeFrames.length);
+  const activeSeconds = activeFrames.length * hopLength / sampleRate;
+  const syllables = countSyllables(energies, activeThreshold, hopLength / sampleRate);
+
+  return {
+    duration,
+    speechDetected: true,
+    activeRatio,
+    energy: activeEnergy,
+    loudnessDb: 20 * Math.log10(activeEnergy),
+    zeroCrossingRate: activeFrames.reduce((sum, frame) => sum + zcrs[frame.index], 0) / activeFrames.length,
+    pitchHz: pitchMean,
+    pitchVariability,
+    voicedRatio: pitches.length / activeFrames.length,
+    speakingRate: activeSeconds > 0 ? syllables / activeSeconds : 0
+  };
+}
+
+// Heuristic mapping from acoustic features to the valence/arousal plane.
+// Arousal tracks loudness, pitch height and tempo; valence leans on pitch movement
+// (monotone speech reads as flat or sad) and penalises harsh, noisy voicing.
+function mapFeaturesToVector(features) {
+  const loudness = normalize(features.loudnessDb, -45, -10);
+  const pitchHeight = normalize(features.pitchHz, 100, 300);
+  const tempo = normalize(features.speakingRate, 2, 6);
+  const pitchMovement = normalize(features.pitchVariability, 0.5, 4);
+  const harshness = normalize(features.zeroCrossingRate, 0.05, 0.25);
+
+  const arousal = 2 * (0.4 * loudness + 0.25 * pitchHeight + 0.2 * tempo + 0.15 * pitchMovement) - 1;
+  const valence = 0.8 * (2 * (0.5 * pitchMovement + 0.2 * pitchHeight + 0.3 * (1 - harshness)) - 1);
+
+  return {
+    valence: Math.round(clamp(valence, -1, 1) * 1000) / 1000,
+    arousal: Math.round(clamp(arousal, -1, 1) * 1000) / 1000
+  };
+}
+
+// Base class documenting the analyzer contract
+class VoiceEmotionAnalyzer {
+  constructor(name) {
+    this.name = name;
+  }
+
+  // Resolve to { emotion, confidence, vector: { valence, arousal }, features, analyzer }
+  async analyze(audioBuffer, { mimetype } = {}) {
+    throw new Error(`${this.name} analyzer does not implement analyze()`);
+  }
+}
+
+// Default analyzer: decodes WAV/PCM locally and scores acoustic features, no network needed
+class AcousticVoiceAnalyzer extends VoiceEmotionAnalyzer {
+  constructor(options = {}) {
+    super('acoustic');
+    // Without a fixed list, the detectable moods are read on every call so registry reloads apply
+    this.candidateMoods = options.candidateMoods || null;
+  }
+
+  async analyze(audioBuffer, { mimetype } = {}) {
+    const { samples, sampleRate } = decodeAudio(audioBuffer, mimetype);
+    const features = extractAcousticFeatures(samples, sampleRate);
+
+    if (!features.speechDetected) {
+      return {
+        emotion: 'neutral',
+        confidence: 0.2,
+        vector: { valence: 0, arousal: 0 },
+        features,
+        analyzer: this.name
+      };
+    }
+
+    const vector = mapFeaturesToVector(features);
+    const { moodName: mood, distance } = vectorToMoodLabel(vector.valence, vector.arousal, this.candidateMoods || getDetectableMoods());
+
+    // More speech and a closer mood match mean a more trustworthy reading
+    const coverage = clamp(features.activeRatio * 1.5) * clamp(features.duration / 3);
+    const confidence = clamp(0.35 + 0.4 * coverage + 0.15 * features.voicedRatio - 0.2 * distance, 0.2, 0.85);
+
+    return {
+      emotion: mood,
+      confidence: Math.round(confidence * 100) / 100,
+      vector,
+      features: roundFeatures(features),
+      analyzer: this.name
+    };
+  }
+}
+
+function roundFeatures(features) {
+  return Object.fromEntries(Object.entries(features).map(([key, value]) => [
+    key,
+    typeof value === 'number' ? Math.round(value * 1000) / 1000 : value
+  ]));
+}
+
+// Analyzer registry; VOICE_ANALYZER picks the default at startup
+const analyzers = new Map();
+
+function registerVoiceAnalyzer(analyzer) {
+  if (!analyzer || typeof analyzer.analyze !== 'function' || !analyzer.name) {
+    throw new Error('Voice analyzers need a name and an analyze() method');
+  }
+  analyzers.set(analyzer.name, analyzer);
+}
+
+function getVoiceAnalyzer(name = process.env.VOICE_ANALYZER || 'acoustic') {
+  return analyzers.get(name) || analyzers.get('acoustic');
+}
+
+function listVoiceAnalyzers() {
+  return Array.from(analyzers.keys());
+}
+
+registerVoiceAnalyzer(new AcousticVoiceAnalyzer());
+
+module.exports = {
+  VoiceEmotionAnalyzer,
+  AcousticVoiceAnalyzer,
+  registerVoiceAnalyzer,
+  getVoiceAnalyzer,
+  listVoiceAnalyzers,
+  extractAcousticFeatures,
+  mapFeaturesToVector
+};
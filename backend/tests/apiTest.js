@@ -19,6 +19,7 @@ function makeRequest(url, options = {}) {
       method: options.method || 'GET',
       headers: {
         'Content-Type': 'application/json',
+        // Identifies the caller when the server runs with AUTH_DEV_HEADERS=true
         'x-user-id': 'api-test-user',
         'x-user-name': 'API Tester',
         ...options.headers
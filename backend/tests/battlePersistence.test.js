@@ -0,0 +1,178 @@
+/**
+ * Tests for persisting and restoring room connections and DJ battles
+ * Uses an in-memory store and a stub Socket.IO server; no MongoDB needed
+ */
+
+const { RoomConnectionManager } = require('../services/roomConnection');
+const { TestRunner } = require('./moodFusion.test');
+
+const runner = new TestRunner('Battle Persistence');
+
+// Records every event emitted to any room
+const createIo = () => {
+  const emitted = [];
+  return {
+    emitted,
+    to: (room) => ({ emit: (event, payload) => emitted.push({ room, event, payload }) }),
+    in: () => ({ socketsLeave: () => {} }),
+    sockets: { sockets: new Map() }
+  };
+};
+
+// Same interface as BattleStore, backed by plain objects
+const createStore = ({ sharedRooms = [], battles = [], votes = [] } = {}) => ({
+  sharedRooms: new Map(sharedRooms.map(doc => [doc.sharedRoomId, { ...doc }])),
+  battles: new Map(battles.map(doc => [doc.battleId, { ...doc }])),
+  votes: [...votes],
+  isAvailable: () => true,
+  async saveSharedRoom(room) {
+    this.sharedRooms.set(room.id, { sharedRoomId: room.id, roomA: room.roomA, roomB: room.roomB, status: room.status, options: room.options, createdAt: room.createdAt });
+  },
+  async updateSharedRoomStatus(id, status) {
+    this.sharedRooms.get(id).status = status;
+  },
+  async saveBattle(battle) {
+    this.battles.set(battle.id, { battleId: battle.id, status: battle.status });
+  },
+  async updateBattleProgress(battle) {
+    Object.assign(this.battles.get(battle.id), { status: battle.status, currentSlot: battle.currentSlot, stats: { ...battle.stats } });
+  },
+  async saveBattleResult(battle, result) {
+    Object.assign(this.battles.get(battle.id), { status: battle.status, result, finishedAt: battle.finishedAt });
+  },
+  async recordVote(vote) {
+    this.votes.push(vote);
+  },
+  async loadVotes(battleId) {
+    return this.votes.filter(vote => vote.battleId === battleId);
+  },
+  async loadLiveSessions() {
+    const live = (doc, statuses) => statuses.includes(doc.status);
+    return {
+      sharedRooms: [...this.sharedRooms.values()].filter(doc => live(doc, ['connecting', 'connected'])),
+      battles: [...this.battles.values()].filter(doc => live(doc, ['starting', 'active']))
+    };
+  },
+  async findBattle(battleId) {
+    return this.battles.get(battleId) || null;
+  }
+});
+
+const slot = (room, name, duration = 20) => ({ track: { id: name, name }, room, duration });
+
+const storedBattle = (overrides = {}) => ({
+  battleId: 'battle_1',
+  sharedRoomId: 'shared_A_B',
+  roomA: 'ROOMA',
+  roomB: 'ROOMB',
+  status: 'active',
+  duration: 60,
+  createdAt: new Date(),
+  tracks: { roomA: [{ name: 'a1' }], roomB: [{ name: 'b1' }, { name: 'b2' }] },
+  schedule: [slot('A', 'a1'), slot('B', 'b1'), slot('B', 'b2')],
+  currentSlot: 1,
+  stats: { moodShifts: [], engagementA: 12, engagementB: 3, winner: null },
+  ...overrides
+});
+
+const storedConnection = (overrides = {}) => ({
+  sharedRoomId: 'shared_A_B',
+  roomA: 'ROOMA',
+  roomB: 'ROOMB',
+  status: 'connected',
+  options: { duration: 60000 },
+  createdAt: new Date(),
+  ...overrides
+});
+
+const waitFor = async (condition, timeout = 2000) => {
+  const started = Date.now();
+  while (!condition()) {
+    if (Date.now() - started > timeout) throw new Error('Timed out waiting for condition');
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+};
+
+runner.test('Connecting and disconnecting rooms is persisted', async () => {
+  const store = createStore();
+  const manager = new RoomConnectionManager(createIo(), { store });
+
+  const { sharedRoomId } = await manager.connectRooms('ROOMA', 'ROOMB', 'alice');
+  runner.assertEqual(store.sharedRooms.get(sharedRoomId).status, 'connected');
+
+  await manager.disconnectRooms(sharedRoomId);
+  runner.assertEqual(store.sharedRooms.get(sharedRoomId).status, 'disconnected');
+});
+
+runner.test('Live connections are restored and expired ones closed', async () => {
+  const store = createStore({
+    sharedRooms: [
+      storedConnection(),
+      storedConnection({ sharedRoomId: 'shared_C_D', roomA: 'ROOMC', roomB: 'ROOMD', createdAt: new Date(Date.now() - 120000) })
+    ]
+  });
+  const manager = new RoomConnectionManager(createIo(), { store });
+
+  const { restoredRooms } = await manager.rehydrate();
+
+  runner.assertEqual(restoredRooms, 1);
+  runner.assertEqual(manager.connectedRooms.get('ROOMA'), 'ROOMB');
+  runner.assertEqual(manager.getSharedRoomFor('ROOMB').id, 'shared_A_B');
+  runner.assertEqual(manager.connectedRooms.has('ROOMC'), false);
+  runner.assertEqual(store.sharedRooms.get('shared_C_D').status, 'disconnected');
+  await manager.disconnectRooms('shared_A_B');
+});
+
+runner.test('A restored battle resumes from its slot and saves the result', async () => {
+  const io = createIo();
+  const store = createStore({ sharedRooms: [storedConnection()], battles: [storedBattle()] });
+  const manager = new RoomConnectionManager(io, { store });
+  manager.updateBattleEngagement = () => {}; // keep the scores deterministic
+
+  const { resumedBattles } = await manager.rehydrate();
+  runner.assertEqual(resumedBattles, 1);
+
+  await waitFor(() => store.battles.get('battle_1').status === 'finished');
+
+  const trackChanges = io.emitted.filter(e => e.event === 'dj-battle-track-change').map(e => e.payload.track.name);
+  runner.assertEqual(trackChanges, ['b1', 'b2'], 'Slots before the saved one are not replayed');
+  runner.assertEqual(store.battles.get('battle_1').result.winner, { room: 'ROOMA', score: 12, decidedBy: 'engagement' });
+  runner.assertTrue(store.battles.get('battle_1').finishedAt instanceof Date);
+  await manager.disconnectRooms('shared_A_B');
+});
+
+runner.test('Battles whose connection is gone are marked interrupted', async () => {
+  const store = createStore({ battles: [storedBattle()] });
+  const manager = new RoomConnectionManager(createIo(), { store });
+
+  const { resumedBattles } = await manager.rehydrate();
+
+  runner.assertEqual(resumedBattles, 0);
+  runner.assertEqual(store.battles.get('battle_1').status, 'interrupted');
+  runner.assertEqual(manager.djBattles.size, 0);
+});
+
+runner.test('Vote tallies are rebuilt from stored votes', async () => {
+  const vote = (userId, slotIndex, choice) => ({ battleId: 'battle_1', userId, slotIndex, room: slotIndex === 0 ? 'A' : 'B', vote: choice });
+  const store = createStore({
+    sharedRooms: [storedConnection()],
+    battles: [storedBattle({ schedule: [slot('A', 'a1'), slot('B', 'b1', 200)] })],
+    votes: [vote('bob', 0, 'fire'), vote('carol', 0, 'up'), vote('bob', 1, 'down')]
+  });
+  const manager = new RoomConnectionManager(createIo(), { store });
+  await manager.rehydrate();
+
+  const battle = manager.djBattles.get('battle_1');
+  runner.assertEqual(battle.slotVotes[0].score, 4);
+  runner.assertEqual(battle.slotVotes[1].score, -1);
+  runner.assertEqual(manager.determineBattleWinner(battle).votes, { roomA: 4, roomB: -1 });
+  await manager.disconnectRooms('shared_A_B');
+});
+
+if (require.main === module) {
+  runner.run().then(success => {
+    process.exit(success ? 0 : 1);
+  });
+}
+
+module.exports = { runner, createIo, createStore, slot, storedBattle, storedConnection };
@@ -0,0 +1,121 @@
+/**
+ * Tests for server-enforced DJ battle voting
+ * Battles run on short real timers against the in-memory store from the persistence tests
+ */
+
+const { RoomConnectionManager, VOTE_ERRORS } = require('../services/roomConnection');
+const { createIo, createStore, slot, storedBattle, storedConnection } = require('./battlePersistence.test');
+const { TestRunner } = require('./moodFusion.test');
+
+const runner = new TestRunner('Battle Voting');
+
+const member = (userId) => ({ userId, displayName: userId });
+
+// alice is in room A, bob in room B, dana in both; the first slot plays room A's track
+const startBattle = async (schedule = [slot('A', 'a1', 400), slot('B', 'b1', 400)]) => {
+  const store = createStore({
+    sharedRooms: [storedConnection({
+      participants: {
+        roomA: [member('alice'), member('dana')],
+        roomB: [member('bob'), member('dana')],
+        all: []
+      }
+    })],
+    battles: [storedBattle({ schedule, currentSlot: 0, stats: { moodShifts: [], engagementA: 0, engagementB: 50, winner: null } })]
+  });
+  const manager = new RoomConnectionManager(createIo(), { store });
+  await manager.rehydrate();
+  return { manager, store, battle: manager.djBattles.get('battle_1') };
+};
+
+const rejection = async (promise) => {
+  try {
+    await promise;
+  } catch (error) {
+    return error.code;
+  }
+  return null;
+};
+
+runner.test('Points go to the playing slot and the side comes from membership', async () => {
+  const { manager, store } = await startBattle();
+
+  const { vote } = await manager.castBattleVote('battle_1', { userId: 'bob', slotIndex: 0, vote: 'fire', room: 'B' });
+
+  runner.assertEqual(vote.voterSide, 'B');
+  runner.assertEqual(vote.room, 'A', 'The vote rates room A\'s track whatever the client claims');
+  runner.assertEqual(store.votes[0].slotIndex, 0);
+  await manager.disconnectRooms('shared_A_B');
+});
+
+runner.test('Each user votes once per slot', async () => {
+  const { manager, battle } = await startBattle();
+
+  await manager.castBattleVote('battle_1', { userId: 'alice', slotIndex: 0, vote: 'up' });
+  const again = await rejection(manager.castBattleVote('battle_1', { userId: 'alice', slotIndex: 0, vote: 'fire' }));
+  const racing = await Promise.allSettled([
+    manager.castBattleVote('battle_1', { userId: 'bob', slotIndex: 0, vote: 'fire' }),
+    manager.castBattleVote('battle_1', { userId: 'bob', slotIndex: 0, vote: 'fire' })
+  ]);
+
+  runner.assertEqual(again, VOTE_ERRORS.ALREADY_VOTED);
+  runner.assertEqual(racing.filter(result => result.status === 'fulfilled').length, 1);
+  runner.assertEqual(battle.slotVotes[0].score, 4);
+  await manager.disconnectRooms('shared_A_B');
+});
+
+runner.test('Only the slot that is playing accepts votes', async () => {
+  const { manager, battle } = await startBattle();
+
+  const future = await rejection(manager.castBattleVote('battle_1', { userId: 'alice', slotIndex: 1, vote: 'up' }));
+  const byTrack = await manager.castBattleVote('battle_1', { userId: 'alice', trackId: 'a1', vote: 'up' });
+
+  battle.slotEndsAt = Date.now() - 1; // the slot has just ended
+  const late = await rejection(manager.castBattleVote('battle_1', { userId: 'bob', slotIndex: 0, vote: 'up' }));
+
+  battle.status = 'finished';
+  const finished = await rejection(manager.castBattleVote('battle_1', { userId: 'bob', slotIndex: 0, vote: 'up' }));
+
+  runner.assertEqual(future, VOTE_ERRORS.SLOT_CLOSED);
+  runner.assertEqual(byTrack.tally.slotIndex, 0);
+  runner.assertEqual(late, VOTE_ERRORS.SLOT_CLOSED);
+  runner.assertEqual(finished, VOTE_ERRORS.BATTLE_NOT_ACTIVE);
+  await manager.disconnectRooms('shared_A_B');
+});
+
+runner.test('Outsiders and malformed votes are rejected', async () => {
+  const { manager } = await startBattle();
+
+  const outsider = await rejection(manager.castBattleVote('battle_1', { userId: 'mallory', slotIndex: 0, vote: 'fire' }));
+  const bogus = await rejection(manager.castBattleVote('battle_1', { userId: 'alice', slotIndex: 0, vote: 'mega' }));
+  const dualNoSocket = await rejection(manager.castBattleVote('battle_1', { userId: 'dana', slotIndex: 0, vote: 'up' }));
+  const dual = await manager.castBattleVote('battle_1', { userId: 'dana', slotIndex: 0, vote: 'up', currentRoomId: 'ROOMB' });
+
+  runner.assertEqual(outsider, VOTE_ERRORS.NOT_A_PARTICIPANT);
+  runner.assertEqual(bogus, VOTE_ERRORS.INVALID_VOTE);
+  runner.assertEqual(dualNoSocket, VOTE_ERRORS.NOT_A_PARTICIPANT);
+  runner.assertEqual(dual.vote.voterSide, 'B');
+  await manager.disconnectRooms('shared_A_B');
+});
+
+runner.test('Slot tallies decide the winner over engagement', async () => {
+  const { manager, battle } = await startBattle([slot('A', 'a1', 400)]);
+
+  await manager.castBattleVote('battle_1', { userId: 'alice', slotIndex: 0, vote: 'up' });
+  await manager.castBattleVote('battle_1', { userId: 'bob', slotIndex: 0, vote: 'fire' });
+
+  const winner = manager.determineBattleWinner(battle);
+  runner.assertEqual(winner, { room: 'ROOMA', score: 4, votes: { roomA: 4, roomB: 0 }, decidedBy: 'votes' });
+  runner.assertEqual(manager.getSlotTallies(battle), [
+    { slotIndex: 0, room: 'A', trackId: 'a1', up: 1, down: 0, fire: 1, score: 4, voterCount: 2 }
+  ]);
+  await manager.disconnectRooms('shared_A_B');
+});
+
+if (require.main === module) {
+  runner.run().then(success => {
+    process.exit(success ? 0 : 1);
+  });
+}
+
+module.exports = { runner };
@@ -0,0 +1,91 @@
+/**
+ * Tests for chat sentiment analysis and the 'chat' mood fusion input
+ */
+
+const { analyzeChatSentiment } = require('../services/chatSentiment');
+const { fuseMoods, getParticipantMoodInputs } = require('../utils/moodFusion');
+const { TestRunner } = require('./moodFusion.test');
+
+const runner = new TestRunner('Chat Sentiment');
+
+runner.test('Affective words map to a sentiment and a participant mood', async () => {
+  const happy = analyzeChatSentiment('this set is amazing');
+  const sad = analyzeChatSentiment('feeling sad and lonely tonight');
+
+  runner.assertEqual(happy.sentiment, 'positive');
+  runner.assertEqual(happy.mood, 'happy');
+  runner.assertEqual(sad.sentiment, 'negative');
+  runner.assertEqual(sad.mood, 'sad');
+  runner.assertTrue(sad.confidence > happy.confidence, 'Two emotional words are a stronger signal than one');
+});
+
+runner.test('Negation flips and softens a term', async () => {
+  const good = analyzeChatSentiment('good');
+  const notGood = analyzeChatSentiment("this isn't very good");
+
+  runner.assertEqual(notGood.sentiment, 'negative');
+  runner.assertTrue(Math.abs(notGood.valence) < good.valence, '"not good" is milder than "good" is positive');
+  runner.assertEqual(notGood.terms, [{ term: 'good', negated: true }]);
+  runner.assertEqual(analyzeChatSentiment('not sad at all').sentiment, 'positive');
+});
+
+runner.test('Intensifiers, stretched words and caps scale the reading', async () => {
+  const plain = analyzeChatSentiment('sad').valence;
+
+  runner.assertTrue(analyzeChatSentiment('really sad').valence < plain);
+  runner.assertTrue(analyzeChatSentiment('kinda sad').valence > plain);
+  runner.assertAlmostEqual(analyzeChatSentiment('sooo good').valence, analyzeChatSentiment('so good').valence, 0.001);
+  runner.assertTrue(analyzeChatSentiment('I HATE this').valence < analyzeChatSentiment('I hate this').valence);
+  runner.assertTrue(analyzeChatSentiment('great!!!').arousal > analyzeChatSentiment('great').arousal);
+});
+
+runner.test('Emoji-only messages are scored', async () => {
+  const party = analyzeChatSentiment('🔥🔥 🎉');
+  const sleepy = analyzeChatSentiment('😴');
+
+  runner.assertEqual(party.mood, 'excited');
+  runner.assertEqual(party.terms.length, 3);
+  runner.assertEqual(sleepy.mood, 'sleepy');
+  runner.assertEqual(analyzeChatSentiment('love it ❤️').terms.map(t => t.term), ['love', '❤️']);
+});
+
+runner.test('Messages without emotion leave no mood', async () => {
+  const result = analyzeChatSentiment('what time does the stream start?');
+
+  runner.assertEqual(result.mood, null);
+  runner.assertEqual(result.confidence, 0);
+  runner.assertEqual(analyzeChatSentiment('').sentiment, 'neutral');
+});
+
+runner.test('Chat mood joins fusion as a weighted chat input', async () => {
+  const participant = {
+    mood: 'calm',
+    confidence: 1,
+    moodSource: 'manual',
+    chatMood: { mood: 'excited', confidence: 0.8, updatedAt: new Date() }
+  };
+
+  const inputs = getParticipantMoodInputs(participant, { chatWeight: 0.5 });
+  runner.assertEqual(inputs.map(input => [input.source, input.weight]), [['manual', 1], ['chat', 0.5]]);
+
+  const withChat = fuseMoods(inputs);
+  const withoutChat = fuseMoods(getParticipantMoodInputs(participant, { chatWeight: 0 }));
+  runner.assertEqual(withChat.contributingMoods[1].source, 'chat');
+  runner.assertTrue(withChat.vector.arousal > withoutChat.vector.arousal, 'Excited chat lifts a calm participant');
+  runner.assertEqual(withoutChat.contributingMoods.length, 1);
+});
+
+runner.test('A participant who never picked a mood still contributes through chat', async () => {
+  const inputs = getParticipantMoodInputs({ chatMood: { mood: 'sad', confidence: 0.6 } }, { chatWeight: 0.5 });
+
+  runner.assertEqual(inputs.length, 1);
+  runner.assertEqual(fuseMoods(inputs).label, 'Sad');
+});
+
+if (require.main === module) {
+  runner.run().then(success => {
+    process.exit(success ? 0 : 1);
+  });
+}
+
+module.exports = { runner };
@@ -0,0 +1,156 @@
+/**
+ * Tests for the server factory and its shared auth layer
+ * Each test builds its own server with a stub token verifier; no Firebase or MongoDB needed
+ */
+
+const http = require('http');
+const { createServer } = require('../createServer');
+const { TestRunner } = require('./moodFusion.test');
+
+const runner = new TestRunner('Create Server');
+
+// Accepts "valid-<uid>" tokens
+const verifyToken = async (token) => {
+  if (!token.startsWith('valid-')) {
+    const error = new Error('bad token');
+    error.code = 'auth/argument-error';
+    throw error;
+  }
+  return { uid: token.slice('valid-'.length), email: null, displayName: 'Tester' };
+};
+
+const request = (server, { method = 'GET', path, headers = {}, body }) => new Promise((resolve, reject) => {
+  const payload = body ? JSON.stringify(body) : null;
+  const req = http.request({
+    host: '127.0.0.1',
+    port: server.address().port,
+    method,
+    path,
+    headers: {
+      ...(payload && { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload) }),
+      ...headers
+    }
+  }, (res) => {
+    let data = '';
+    res.on('data', chunk => { data += chunk; });
+    res.on('end', () => resolve({ status: res.statusCode, body: data ? JSON.parse(data) : null }));
+  });
+  req.on('error', reject);
+  if (payload) req.write(payload);
+  req.end();
+});
+
+// Build a server, listen on an ephemeral port, run fn, always close
+const withServer = async (config, fn) => {
+  const instance = createServer({ rateLimit: false, helmet: false, verifyToken, ...config });
+  await instance.listen(0);
+  try {
+    await fn(instance.server, instance);
+  } finally {
+    await instance.close();
+  }
+};
+
+runner.test('Creating a server does not bind a port', async () => {
+  const instance = createServer({ verifyToken });
+
+  runner.assertEqual(instance.server.listening, false);
+  runner.assertTrue(typeof instance.app === 'function', 'app should be an Express handler');
+  runner.assertTrue(!!instance.services.playlistQueueManager, 'Socket services should be wired');
+
+  await instance.close();
+});
+
+runner.test('Public routes answer without a token', async () => {
+  await withServer({}, async (server) => {
+    const health = await request(server, { path: '/api/health' });
+    const fused = await request(server, { method: 'POST', path: '/api/mood/fuse', body: { moodInputs: ['happy', 'calm'] } });
+
+    runner.assertEqual(health.status, 200);
+    runner.assertEqual(health.body.status, 'healthy');
+    runner.assertEqual(fused.status, 200);
+    runner.assertTrue(fused.body.success);
+  });
+});
+
+runner.test('Fusion requests are capped at 200 moods', async () => {
+  await withServer({}, async (server) => {
+    const moods = count => Array.from({ length: count }, (_, i) => (i % 2 ? 'happy' : 'sad'));
+    const atCap = await request(server, { method: 'POST', path: '/api/mood/fuse', body: { moodInputs: moods(200) } });
+    const overCap = await request(server, { method: 'POST', path: '/api/mood/fuse', body: { moodInputs: moods(201) } });
+
+    runner.assertEqual(atCap.status, 200);
+    runner.assertEqual(overCap.status, 400);
+  });
+});
+
+runner.test('Protected routes share one verifier', async () => {
+  await withServer({}, async (server) => {
+    const missing = await request(server, { method: 'POST', path: '/api/voice/mood' });
+    const invalid = await request(server, { method: 'POST', path: '/api/voice/mood', headers: { Authorization: 'Bearer nope' } });
+    const valid = await request(server, { method: 'POST', path: '/api/voice/mood', headers: { Authorization: 'Bearer valid-alice' } });
+    const connections = await request(server, { method: 'POST', path: '/api/room-connections/connect', body: {} });
+
+    runner.assertEqual(missing.status, 401);
+    runner.assertEqual(invalid.status, 401);
+    runner.assertEqual(invalid.body.error, 'Invalid Token');
+    // Auth passed, so the route itself rejects the missing upload
+    runner.assertEqual(valid.status, 400);
+    runner.assertEqual(valid.body.error, 'No audio file provided');
+    runner.assertEqual(connections.status, 401);
+  });
+});
+
+runner.test('Dev headers only identify callers when enabled', async () => {
+  const headers = { 'x-user-id': 'dev-bob' };
+
+  await withServer({ allowDevHeaders: false }, async (server) => {
+    const response = await request(server, { method: 'POST', path: '/api/voice/mood', headers });
+    runner.assertEqual(response.status, 401);
+  });
+
+  await withServer({ allowDevHeaders: true }, async (server) => {
+    const response = await request(server, { method: 'POST', path: '/api/voice/mood', headers });
+    const anonymous = await request(server, { method: 'POST', path: '/api/voice/mood' });
+
+    runner.assertEqual(response.status, 400);
+    runner.assertEqual(anonymous.status, 401, 'No header must not invent a user');
+  });
+});
+
+runner.test('Sockets are authenticated by the same verifier', async () => {
+  const { auth, close } = createServer({ verifyToken });
+  const socketWith = (handshakeAuth) => ({ handshake: { auth: handshakeAuth } });
+
+  const signedIn = socketWith({ token: 'valid-carol' });
+  const badToken = socketWith({ token: 'forged' });
+  const guest = socketWith({});
+
+  for (const socket of [signedIn, badToken, guest]) {
+    await new Promise(resolve => auth.authenticateSocket(socket, resolve));
+  }
+
+  runner.assertTrue(signedIn.isAuthenticated);
+  runner.assertEqual(signedIn.user.uid, 'carol');
+  runner.assertEqual(badToken.isAuthenticated, false);
+  runner.assertEqual(guest.user, null);
+
+  await close();
+});
+
+runner.test('Unknown routes return 404 with the endpoint list', async () => {
+  await withServer({}, async (server) => {
+    const response = await request(server, { path: '/api/nope' });
+
+    runner.assertEqual(response.status, 404);
+    runner.assertTrue(response.body.availableEndpoints.includes('POST /api/mood/fuse'));
+  });
+});
+
+if (require.main === module) {
+  runner.run().then(success => {
+    process.exit(success ? 0 : 1);
+  });
+}
+
+module.exports = { runner };
@@ -0,0 +1,105 @@
+/**
+ * Unit tests for server-side face result validation and re-scoring
+ */
+
+const { rescoreFaceResult, validateFaceResult, scoreExpressions, INVALID_FACE_RESULT } = require('../services/faceEmotion');
+const { getImageSize } = require('../utils/imageInfo');
+const { TestRunner } = require('./moodFusion.test');
+
+const runner = new TestRunner('Face Emotion');
+
+const expressions = (overrides) => ({
+  neutral: 0, happy: 0, sad: 0, angry: 0, fearful: 0, disgusted: 0, surprised: 0, ...overrides
+});
+
+const face = (box, expressionOverrides, score = 0.9) => ({
+  box,
+  score,
+  expressions: expressions(expressionOverrides)
+});
+
+// Minimal headers are enough: only the size fields are read
+const pngHeader = (width, height) => {
+  const buffer = Buffer.alloc(24);
+  Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]).copy(buffer, 0);
+  buffer.writeUInt32BE(13, 8);
+  buffer.write('IHDR', 12, 'ascii');
+  buffer.writeUInt32BE(width, 16);
+  buffer.writeUInt32BE(height, 20);
+  return buffer;
+};
+
+const jpegHeader = (width, height) => Buffer.from([
+  0xff, 0xd8, // SOI
+  0xff, 0xe0, 0x00, 0x04, 0x00, 0x00, // APP0 with a 2-byte payload
+  0xff, 0xc4, 0x00, 0x02, // DHT shares the SOF range but has no size
+  0xff, 0xc0, 0x00, 0x11, 0x08, height >> 8, height & 0xff, width >> 8, width & 0xff, 0x03
+]);
+
+runner.test('Image size is read from PNG and JPEG headers', () => {
+  runner.assertEqual(getImageSize(pngHeader(640, 480)), { format: 'png', width: 640, height: 480 });
+  runner.assertEqual(getImageSize(jpegHeader(320, 240)), { format: 'jpeg', width: 320, height: 240 });
+  runner.assertEqual(getImageSize(Buffer.from('GIF89a')), null);
+});
+
+runner.test('Expression probabilities map to participant moods', () => {
+  runner.assertEqual(scoreExpressions(expressions({ happy: 0.9, neutral: 0.1 })).emotion, 'happy');
+  runner.assertEqual(scoreExpressions(expressions({ sad: 0.95, neutral: 0.05 })).emotion, 'sad');
+  runner.assertEqual(scoreExpressions(expressions({ neutral: 1 })).emotion, 'neutral');
+
+  const fearful = scoreExpressions(expressions({ fearful: 1 }));
+  runner.assertEqual(fearful.dominantExpression, 'fearful');
+  runner.assertEqual(fearful.emotion, 'angry'); // nearest negative high-arousal mood a room accepts
+});
+
+runner.test('The largest face is primary and the client label is re-derived', () => {
+  const result = rescoreFaceResult({
+    emotion: 'excited', // client claim that the expressions don't support
+    faces: [
+      face({ x: 10, y: 10, width: 40, height: 40 }, { sad: 0.8, neutral: 0.2 }),
+      face({ x: 200, y: 100, width: 150, height: 150 }, { happy: 0.85, neutral: 0.15 })
+    ]
+  }, { imageSize: { width: 640, height: 480 } });
+
+  runner.assertEqual(result.faceCount, 2);
+  runner.assertEqual(result.primaryFace, 1);
+  runner.assertEqual(result.emotion, 'happy');
+  runner.assertEqual(result.agreesWithClient, false);
+  runner.assertTrue(result.groupMood !== null, 'Group mood should be reported for several faces');
+});
+
+runner.test('No faces yields a no-face result', () => {
+  const result = rescoreFaceResult({ faces: [], emotion: null });
+
+  runner.assertEqual(result.faceDetected, false);
+  runner.assertEqual(result.emotion, null);
+  runner.assertEqual(result.confidence, 0);
+});
+
+runner.test('Boxes outside the image and malformed expressions are rejected', () => {
+  const problems = validateFaceResult({
+    faces: [
+      face({ x: 600, y: 10, width: 100, height: 100 }, { happy: 1 }),
+      face({ x: 0, y: 0, width: 50, height: 50 }, { happy: 1, joyful: 0.1 }),
+      face({ x: 0, y: 0, width: 50, height: 50 }, { happy: 0.4 })
+    ]
+  }, { width: 640, height: 480 });
+
+  runner.assertEqual(problems.length, 3);
+
+  let code = null;
+  try {
+    rescoreFaceResult({ faces: 'nope' });
+  } catch (error) {
+    code = error.code;
+  }
+  runner.assertEqual(code, INVALID_FACE_RESULT);
+});
+
+if (require.main === module) {
+  runner.run().then(success => {
+    process.exit(success ? 0 : 1);
+  });
+}
+
+module.exports = { runner };
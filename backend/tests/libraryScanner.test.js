@@ -0,0 +1,251 @@
+/**
+ * Tests for the local library scanner: offline audio features, tag reading and the local provider routes
+ * Builds WAV, MP3 (ID3v2) and FLAC (Vorbis comment) files in a temp folder; stub Track model, no MongoDB needed
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const express = require('express');
+const musicRoutes = require('../routes/musicRoutes');
+const { scanLibrary, localTrackId } = require('../services/libraryScanner');
+const { LocalLibraryProvider } = require('../services/localLibraryProvider');
+const { extractMusicFeatures, estimateTrackFeatures, parseMode } = require('../utils/musicFeatures');
+const { TestRunner } = require('./moodFusion.test');
+
+const runner = new TestRunner('Library Scanner');
+
+const SAMPLE_RATE = 22050;
+
+// Repeatable noise so generated drums are the same on every run
+const createNoise = () => {
+  let seed = 1;
+  return () => {
+    seed = (seed * 16807) % 2147483647;
+    return seed / 2147483647 * 2 - 1;
+  };
+};
+
+const render = (seconds, generator) => {
+  const samples = new Float32Array(Math.floor(seconds * SAMPLE_RATE));
+  for (let i = 0; i < samples.length; i++) {
+    samples[i] = generator(i / SAMPLE_RATE);
+  }
+  return samples;
+};
+
+// A kick-like burst on every beat over a quiet tone
+const drumLoop = (bpm, volume = 0.8) => {
+  const noise = createNoise();
+  const beat = 60 / bpm;
+  return (t) => volume * Math.exp(-(t % beat) * 30) * noise() + 0.2 * Math.sin(2 * Math.PI * 220 * t);
+};
+
+// 16-bit mono WAV
+const makeWav = (samples, sampleRate = SAMPLE_RATE) => {
+  const buffer = Buffer.alloc(44 + samples.length * 2);
+  buffer.write('RIFF', 0, 'ascii');
+  buffer.writeUInt32LE(36 + samples.length * 2, 4);
+  buffer.write('WAVE', 8, 'ascii');
+  buffer.write('fmt ', 12, 'ascii');
+  buffer.writeUInt32LE(16, 16);
+  buffer.writeUInt16LE(1, 20);
+  buffer.writeUInt16LE(1, 22);
+  buffer.writeUInt32LE(sampleRate, 24);
+  buffer.writeUInt32LE(sampleRate * 2, 28);
+  buffer.writeUInt16LE(2, 32);
+  buffer.writeUInt16LE(16, 34);
+  buffer.write('data', 36, 'ascii');
+  buffer.writeUInt32LE(samples.length * 2, 40);
+  samples.forEach((sample, i) => buffer.writeInt16LE(Math.round(Math.max(-1, Math.min(1, sample)) * 32767), 44 + i * 2));
+  return buffer;
+};
+
+// ID3v2.3 tag with Latin-1 text frames, followed by no audio
+const makeMp3 = (frames) => {
+  const body = Buffer.concat(Object.entries(frames).map(([id, text]) => {
+    const data = Buffer.concat([Buffer.from([0]), Buffer.from(text, 'latin1')]);
+    const header = Buffer.alloc(10);
+    header.write(id, 0, 'ascii');
+    header.writeUInt32BE(data.length, 4);
+    return Buffer.concat([header, data]);
+  }));
+  const size = body.length;
+  const syncsafe = [(size >> 21) & 0x7f, (size >> 14) & 0x7f, (size >> 7) & 0x7f, size & 0x7f];
+  return Buffer.concat([Buffer.from([0x49, 0x44, 0x33, 3, 0, 0, ...syncsafe]), body]);
+};
+
+// FLAC stream header: STREAMINFO and a Vorbis comment block
+const makeFlac = (comments, seconds) => {
+  const blockHeader = (type, length, last) => Buffer.from([(last ? 0x80 : 0) | type, (length >> 16) & 0xff, (length >> 8) & 0xff, length & 0xff]);
+
+  const info = Buffer.alloc(34);
+  info.writeUInt16BE(4096, 0);
+  info.writeUInt16BE(4096, 2);
+  const packed = (BigInt(44100) << 44n) | (1n << 41n) | (15n << 36n) | BigInt(44100 * seconds);
+  info.writeBigUInt64BE(packed, 10);
+
+  const vendor = Buffer.from('test');
+  const entries = Object.entries(comments).map(([key, value]) => Buffer.from(`${key}=${value}`, 'utf8'));
+  const parts = [Buffer.alloc(4), vendor, Buffer.alloc(4)];
+  parts[0].writeUInt32LE(vendor.length);
+  parts[2].writeUInt32LE(entries.length);
+  entries.forEach(entry => {
+    const length = Buffer.alloc(4);
+    length.writeUInt32LE(entry.length);
+    parts.push(length, entry);
+  });
+  const comment = Buffer.concat(parts);
+
+  return Buffer.concat([Buffer.from('fLaC'), blockHeader(0, 34, false), info, blockHeader(4, comment.length, true), comment]);
+};
+
+// Enough of the Track model for the scanner and the local provider
+const createTrackModel = () => ({
+  tracks: [],
+  async upsertMany(tracks) {
+    this.tracks = tracks;
+    return { inserted: tracks.length, updated: 0 };
+  },
+  find(query) {
+    return { lean: async () => this.tracks.filter(track => track.source === query.source) };
+  }
+});
+
+const get = async (app, urlPath) => {
+  const server = app.listen(0);
+  try {
+    return await new Promise((resolve, reject) => {
+      http.get({ host: '127.0.0.1', port: server.address().port, path: urlPath }, (res) => {
+        const chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('end', () => resolve({ status: res.statusCode, type: res.headers['content-type'], body: Buffer.concat(chunks) }));
+      }).on('error', reject);
+    });
+  } finally {
+    server.close();
+  }
+};
+
+runner.test('Tempo and energy are measured from decoded audio', async () => {
+  const slow = extractMusicFeatures(render(15, drumLoop(90)), SAMPLE_RATE);
+  const fast = extractMusicFeatures(render(15, drumLoop(140)), SAMPLE_RATE);
+  const drone = extractMusicFeatures(render(15, t => 0.03 * Math.sin(2 * Math.PI * 220 * t)), SAMPLE_RATE);
+
+  runner.assertAlmostEqual(slow.tempo, 90, 2);
+  runner.assertAlmostEqual(fast.tempo, 140, 2);
+  runner.assertEqual(drone.tempo, null, 'A steady tone has no beat');
+  runner.assertTrue(drone.loudnessDb < slow.loudnessDb - 10);
+
+  const loud = estimateTrackFeatures({ audio: fast });
+  const quiet = estimateTrackFeatures({ audio: drone });
+  runner.assertEqual(loud.featureSource, 'audio');
+  runner.assertTrue(loud.energy > quiet.energy + 0.3, 'Loud, busy audio reads as more energetic');
+});
+
+runner.test('Tags alone give an estimate from genre, BPM and key', async () => {
+  runner.assertEqual(['Am', 'F# minor', '8A', 'Eb', 'C major', '10B', 'H'].map(parseMode),
+    ['minor', 'minor', 'minor', 'major', 'major', 'major', null]);
+
+  const sad = estimateTrackFeatures({ tags: { genre: 'Ambient', bpm: 70, key: 'Dm' } });
+  const party = estimateTrackFeatures({ tags: { genre: 'Deep House', bpm: 124, key: 'G' } });
+  const unknown = estimateTrackFeatures({ tags: {} });
+
+  runner.assertEqual([sad.featureSource, sad.tempo], ['tags', 70]);
+  runner.assertTrue(sad.valence < 0.35 && sad.energy < 0.3);
+  runner.assertTrue(party.valence > 0.7 && party.energy > 0.7 && party.danceability > 0.8);
+  runner.assertEqual(unknown, { valence: 0.5, energy: 0.5, danceability: 0.5, tempo: null, featureSource: 'default' });
+});
+
+runner.test('A folder is scanned into local tracks with tags and features', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'library-'));
+  fs.mkdirSync(path.join(dir, 'Chill'));
+  fs.writeFileSync(path.join(dir, 'Test Band - Night Drive.wav'), makeWav(render(8, drumLoop(120))));
+  fs.writeFileSync(path.join(dir, 'Chill', 'rain.mp3'), makeMp3({ TIT2: 'Rain Study', TPE1: 'Quiet Keys', TCON: 'Ambient', TBPM: '68', TKEY: 'Am' }));
+  fs.writeFileSync(path.join(dir, 'Chill', 'sunrise.flac'), makeFlac({ TITLE: 'Sunrise', ARTIST: 'Brass Band', GENRE: 'Reggae', BPM: '100' }, 200));
+  fs.writeFileSync(path.join(dir, 'notes.txt'), 'not audio');
+  fs.writeFileSync(path.join(dir, '.hidden.mp3'), 'skipped');
+
+  const Track = createTrackModel();
+  try {
+    const result = await scanLibrary(dir, { Track });
+    const byTitle = Object.fromEntries(result.tracks.map(track => [track.title, track]));
+
+    runner.assertEqual([result.scanned, result.inserted, result.skipped], [3, 3, 0]);
+    runner.assertEqual(Object.keys(byTitle).sort(), ['Night Drive', 'Rain Study', 'Sunrise']);
+
+    runner.assertEqual([byTitle['Night Drive'].artist, byTitle['Night Drive'].featureSource], ['Test Band', 'audio'], 'Untagged files are named from the file name');
+    runner.assertAlmostEqual(byTitle['Night Drive'].tempo, 120, 2);
+    runner.assertEqual(byTitle['Night Drive'].duration, 8);
+
+    runner.assertEqual([byTitle['Rain Study'].artist, byTitle['Rain Study'].genre, byTitle['Rain Study'].tempo], ['Quiet Keys', 'Ambient', 68]);
+    runner.assertEqual([byTitle.Sunrise.artist, byTitle.Sunrise.duration, byTitle.Sunrise.featureSource], ['Brass Band', 200, 'tags']);
+    runner.assertTrue(byTitle.Sunrise.valence > byTitle['Rain Study'].valence, 'Upbeat reggae reads happier than a slow minor ambient piece');
+
+    const rescan = await scanLibrary(dir, { Track });
+    runner.assertEqual(rescan.tracks.map(t => t.trackId).sort(), result.tracks.map(t => t.trackId).sort(), 'Track ids are stable across scans');
+    runner.assertEqual(byTitle.Sunrise.trackId, localTrackId(path.join(dir, 'Chill', 'sunrise.flac')));
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+runner.test('WAV files with an unusable sample rate are skipped instead of stalling the scan', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'library-'));
+  fs.writeFileSync(path.join(dir, 'broken.wav'), makeWav(new Float32Array(400), 40));
+  fs.writeFileSync(path.join(dir, 'fine.wav'), makeWav(render(1, drumLoop(120))));
+
+  const Track = createTrackModel();
+  try {
+    const result = await scanLibrary(dir, { Track });
+
+    runner.assertEqual([result.scanned, result.inserted, result.skipped], [2, 1, 1]);
+    runner.assertEqual(result.errors.map(e => path.basename(e.file)), ['broken.wav']);
+    runner.assertEqual(extractMusicFeatures(new Float32Array(400), 40).tempo, null, 'The analyser returns instead of looping');
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+runner.test('Scanned tracks are played and matched by mood through the music routes', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'library-'));
+  fs.writeFileSync(path.join(dir, 'calm.mp3'), makeMp3({ TIT2: 'Calm Waters', TPE1: 'Quiet Keys', TCON: 'Ambient', TBPM: '64', TKEY: 'C' }));
+  fs.writeFileSync(path.join(dir, 'party.flac'), makeFlac({ TITLE: 'Party Time', ARTIST: 'Brass Band', GENRE: 'Dance', BPM: '126' }, 180));
+
+  const Track = createTrackModel();
+  await scanLibrary(dir, { Track });
+  const localLibrary = new LocalLibraryProvider({ Track, isConnected: () => true });
+  musicRoutes.init({ localLibrary });
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api/music', musicRoutes);
+
+  try {
+    const library = JSON.parse((await get(app, `/api/music/library?mood=${encodeURIComponent(JSON.stringify({ valence: 0.8, energy: 0.9 }))}`)).body);
+    runner.assertEqual(library.tracks.map(t => t.name), ['Party Time', 'Calm Waters']);
+    runner.assertTrue(library.tracks[0].url.startsWith('/api/music/files/local-'));
+
+    const file = await get(app, library.tracks[1].url);
+    runner.assertEqual(file.status, 200);
+    runner.assertEqual(file.body.slice(0, 3).toString(), 'ID3');
+
+    const missing = await get(app, '/api/music/files/local-0000');
+    runner.assertEqual(missing.status, 404);
+
+    const [calm] = await localLibrary.searchByMood({ valence: 0.2, arousal: -0.7 }, { limit: 1 });
+    runner.assertEqual([calm.id.startsWith('local:local-'), calm.title], [true, 'Calm Waters']);
+  } finally {
+    musicRoutes.init({});
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+if (require.main === module) {
+  runner.run().then(success => {
+    process.exit(success ? 0 : 1);
+  });
+}
+
+module.exports = { runner };
@@ -0,0 +1,167 @@
+/**
+ * Tests for the k-nearest-neighbour similar-memory search pipeline
+ * The distance expression is evaluated in-process, so no database is needed
+ */
+
+const http = require('http');
+const express = require('express');
+const Room = require('../models/Room');
+const RoomMemory = require('../models/RoomMemory');
+const memoryRoutes = require('../routes/memoryRoutes');
+const { TestRunner } = require('./moodFusion.test');
+
+const runner = new TestRunner('Memory Similarity');
+
+// Evaluates the aggregation operators the distance expression uses (UTC only)
+const evaluate = (expr, doc) => {
+  if (typeof expr === 'number') return expr;
+  if (typeof expr === 'string') {
+    return expr.slice(1).split('.').reduce((value, key) => value[key], doc);
+  }
+  const [op, args] = Object.entries(expr)[0];
+  const values = Array.isArray(args) ? args.map(arg => evaluate(arg, doc)) : null;
+  switch (op) {
+    case '$add': return values.reduce((a, b) => a + b, 0);
+    case '$multiply': return values.reduce((a, b) => a * b, 1);
+    case '$subtract': return values[0] - values[1];
+    case '$divide': return values[0] / values[1];
+    case '$min': return Math.min(...values);
+    case '$abs': return Math.abs(evaluate(args, doc));
+    case '$sqrt': return Math.sqrt(evaluate(args, doc));
+    case '$hour': return new Date(evaluate(args.date, doc)).getUTCHours();
+    case '$minute': return new Date(evaluate(args.date, doc)).getUTCMinutes();
+    default: throw new Error(`Unsupported operator ${op}`);
+  }
+};
+
+const distanceOf = (pipeline, doc) => evaluate(pipeline[1].$addFields.distance, doc);
+
+const memory = (valence, arousal, extra = {}) => ({
+  moodVector: { valence, arousal },
+  playlist: { avgEnergy: extra.energy, avgTempo: extra.tempo },
+  timestamp: extra.timestamp || new Date('2024-01-01T12:00:00Z')
+});
+
+runner.test('Scope is applied before ranking and pagination', () => {
+  const pipeline = RoomMemory.buildSimilarityPipeline({ valence: 0.5, arousal: 0.5 }, { roomId: 'ROOM1', limit: 5, offset: 10 });
+  const [match, , facet] = pipeline;
+
+  runner.assertEqual(match.$match, { roomId: 'ROOM1' });
+  runner.assertEqual(facet.$facet.memories, [
+    { $sort: { distance: 1, timestamp: -1 } },
+    { $skip: 10 },
+    { $limit: 5 }
+  ]);
+  runner.assertEqual(facet.$facet.total, [{ $count: 'count' }]);
+});
+
+runner.test('User scope matches participants and creators', () => {
+  const [match] = RoomMemory.buildSimilarityPipeline({ valence: 0, arousal: 0 }, { userId: 'alice' });
+
+  runner.assertEqual(match.$match, { $or: [{ 'participants.userId': 'alice' }, { 'metadata.createdBy': 'alice' }] });
+});
+
+runner.test('Two-dimensional distance matches the previous similarity score', () => {
+  const target = { valence: 0.8, arousal: 0.9 };
+  const pipeline = RoomMemory.buildSimilarityPipeline(target);
+  const doc = memory(-0.6, -0.4);
+
+  const raw = Math.sqrt(Math.pow(0.8 + 0.6, 2) + Math.pow(0.9 + 0.4, 2));
+  runner.assertAlmostEqual(1 - distanceOf(pipeline, doc), 1 - raw / Math.sqrt(8), 0.0001);
+  runner.assertAlmostEqual(distanceOf(pipeline, memory(0.8, 0.9)), 0, 0.0001);
+});
+
+runner.test('Candidates rank by distance to the target', () => {
+  const pipeline = RoomMemory.buildSimilarityPipeline({ valence: 0.6, arousal: -0.4 });
+  const candidates = { excited: memory(0.8, 0.9), calm: memory(0.6, -0.3), sad: memory(-0.6, -0.4) };
+
+  const ranked = Object.keys(candidates).sort((a, b) => distanceOf(pipeline, candidates[a]) - distanceOf(pipeline, candidates[b]));
+  runner.assertEqual(ranked, ['calm', 'sad', 'excited']);
+});
+
+runner.test('Optional dimensions require the field and affect ranking', () => {
+  const pipeline = RoomMemory.buildSimilarityPipeline({ valence: 0.5, arousal: 0.5, energy: 0.9, tempo: 120 });
+  const [match] = pipeline;
+
+  runner.assertEqual(match.$match, { 'playlist.avgEnergy': { $type: 'number' }, 'playlist.avgTempo': { $type: 'number' } });
+
+  const upbeat = memory(0.5, 0.5, { energy: 0.9, tempo: 118 });
+  const mellow = memory(0.5, 0.5, { energy: 0.2, tempo: 70 });
+  runner.assertTrue(distanceOf(pipeline, upbeat) < distanceOf(pipeline, mellow), 'Matching energy and tempo should rank first');
+});
+
+runner.test('Time of day wraps around midnight', () => {
+  const pipeline = RoomMemory.buildSimilarityPipeline({ valence: 0, arousal: 0, timeOfDay: 23.5 });
+  const justAfterMidnight = memory(0, 0, { timestamp: new Date('2024-01-01T00:30:00Z') });
+  const midday = memory(0, 0, { timestamp: new Date('2024-01-01T12:00:00Z') });
+
+  // One hour apart on a 12-hour scale, averaged over three dimensions
+  runner.assertAlmostEqual(distanceOf(pipeline, justAfterMidnight), Math.sqrt(Math.pow(1 / 12, 2) / 3), 0.0001);
+  runner.assertTrue(distanceOf(pipeline, midday) > distanceOf(pipeline, justAfterMidnight));
+});
+
+runner.test('A distance cap filters before pagination', () => {
+  const pipeline = RoomMemory.buildSimilarityPipeline({ valence: 0, arousal: 0 }, { maxDistance: 0.25 });
+
+  runner.assertEqual(pipeline[2], { $match: { distance: { $lte: 0.25 } } });
+  runner.assertTrue(!!pipeline[3].$facet, 'Pagination should come last');
+});
+
+// Status code of a GET made as the given user
+const statusOf = (server, uid, path) => new Promise((resolve, reject) => {
+  http.get({ host: '127.0.0.1', port: server.address().port, path, headers: { 'x-user': uid } }, (res) => {
+    res.resume();
+    res.on('end', () => resolve(res.statusCode));
+  }).on('error', reject);
+});
+
+runner.test('Outsiders cannot search or replay a private room\'s memories', async () => {
+  const room = new Room({
+    roomId: 'SECRET01',
+    name: 'Session',
+    createdBy: 'therapist',
+    visibility: 'private',
+    participants: [{ userId: 'therapist', displayName: 'Therapist', email: 't@example.com', role: 'owner' }]
+  });
+  let replays = 0;
+  const stored = { getReplayData: () => ({ replayCount: ++replays }) };
+
+  const app = express();
+  app.use((req, res, next) => {
+    req.user = { uid: req.headers['x-user'] };
+    next();
+  });
+  app.use('/api/rooms', memoryRoutes);
+  const server = app.listen(0);
+
+  const originals = { findByRoomId: Room.findByRoomId, findOne: RoomMemory.findOne, findSimilarMoods: RoomMemory.findSimilarMoods };
+  Room.findByRoomId = async () => room;
+  RoomMemory.findOne = async () => stored;
+  RoomMemory.findSimilarMoods = async () => ({ memories: [], total: 0 });
+  const as = (uid, path) => statusOf(server, uid, path);
+  try {
+    const similar = '/api/rooms/SECRET01/memories/similar?valence=0.5&arousal=0.5';
+    const replay = '/api/rooms/SECRET01/memories/mem_1/replay';
+
+    runner.assertEqual(await as('stranger', similar), 404);
+    runner.assertEqual(await as('stranger', replay), 404);
+    runner.assertEqual(replays, 0, 'Outsiders do not bump the replay count');
+    runner.assertEqual(await as('stranger', `${similar}&scope=user`), 200, 'User scope only searches the caller\'s own memories');
+    runner.assertEqual(await as('therapist', similar), 200);
+    runner.assertEqual(await as('therapist', replay), 200);
+    runner.assertEqual(replays, 1);
+  } finally {
+    Room.findByRoomId = originals.findByRoomId;
+    RoomMemory.findOne = originals.findOne;
+    RoomMemory.findSimilarMoods = originals.findSimilarMoods;
+    server.close();
+  }
+});
+
+if (require.main === module) {
+  runner.run().then(success => {
+    process.exit(success ? 0 : 1);
+  });
+}
+
+module.exports = { runner };
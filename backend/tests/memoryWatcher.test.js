@@ -0,0 +1,112 @@
+/**
+ * Tests for automatic mood-triggered memory capture
+ * The capture function is injected, so no database is needed
+ */
+
+const { MoodMemoryWatcher, MEMORY_TRIGGERS, getQuadrant } = require('../services/memoryWatcher');
+const { TestRunner } = require('./moodFusion.test');
+
+const runner = new TestRunner('Memory Watcher');
+
+const MINUTE = 60 * 1000;
+
+const participant = (userId, mood, isOnline = true) => ({ userId, displayName: userId, mood, confidence: 1.0, moodSource: 'manual', isOnline });
+
+const room = (participants, memorySettings) => ({ roomId: 'ROOM1', name: 'Test Room', participants, memorySettings });
+
+// Records every capture call and returns a fake memory
+const createWatcher = (options = {}) => {
+  const captures = [];
+  const announced = [];
+  const watcher = new MoodMemoryWatcher({
+    capture: async (capturedRoom, captureOptions) => {
+      captures.push(captureOptions);
+      return { memoryId: `memory_${captures.length}`, metadata: { trigger: captureOptions.trigger } };
+    },
+    onCapture: (roomId, memory, triggers) => announced.push({ roomId, memoryId: memory.memoryId, triggers }),
+    ...options
+  });
+  return { watcher, captures, announced };
+};
+
+runner.test('Quadrants ignore vectors near the axes', () => {
+  runner.assertEqual(getQuadrant({ valence: 0.8, arousal: 0.9 }, 0.15), 'positive_high');
+  runner.assertEqual(getQuadrant({ valence: -0.6, arousal: -0.4 }, 0.15), 'negative_low');
+  runner.assertEqual(getQuadrant({ valence: 0.05, arousal: 0.9 }, 0.15), null);
+});
+
+runner.test('Crossing into a new quadrant captures a memory', async () => {
+  const { watcher, captures, announced } = createWatcher();
+
+  const first = await watcher.observeRoom(room([participant('a', 'calm')]), 0);
+  const second = await watcher.observeRoom(room([participant('a', 'sad')]), MINUTE);
+
+  runner.assertEqual(first, null, 'The first sample is only a baseline');
+  runner.assertEqual(second.memoryId, 'memory_1');
+  runner.assertEqual(captures[0].trigger, MEMORY_TRIGGERS.QUADRANT_CHANGE);
+  runner.assertEqual(captures[0].tags, ['auto', 'quadrant_change']);
+  runner.assertEqual(announced[0].roomId, 'ROOM1');
+});
+
+runner.test('An arousal peak is captured once the energy drops', async () => {
+  const { watcher } = createWatcher();
+
+  runner.assertEqual(watcher.detectTriggers('ROOM1', { vector: { valence: 0.5, arousal: 0.7 }, confidence: 0.8 }), []);
+  runner.assertEqual(watcher.detectTriggers('ROOM1', { vector: { valence: 0.5, arousal: 0.9 }, confidence: 0.8 }), []);
+  runner.assertEqual(watcher.detectTriggers('ROOM1', { vector: { valence: 0.5, arousal: 0.85 }, confidence: 0.8 }), []);
+  runner.assertEqual(watcher.detectTriggers('ROOM1', { vector: { valence: 0.5, arousal: 0.75 }, confidence: 0.8 }), [MEMORY_TRIGGERS.ENERGY_PEAK]);
+});
+
+runner.test('A confidence spike over the recent minimum is detected', async () => {
+  const { watcher } = createWatcher();
+  const sample = (confidence) => watcher.detectTriggers('ROOM1', { vector: { valence: 0.5, arousal: -0.4 }, confidence });
+
+  runner.assertEqual(sample(0.5), []);
+  runner.assertEqual(sample(0.6), []);
+  runner.assertEqual(sample(0.9), [MEMORY_TRIGGERS.CONFIDENCE_SPIKE]);
+  runner.assertEqual(sample(0.9), [], 'The window restarts after a spike');
+});
+
+runner.test('Per-room cooldowns suppress repeated triggers', async () => {
+  const { watcher, captures } = createWatcher();
+  const settings = { autoCapture: true, cooldowns: { quadrant_change: 10 * MINUTE } };
+
+  await watcher.observeRoom(room([participant('a', 'calm')], settings), 0);
+  await watcher.observeRoom(room([participant('a', 'sad')], settings), MINUTE);
+  await watcher.observeRoom(room([participant('a', 'calm')], settings), 2 * MINUTE);
+  await watcher.observeRoom(room([participant('a', 'sad')], settings), 12 * MINUTE);
+
+  runner.assertEqual(captures.length, 2);
+});
+
+runner.test('Rooms with auto capture off never capture', async () => {
+  const { watcher, captures } = createWatcher();
+  const settings = { autoCapture: false };
+
+  await watcher.observeRoom(room([participant('a', 'calm')], settings), 0);
+  await watcher.observeRoom(room([participant('a', 'sad')], settings), MINUTE);
+  await watcher.endSession(room([participant('a', 'sad', false)], settings), 2 * MINUTE);
+
+  runner.assertEqual(captures.length, 0);
+});
+
+runner.test('Session end captures the last moods and resets detection', async () => {
+  const { watcher, captures } = createWatcher();
+
+  await watcher.observeRoom(room([participant('a', 'calm')]), 0);
+  const memory = await watcher.endSession(room([participant('a', 'calm', false)]), MINUTE);
+  const afterRejoin = await watcher.observeRoom(room([participant('a', 'sad')]), 2 * MINUTE);
+
+  runner.assertEqual(memory.memoryId, 'memory_1');
+  runner.assertEqual(captures[0].trigger, MEMORY_TRIGGERS.SESSION_END);
+  runner.assertTrue(captures[0].includeOffline, 'Session end snapshots offline participants');
+  runner.assertEqual(afterRejoin, null, 'A new session starts without a quadrant baseline');
+});
+
+if (require.main === module) {
+  runner.run().then(success => {
+    process.exit(success ? 0 : 1);
+  });
+}
+
+module.exports = { runner };
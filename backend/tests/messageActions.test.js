@@ -0,0 +1,166 @@
+/**
+ * Tests for editing, deleting and reacting to room chat messages
+ * Rooms are real Room documents whose save() is stubbed; no MongoDB needed
+ */
+
+process.env.REACTION_MOOD_WEIGHT = '0.3';
+
+const Room = require('../models/Room');
+const Message = require('../models/Message');
+const MoodEvent = require('../models/MoodEvent');
+const { handleEditMessage, handleDeleteMessage, handleReactToMessage } = require('../handlers/roomHandlers');
+const { analyzeReaction, isReactionEmoji } = require('../services/chatSentiment');
+const { TestRunner } = require('./moodFusion.test');
+const { createMessageStore } = require('./messageHistory.test');
+
+const runner = new TestRunner('Message Actions');
+
+const person = (userId, role = 'member') => ({ userId, displayName: userId, email: `${userId}@example.com`, role });
+
+const createRoom = () => {
+  const room = new Room({
+    roomId: 'ROOM1',
+    name: 'Test room',
+    createdBy: 'olivia',
+    participants: [person('olivia', 'owner'), person('max', 'moderator'), person('mia'), person('sam')]
+  });
+  room.save = async function() { return this; };
+  return room;
+};
+
+const createMessages = () => createMessageStore([
+  { messageId: 'm1', roomId: 'ROOM1', userId: 'mia', displayName: 'mia', message: 'hello everyone' },
+  { messageId: 'm2', roomId: 'ROOM1', userId: 'sam', displayName: 'sam', message: 'this track is great' }
+]);
+
+const findMessage = (store, messageId) => store.docs.find(m => m.messageId === messageId);
+
+// Records what the socket and the rest of the room receive
+const createSocket = (uid) => {
+  const socket = {
+    user: { uid, displayName: uid, email: `${uid}@example.com` },
+    isAuthenticated: true,
+    received: [],
+    broadcast: [],
+    emit: (event, payload) => socket.received.push({ event, payload }),
+    to: () => ({ emit: (event, payload) => socket.broadcast.push({ event, payload }) })
+  };
+  return socket;
+};
+
+// Run handlers against `room` and an in-memory message store; mood events are not stored
+const withRoom = async (room, store, fn) => {
+  const originalFind = Room.findByRoomId;
+  const originalRecord = MoodEvent.record;
+  Room.findByRoomId = async () => room;
+  MoodEvent.record = async () => null;
+  store.install();
+  try {
+    await fn();
+  } finally {
+    Room.findByRoomId = originalFind;
+    MoodEvent.record = originalRecord;
+    store.restore();
+  }
+};
+
+runner.test('Authors edit their own messages and the text is scored again', async () => {
+  const room = createRoom();
+  const store = createMessages();
+  const mia = createSocket('mia');
+  const max = createSocket('max');
+
+  await withRoom(room, store, async () => {
+    await handleEditMessage(mia, { roomId: 'ROOM1', messageId: 'm1', message: 'I love this room' });
+    await handleEditMessage(max, { roomId: 'ROOM1', messageId: 'm1', message: 'moderated' });
+  });
+
+  const message = findMessage(store, 'm1');
+  runner.assertEqual([message.message, message.edited, message.mood], ['I love this room', true, 'happy']);
+  runner.assertTrue(message.editedAt instanceof Date);
+  runner.assertTrue(message.valence > 0, 'The stored valence is the numeric score');
+  runner.assertEqual(mia.broadcast[0].event, 'message:edited');
+  runner.assertEqual(mia.broadcast[0].payload.valence, message.valence);
+  runner.assertEqual(max.received.map(e => e.payload.message), ['You can only edit your own messages'], 'Moderators cannot rewrite messages');
+});
+
+runner.test('Authors and moderators delete messages; other members cannot', async () => {
+  const room = createRoom();
+  const store = createMessages();
+  const sam = createSocket('sam');
+  const max = createSocket('max');
+
+  await withRoom(room, store, async () => {
+    await handleDeleteMessage(sam, { roomId: 'ROOM1', messageId: 'm1' });
+    await handleDeleteMessage(max, { roomId: 'ROOM1', messageId: 'm1' });
+    await handleDeleteMessage(sam, { roomId: 'ROOM1', messageId: 'm2' });
+  });
+
+  runner.assertEqual(sam.received[0].payload.message, 'Only moderators can delete other people\'s messages');
+  runner.assertEqual(max.received[0], { event: 'message:deleted', payload: { roomId: 'ROOM1', messageId: 'm1', deletedBy: 'max', byModerator: true } });
+  runner.assertEqual(sam.received[1].payload.byModerator, false);
+  runner.assertEqual(store.docs.length, 0);
+});
+
+runner.test('Reactions count once per user and toggle off', async () => {
+  const message = findMessage(createMessages(), 'm2');
+
+  await message.toggleReaction('mia', '🔥');
+  await message.toggleReaction('max', '🔥');
+  await message.toggleReaction('mia', '👍');
+  const added = await message.toggleReaction('mia', '🔥');
+
+  runner.assertEqual(added, false);
+  runner.assertEqual(Message.summarizeReactions(message), [
+    { emoji: '🔥', count: 1, userIds: ['max'] },
+    { emoji: '👍', count: 1, userIds: ['mia'] }
+  ]);
+
+  await message.toggleReaction('mia', '👍');
+  runner.assertEqual(Message.summarizeReactions(message).map(r => r.emoji), ['🔥'], 'Emptied reactions are dropped');
+});
+
+runner.test('Only single emoji are accepted as reactions', async () => {
+  runner.assertEqual(['👍', '👍🏽', '❤️', '🧑‍🎤'].map(isReactionEmoji), [true, true, true, true]);
+  runner.assertEqual(['ok', '👍👍', '', null].map(isReactionEmoji), [false, false, false, false]);
+
+  const room = createRoom();
+  const mia = createSocket('mia');
+  await withRoom(room, createMessages(), () => handleReactToMessage(mia, { roomId: 'ROOM1', messageId: 'm2', emoji: 'lol' }));
+  runner.assertEqual(mia.received.map(e => e.payload.message), ['Reactions must be a single emoji']);
+});
+
+runner.test('Reactions are a weaker mood signal than chat and can be switched off', async () => {
+  const reading = analyzeReaction('🎉');
+
+  runner.assertEqual(reading.mood, 'excited');
+  runner.assertTrue(reading.confidence > 0 && reading.confidence < 0.2, `Expected a light signal, got ${reading.confidence}`);
+  runner.assertEqual(analyzeReaction('🎉', 0).mood, null);
+  runner.assertEqual(analyzeReaction('🐙').mood, null, 'Emoji outside the lexicon carry no mood');
+});
+
+runner.test('Reacting updates counts live and nudges the reactor\'s chat mood', async () => {
+  const room = createRoom();
+  const mia = createSocket('mia');
+  const sam = createSocket('sam');
+  room.participants.find(p => p.userId === 'sam').chatMood = { mood: 'sad', confidence: 0.8, updatedAt: new Date() };
+
+  await withRoom(room, createMessages(), async () => {
+    await handleReactToMessage(mia, { roomId: 'ROOM1', messageId: 'm2', emoji: '😢' });
+    await handleReactToMessage(sam, { roomId: 'ROOM1', messageId: 'm2', emoji: '🎉' });
+  });
+
+  const update = mia.received.find(e => e.event === 'message:reactions').payload;
+  runner.assertEqual([update.emoji, update.added, update.reactions], ['😢', true, [{ emoji: '😢', count: 1, userIds: ['mia'] }]]);
+  runner.assertEqual(room.participants.find(p => p.userId === 'mia').chatMood.mood, 'sad');
+  runner.assertTrue(mia.received.some(e => e.event === 'participantChatMoodUpdated' && e.payload.fromReaction));
+  runner.assertEqual(room.participants.find(p => p.userId === 'sam').chatMood.mood, 'sad', 'A fresh reading from words outweighs a reaction');
+});
+
+if (require.main === module) {
+  runner.run().then(success => {
+    process.exit(success ? 0 : 1);
+  });
+}
+
+module.exports = { runner };
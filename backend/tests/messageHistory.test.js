@@ -0,0 +1,247 @@
+/**
+ * Tests for the Message collection: unbounded history and cursor pagination
+ * The model's find/create calls are served from memory, so the real paging statics run without MongoDB
+ */
+
+const mongoose = require('mongoose');
+const Message = require('../models/Message');
+const Room = require('../models/Room');
+const { TestRunner } = require('./moodFusion.test');
+
+const runner = new TestRunner('Message History');
+
+const compareNewestFirst = (a, b) =>
+  (b.timestamp - a.timestamp) || (a.messageId < b.messageId ? 1 : a.messageId > b.messageId ? -1 : 0);
+
+// Only the query shapes Message builds: roomId, messageId and the cursor's $or
+const matches = (doc, query) => {
+  if (query.roomId !== undefined && doc.roomId !== query.roomId) return false;
+  if (query.messageId !== undefined && doc.messageId !== query.messageId) return false;
+  if (query.$or) {
+    const [older, tied] = query.$or;
+    return doc.timestamp < older.timestamp.$lt ||
+      (doc.timestamp.getTime() === tied.timestamp.getTime() && doc.messageId < tied.messageId.$lt);
+  }
+  return true;
+};
+
+/**
+ * In-memory stand-in for the messages collection. install() replaces the model calls
+ * Message makes (create, find, findOne, findOneAndDelete); restore() puts them back.
+ * Documents are real Messages whose save() is stubbed.
+ */
+const createMessageStore = (seed = []) => {
+  const docs = [];
+  const originals = {};
+
+  const add = (data) => {
+    const doc = new Message(data);
+    doc.save = async function() { return this; };
+    docs.push(doc);
+    return doc;
+  };
+  seed.forEach(add);
+
+  const fakes = {
+    create: async (data) => add(data),
+    findOne: async (query) => docs.find(doc => matches(doc, query)) || null,
+    findOneAndDelete: async (query) => {
+      const index = docs.findIndex(doc => matches(doc, query));
+      return index === -1 ? null : docs.splice(index, 1)[0];
+    },
+    find: (query) => {
+      let rows = docs.filter(doc => matches(doc, query));
+      const chain = {
+        sort: () => {
+          rows = [...rows].sort(compareNewestFirst);
+          return chain;
+        },
+        limit: (n) => {
+          rows = rows.slice(0, n);
+          return chain;
+        },
+        lean: async () => rows.map(doc => doc.toObject())
+      };
+      return chain;
+    }
+  };
+
+  return {
+    docs,
+    install() {
+      Object.keys(fakes).forEach(key => {
+        originals[key] = Message[key];
+        Message[key] = fakes[key];
+      });
+      return this;
+    },
+    restore() {
+      Object.assign(Message, originals);
+    }
+  };
+};
+
+// Seed `count` messages one second apart, oldest first
+const seedMessages = (count, roomId = 'ROOM1', start = Date.UTC(2026, 0, 1)) =>
+  Array.from({ length: count }, (_, i) => ({
+    messageId: `msg-${String(i).padStart(3, '0')}`,
+    roomId,
+    userId: 'mia',
+    displayName: 'mia',
+    message: `message ${i}`,
+    timestamp: new Date(start + i * 1000)
+  }));
+
+const withStore = async (store, fn) => {
+  store.install();
+  try {
+    await fn();
+  } finally {
+    store.restore();
+  }
+};
+
+runner.test('History is no longer capped at 100 messages', async () => {
+  const store = createMessageStore();
+  const room = new Room({ roomId: 'ROOM1', name: 'Chatty', createdBy: 'mia' });
+  room.save = async function() { return this; };
+
+  await withStore(store, async () => {
+    for (let i = 0; i < 120; i++) {
+      await room.addMessage({ messageId: `m${i}`, userId: 'mia', displayName: 'mia', message: `hello ${i}` });
+    }
+  });
+
+  runner.assertEqual(store.docs.length, 120);
+  runner.assertEqual(store.docs[0].roomId, 'ROOM1');
+  runner.assertEqual(room.toObject().messages, undefined, 'Rooms no longer embed their chat');
+});
+
+runner.test('The first page holds the newest messages in chronological order', async () => {
+  const store = createMessageStore(seedMessages(120));
+  let page;
+
+  await withStore(store, async () => {
+    page = await Message.findPage('ROOM1', { limit: 50 });
+  });
+
+  runner.assertEqual(page.messages.length, 50);
+  runner.assertEqual([page.messages[0].messageId, page.messages[49].messageId], ['msg-070', 'msg-119']);
+  runner.assertEqual(page.hasMore, true);
+  runner.assertEqual(Message.decodeCursor(page.nextCursor).messageId, 'msg-070');
+});
+
+runner.test('Following the cursor walks back through every message once', async () => {
+  const store = createMessageStore([...seedMessages(120), ...seedMessages(5, 'OTHER')]);
+  const seen = [];
+
+  await withStore(store, async () => {
+    let before;
+    do {
+      const page = await Message.findPage('ROOM1', { before, limit: 50 });
+      seen.unshift(...page.messages.map(m => m.messageId));
+      before = page.nextCursor;
+    } while (before);
+  });
+
+  runner.assertEqual(seen.length, 120);
+  runner.assertEqual(new Set(seen).size, 120);
+  runner.assertEqual([seen[0], seen[119]], ['msg-000', 'msg-119']);
+});
+
+runner.test('Messages sharing a timestamp are split across pages without loss', async () => {
+  const sameTime = seedMessages(5).map(m => ({ ...m, timestamp: new Date(Date.UTC(2026, 0, 1)) }));
+  const store = createMessageStore(sameTime);
+  const pages = [];
+
+  await withStore(store, async () => {
+    const first = await Message.findPage('ROOM1', { limit: 3 });
+    const second = await Message.findPage('ROOM1', { before: first.nextCursor, limit: 3 });
+    pages.push(first, second);
+  });
+
+  runner.assertEqual(pages[0].messages.map(m => m.messageId), ['msg-002', 'msg-003', 'msg-004']);
+  runner.assertEqual(pages[1].messages.map(m => m.messageId), ['msg-000', 'msg-001']);
+  runner.assertEqual([pages[1].hasMore, pages[1].nextCursor], [false, null]);
+});
+
+runner.test('Unreadable cursors and page sizes are handled', async () => {
+  const store = createMessageStore(seedMessages(3));
+  let error = null;
+  let page;
+
+  await withStore(store, async () => {
+    try {
+      await Message.findPage('ROOM1', { before: 'not-a-cursor' });
+    } catch (e) {
+      error = e;
+    }
+    page = await Message.findPage('ROOM1', { limit: '500' });
+  });
+
+  runner.assertEqual(error?.code, 'INVALID_CURSOR');
+  runner.assertEqual(page.messages.length, 3, 'Oversized limits are capped, not rejected');
+  runner.assertEqual(Message.decodeCursor(Message.encodeCursor({ timestamp: new Date(5000), messageId: 'a:b' })),
+    { timestamp: new Date(5000), messageId: 'a:b' });
+});
+
+runner.test('Embedded history is only dropped once every message is stored', async () => {
+  const embedded = (roomId, ids) => ({
+    _id: roomId,
+    roomId,
+    messages: ids.map(id => ({ messageId: id, userId: 'mia', message: `hello ${id}`, timestamp: new Date() }))
+  });
+  const stored = new Set(['a1']); // a1 was moved by an interrupted earlier run
+  const unset = [];
+
+  const bulkError = (docs, codes) => Object.assign(new Error('bulk write failed'), {
+    writeErrors: codes.map((code, index) => ({ index, err: { code } })),
+    insertedDocs: docs.slice(codes.length)
+  });
+  const fakes = {
+    // ROOM_A hits a duplicate, ROOM_B skips an invalid message silently, ROOM_C fails for another reason
+    insertMany: async (docs) => {
+      const roomId = docs[0].roomId;
+      if (roomId === 'ROOM_C') throw bulkError(docs, [10334]);
+      const fresh = docs.filter(doc => !stored.has(doc.messageId) && doc.messageId !== 'b2');
+      fresh.forEach(doc => stored.add(doc.messageId));
+      if (fresh.length < docs.length && roomId === 'ROOM_A') throw bulkError(docs, [11000]);
+      return fresh;
+    },
+    countDocuments: async (query) => query.messageId.$in.filter(id => stored.has(id)).length
+  };
+  const rooms = (list) => ({
+    find: () => list,
+    updateOne: async (filter) => unset.push(filter._id)
+  });
+
+  const originals = { collection: mongoose.connection.collection, ...Object.fromEntries(Object.keys(fakes).map(key => [key, Message[key]])) };
+  Object.assign(Message, fakes);
+  try {
+    mongoose.connection.collection = () => rooms([embedded('ROOM_A', ['a1', 'a2']), embedded('ROOM_B', ['b1', 'b2'])]);
+    runner.assertEqual(await Message.migrateEmbeddedMessages(), 2);
+    runner.assertEqual(unset, ['ROOM_A'], 'ROOM_B keeps the message that could not be stored');
+
+    mongoose.connection.collection = () => rooms([embedded('ROOM_C', ['c1'])]);
+    let failure = null;
+    try {
+      await Message.migrateEmbeddedMessages();
+    } catch (error) {
+      failure = error;
+    }
+    runner.assertEqual(failure?.message, 'bulk write failed');
+    runner.assertEqual(unset, ['ROOM_A']);
+  } finally {
+    mongoose.connection.collection = originals.collection;
+    Message.insertMany = originals.insertMany;
+    Message.countDocuments = originals.countDocuments;
+  }
+});
+
+if (require.main === module) {
+  runner.run().then(success => {
+    process.exit(success ? 0 : 1);
+  });
+}
+
+module.exports = { runner, createMessageStore };
@@ -0,0 +1,81 @@
+/**
+ * Tests for fusion consensus metrics: dispersion, polarization and sub-clusters
+ */
+
+const { fuseMoods, calculateConsensus } = require('../utils/moodFusion');
+const { TestRunner } = require('./moodFusion.test');
+
+const runner = new TestRunner('Mood Consensus');
+
+const fuse = (moods, options) => fuseMoods(moods.map(mood => ({ mood })), options);
+
+runner.test('A room split between ecstatic and depressed is reported as split', async () => {
+  const result = fuse(['excited', 'excited', 'depressed', 'depressed']);
+  const { consensus } = result;
+
+  runner.assertEqual(result.label, 'Neutral', 'The average alone hides the disagreement');
+  runner.assertEqual(consensus.isSplit, true);
+  runner.assertEqual(consensus.polarization, 1);
+  runner.assertEqual(consensus.clusters.map(c => [c.label, c.memberCount, c.weightShare]),
+    [['Excited', 2, 0.5], ['Depressed', 2, 0.5]]);
+  runner.assertTrue(consensus.dispersion > 1);
+});
+
+runner.test('Agreeing rooms form one cluster with low dispersion', async () => {
+  const { consensus } = fuse(['happy', 'excited', 'surprised']);
+
+  runner.assertEqual(consensus.isSplit, false);
+  runner.assertEqual(consensus.polarization, 0);
+  runner.assertEqual(consensus.clusters.length, 1);
+  runner.assertEqual(consensus.clusters[0].memberCount, 3);
+  runner.assertTrue(consensus.dispersion < 0.3);
+});
+
+runner.test('Lopsided or nearby clusters are not a split', async () => {
+  const minority = fuse(['happy', 'happy', 'happy', 'sad']).consensus;
+  const neighbours = fuse(['happy', 'happy', 'calm', 'calm']).consensus;
+
+  runner.assertEqual(minority.clusters.length, 2);
+  runner.assertFalse(minority.isSplit, 'One dissenter does not split the room');
+  runner.assertEqual(neighbours.clusters.length, 2);
+  runner.assertFalse(neighbours.isSplit, 'Happy and calm are too close to count as opposed');
+  runner.assertTrue(fuse(['happy', 'happy', 'calm', 'calm'], { splitThreshold: 0.4 }).consensus.isSplit);
+});
+
+runner.test('Confidence and weight decide each cluster\'s share', async () => {
+  const { consensus } = fuseMoods([
+    { mood: 'excited', confidence: 1.0, weight: 3 },
+    { mood: 'depressed', confidence: 0.5 },
+    { mood: 'depressed', confidence: 0.5, weight: 0 }
+  ]);
+
+  runner.assertEqual(consensus.clusters.map(c => [c.moodName, c.memberCount, c.weightShare]),
+    [['excited', 1, 0.857], ['depressed', 1, 0.143]], 'Zero-weight inputs are left out');
+  runner.assertFalse(consensus.isSplit);
+});
+
+runner.test('Repeated moods are pooled before clustering', async () => {
+  const moods = ['happy', 'sad', 'calm', 'angry'];
+  const inputs = Array.from({ length: 5000 }, (_, i) => moods[i % moods.length]);
+
+  const started = Date.now();
+  const { consensus } = fuse(inputs);
+
+  runner.assertTrue(Date.now() - started < 2000, 'Thousands of inputs should cluster quickly');
+  runner.assertEqual(consensus.clusters.reduce((sum, c) => sum + c.memberCount, 0), 5000);
+});
+
+runner.test('Empty input has an empty consensus', async () => {
+  const empty = { dispersion: 0, polarization: 0, isSplit: false, clusters: [] };
+
+  runner.assertEqual(fuseMoods([]).consensus, empty);
+  runner.assertEqual(calculateConsensus({ valence: 0, arousal: 0 }, undefined), empty);
+});
+
+if (require.main === module) {
+  runner.run().then(success => {
+    process.exit(success ? 0 : 1);
+  });
+}
+
+module.exports = { runner };
@@ -10,12 +10,14 @@ const {
   isValidMood,
   normalizeMoodName,
   vectorToMoodLabel,
+  getDecayFactor,
   MOOD_MAPPINGS
 } = require('../utils/moodFusion');
 
 // Simple test framework
 class TestRunner {
-  constructor() {
+  constructor(suiteName = 'MoodFusion') {
+    this.suiteName = suiteName;
     this.tests = [];
     this.passed = 0;
     this.failed = 0;
@@ -50,7 +52,7 @@ class TestRunner {
   }
 
   async run() {
-    console.log('🧪 Running MoodFusion Tests...\n');
+    console.log(`🧪 Running ${this.suiteName} Tests...\n`);
 
     for (const { name, testFn } of this.tests) {
       try {
@@ -268,6 +270,38 @@ runner.test('Confidence bounds validation', () => {
   runner.assertEqual(input2.confidence, 1);
 });
 
+// Test time-decayed fusion
+runner.test('Decay factor halves after each half-life', () => {
+  const now = Date.now();
+  runner.assertAlmostEqual(getDecayFactor(new Date(now), 60000, now), 1);
+  runner.assertAlmostEqual(getDecayFactor(new Date(now - 60000), 60000, now), 0.5);
+  runner.assertAlmostEqual(getDecayFactor(new Date(now - 120000), 60000, now), 0.25);
+  runner.assertEqual(getDecayFactor(undefined, 60000, now), 1);
+});
+
+runner.test('Time decay favours recent inputs', () => {
+  const now = Date.now();
+  const inputs = [
+    createMoodInput('sad', 1.0, 1.0, 'face', new Date(now - 10 * 60 * 1000)),
+    createMoodInput('happy', 1.0, 1.0, 'manual', new Date(now - 5 * 1000))
+  ];
+  
+  const averaged = fuseMoods(inputs);
+  const decayed = fuseMoods(inputs, { fusionMethod: 'time_decay', halfLifeMs: 2 * 60 * 1000, now });
+  
+  runner.assertEqual(averaged.metadata.fusionMethod, 'weighted_average');
+  runner.assertEqual(decayed.metadata.fusionMethod, 'time_decay');
+  runner.assertEqual(decayed.metadata.halfLifeMs, 2 * 60 * 1000);
+  runner.assertTrue(decayed.vector.valence > averaged.vector.valence, 'Recent happy input should dominate');
+  runner.assertEqual(decayed.label, 'Happy');
+  runner.assertTrue(decayed.contributingMoods[0].decayFactor < 0.1, 'Ten-minute-old input should be heavily decayed');
+});
+
+runner.test('Unknown fusion method is reported as an error', () => {
+  const result = fuseMoods([createMoodInput('happy')], { fusionMethod: 'loudest_wins' });
+  runner.assertEqual(result.source, 'error');
+});
+
 // Run all tests
 if (require.main === module) {
   runner.run().then(success => {
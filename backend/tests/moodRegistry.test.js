@@ -0,0 +1,125 @@
+/**
+ * Tests for the mood registry: one vocabulary for fusion, room validation and the pickers
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Room = require('../models/Room');
+const {
+  MoodRegistry,
+  getMoodRegistry,
+  readRegistryFile,
+  loadMoodRegistryFromDatabase,
+  DEFAULT_REGISTRY_PATH
+} = require('../utils/moodRegistry');
+const { getMoodVector, normalizeMoodName, fuseMoods, getDetectableMoods } = require('../utils/moodFusion');
+const { TestRunner } = require('./moodFusion.test');
+
+const runner = new TestRunner('Mood Registry');
+
+const createRoom = (participant) => new Room({
+  roomId: 'ROOM1',
+  name: 'Test room',
+  createdBy: 'mia',
+  participants: [{ userId: 'mia', displayName: 'mia', email: 'mia@example.com', ...participant }]
+});
+
+const failure = (fn) => {
+  try {
+    fn();
+  } catch (error) {
+    return error.message;
+  }
+  return null;
+};
+
+runner.test('Rooms accept every mood fusion knows', async () => {
+  for (const mood of ['anxious', 'focused', 'frustrated', '🎯', '😊']) {
+    runner.assertEqual(createRoom({ mood }).validateSync(), undefined, `${mood} should be accepted`);
+  }
+
+  const chatMood = createRoom({ chatMood: { mood: 'frustrated', confidence: 0.5 } }).validateSync();
+  const unknown = createRoom({ mood: 'hangry' }).validateSync();
+
+  runner.assertEqual(chatMood, undefined);
+  runner.assertTrue(unknown.errors['participants.0.mood'].message.includes('not a registered mood'));
+});
+
+runner.test('Names, emoji, synonyms and localized names resolve to one mood', async () => {
+  const registry = getMoodRegistry();
+
+  runner.assertEqual(['Happy', '😄', 'joyful', 'Feliz', 'furious', 'Enojado', '🎉'].map(m => registry.resolve(m)),
+    ['happy', 'happy', 'happy', 'happy', 'angry', 'angry', 'excited']);
+  runner.assertEqual(registry.resolve('hangry'), null);
+  runner.assertEqual(normalizeMoodName('hangry'), 'neutral');
+  runner.assertEqual(getMoodVector('concentrated'), { valence: 0.2, arousal: 0.4, label: 'Focused' });
+  runner.assertEqual(getDetectableMoods().includes('focused'), false, 'Detectors keep to the moods they were tuned for');
+});
+
+runner.test('Invalid registries are rejected and the old one stays', async () => {
+  const registry = new MoodRegistry(readRegistryFile(DEFAULT_REGISTRY_PATH));
+  const mood = (name, extra = {}) => ({ name, valence: 0, arousal: 0, ...extra });
+
+  runner.assertTrue(failure(() => registry.load({ moods: [mood('neutral', { emoji: ['😐'] }), mood('meh', { emoji: ['😐'] })] })).includes('emoji 😐'));
+  runner.assertTrue(failure(() => registry.load({ moods: [mood('neutral', { valence: 2 })] })).includes('between -1 and 1'));
+  runner.assertTrue(failure(() => registry.load({ moods: [mood('happy')] })).includes('default mood "neutral"'));
+  runner.assertTrue(failure(() => registry.load({ moods: [mood('happy'), mood('Happy')] })).includes('duplicate'));
+  runner.assertEqual(registry.has('focused'), true);
+});
+
+runner.test('Registries can be written in YAML', async () => {
+  const file = path.join(os.tmpdir(), `moods-${process.pid}.yaml`);
+  fs.writeFileSync(file, [
+    'defaultMood: meh',
+    'moods:',
+    '  - name: meh',
+    '    valence: 0',
+    '    arousal: 0',
+    '    emoji: ["😶"]',
+    '  - name: cozy',
+    '    label: Cozy',
+    '    valence: 0.6',
+    '    arousal: -0.5',
+    '    synonyms: [snug]',
+    '    localizedNames: { de: Gemütlich }'
+  ].join('\n'));
+
+  try {
+    const registry = new MoodRegistry(readRegistryFile(file));
+    runner.assertEqual(registry.names(), ['meh', 'cozy']);
+    runner.assertEqual([registry.resolve('snug'), registry.resolve('😶'), registry.resolve('gemütlich')], ['cozy', 'meh', 'cozy']);
+    runner.assertEqual(registry.describe('de-AT').moods[1].displayName, 'Gemütlich');
+    runner.assertEqual(registry.describe().moods[0].displayName, 'Meh', 'Labels default to the capitalized name');
+  } finally {
+    fs.unlinkSync(file);
+  }
+});
+
+runner.test('Moods stored in the database replace the file vocabulary everywhere', async () => {
+  const stored = [
+    { name: 'neutral', label: 'Neutral', valence: 0, arousal: 0, emoji: ['😐'], isDefault: true },
+    { name: 'hyped', label: 'Hyped', valence: 0.7, arousal: 1, emoji: ['🚀'], localizedNames: new Map([['es', 'Eufórico']]) }
+  ];
+  const MoodDefinition = { find: () => ({ lean: async () => stored }) };
+  const registry = getMoodRegistry();
+
+  try {
+    runner.assertEqual(await loadMoodRegistryFromDatabase(MoodDefinition), 2);
+    runner.assertEqual(getMoodVector('🚀').label, 'Hyped');
+    runner.assertEqual(fuseMoods([{ mood: 'eufórico' }]).label, 'Hyped');
+    runner.assertEqual(createRoom({ mood: 'hyped' }).validateSync(), undefined);
+    runner.assertTrue(createRoom({ mood: 'happy' }).validateSync() !== undefined, 'Moods left out of the database are no longer accepted');
+    runner.assertEqual(await loadMoodRegistryFromDatabase({ find: () => ({ lean: async () => [] }) }), 0, 'An empty collection keeps the current vocabulary');
+  } finally {
+    registry.load(readRegistryFile(DEFAULT_REGISTRY_PATH));
+  }
+});
+
+if (require.main === module) {
+  runner.run().then(success => {
+    process.exit(success ? 0 : 1);
+  });
+}
+
+module.exports = { runner };
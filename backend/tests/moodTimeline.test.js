@@ -0,0 +1,145 @@
+/**
+ * Unit tests for mood timeline bucketing and the timeline route's default range
+ */
+
+const http = require('http');
+const express = require('express');
+const Room = require('../models/Room');
+const MoodEvent = require('../models/MoodEvent');
+const timelineRoutes = require('../routes/timelineRoutes');
+const { buildMoodTimeline, fitInterval, MAX_BUCKETS } = require('../utils/moodTimeline');
+const { TestRunner } = require('./moodFusion.test');
+
+const runner = new TestRunner('Mood Timeline');
+
+const start = new Date('2024-01-01T10:00:00Z').getTime();
+const event = (userId, mood, offsetMs, confidence = 1.0) => ({
+  roomId: 'ROOM1',
+  userId,
+  displayName: userId,
+  mood,
+  source: 'manual',
+  confidence,
+  timestamp: new Date(start + offsetMs)
+});
+
+runner.test('Events are grouped into fixed intervals', () => {
+  const events = [
+    event('alice', 'happy', 5000),
+    event('bob', 'excited', 20000),
+    event('alice', 'sad', 70000)
+  ];
+
+  const timeline = buildMoodTimeline(events, { from: start, to: start + 120000, interval: 60000 });
+
+  runner.assertEqual(timeline.buckets.length, 2);
+  runner.assertEqual(timeline.buckets[0].eventCount, 2);
+  runner.assertEqual(timeline.buckets[0].participantCount, 2);
+  runner.assertTrue(timeline.buckets[0].vector.valence > 0.5, 'First minute should be positive');
+  runner.assertEqual(timeline.buckets[1].label, 'Sad');
+});
+
+runner.test('Each participant counts once per source within an interval', () => {
+  const chatty = Array.from({ length: 10 }, (_, i) => event('alice', i === 9 ? 'calm' : 'angry', 1000 + i * 1000));
+  const events = [...chatty, event('bob', 'happy', 5000), { ...event('bob', 'sad', 6000), source: 'chat' }];
+
+  const [bucket] = buildMoodTimeline(events, { from: start, to: start + 60000, interval: 60000 }).buckets;
+  const expected = buildMoodTimeline([event('alice', 'calm', 10000), event('bob', 'happy', 5000), { ...event('bob', 'sad', 6000), source: 'chat' }],
+    { from: start, to: start + 60000, interval: 60000 }).buckets[0];
+
+  runner.assertEqual(bucket.eventCount, 12, 'Every event is still counted');
+  runner.assertEqual([bucket.label, bucket.vector, bucket.confidence], [expected.label, expected.vector, expected.confidence],
+    'Only alice\'s latest mood and bob\'s latest manual and chat moods are fused');
+});
+
+runner.test('Empty intervals are kept as gaps', () => {
+  const events = [event('alice', 'calm', 1000), event('alice', 'angry', 170000)];
+  const timeline = buildMoodTimeline(events, { from: start, to: start + 180000, interval: 60000 });
+
+  runner.assertEqual(timeline.buckets.map(b => b.eventCount), [1, 0, 1]);
+  runner.assertEqual(timeline.buckets[1].label, null);
+  runner.assertEqual(timeline.buckets[1].vector, null);
+});
+
+runner.test('Per-participant history is returned in order', () => {
+  const events = [
+    event('alice', 'happy', 1000),
+    event('bob', 'sleepy', 2000),
+    event('alice', '😢', 3000)
+  ];
+  const timeline = buildMoodTimeline(events, { from: start, to: start + 60000, interval: 60000 });
+  const alice = timeline.participants.find(p => p.userId === 'alice');
+
+  runner.assertEqual(timeline.participants.length, 2);
+  runner.assertEqual(alice.events.map(e => e.mood), ['happy', '😢']);
+  runner.assertAlmostEqual(alice.events[1].vector.valence, -0.6);
+});
+
+runner.test('Too many buckets are rejected', () => {
+  let rejected = false;
+  try {
+    buildMoodTimeline([], { from: start, to: start + 24 * 60 * 60 * 1000, interval: 1000 });
+  } catch (error) {
+    rejected = true;
+  }
+  runner.assertTrue(rejected);
+});
+
+runner.test('The default interval widens in whole minutes to fit long sessions', () => {
+  const day = 24 * 60 * 60 * 1000;
+
+  runner.assertEqual(fitInterval(start, start + 60 * 60 * 1000, 60000), 60000, 'Short sessions keep one-minute buckets');
+  runner.assertEqual(fitInterval(start, start + 3 * day, 60000), 5 * 60000);
+  runner.assertTrue(3 * day / fitInterval(start, start + 3 * day, 60000) <= MAX_BUCKETS);
+});
+
+// Status code and JSON body of a GET
+const getJson = (server, path) => new Promise((resolve, reject) => {
+  http.get({ host: '127.0.0.1', port: server.address().port, path }, (res) => {
+    let body = '';
+    res.on('data', chunk => { body += chunk; });
+    res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(body) }));
+  }).on('error', reject);
+});
+
+runner.test('Old rooms chart without an interval, and oversized ranges are refused before loading events', async () => {
+  const room = new Room({ roomId: 'ROOM1', name: 'Marathon', createdBy: 'alice' });
+  room.createdAt = new Date(Date.now() - 3 * 24 * 60 * 60 * 1000);
+
+  const app = express();
+  app.use((req, res, next) => {
+    req.user = { uid: 'alice' };
+    next();
+  });
+  app.use('/api/rooms', timelineRoutes);
+  const server = app.listen(0);
+
+  let queries = 0;
+  const originals = { findByRoomId: Room.findByRoomId, findByRoom: MoodEvent.findByRoom };
+  Room.findByRoomId = async () => room;
+  MoodEvent.findByRoom = async () => {
+    queries++;
+    return [];
+  };
+  try {
+    const charted = await getJson(server, '/api/rooms/ROOM1/timeline');
+    runner.assertEqual(charted.status, 200);
+    runner.assertEqual(charted.body.interval, 5 * 60000);
+
+    const oversized = await getJson(server, '/api/rooms/ROOM1/timeline?interval=1000');
+    runner.assertEqual(oversized.status, 400);
+    runner.assertEqual(queries, 1, 'The refused request never queried mood events');
+  } finally {
+    Room.findByRoomId = originals.findByRoomId;
+    MoodEvent.findByRoom = originals.findByRoom;
+    server.close();
+  }
+});
+
+if (require.main === module) {
+  runner.run().then(success => {
+    process.exit(success ? 0 : 1);
+  });
+}
+
+module.exports = { runner };
@@ -0,0 +1,170 @@
+/**
+ * Tests for mood-trajectory playlists: waypoints, track choice and the /api/music/trajectory route
+ * Uses the bundled track catalog and a stubbed Room lookup; no MongoDB needed
+ */
+
+const http = require('http');
+const express = require('express');
+const Room = require('../models/Room');
+const musicRoutes = require('../routes/musicRoutes');
+const { TrackRecommender } = require('../services/trackRecommender');
+const { LocalLibraryProvider } = require('../services/localLibraryProvider');
+const { planMoodTrajectory, moodAt, TRAJECTORY_ERRORS } = require('../services/moodTrajectory');
+const { TestRunner } = require('./moodFusion.test');
+
+const runner = new TestRunner('Mood Trajectory');
+
+const recommender = new TrackRecommender({ isConnected: () => false });
+
+const failureCode = async (fn) => {
+  try {
+    await fn();
+  } catch (error) {
+    return error.code;
+  }
+  return null;
+};
+
+// POST a JSON body to a throwaway app serving the music routes
+const post = async (path, body, user = null) => {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => { req.user = user; next(); });
+  app.use('/api/music', musicRoutes);
+
+  const server = app.listen(0);
+  try {
+    return await new Promise((resolve, reject) => {
+      const payload = JSON.stringify(body);
+      const req = http.request({
+        host: '127.0.0.1',
+        port: server.address().port,
+        method: 'POST',
+        path,
+        headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload) }
+      }, (res) => {
+        let data = '';
+        res.on('data', chunk => { data += chunk; });
+        res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(data) }));
+      });
+      req.on('error', reject);
+      req.end(payload);
+    });
+  } finally {
+    server.close();
+  }
+};
+
+runner.test('Waypoints ease from the start mood to the target', async () => {
+  const from = { valence: -0.5, arousal: 0.7 };
+  const to = { valence: 0.6, arousal: -0.4 };
+
+  runner.assertEqual(moodAt(from, to, 0), from);
+  runner.assertEqual(moodAt(from, to, 0.5), { valence: 0.05, arousal: 0.15 });
+  runner.assertEqual(moodAt(from, to, 1), to);
+  runner.assertTrue(moodAt(from, to, 0.1).valence - from.valence < 0.1 * (to.valence - from.valence), 'The first steps are gentle');
+});
+
+runner.test('An anxious-to-calm playlist moves steadily toward calm', async () => {
+  const { from, to, tracks } = await planMoodTrajectory('anxious', 'calm', { trackCount: 6 }, { recommender });
+
+  runner.assertEqual(from, { valence: -0.5, arousal: 0.7 });
+  runner.assertEqual(tracks.length, 6);
+  runner.assertEqual(tracks[0].waypoint, from);
+  runner.assertEqual(tracks[5].waypoint, to);
+  runner.assertEqual(tracks[5].target, { valence: 0.8, energy: 0.3 }, 'Waypoints are also given as audio-feature targets');
+  runner.assertEqual(new Set(tracks.map(t => t.trackId)).size, 6, 'No track repeats');
+  runner.assertTrue(tracks[0].energy > 0.7 && tracks[5].energy < 0.35, 'Energy falls from the first track to the last');
+  runner.assertEqual(tracks.map(t => t.position), [0, 1, 2, 3, 4, 5]);
+});
+
+runner.test('A duration fills the time with back-to-back tracks', async () => {
+  const { tracks, totalDuration } = await planMoodTrajectory('sad', 'excited', { durationMinutes: 15 }, { recommender });
+
+  runner.assertTrue(totalDuration >= 15 * 60, 'The playlist lasts at least the requested time');
+  runner.assertTrue(totalDuration - tracks[tracks.length - 1].duration < 15 * 60, 'No track starts after the time is up');
+  tracks.slice(1).forEach((track, i) => {
+    runner.assertEqual(track.startsAt, tracks[i].startsAt + tracks[i].duration);
+  });
+});
+
+runner.test('A duration longer than the track cap still ends on the target', async () => {
+  let next = 0;
+  const shortTracks = {
+    recommend: async () => [{ trackId: `short-${next++}`, duration: 120, moodDistance: 0 }]
+  };
+  const { to, tracks, totalDuration } = await planMoodTrajectory('anxious', 'calm', { durationMinutes: 240 }, { recommender: shortTracks });
+
+  runner.assertEqual(tracks.length, 50);
+  runner.assertEqual(totalDuration, 50 * 120, 'The cap leaves the playlist shorter than asked');
+  runner.assertEqual(tracks[tracks.length - 1].waypoint, to);
+});
+
+runner.test('Invalid moods and lengths are rejected', async () => {
+  runner.assertEqual(await failureCode(() => planMoodTrajectory('hangry', 'calm', {}, { recommender })), TRAJECTORY_ERRORS.INVALID_MOOD);
+  runner.assertEqual(await failureCode(() => planMoodTrajectory('sad', { valence: 2, arousal: 0 }, {}, { recommender })), TRAJECTORY_ERRORS.INVALID_MOOD);
+  runner.assertEqual(await failureCode(() => planMoodTrajectory('sad', 'calm', { trackCount: 1 }, { recommender })), TRAJECTORY_ERRORS.INVALID_LENGTH);
+  runner.assertEqual(await failureCode(() => planMoodTrajectory('sad', 'calm', { trackCount: 4, durationMinutes: 10 }, { recommender })), TRAJECTORY_ERRORS.INVALID_LENGTH);
+});
+
+runner.test('The route starts from a room\'s fused mood and can use the royalty-free library', async () => {
+  const room = new Room({
+    roomId: 'ROOM1',
+    name: 'Late shift',
+    createdBy: 'mia',
+    participants: [
+      { userId: 'mia', displayName: 'mia', email: 'mia@example.com', mood: 'anxious' },
+      { userId: 'leo', displayName: 'leo', email: 'leo@example.com', mood: 'happy', isOnline: false }
+    ]
+  });
+
+  const original = Room.findByRoomId;
+  Room.findByRoomId = async () => room;
+  try {
+    const fromRoom = await post('/api/music/trajectory', { roomId: 'ROOM1', to: 'calm', trackCount: 3 });
+    const library = await post('/api/music/trajectory', { from: 'sad', to: 'happy', trackCount: 3, source: 'library' });
+    const badSource = await post('/api/music/trajectory', { from: 'sad', to: 'happy', source: 'radio' });
+    const badMood = await post('/api/music/trajectory', { from: 'sad', to: 'hangry' });
+
+    runner.assertEqual(fromRoom.status, 200);
+    runner.assertEqual(fromRoom.body.trajectory.from, { valence: -0.5, arousal: 0.7 }, 'Only online participants count');
+    runner.assertEqual(library.body.trajectory.tracks.map(t => t.source), ['library', 'library', 'library']);
+    runner.assertTrue(library.body.trajectory.tracks.every(t => t.url.startsWith('/assets/music/')));
+    runner.assertEqual(badSource.status, 400);
+    runner.assertEqual([badMood.status, badMood.body.code], [400, TRAJECTORY_ERRORS.INVALID_MOOD]);
+  } finally {
+    Room.findByRoomId = original;
+  }
+});
+
+runner.test('The library source plans over scanned local files', async () => {
+  const scanned = [0.1, 0.3, 0.5, 0.7, 0.9].map((valence, i) => ({
+    trackId: `local-${i}`,
+    title: `Track ${i}`,
+    artist: 'Home recordings',
+    valence,
+    energy: valence,
+    duration: 200,
+    source: 'local'
+  }));
+  const localLibrary = new LocalLibraryProvider({ isConnected: () => true, Track: { find: () => ({ lean: async () => scanned }) } });
+
+  musicRoutes.init({ localLibrary });
+  try {
+    const { status, body } = await post('/api/music/trajectory', { from: 'sad', to: 'happy', trackCount: 3, source: 'library' });
+
+    runner.assertEqual(status, 200);
+    runner.assertTrue(body.trajectory.tracks.every(t => t.trackId.startsWith('local-')), 'Only scanned tracks are planned');
+    runner.assertTrue(body.trajectory.tracks.every(t => t.url === `/api/music/files/${t.trackId}`));
+  } finally {
+    musicRoutes.init({});
+  }
+});
+
+if (require.main === module) {
+  runner.run().then(success => {
+    process.exit(success ? 0 : 1);
+  });
+}
+
+module.exports = { runner };
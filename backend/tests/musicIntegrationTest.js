@@ -1,5 +1,6 @@
 // Comprehensive integration test for Spotify and AI Music features
 // Tests all endpoints and React components for full music integration
+// Run against a development server started with AUTH_DEV_HEADERS=true so x-user-id identifies the caller
 
 const axios = require('axios');
 
@@ -41,7 +42,7 @@ class MusicIntegrationTest {
 
   async testSpotifyStatusEndpoint() {
     const response = await axios.get(`${BASE_URL}/spotify/status`, {
-      headers: { 'x-spotify-user': TEST_USER_ID }
+      headers: { 'x-user-id': TEST_USER_ID }
     });
     
     if (!response.data.success) {
@@ -54,7 +55,9 @@ class MusicIntegrationTest {
   }
 
   async testSpotifyAuthEndpoint() {
-    const response = await axios.get(`${BASE_URL}/spotify/auth`);
+    const response = await axios.get(`${BASE_URL}/spotify/auth`, {
+      headers: { 'x-user-id': TEST_USER_ID }
+    });
     
     if (!response.data.success) {
       throw new Error('Spotify auth endpoint failed');
@@ -72,7 +75,7 @@ class MusicIntegrationTest {
   async testSpotifySearchWithoutAuth() {
     try {
       await axios.get(`${BASE_URL}/spotify/search?q=test`, {
-        headers: { 'x-spotify-user': TEST_USER_ID }
+        headers: { 'x-user-id': TEST_USER_ID }
       });
       throw new Error('Expected 401 authentication error');
     } catch (error) {
@@ -0,0 +1,393 @@
+/**
+ * Tests for background music generation: the job queue, the generation pipeline and the job routes
+ * Generators and the library are fakes, so no AI service keys, network or MongoDB are needed
+ */
+
+const http = require('http');
+const express = require('express');
+const Room = require('../models/Room');
+const musicRoutes = require('../routes/musicRoutes');
+const { createServer } = require('../createServer');
+const { MusicJobQueue, JOB_STATUS, JOB_ERRORS } = require('../services/musicJobQueue');
+const { MusicJobStore } = require('../services/musicJobStore');
+const { generateMusic, createMusicJobs, moodToGenerationMood } = require('../services/musicGeneration');
+const { TestRunner } = require('./moodFusion.test');
+
+const runner = new TestRunner('Music Jobs');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Resolves once the job reaches one of the given statuses
+const waitFor = async (queue, jobId, statuses = ['succeeded', 'failed', 'cancelled']) => {
+  for (let i = 0; i < 200; i++) {
+    const job = await queue.get(jobId);
+    if (statuses.includes(job.status)) return job;
+    await sleep(5);
+  }
+  throw new Error(`Job ${jobId} never reached ${statuses.join('/')}`);
+};
+
+// A run() whose attempts finish when the test says so
+const createControlledRun = () => {
+  const attempts = [];
+  const run = (job, context) => new Promise((resolve, reject) => {
+    attempts.push({ job, context, resolve, reject });
+  });
+  return { run, attempts };
+};
+
+const fakeLibrary = {
+  getTracks: async () => [
+    { trackId: 'calm-1', title: 'Still Water', artist: 'Test', valence: 0.6, energy: 0.2, danceability: 0.2, duration: 120, url: '/calm.mp3' },
+    { trackId: 'party-1', title: 'Big Night', artist: 'Test', valence: 0.9, energy: 0.9, danceability: 0.9, duration: 180, url: '/party.mp3' }
+  ]
+};
+
+const enabled = (...names) => Object.fromEntries(['replicate', 'suno', 'musicgen']
+  .map(name => [name, { enabled: names.includes(name), rateLimitPerMinute: 100 }]));
+
+const request = (server, { method = 'GET', path, headers = {}, body }) => new Promise((resolve, reject) => {
+  const payload = body ? JSON.stringify(body) : null;
+  const req = http.request({
+    host: '127.0.0.1',
+    port: server.address().port,
+    method,
+    path,
+    headers: {
+      ...(payload && { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload) }),
+      ...headers
+    }
+  }, (res) => {
+    let data = '';
+    res.on('data', chunk => { data += chunk; });
+    res.on('end', () => resolve({ status: res.statusCode, body: data ? JSON.parse(data) : null }));
+  });
+  req.on('error', reject);
+  if (payload) req.write(payload);
+  req.end();
+});
+
+runner.test('Jobs run in order, at most concurrency at a time, and report progress', async () => {
+  const { run, attempts } = createControlledRun();
+  const updates = [];
+  const queue = new MusicJobQueue({ run, concurrency: 1, onUpdate: job => updates.push([job.id, job.status, job.progress]) });
+
+  const first = queue.enqueue({ userId: 'ana', request: { prompt: 'one' } });
+  const second = queue.enqueue({ userId: 'ana', request: { prompt: 'two' } });
+
+  runner.assertEqual(attempts.length, 1, 'The second job waits for the worker');
+  runner.assertEqual((await queue.get(second.id)).status, JOB_STATUS.QUEUED);
+
+  attempts[0].context.onProgress(0.456, 'Generating');
+  runner.assertEqual([(await queue.get(first.id)).progress, (await queue.get(first.id)).stage], [0.46, 'Generating']);
+
+  attempts[0].resolve({ track: { name: 'One' } });
+  const done = await waitFor(queue, first.id);
+  runner.assertEqual([done.status, done.progress, done.result.track.name, done.attempts], ['succeeded', 1, 'One', 1]);
+
+  runner.assertEqual(attempts.length, 2, 'The next job starts when a worker frees up');
+  attempts[1].resolve({ track: { name: 'Two' } });
+  await waitFor(queue, second.id);
+
+  runner.assertEqual(updates.filter(([id]) => id === first.id).map(([, status]) => status),
+    ['queued', 'running', 'running', 'succeeded']);
+});
+
+runner.test('Failed attempts are retried with backoff until maxAttempts', async () => {
+  let calls = 0;
+  const queue = new MusicJobQueue({
+    maxAttempts: 3,
+    retryDelayMs: 5,
+    run: async (job, { isLastAttempt }) => {
+      calls++;
+      if (!isLastAttempt) throw new Error('Replicate timed out');
+      return { track: { name: 'Third time lucky' } };
+    }
+  });
+
+  const job = queue.enqueue({ request: {} });
+  await sleep(1);
+  const retrying = await queue.get(job.id);
+  runner.assertEqual([retrying.status, retrying.error], ['queued', 'Replicate timed out']);
+  runner.assertTrue(retrying.nextAttemptAt > retrying.createdAt);
+
+  const done = await waitFor(queue, job.id);
+  runner.assertEqual([done.status, done.attempts, done.error, calls], ['succeeded', 3, null, 3]);
+
+  const strict = new MusicJobQueue({
+    retryDelayMs: 5,
+    run: async () => {
+      const error = new Error('Prompt rejected');
+      error.retryable = false;
+      throw error;
+    }
+  });
+  const rejected = strict.enqueue({ request: {} });
+  const failed = await waitFor(strict, rejected.id);
+  runner.assertEqual([failed.status, failed.attempts, failed.error], ['failed', 1, 'Prompt rejected']);
+});
+
+runner.test('Queued and running jobs can be cancelled', async () => {
+  const { run, attempts } = createControlledRun();
+  const queue = new MusicJobQueue({ run, concurrency: 1 });
+
+  const running = queue.enqueue({ userId: 'cy', request: {} });
+  const waiting = queue.enqueue({ userId: 'cy', request: {} });
+
+  const cancelledWaiting = await queue.cancel(waiting.id);
+  runner.assertEqual(cancelledWaiting.status, 'cancelled');
+
+  await queue.cancel(running.id);
+  runner.assertTrue(attempts[0].context.signal.aborted, 'The running attempt is told to stop');
+  attempts[0].resolve({ track: { name: 'Too late' } });
+  await sleep(1);
+
+  const job = await queue.get(running.id);
+  runner.assertEqual([job.status, job.result], ['cancelled', null], 'A result after cancelling is ignored');
+  runner.assertEqual(attempts.length, 1, 'The cancelled queued job never starts');
+
+  let error = null;
+  try {
+    await queue.cancel(running.id);
+  } catch (caught) {
+    error = caught;
+  }
+  runner.assertEqual(error.code, JOB_ERRORS.ALREADY_FINISHED);
+
+  for (let i = 0; i < 3; i++) queue.enqueue({ userId: 'dee', request: {} });
+  let limited = null;
+  try {
+    queue.enqueue({ userId: 'dee', request: {} });
+  } catch (caught) {
+    limited = caught;
+  }
+  runner.assertEqual(limited.code, JOB_ERRORS.TOO_MANY_JOBS);
+  queue.close();
+});
+
+runner.test('Anonymous requests are limited per client and in total', async () => {
+  const { run } = createControlledRun();
+  const queue = new MusicJobQueue({ run, concurrency: 1, maxActivePerUser: 2, maxActiveAnonymous: 3 });
+  const refusal = (job) => {
+    try {
+      queue.enqueue({ request: {}, ...job });
+    } catch (error) {
+      return error.code;
+    }
+    return null;
+  };
+
+  runner.assertEqual([refusal({ clientId: '10.0.0.1' }), refusal({ clientId: '10.0.0.1' })], [null, null]);
+  runner.assertEqual(refusal({ clientId: '10.0.0.1' }), JOB_ERRORS.TOO_MANY_JOBS, 'One client cannot queue more than a user');
+  runner.assertEqual(refusal({ clientId: '10.0.0.2' }), null);
+  runner.assertEqual(refusal({ clientId: '10.0.0.3' }), JOB_ERRORS.TOO_MANY_JOBS, 'New addresses do not lift the total cap');
+  runner.assertEqual(refusal({ userId: 'eve', clientId: '10.0.0.3' }), null, 'Signed-in users are not held up by anonymous jobs');
+  runner.assertTrue(!('requester' in (await queue.get(queue.pending[0]))), 'Client addresses are not reported');
+  queue.close();
+});
+
+runner.test('Saved job states are written in order, so the last update wins', async () => {
+  const saved = new Map();
+  let calls = 0;
+  // Earlier writes take longer, as a slow first upsert would
+  const model = {
+    updateOne: async ({ jobId }, { $set }) => {
+      await sleep(Math.max(0, 20 - 5 * calls++));
+      saved.set(jobId, $set);
+    },
+    findOne: ({ jobId }) => ({ lean: async () => (saved.has(jobId) ? { jobId, ...saved.get(jobId) } : null) })
+  };
+  const store = new MusicJobStore({ model, isAvailable: () => true });
+  const { run, attempts } = createControlledRun();
+  const queue = new MusicJobQueue({ run, store });
+
+  const job = queue.enqueue({ userId: 'fay', request: {} });
+  attempts[0].context.onProgress(0.5, 'Generating');
+  attempts[0].resolve({ track: { name: 'Done' } });
+  await waitFor(queue, job.id);
+  await store.saving.get(job.id);
+
+  runner.assertEqual(saved.get(job.id).status, JOB_STATUS.SUCCEEDED);
+  runner.assertEqual((await store.find(job.id)).result, { track: { name: 'Done' } });
+  runner.assertEqual(store.saving.size, 0, 'Finished chains are forgotten');
+});
+
+runner.test('Generation tries each AI service, then retries, then falls back to the library', async () => {
+  const calls = [];
+  const generators = {
+    replicate: async () => { calls.push('replicate'); throw new Error('prediction failed'); },
+    suno: async (prompt, mood, { onProgress }) => {
+      calls.push('suno');
+      onProgress(0.5, 'Generating with Suno');
+      return { id: 's1', name: 'Suno track', url: 'https://cdn/s1.mp3', isAIGenerated: true, service: 'suno' };
+    },
+    musicgen: async () => { calls.push('musicgen'); throw new Error('not reached'); }
+  };
+  const request = { mood: { valence: 0.9, energy: 0.8, danceability: 0.8 }, prompt: 'brass', fullPrompt: 'A happy piece. brass', useAI: true };
+  const progress = [];
+
+  const result = await generateMusic(request, {
+    userId: 'gen-test-1',
+    services: enabled('replicate', 'suno', 'musicgen'),
+    generators,
+    onProgress: (value, stage) => progress.push([value, stage])
+  });
+  runner.assertEqual(calls, ['replicate', 'suno']);
+  runner.assertEqual([result.aiGenerated, result.track.service, result.track.requestedPrompt], [true, 'suno', 'brass']);
+  runner.assertEqual(result.warnings, ['replicate: prediction failed']);
+  runner.assertEqual(progress, [[0.5, 'Generating with Suno']]);
+
+  const failing = { replicate: async () => { throw new Error('busy'); } };
+  let retryError = null;
+  try {
+    await generateMusic(request, { userId: 'gen-test-2', services: enabled('replicate'), generators: failing, isLastAttempt: false, library: fakeLibrary });
+  } catch (error) {
+    retryError = error;
+  }
+  runner.assertTrue(retryError && retryError.message.includes('busy'), 'Not the last attempt: fail so the queue retries');
+
+  const fallback = await generateMusic(request, { userId: 'gen-test-3', services: enabled('replicate'), generators: failing, library: fakeLibrary });
+  runner.assertEqual([fallback.aiGenerated, fallback.track.name, fallback.track.id], [false, 'Big Night', 'party-1']);
+
+  const offline = await generateMusic({ ...request, useAI: false }, { services: enabled(), isLastAttempt: false, library: fakeLibrary });
+  runner.assertEqual(offline.track.name, 'Big Night', 'Without AI there is nothing to retry');
+});
+
+runner.test('Jobs are created, read and cancelled over HTTP by their owner only', async () => {
+  const musicJobs = createMusicJobs({ store: null, getLibrary: () => fakeLibrary });
+  musicRoutes.init({ musicJobs });
+
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = req.headers['x-user-id'] ? { uid: req.headers['x-user-id'] } : null;
+    next();
+  });
+  app.use('/api/music', musicRoutes);
+  const server = app.listen(0);
+  const as = (uid) => ({ 'x-user-id': uid });
+
+  try {
+    const invalid = await request(server, { method: 'POST', path: '/api/music/generate-music', headers: as('eve'), body: {} });
+    runner.assertEqual(invalid.status, 400);
+
+    const created = await request(server, {
+      method: 'POST',
+      path: '/api/music/generate-music',
+      headers: as('eve'),
+      body: { mood: { valence: 0.3, energy: 0.1 }, useAI: false }
+    });
+    runner.assertEqual(created.status, 202);
+    runner.assertEqual(created.body.job.request.fullPrompt.startsWith('A melancholic'), true);
+
+    const jobPath = `/api/music/jobs/${created.body.job.id}`;
+    await waitFor(musicJobs, created.body.job.id);
+
+    const done = await request(server, { path: jobPath, headers: as('eve') });
+    runner.assertEqual([done.body.job.status, done.body.job.result.track.name], ['succeeded', 'Still Water']);
+
+    const stranger = await request(server, { path: jobPath, headers: as('mallory') });
+    runner.assertEqual(stranger.status, 404);
+
+    const tooLate = await request(server, { method: 'DELETE', path: jobPath, headers: as('eve') });
+    runner.assertEqual([tooLate.status, tooLate.body.code], [409, JOB_ERRORS.ALREADY_FINISHED]);
+
+    const missing = await request(server, { path: '/api/music/jobs/nope' });
+    runner.assertEqual(missing.status, 404);
+  } finally {
+    server.close();
+    musicRoutes.init({});
+  }
+});
+
+runner.test('Room generation fuses the online participants and keeps the mood snapshot on the track', async () => {
+  runner.assertEqual(moodToGenerationMood({ valence: 1, arousal: 1 }), { valence: 1, energy: 1, danceability: 1 });
+  runner.assertEqual(moodToGenerationMood({ valence: -0.5, arousal: 0.7 }), { valence: 0.25, energy: 0.85, danceability: 0.55 });
+
+  const room = new Room({
+    roomId: 'ROOM1',
+    name: 'Late shift',
+    createdBy: 'mia',
+    participants: [
+      { userId: 'mia', displayName: 'mia', email: 'mia@example.com', mood: 'anxious' },
+      { userId: 'leo', displayName: 'leo', email: 'leo@example.com', mood: 'happy', isOnline: false }
+    ]
+  });
+  const quiet = new Room({
+    roomId: 'QUIET',
+    name: 'Nobody home',
+    createdBy: 'zed',
+    participants: [{ userId: 'zed', displayName: 'zed', email: 'zed@example.com', isOnline: false }]
+  });
+
+  const musicJobs = createMusicJobs({ store: null, getLibrary: () => fakeLibrary });
+  musicRoutes.init({ musicJobs });
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = { uid: 'mia' };
+    next();
+  });
+  app.use('/api/music', musicRoutes);
+  const server = app.listen(0);
+
+  const original = Room.findByRoomId;
+  Room.findByRoomId = async (roomId) => ({ ROOM1: room, QUIET: quiet }[roomId] || null);
+  try {
+    const created = await request(server, {
+      method: 'POST',
+      path: '/api/music/generate-from-room',
+      body: { roomId: 'ROOM1', prompt: 'lo-fi', useAI: false }
+    });
+    runner.assertEqual(created.status, 202);
+    runner.assertEqual(created.body.mood, { valence: 0.25, energy: 0.85, danceability: 0.55 }, 'Only online participants count');
+    runner.assertEqual([created.body.moodSnapshot.roomId, created.body.moodSnapshot.vector, created.body.moodSnapshot.participantCount],
+      ['ROOM1', { valence: -0.5, arousal: 0.7 }, 1]);
+    runner.assertEqual(created.body.job.roomId, 'ROOM1');
+    runner.assertEqual(created.body.job.request.prompt, 'Music for a group mood session with 1 participants. lo-fi');
+
+    const done = await waitFor(musicJobs, created.body.job.id);
+    runner.assertEqual(done.result.track.moodSnapshot, created.body.moodSnapshot, 'The track records the mood it was made for');
+    runner.assertEqual(done.result.track.requestedMood, created.body.mood);
+
+    const noMoods = await request(server, { method: 'POST', path: '/api/music/generate-from-room', body: { roomId: 'QUIET' } });
+    const unknown = await request(server, { method: 'POST', path: '/api/music/generate-from-room', body: { roomId: 'NOPE' } });
+    const missing = await request(server, { method: 'POST', path: '/api/music/generate-from-room', body: {} });
+    runner.assertEqual([noMoods.status, unknown.status, missing.status], [400, 404, 400]);
+  } finally {
+    Room.findByRoomId = original;
+    server.close();
+    musicRoutes.init({});
+  }
+});
+
+runner.test('Job updates are pushed to the requester\'s socket channel', async () => {
+  const instance = createServer({ rateLimit: false, helmet: false, allowDevHeaders: true, verifyToken: async () => null });
+  const emitted = [];
+  instance.io.to = (channel) => ({ emit: (event, job) => emitted.push([channel, event, job.status]) });
+  await instance.listen(0);
+
+  try {
+    const created = await request(instance.server, {
+      method: 'POST',
+      path: '/api/music/generate-music',
+      headers: { 'x-user-id': 'fay' },
+      body: { mood: { valence: 0.8, energy: 0.7 }, useAI: false }
+    });
+    await waitFor(instance.services.musicJobs, created.body.job.id);
+
+    runner.assertEqual(emitted[0], ['user:fay', 'music-job:update', 'queued']);
+    runner.assertEqual(emitted[emitted.length - 1], ['user:fay', 'music-job:update', 'succeeded']);
+  } finally {
+    await instance.close();
+    musicRoutes.init({});
+  }
+});
+
+if (require.main === module) {
+  runner.run().then(success => {
+    process.exit(success ? 0 : 1);
+  });
+}
+
+module.exports = { runner };
@@ -0,0 +1,240 @@
+/**
+ * Tests for music providers: the normalized track model, the registry, room provider choice and the adapters
+ * Routes run against a local fake provider; Spotify uses a fake session; no MongoDB or network needed
+ */
+
+const http = require('http');
+const express = require('express');
+const Room = require('../models/Room');
+const musicRoutes = require('../routes/musicRoutes');
+const roomRoutes = require('../routes/roomRoutes');
+const {
+  MusicProviderRegistry,
+  normalizeTrack,
+  parseTrackId,
+  rankByMood,
+  PROVIDER_ERRORS,
+  PLAYABLE_TYPES
+} = require('../services/musicProvider');
+const { LocalLibraryProvider } = require('../services/localLibraryProvider');
+const { CatalogProvider } = require('../services/catalogProvider');
+const { SpotifyProvider } = require('../services/spotifyProvider');
+const { TrackRecommender } = require('../services/trackRecommender');
+const { SPOTIFY_ERRORS } = require('../services/spotifyClient');
+const { TestRunner } = require('./moodFusion.test');
+
+const runner = new TestRunner('Music Providers');
+
+// An in-memory provider implementing the whole interface
+const createFakeProvider = (name, userId = null) => {
+  const tracks = [
+    normalizeTrack(name, { providerId: 'dawn', title: 'Dawn', artist: 'Fake Band', valence: 0.8, energy: 0.3, duration: 200 }),
+    normalizeTrack(name, { providerId: 'rush', title: 'Rush', artist: 'Fake Band', valence: 0.9, energy: 0.9, duration: 180 }),
+    normalizeTrack(name, { providerId: 'grey', title: 'Grey', artist: 'Other Band', valence: 0.1, energy: 0.2, duration: 240 })
+  ];
+  return {
+    userId,
+    search: async (query, { limit = 20, offset = 0 } = {}) => {
+      const matches = tracks.filter(t => t.title.toLowerCase().includes(query.toLowerCase()));
+      return { tracks: matches.slice(offset, offset + limit), total: matches.length };
+    },
+    getAudioFeatures: async (ids) => ids.map(id => tracks.find(t => t.providerId === id) || null),
+    searchByMood: async (moodVector, { limit = 20, excludeIds = [] } = {}) =>
+      rankByMood(tracks.filter(t => !excludeIds.includes(t.providerId)), moodVector, limit),
+    resolvePlayable: async (id) => (tracks.some(t => t.providerId === id)
+      ? { type: PLAYABLE_TYPES.AUDIO, url: `/fake/${id}.mp3`, uri: null }
+      : null)
+  };
+};
+
+const createRegistry = () => new MusicProviderRegistry({ defaultProvider: 'fake' })
+  .register('fake', ({ userId }) => createFakeProvider('fake', userId))
+  .register('other', () => createFakeProvider('other'), { label: 'Other', requiresAccount: true });
+
+const failureCode = async (fn) => {
+  try {
+    await fn();
+  } catch (error) {
+    return error.code;
+  }
+  return null;
+};
+
+// Send a request to a throwaway app with the given router mounted at base
+const request = async (router, base, method, path, { user = null, body } = {}) => {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => { req.user = user; next(); });
+  app.use(base, router);
+
+  const server = app.listen(0);
+  try {
+    return await new Promise((resolve, reject) => {
+      const payload = body === undefined ? '' : JSON.stringify(body);
+      const req = http.request({
+        host: '127.0.0.1',
+        port: server.address().port,
+        method,
+        path,
+        headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload) }
+      }, (res) => {
+        let data = '';
+        res.on('data', chunk => { data += chunk; });
+        res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(data) }));
+      });
+      req.on('error', reject);
+      req.end(payload);
+    });
+  } finally {
+    server.close();
+  }
+};
+
+runner.test('Tracks share one normalized shape and provider-qualified ids', async () => {
+  const track = normalizeTrack('local', { providerId: 'rf001', title: 'Peaceful Morning', artist: 'Library', duration: 180, valence: 0.7, energy: 0.3 });
+
+  runner.assertEqual(track, {
+    id: 'local:rf001',
+    provider: 'local',
+    providerId: 'rf001',
+    title: 'Peaceful Morning',
+    artist: 'Library',
+    album: null,
+    genre: null,
+    duration: 180,
+    valence: 0.7,
+    energy: 0.3,
+    danceability: null,
+    tempo: null,
+    previewUrl: null,
+    artworkUrl: null
+  });
+  runner.assertEqual(parseTrackId('spotify:track:4uLU6hMC'), { provider: 'spotify', providerId: 'track:4uLU6hMC' });
+  runner.assertEqual(parseTrackId('rf001'), null);
+
+  const ranked = rankByMood([track, normalizeTrack('local', { providerId: 'x', title: 'No features', artist: 'A' })], { valence: 0.4, arousal: -0.4 }, 5);
+  runner.assertEqual(ranked.map(t => [t.id, t.moodDistance]), [['local:rf001', 0]], 'Tracks without features cannot be ranked');
+});
+
+runner.test('The registry builds providers per request and follows the room\'s choice', async () => {
+  const registry = createRegistry();
+
+  runner.assertEqual(registry.list(), [
+    { name: 'fake', label: 'fake', requiresAccount: false, isDefault: true },
+    { name: 'other', label: 'Other', requiresAccount: true, isDefault: false }
+  ]);
+  runner.assertEqual(registry.create('fake', { userId: 'mia' }).userId, 'mia');
+  runner.assertTrue(registry.create('fake') !== registry.create('fake'), 'Every request gets a fresh provider');
+  runner.assertEqual(registry.nameForRoom({ musicProvider: 'other' }), 'other');
+  runner.assertEqual(registry.nameForRoom({ musicProvider: null }), 'fake');
+  runner.assertEqual(await failureCode(() => registry.create('radio')), PROVIDER_ERRORS.UNKNOWN_PROVIDER);
+
+  registry.register('broken', () => ({ search: async () => ({}) }));
+  let incomplete = null;
+  try {
+    registry.create('broken');
+  } catch (error) {
+    incomplete = error.message;
+  }
+  runner.assertEqual(incomplete, 'Music provider broken does not implement getAudioFeatures, searchByMood, resolvePlayable');
+});
+
+runner.test('Music routes search, rank and resolve through the room\'s provider', async () => {
+  const room = new Room({ roomId: 'ROOM1', name: 'Focus', createdBy: 'mia', musicProvider: 'other' });
+  const original = Room.findByRoomId;
+  Room.findByRoomId = async (roomId) => (roomId === 'ROOM1' ? room : null);
+  musicRoutes.init({ musicProviders: createRegistry() });
+
+  try {
+    const providers = await request(musicRoutes, '/api/music', 'GET', '/api/music/providers');
+    const search = await request(musicRoutes, '/api/music', 'GET', '/api/music/search?q=da');
+    const roomSearch = await request(musicRoutes, '/api/music', 'GET', '/api/music/search?q=r&roomId=ROOM1');
+    const byMood = await request(musicRoutes, '/api/music', 'GET', '/api/music/search-by-mood?valence=0.8&arousal=0.8&exclude=rush&provider=fake');
+    const playable = await request(musicRoutes, '/api/music', 'GET', '/api/music/playable/fake:grey');
+    const missing = await request(musicRoutes, '/api/music', 'GET', '/api/music/playable/fake:nope');
+    const unknown = await request(musicRoutes, '/api/music', 'GET', '/api/music/search?q=a&provider=radio');
+    const noRoom = await request(musicRoutes, '/api/music', 'GET', '/api/music/search?q=a&roomId=GONE');
+
+    runner.assertEqual(providers.body.providers.map(p => p.name), ['fake', 'other']);
+    runner.assertEqual([search.body.provider, search.body.tracks.map(t => t.id)], ['fake', ['fake:dawn']]);
+    runner.assertEqual([roomSearch.body.provider, roomSearch.body.tracks.map(t => t.id)], ['other', ['other:rush', 'other:grey']]);
+    runner.assertEqual(byMood.body.tracks.map(t => t.id), ['fake:dawn', 'fake:grey']);
+    runner.assertTrue(byMood.body.tracks[0].matchScore > byMood.body.tracks[1].matchScore);
+    runner.assertEqual(playable.body.playable, { type: 'audio', url: '/fake/grey.mp3', uri: null });
+    runner.assertEqual([missing.status, missing.body.code], [404, PROVIDER_ERRORS.TRACK_NOT_FOUND]);
+    runner.assertEqual([unknown.status, unknown.body.code], [400, PROVIDER_ERRORS.UNKNOWN_PROVIDER]);
+    runner.assertEqual(noRoom.status, 404);
+  } finally {
+    Room.findByRoomId = original;
+    musicRoutes.init({});
+  }
+});
+
+runner.test('Moderators pick the room\'s provider from the registered ones', async () => {
+  const room = new Room({
+    roomId: 'ROOM1',
+    name: 'Focus',
+    createdBy: 'mia',
+    participants: [{ userId: 'leo', displayName: 'leo', email: 'leo@example.com' }]
+  });
+  room.save = async () => room;
+  const original = Room.findByRoomId;
+  Room.findByRoomId = async () => room;
+
+  try {
+    const member = await request(roomRoutes, '/api/rooms', 'PUT', '/api/rooms/ROOM1/music-provider', { user: { uid: 'leo' }, body: { provider: 'local' } });
+    const unknown = await request(roomRoutes, '/api/rooms', 'PUT', '/api/rooms/ROOM1/music-provider', { user: { uid: 'mia' }, body: { provider: 'radio' } });
+    const owner = await request(roomRoutes, '/api/rooms', 'PUT', '/api/rooms/ROOM1/music-provider', { user: { uid: 'mia' }, body: { provider: 'local' } });
+    runner.assertEqual([member.status, unknown.status], [403, 400]);
+    runner.assertEqual(owner.body, { roomId: 'ROOM1', musicProvider: 'local' });
+    runner.assertEqual(room.musicProvider, 'local');
+
+    const reset = await request(roomRoutes, '/api/rooms', 'PUT', '/api/rooms/ROOM1/music-provider', { user: { uid: 'mia' }, body: { provider: null } });
+    runner.assertEqual(reset.body.musicProvider, 'catalog', 'null goes back to the default provider');
+  } finally {
+    Room.findByRoomId = original;
+  }
+});
+
+runner.test('Built-in adapters return normalized tracks', async () => {
+  const local = new LocalLibraryProvider();
+  const calm = await local.searchByMood({ valence: 0.4, arousal: -0.4 }, { limit: 2 });
+  runner.assertEqual(calm.map(t => t.id), ['local:rf001', 'local:rf005']);
+  runner.assertEqual((await local.search('rain')).tracks.map(t => t.title), ['Melancholic Rain']);
+  runner.assertEqual(await local.resolvePlayable('rf003'), { type: 'audio', url: '/assets/music/melancholic-rain.mp3', uri: null });
+
+  const catalog = new CatalogProvider({ recommender: new TrackRecommender({ isConnected: () => false }) });
+  const [uptown] = (await catalog.search('uptown')).tracks;
+  runner.assertEqual([uptown.id, uptown.duration], ['catalog:mark-ronson-uptown-funk', 270]);
+  runner.assertEqual((await catalog.getAudioFeatures(['mark-ronson-uptown-funk', 'nope']))[1], null);
+
+  const spotifyClient = {
+    search: async () => ({ body: { tracks: { total: 1, items: [{
+      id: 'sp1',
+      name: 'Song',
+      artists: [{ name: 'A' }, { name: 'B' }],
+      album: { name: 'Album', images: [{ url: 'https://i.scdn.co/cover.jpg' }] },
+      duration_ms: 201500,
+      preview_url: 'https://p.scdn.co/sp1.mp3'
+    }] } } }),
+    getAudioFeaturesForTracks: async (ids) => ({ body: { audio_features: ids.map(() => ({ valence: 0.5, energy: 0.5, danceability: 0.4, tempo: 100 })) } }),
+    getTrack: async (id) => ({ body: { uri: `spotify:track:${id}`, preview_url: null } })
+  };
+  const spotify = new SpotifyProvider({ userId: 'mia', sessions: { getClient: async () => ({ client: spotifyClient, profile: { country: 'SE' } }) } });
+  const [song] = await spotify.searchByMood({ valence: 0, arousal: 0 });
+  runner.assertEqual([song.id, song.artist, song.duration, song.artworkUrl, song.matchScore], ['spotify:sp1', 'A, B', 202, 'https://i.scdn.co/cover.jpg', 1]);
+  runner.assertEqual(await spotify.resolvePlayable('sp1'), { type: 'spotify', url: null, uri: 'spotify:track:sp1' });
+
+  const notConnected = new SpotifyProvider({ userId: 'leo', sessions: { getClient: async () => {
+    throw Object.assign(new Error('No Spotify connection'), { code: SPOTIFY_ERRORS.NOT_CONNECTED });
+  } } });
+  runner.assertEqual(await failureCode(() => notConnected.search('x')), PROVIDER_ERRORS.ACCOUNT_REQUIRED);
+});
+
+if (require.main === module) {
+  runner.run().then(success => {
+    process.exit(success ? 0 : 1);
+  });
+}
+
+module.exports = { runner };
@@ -0,0 +1,157 @@
+/**
+ * Unit tests for the shared playlist queue
+ * Runs without MongoDB: the manager keeps state in memory and skips persistence
+ */
+
+const Room = require('../models/Room');
+const { PlaylistQueueManager } = require('../services/playlistQueue');
+const { TestRunner } = require('./moodFusion.test');
+const { createConnectionSockets } = require('./roomAccess.test');
+
+const runner = new TestRunner('Playlist Queue');
+
+const track = (id, duration = 180000) => ({ id, name: `Track ${id}`, duration });
+
+runner.test('Tracks are appended in order and duplicates rejected', async () => {
+  const manager = new PlaylistQueueManager();
+  await manager.addTrack('ROOM1', track('a'), 'user1');
+  await manager.addTrack('ROOM1', track('b'), 'user2');
+
+  const snapshot = await manager.getSnapshot('ROOM1');
+  runner.assertEqual(snapshot.playlist.map(t => t.id), ['a', 'b']);
+  runner.assertEqual(snapshot.playlist[1].addedBy, 'user2');
+
+  let rejected = false;
+  try {
+    await manager.addTrack('ROOM1', track('a'), 'user1');
+  } catch (error) {
+    rejected = true;
+  }
+  runner.assertTrue(rejected, 'Duplicate track should be rejected');
+});
+
+runner.test('Reorder moves a track and clamps the target index', async () => {
+  const manager = new PlaylistQueueManager();
+  for (const id of ['a', 'b', 'c']) {
+    await manager.addTrack('ROOM1', track(id), 'user1');
+  }
+
+  await manager.reorderTrack('ROOM1', 'c', 0);
+  runner.assertEqual((await manager.getQueue('ROOM1')).tracks.map(t => t.id), ['c', 'a', 'b']);
+
+  await manager.reorderTrack('ROOM1', 'c', 99);
+  runner.assertEqual((await manager.getQueue('ROOM1')).tracks.map(t => t.id), ['a', 'b', 'c']);
+});
+
+runner.test('Playback position advances while playing and freezes on pause', async () => {
+  const manager = new PlaylistQueueManager();
+  await manager.addTrack('ROOM1', track('a'), 'user1');
+
+  const queue = await manager.play('ROOM1', 'a', 5000);
+  runner.assertTrue(queue.isPlaying);
+  runner.assertEqual(manager.getPosition(queue, queue.positionUpdatedAt + 2000), 7000);
+
+  queue.positionUpdatedAt -= 1000; // pretend a second has passed
+  await manager.pause('ROOM1');
+  const paused = manager.getPosition(queue);
+  runner.assertAlmostEqual(paused, 6000, 50);
+  runner.assertEqual(manager.getPosition(queue, Date.now() + 10000), paused);
+});
+
+runner.test('Resuming the current track keeps its position', async () => {
+  const manager = new PlaylistQueueManager();
+  await manager.addTrack('ROOM1', track('a'), 'user1');
+  await manager.play('ROOM1', 'a', 30000);
+  await manager.pause('ROOM1');
+
+  const queue = await manager.play('ROOM1', 'a');
+  runner.assertAlmostEqual(queue.position, 30000, 50);
+});
+
+runner.test('Seek is clamped to the track duration', async () => {
+  const manager = new PlaylistQueueManager();
+  await manager.addTrack('ROOM1', track('a', 60000), 'user1');
+  await manager.play('ROOM1', 'a');
+
+  const queue = await manager.seek('ROOM1', 90000);
+  runner.assertEqual(queue.position, 60000);
+});
+
+runner.test('Next track advances once per ended track', async () => {
+  const manager = new PlaylistQueueManager();
+  await manager.addTrack('ROOM1', track('a'), 'user1');
+  await manager.addTrack('ROOM1', track('b'), 'user1');
+  await manager.play('ROOM1', 'a');
+
+  const first = await manager.nextTrack('ROOM1', 'a');
+  const second = await manager.nextTrack('ROOM1', 'a');
+
+  runner.assertTrue(first.advanced);
+  runner.assertFalse(second.advanced, 'A second report for the same track should be ignored');
+  runner.assertEqual(first.queue.currentTrackId, 'b');
+});
+
+runner.test('Removing the current track stops playback', async () => {
+  const manager = new PlaylistQueueManager();
+  await manager.addTrack('ROOM1', track('a'), 'user1');
+  await manager.play('ROOM1', 'a');
+
+  const result = await manager.removeTrack('ROOM1', 'a');
+  const snapshot = await manager.getSnapshot('ROOM1');
+
+  runner.assertTrue(result.stoppedPlayback);
+  runner.assertEqual(snapshot.currentTrack, null);
+  runner.assertFalse(snapshot.isPlaying);
+});
+
+runner.test('Playing a track outside the queue is rejected', async () => {
+  const manager = new PlaylistQueueManager();
+  let rejected = false;
+  try {
+    await manager.play('ROOM1', 'missing');
+  } catch (error) {
+    rejected = true;
+  }
+  runner.assertTrue(rejected);
+});
+
+runner.test('Only signed-in, online, unbanned participants can change the queue', async () => {
+  const person = (userId, isOnline = true) => ({ userId, displayName: userId, email: `${userId}@example.com`, isOnline });
+  const room = new Room({
+    roomId: 'ROOM1',
+    name: 'Open room',
+    createdBy: 'mia',
+    participants: [person('mia'), person('sam', false), person('ben')],
+    bans: [{ userId: 'ben', bannedBy: 'mia' }]
+  });
+  const { connect, broadcasts } = createConnectionSockets();
+
+  const original = Room.findByRoomId;
+  Room.findByRoomId = async () => room;
+  try {
+    const sockets = [connect(), connect({ uid: 'sam' }), connect({ uid: 'ben' }), connect({ uid: 'mia' })];
+    for (const socket of sockets) {
+      await socket.send('join-room', { roomId: 'ROOM1', userId: 'mia' });
+      await socket.send('add-track', { roomId: 'ROOM1', track: track(socket.id) });
+    }
+
+    const refusals = sockets.map(socket => socket.received.filter(e => e.event === 'error').map(e => e.payload.message));
+    runner.assertEqual(refusals, [
+      ['Sign in to manage the playlist'],
+      ['Only participants in the room can manage the playlist'],
+      ['You are banned from this room', 'Must be in a room to manage the playlist'],
+      []
+    ]);
+    runner.assertEqual(broadcasts.filter(e => e.event === 'track-added').map(e => [e.payload.track.id, e.payload.addedBy]), [['socket-mia', 'mia']]);
+  } finally {
+    Room.findByRoomId = original;
+  }
+});
+
+if (require.main === module) {
+  runner.run().then(success => {
+    process.exit(success ? 0 : 1);
+  });
+}
+
+module.exports = { runner };
@@ -0,0 +1,81 @@
+/**
+ * Tests for the robust fusion methods (weighted_median, trimmed_mean) and outlier flagging
+ */
+
+const { fuseMoods, getMoodVector, FUSION_METHODS } = require('../utils/moodFusion');
+const { TestRunner } = require('./moodFusion.test');
+
+const runner = new TestRunner('Robust Fusion');
+
+// Four calm-ish participants and one troll at full confidence
+const calmRoomWithTroll = () => [
+  { mood: 'calm', confidence: 0.8 },
+  { mood: 'calm', confidence: 0.9 },
+  { mood: 'content', confidence: 0.8 },
+  { mood: 'calm', confidence: 0.7 },
+  { mood: 'angry', confidence: 1.0, source: 'manual' }
+];
+
+runner.test('One extreme input drags the average but not the robust methods', async () => {
+  const average = fuseMoods(calmRoomWithTroll());
+  const median = fuseMoods(calmRoomWithTroll(), { fusionMethod: FUSION_METHODS.WEIGHTED_MEDIAN });
+  const trimmed = fuseMoods(calmRoomWithTroll(), { fusionMethod: FUSION_METHODS.TRIMMED_MEAN });
+  const calm = getMoodVector('calm');
+
+  runner.assertTrue(average.label !== 'Calm', 'The weighted average is pulled away from calm');
+  runner.assertEqual(median.label, 'Calm');
+  runner.assertEqual(median.vector, { valence: calm.valence, arousal: calm.arousal });
+  runner.assertEqual(trimmed.label, 'Calm');
+  runner.assertEqual(trimmed.metadata.trimFraction, 0.2);
+});
+
+runner.test('Outliers are flagged in contributingMoods for every method', async () => {
+  for (const fusionMethod of Object.values(FUSION_METHODS)) {
+    const result = fuseMoods(calmRoomWithTroll(), { fusionMethod });
+    const flagged = result.contributingMoods.filter(m => m.outlier).map(m => m.mood);
+
+    runner.assertEqual(flagged, ['Angry'], `${fusionMethod} should flag the troll`);
+    runner.assertEqual(result.metadata.outlierCount, 1);
+  }
+
+  const trimmed = fuseMoods(calmRoomWithTroll(), { fusionMethod: FUSION_METHODS.TRIMMED_MEAN });
+  runner.assertEqual(trimmed.contributingMoods.filter(m => m.trimmed).map(m => m.mood), ['Angry']);
+  runner.assertTrue(trimmed.contributingMoods[4].distanceFromMedian > 1.5);
+});
+
+runner.test('Small or evenly split inputs have no outliers', async () => {
+  const pair = fuseMoods([{ mood: 'happy' }, { mood: 'sad' }], { fusionMethod: FUSION_METHODS.WEIGHTED_MEDIAN });
+  const agreeing = fuseMoods(['happy', 'excited', 'happy', 'content'].map(mood => ({ mood })));
+
+  runner.assertEqual(pair.metadata.outlierCount, 0);
+  runner.assertEqual(pair.vector, { valence: 0.05, arousal: 0.1 }, 'An exact half-weight tie averages the middle values');
+  runner.assertEqual(agreeing.metadata.outlierCount, 0, 'Nearby moods are not outliers');
+});
+
+runner.test('The median follows confidence and weight', async () => {
+  const result = fuseMoods([
+    { mood: 'sad', confidence: 1.0, weight: 3 },
+    { mood: 'happy', confidence: 1.0 },
+    { mood: 'excited', confidence: 0.5 }
+  ], { fusionMethod: FUSION_METHODS.WEIGHTED_MEDIAN });
+
+  runner.assertEqual(result.label, 'Sad', 'One heavily weighted input holds most of the weight');
+});
+
+runner.test('trimFraction controls how many inputs trimmed_mean drops', async () => {
+  const none = fuseMoods(calmRoomWithTroll(), { fusionMethod: FUSION_METHODS.TRIMMED_MEAN, trimFraction: 0 });
+  const most = fuseMoods(calmRoomWithTroll(), { fusionMethod: FUSION_METHODS.TRIMMED_MEAN, trimFraction: 0.49 });
+  const invalid = fuseMoods(calmRoomWithTroll(), { fusionMethod: FUSION_METHODS.TRIMMED_MEAN, trimFraction: 0.5 });
+
+  runner.assertEqual(none.vector, fuseMoods(calmRoomWithTroll()).vector, 'Trimming nothing is the weighted average');
+  runner.assertEqual(most.contributingMoods.filter(m => m.trimmed).length, 2, 'A majority of inputs is always kept');
+  runner.assertEqual(invalid.source, 'error');
+});
+
+if (require.main === module) {
+  runner.run().then(success => {
+    process.exit(success ? 0 : 1);
+  });
+}
+
+module.exports = { runner };
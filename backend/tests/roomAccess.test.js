@@ -0,0 +1,262 @@
+/**
+ * Tests for room visibility, passwords and signed invite links
+ * Rooms are real Room documents whose save() is stubbed; no MongoDB needed
+ */
+
+process.env.ROOM_INVITE_SECRET = 'test-invite-secret';
+
+const Room = require('../models/Room');
+const {
+  ACCESS_ERRORS,
+  hashPassword,
+  verifyPassword,
+  createInvite,
+  createInviteToken,
+  readInviteToken,
+  checkJoinAccess
+} = require('../services/roomAccess');
+const { handleJoinRoom, handleUpdateMood } = require('../handlers/roomHandlers');
+const { RoomConnectionSocketHandler } = require('../services/roomConnectionSockets');
+const { TestRunner } = require('./moodFusion.test');
+const { createMessageStore } = require('./messageHistory.test');
+
+const runner = new TestRunner('Room Access');
+
+const createRoom = (overrides = {}) => {
+  const room = new Room({
+    roomId: 'SECRET01',
+    name: 'Session',
+    createdBy: 'therapist',
+    visibility: 'private',
+    participants: [{ userId: 'therapist', displayName: 'Therapist', email: 't@example.com', role: 'owner' }],
+    ...overrides
+  });
+  room.save = async function() { return this; };
+  return room;
+};
+
+// Stands in for Room.claimInviteUse: takes a use from the in-memory record
+const claimInvite = async (invite) => {
+  if (invite.usesLeft === 0) return false;
+  invite.uses += 1;
+  if (invite.usesLeft !== null) invite.usesLeft -= 1;
+  return true;
+};
+
+const refusal = async (promise) => {
+  try {
+    await promise;
+  } catch (error) {
+    return error.code;
+  }
+  return null;
+};
+
+runner.test('Passwords are stored as salted hashes', async () => {
+  const stored = await hashPassword('open sesame');
+
+  runner.assertTrue(!stored.includes('open sesame'));
+  runner.assertTrue(stored !== await hashPassword('open sesame'), 'Each hash gets its own salt');
+  runner.assertTrue(await verifyPassword('open sesame', stored));
+  runner.assertEqual(await verifyPassword('open sesame!', stored), false);
+  runner.assertEqual(JSON.stringify(createRoom({ passwordHash: stored })).includes('scrypt'), false, 'The hash never leaves the server');
+});
+
+runner.test('Invite tokens are signed and name their room', async () => {
+  const expiresAt = new Date(Date.now() + 60000);
+  const token = createInviteToken({ roomId: 'SECRET01', inviteId: 'inv-1', expiresAt });
+  const [payload] = token.split('.');
+  const forged = `${Buffer.from(JSON.stringify({ r: 'OTHER', i: 'inv-1', e: expiresAt.getTime() })).toString('base64url')}.${token.split('.')[1]}`;
+
+  runner.assertEqual(readInviteToken(token), { roomId: 'SECRET01', inviteId: 'inv-1', expiresAt });
+  runner.assertEqual(readInviteToken(forged), null);
+  runner.assertEqual(readInviteToken(`${payload}.`), null);
+  runner.assertEqual(readInviteToken(token, 'another-secret'), null);
+});
+
+runner.test('Private rooms admit members and password holders only', async () => {
+  const room = createRoom({ passwordHash: await hashPassword('calm-space') });
+
+  runner.assertEqual(await checkJoinAccess(createRoom({ visibility: 'unlisted' }), 'anyone'), 'open');
+  runner.assertEqual(await checkJoinAccess(room, 'therapist'), 'member');
+  runner.assertEqual(await refusal(checkJoinAccess(room, 'guest')), ACCESS_ERRORS.PASSWORD_REQUIRED);
+  runner.assertEqual(await refusal(checkJoinAccess(room, 'guest', { password: 'nope' })), ACCESS_ERRORS.INVALID_PASSWORD);
+  runner.assertEqual(await checkJoinAccess(room, 'guest', { password: 'calm-space' }), 'password');
+  runner.assertEqual(await refusal(checkJoinAccess(createRoom(), 'guest', { password: 'calm-space' })), ACCESS_ERRORS.INVITE_ONLY);
+});
+
+runner.test('Invites expire, run out of uses and can be revoked', async () => {
+  const room = createRoom();
+  const single = createInvite(room, 'therapist', { maxUses: 1 });
+  const shortLived = createInvite(room, 'therapist', { expiresIn: 1000 });
+  const revoked = createInvite(room, 'therapist');
+  room.invites.push(single.invite, shortLived.invite, revoked.invite);
+  room.invites[1].expiresAt = new Date(Date.now() - 1);
+  room.invites[2].revokedAt = new Date();
+
+  runner.assertEqual(await checkJoinAccess(room, 'client-a', { invite: single.token }, { claimInvite }), 'invite');
+  runner.assertEqual(room.invites[0].uses, 1);
+  runner.assertEqual(await refusal(checkJoinAccess(room, 'client-b', { invite: single.token }, { claimInvite })), ACCESS_ERRORS.INVITE_EXPIRED);
+  runner.assertEqual(await refusal(checkJoinAccess(room, 'client-b', { invite: shortLived.token }, { claimInvite })), ACCESS_ERRORS.INVITE_EXPIRED);
+  runner.assertEqual(await refusal(checkJoinAccess(room, 'client-b', { invite: revoked.token }, { claimInvite })), ACCESS_ERRORS.INVITE_EXPIRED);
+
+  const elsewhere = createInvite(createRoom({ roomId: 'OTHER001' }), 'therapist');
+  runner.assertEqual(await refusal(checkJoinAccess(room, 'client-b', { invite: elsewhere.token }, { claimInvite })), ACCESS_ERRORS.INVALID_INVITE);
+});
+
+runner.test('Private rooms are hidden from outsiders', async () => {
+  const room = createRoom();
+
+  runner.assertEqual(room.isVisibleTo('therapist'), true);
+  runner.assertEqual(room.isVisibleTo('stranger'), false);
+  runner.assertEqual(room.isVisibleTo(null), false);
+  runner.assertEqual(createRoom({ visibility: 'unlisted' }).isVisibleTo('stranger'), true);
+});
+
+runner.test('Banned users lose membership of a private room while the ban lasts', async () => {
+  const room = createRoom({
+    participants: [
+      { userId: 'therapist', displayName: 'Therapist', email: 't@example.com', role: 'owner' },
+      { userId: 'client', displayName: 'Client', email: 'c@example.com' }
+    ]
+  });
+
+  await room.banUser('client', { bannedBy: 'therapist', expiresAt: new Date(Date.now() + 60000) });
+
+  runner.assertEqual(room.isMember('client'), false);
+  runner.assertEqual(room.isVisibleTo('client'), false);
+  runner.assertTrue(!!room.participants.find(p => p.userId === 'client'), 'The participant entry is kept');
+
+  await room.unbanUser('client');
+  runner.assertEqual(room.isVisibleTo('client'), true);
+
+  const query = Room.findVisibleRooms('client', new Date(0)).getFilter();
+  const membership = query.$or.find(clause => clause.bans);
+  runner.assertEqual(membership.bans, { $not: { $elemMatch: { userId: 'client', $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date(0) } }] } } });
+});
+
+runner.test('Outsiders cannot broadcast moods into a private room', async () => {
+  const room = createRoom();
+  const received = [];
+  const broadcast = [];
+  const socket = {
+    user: { uid: 'stranger', email: 's@example.com' },
+    isAuthenticated: true,
+    emit: (event, payload) => received.push(payload.message),
+    to: () => ({ emit: (event) => broadcast.push(event) })
+  };
+
+  const original = Room.findByRoomId;
+  Room.findByRoomId = async () => room;
+  try {
+    await handleUpdateMood(socket, { roomId: 'SECRET01', mood: 'happy' });
+  } finally {
+    Room.findByRoomId = original;
+  }
+
+  runner.assertEqual(received, ['You are not in this room']);
+  runner.assertEqual(broadcast, []);
+});
+
+runner.test('Joining a private room reports what is missing', async () => {
+  const room = createRoom({ passwordHash: await hashPassword('calm-space') });
+  const received = [];
+  const socket = {
+    user: { uid: 'client', displayName: 'Client', email: 'c@example.com' },
+    isAuthenticated: true,
+    emit: (event, payload) => received.push({ event, payload }),
+    to: () => ({ emit: () => {} }),
+    join: () => {}
+  };
+
+  const original = Room.findByRoomId;
+  const messages = createMessageStore().install();
+  Room.findByRoomId = async () => room;
+  try {
+    await handleJoinRoom(socket, { roomId: 'SECRET01' });
+    await handleJoinRoom(socket, { roomId: 'SECRET01', password: 'calm-space' });
+  } finally {
+    Room.findByRoomId = original;
+    messages.restore();
+  }
+
+  runner.assertEqual(received[0], { event: 'error', payload: { message: 'This room requires a password', code: ACCESS_ERRORS.PASSWORD_REQUIRED, roomId: 'SECRET01' } });
+  runner.assertEqual(received[1].event, 'room:joined');
+  runner.assertEqual(room.isMember('client'), true, 'Members rejoin without the password');
+});
+
+// RoomConnectionSocketHandler on a fake io; connect(user) returns a socket whose events are sent with send()
+const createConnectionSockets = () => {
+  let onConnection = null;
+  const broadcasts = [];
+  const io = {
+    on: (event, handler) => { onConnection = handler; },
+    to: (room) => ({ emit: (event, payload) => broadcasts.push({ room, event, payload }) })
+  };
+  const handler = new RoomConnectionSocketHandler(io);
+
+  const connect = (user = null) => {
+    const handlers = {};
+    const socket = {
+      id: `socket-${user?.uid || 'guest'}`,
+      user,
+      isAuthenticated: !!user,
+      rooms: new Set(),
+      received: [],
+      on: (event, fn) => { handlers[event] = fn; },
+      emit: (event, payload) => socket.received.push({ event, payload }),
+      to: () => ({ emit: () => {} }),
+      join: (room) => socket.rooms.add(room),
+      leave: (room) => socket.rooms.delete(room),
+      send: (event, data) => handlers[event](data)
+    };
+    onConnection(socket);
+    return socket;
+  };
+
+  return { handler, connect, broadcasts };
+};
+
+runner.test('join-room applies the same bans and private-room checks as joinRoom', async () => {
+  const room = createRoom({
+    participants: [
+      { userId: 'therapist', displayName: 'Therapist', email: 't@example.com', role: 'owner' },
+      { userId: 'client', displayName: 'Client', email: 'c@example.com' }
+    ],
+    bans: [{ userId: 'client', bannedBy: 'therapist' }]
+  });
+  const { connect } = createConnectionSockets();
+  const errors = (socket) => socket.received.filter(e => e.event === 'error').map(e => e.payload.message);
+
+  const original = Room.findByRoomId;
+  Room.findByRoomId = async (roomId) => (roomId === 'SECRET01' ? room : null);
+  try {
+    const guest = connect();
+    const stranger = connect({ uid: 'stranger' });
+    const banned = connect({ uid: 'client' });
+    const owner = connect({ uid: 'therapist' });
+
+    await guest.send('join-room', { roomId: 'SECRET01', userId: 'therapist' });
+    await stranger.send('join-room', { roomId: 'SECRET01' });
+    await banned.send('join-room', { roomId: 'SECRET01' });
+    await owner.send('join-room', { roomId: 'NOPE' });
+    await owner.send('join-room', { roomId: 'SECRET01' });
+
+    runner.assertEqual(errors(guest), ['Authentication required to join private rooms']);
+    runner.assertEqual(errors(stranger), ['This room is invite-only']);
+    runner.assertEqual(errors(banned), ['You are banned from this room']);
+    runner.assertEqual(errors(owner), ['Room not found']);
+    runner.assertEqual([guest, stranger, banned].map(socket => socket.rooms.has('SECRET01')), [false, false, false]);
+    runner.assertEqual([owner.rooms.has('SECRET01'), owner.roomId], [true, 'SECRET01']);
+  } finally {
+    Room.findByRoomId = original;
+  }
+});
+
+if (require.main === module) {
+  runner.run().then(success => {
+    process.exit(success ? 0 : 1);
+  });
+}
+
+module.exports = { runner, createConnectionSockets };
@@ -4,7 +4,7 @@
  */
 
 const request = require('supertest');
-const { app } = require('../app');
+const { createServer } = require('../createServer');
 const mongoose = require('mongoose');
 const jwt = require('jsonwebtoken');
 
@@ -20,6 +20,8 @@ jest.mock('firebase-admin', () => ({
   })
 }));
 
+const { app } = createServer({ rateLimit: false });
+
 describe('Room Creation and Join Flow Integration Tests', () => {
   let server;
   let authToken;
@@ -0,0 +1,212 @@
+/**
+ * Tests for room roles, kick, mute, ban and ownership transfer
+ * Rooms are real Room documents whose save() is stubbed; no MongoDB needed
+ */
+
+const Room = require('../models/Room');
+const MoodEvent = require('../models/MoodEvent');
+const { RoomModerationService, MODERATION_ERRORS } = require('../services/roomModeration');
+const { handleJoinRoom, handleSendMessage, handleUpdateMood } = require('../handlers/roomHandlers');
+const { TestRunner } = require('./moodFusion.test');
+const { createMessageStore } = require('./messageHistory.test');
+
+const runner = new TestRunner('Room Moderation');
+
+// Chat history for every test in this file is kept in memory
+const messages = createMessageStore().install();
+
+const person = (userId, role = 'member') => ({ userId, displayName: userId, email: `${userId}@example.com`, role });
+
+const createRoom = () => {
+  const room = new Room({
+    roomId: 'ROOM1',
+    name: 'Test room',
+    createdBy: 'olivia',
+    participants: [person('olivia', 'owner'), person('max', 'moderator'), person('mia'), person('sam')]
+  });
+  room.save = async function() { return this; };
+  return room;
+};
+
+// Records what each socket and room receives
+const createSocket = (uid, currentRoom = 'ROOM1') => {
+  const socket = {
+    user: { uid, displayName: uid, email: `${uid}@example.com` },
+    isAuthenticated: true,
+    currentRoom,
+    rooms: new Set(currentRoom ? [currentRoom] : []),
+    received: [],
+    left: [],
+    emit: (event, payload) => socket.received.push({ event, payload }),
+    to: () => ({ emit: () => {} }),
+    join: (room) => socket.rooms.add(room),
+    leave: (room) => {
+      socket.rooms.delete(room);
+      socket.left.push(room);
+    }
+  };
+  return socket;
+};
+
+const createIo = (sockets = []) => {
+  const emitted = [];
+  return {
+    emitted,
+    to: (room) => ({ emit: (event, payload) => emitted.push({ room, event, payload }) }),
+    in: (room) => ({ fetchSockets: async () => sockets.filter(socket => socket.rooms.has(room)) })
+  };
+};
+
+const createService = (room, sockets) => {
+  const io = createIo(sockets);
+  return { io, moderation: new RoomModerationService(io, { findRoom: async () => room }) };
+};
+
+const refusal = async (promise) => {
+  try {
+    await promise;
+  } catch (error) {
+    return error.code;
+  }
+  return null;
+};
+
+// Run a handler against `room` in place of the database lookup
+const withRoom = async (room, fn) => {
+  const original = Room.findByRoomId;
+  Room.findByRoomId = async () => room;
+  try {
+    await fn();
+  } finally {
+    Room.findByRoomId = original;
+  }
+};
+
+runner.test('Roles follow the owner and the stored participant role', async () => {
+  const room = createRoom();
+
+  runner.assertEqual(room.getOwnerId(), 'olivia', 'Rooms without an ownerId are owned by their creator');
+  runner.assertEqual(['olivia', 'max', 'mia', 'stranger'].map(id => room.getParticipantRole(id)), ['owner', 'moderator', 'member', 'member']);
+});
+
+runner.test('Moderators act on members but not on their peers or the owner', async () => {
+  const room = createRoom();
+  const { moderation } = createService(room);
+  const max = { uid: 'max', displayName: 'Max' };
+
+  await moderation.moderate('ROOM1', max, 'mute', { targetUserId: 'mia' });
+  const onOwner = await refusal(moderation.moderate('ROOM1', max, 'kick', { targetUserId: 'olivia' }));
+  const byMember = await refusal(moderation.moderate('ROOM1', { uid: 'sam' }, 'mute', { targetUserId: 'mia' }));
+  const promote = await refusal(moderation.moderate('ROOM1', max, 'set_role', { targetUserId: 'mia', role: 'moderator' }));
+  const self = await refusal(moderation.moderate('ROOM1', max, 'mute', { targetUserId: 'max' }));
+
+  runner.assertTrue(room.isParticipantMuted('mia'));
+  runner.assertEqual(onOwner, MODERATION_ERRORS.NOT_ALLOWED);
+  runner.assertEqual(byMember, MODERATION_ERRORS.NOT_ALLOWED);
+  runner.assertEqual(promote, MODERATION_ERRORS.NOT_ALLOWED);
+  runner.assertEqual(self, MODERATION_ERRORS.INVALID_TARGET);
+});
+
+runner.test('Kicking takes the user out of the room and posts a system message', async () => {
+  const room = createRoom();
+  const sam = createSocket('sam');
+  const { io, moderation } = createService(room, [sam, createSocket('mia')]);
+
+  await moderation.moderate('ROOM1', { uid: 'max', displayName: 'Max' }, 'kick', { targetUserId: 'sam', reason: 'spam' });
+
+  runner.assertEqual(sam.left, ['ROOM1']);
+  runner.assertEqual(sam.currentRoom, null);
+  runner.assertEqual(sam.received[0].event, 'room:removed');
+  runner.assertEqual(room.participants.find(p => p.userId === 'sam').isOnline, false);
+  const system = io.emitted.find(e => e.event === 'message:received').payload;
+  runner.assertEqual([system.type, system.message], ['system', 'sam was removed from the room by Max (spam)']);
+});
+
+runner.test('Removal evicts every socket of the user, however it joined', async () => {
+  const room = createRoom();
+  const chat = createSocket('sam');
+  const playlist = createSocket('sam', null);
+  playlist.join('ROOM1');
+  playlist.roomId = 'ROOM1';
+  const elsewhere = createSocket('sam', 'ROOM2');
+  const { moderation } = createService(room, [chat, playlist, elsewhere, createSocket('mia')]);
+
+  await moderation.moderate('ROOM1', { uid: 'olivia' }, 'ban', { targetUserId: 'sam' });
+
+  runner.assertEqual([chat.rooms.has('ROOM1'), playlist.rooms.has('ROOM1')], [false, false]);
+  runner.assertEqual([chat.currentRoom, playlist.roomId], [null, null]);
+  runner.assertEqual(playlist.received.map(e => e.event), ['room:removed']);
+  runner.assertEqual([elsewhere.left, elsewhere.currentRoom], [[], 'ROOM2'], 'Other rooms are left alone');
+});
+
+runner.test('Banned users cannot rejoin until the ban ends', async () => {
+  const room = createRoom();
+  const { moderation } = createService(room, [createSocket('sam')]);
+  const socket = createSocket('sam', null);
+
+  await moderation.moderate('ROOM1', { uid: 'olivia' }, 'ban', { targetUserId: 'sam', duration: 60000 });
+  await withRoom(room, () => handleJoinRoom(socket, { roomId: 'ROOM1' }));
+
+  runner.assertEqual(socket.received.map(e => e.payload.message), ['You are banned from this room']);
+  runner.assertTrue(!room.getActiveBan('sam', new Date(Date.now() + 61000)), 'Timed bans expire');
+
+  await moderation.moderate('ROOM1', { uid: 'olivia' }, 'unban', { targetUserId: 'sam' });
+  runner.assertEqual(room.getActiveBan('sam'), null);
+});
+
+runner.test('Banned users can no longer set the room mood', async () => {
+  const room = createRoom();
+  const { moderation } = createService(room);
+  const sam = createSocket('sam');
+  const broadcast = [];
+  sam.to = () => ({ emit: (event) => broadcast.push(event) });
+
+  const recorded = [];
+  const originalRecord = MoodEvent.record;
+  MoodEvent.record = async (event) => recorded.push(event);
+  try {
+    await moderation.moderate('ROOM1', { uid: 'olivia' }, 'ban', { targetUserId: 'sam' });
+    await withRoom(room, () => handleUpdateMood(sam, { roomId: 'ROOM1', mood: 'angry' }));
+  } finally {
+    MoodEvent.record = originalRecord;
+  }
+
+  runner.assertEqual(sam.received.map(e => e.payload.message), ['You are not in this room']);
+  runner.assertEqual([recorded, broadcast], [[], []]);
+  runner.assertTrue(room.participants.find(p => p.userId === 'sam').mood !== 'angry');
+});
+
+runner.test('Muted participants cannot post', async () => {
+  const room = createRoom();
+  const { moderation } = createService(room);
+  const mia = createSocket('mia');
+
+  await moderation.moderate('ROOM1', { uid: 'max' }, 'mute', { targetUserId: 'mia', duration: 60000 });
+  await withRoom(room, () => handleSendMessage(mia, { roomId: 'ROOM1', message: 'hello?' }));
+
+  runner.assertEqual(mia.received.map(e => e.payload.message), ['You are muted in this room']);
+  runner.assertEqual(messages.docs.length, 0);
+  runner.assertTrue(!room.isParticipantMuted('mia', new Date(Date.now() + 61000)), 'Timed mutes expire');
+});
+
+runner.test('Ownership transfer makes the old owner a moderator', async () => {
+  const room = createRoom();
+  const { moderation } = createService(room);
+
+  const byModerator = await refusal(moderation.moderate('ROOM1', { uid: 'max' }, 'transfer_ownership', { targetUserId: 'mia' }));
+  await moderation.moderate('ROOM1', { uid: 'olivia' }, 'transfer_ownership', { targetUserId: 'mia' });
+
+  runner.assertEqual(byModerator, MODERATION_ERRORS.NOT_ALLOWED);
+  runner.assertEqual(room.getOwnerId(), 'mia');
+  runner.assertEqual(room.createdBy, 'olivia', 'The creator is kept for history');
+  runner.assertEqual(room.getParticipantRole('olivia'), 'moderator');
+  runner.assertEqual(room.getParticipantRole('mia'), 'owner');
+});
+
+if (require.main === module) {
+  runner.run().then(success => {
+    process.exit(success ? 0 : 1);
+  });
+}
+
+module.exports = { runner };
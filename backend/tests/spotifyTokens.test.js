@@ -0,0 +1,212 @@
+/**
+ * Tests for Spotify sessions: encrypted token storage, per-user clients, single-flight refresh and disconnect
+ * Uses a stub SpotifyToken model and a fake Spotify client; no MongoDB or network needed
+ */
+
+const http = require('http');
+const express = require('express');
+const spotifyRoutes = require('../routes/spotifyRoutes');
+const { SpotifyTokenStore } = require('../services/spotifyTokenStore');
+const { SpotifySessionManager, SPOTIFY_ERRORS } = require('../services/spotifyClient');
+const { createTokenCipher, TOKEN_CRYPTO_ERRORS } = require('../utils/tokenCrypto');
+const { TestRunner } = require('./moodFusion.test');
+
+const runner = new TestRunner('Spotify Tokens');
+
+const cipher = createTokenCipher('test-secret');
+
+// Enough of the SpotifyToken model for the store, keeping documents as stored
+const createTokenModel = () => {
+  const docs = new Map();
+  return {
+    docs,
+    findOne: ({ userId }) => ({ lean: async () => docs.get(userId) || null }),
+    updateOne: async ({ userId }, { $set }) => { docs.set(userId, { ...docs.get(userId), ...$set }); },
+    deleteOne: async ({ userId }) => ({ deletedCount: docs.delete(userId) ? 1 : 0 })
+  };
+};
+
+// Records every client built and answers like Spotify would
+const createFakeSpotify = ({ refreshDelay = 0, refreshError = null } = {}) => {
+  const fake = { clients: [], refreshes: 0 };
+  fake.createClient = (tokens = {}) => {
+    const client = {
+      tokens: { ...tokens },
+      createAuthorizeURL: (scopes, state) => `https://accounts.spotify.com/authorize?state=${state}`,
+      authorizationCodeGrant: async (code) => ({
+        body: { access_token: `access-${code}`, refresh_token: `refresh-${code}`, expires_in: 3600, scope: 'streaming' }
+      }),
+      setAccessToken: (token) => { client.tokens.accessToken = token; },
+      getMe: async () => ({ body: { id: `spotify-${client.tokens.accessToken}`, display_name: 'Mia', country: 'SE' } }),
+      refreshAccessToken: async () => {
+        fake.refreshes++;
+        await new Promise(resolve => setTimeout(resolve, refreshDelay));
+        if (refreshError) throw refreshError;
+        return { body: { access_token: `access-${fake.refreshes}`, expires_in: 3600 } };
+      }
+    };
+    fake.clients.push(client);
+    return client;
+  };
+  return fake;
+};
+
+const createSessions = (fake, { now = () => 1000000, model = createTokenModel() } = {}) => {
+  const store = new SpotifyTokenStore({ model, cipher, isAvailable: () => true });
+  return new SpotifySessionManager({ store, createClient: fake.createClient, now });
+};
+
+const connect = async (sessions, userId, code) => {
+  const { state } = sessions.createAuthorization(userId);
+  return sessions.connect(state, code);
+};
+
+const failureCode = async (fn) => {
+  try {
+    await fn();
+  } catch (error) {
+    return error.code;
+  }
+  return null;
+};
+
+runner.test('Tokens are encrypted at rest and tampering is detected', async () => {
+  const model = createTokenModel();
+  const sessions = createSessions(createFakeSpotify(), { model });
+  await connect(sessions, 'mia', 'abc');
+
+  const stored = model.docs.get('mia');
+  runner.assertEqual(stored.spotifyUserId, 'spotify-access-abc');
+  runner.assertFalse(stored.accessToken.includes('access-abc'), 'The access token is not stored in plain text');
+  runner.assertFalse(stored.refreshToken.includes('refresh-abc'), 'The refresh token is not stored in plain text');
+  runner.assertEqual(cipher.decrypt(stored.refreshToken), 'refresh-abc');
+
+  const [version, iv, tag, data] = stored.accessToken.split(':');
+  const tampered = [version, iv, tag, Buffer.from('forged').toString('base64')].join(':');
+  runner.assertEqual(await failureCode(() => cipher.decrypt(tampered)), TOKEN_CRYPTO_ERRORS.DECRYPT_FAILED);
+  runner.assertEqual(await failureCode(() => createTokenCipher('other-secret').decrypt(`${version}:${iv}:${tag}:${data}`)),
+    TOKEN_CRYPTO_ERRORS.DECRYPT_FAILED, 'A different key cannot read the tokens');
+});
+
+runner.test('Every request gets its own client with its user\'s token', async () => {
+  const fake = createFakeSpotify();
+  const sessions = createSessions(fake);
+  await connect(sessions, 'mia', 'mia-code');
+  await connect(sessions, 'leo', 'leo-code');
+
+  const [mia, leo, miaAgain] = await Promise.all([
+    sessions.getClient('mia'),
+    sessions.getClient('leo'),
+    sessions.getClient('mia')
+  ]);
+
+  runner.assertEqual(mia.client.tokens.accessToken, 'access-mia-code');
+  runner.assertEqual(leo.client.tokens.accessToken, 'access-leo-code');
+  runner.assertTrue(mia.client !== miaAgain.client, 'Clients are never shared between requests');
+  runner.assertEqual(leo.profile.id, 'spotify-access-leo-code');
+  runner.assertEqual(await failureCode(() => sessions.getClient('nobody')), SPOTIFY_ERRORS.NOT_CONNECTED);
+  runner.assertEqual(await failureCode(() => sessions.connect('made-up-state', 'x')), SPOTIFY_ERRORS.INVALID_STATE);
+});
+
+runner.test('Concurrent requests share one token refresh', async () => {
+  let time = 1000000;
+  const fake = createFakeSpotify({ refreshDelay: 20 });
+  const model = createTokenModel();
+  const sessions = createSessions(fake, { now: () => time, model });
+  await connect(sessions, 'mia', 'abc');
+
+  time += 3600 * 1000 - 30 * 1000; // inside the refresh margin
+  const results = await Promise.all([1, 2, 3, 4].map(() => sessions.getClient('mia')));
+
+  runner.assertEqual(fake.refreshes, 1, 'Only one refresh request reaches Spotify');
+  runner.assertEqual(results.map(r => r.client.tokens.accessToken), ['access-1', 'access-1', 'access-1', 'access-1']);
+  runner.assertEqual(cipher.decrypt(model.docs.get('mia').refreshToken), 'refresh-abc', 'The refresh token is kept when Spotify does not rotate it');
+  runner.assertEqual(new Date(model.docs.get('mia').expiresAt).getTime(), time + 3600 * 1000);
+
+  await sessions.getClient('mia');
+  runner.assertEqual(fake.refreshes, 1, 'A fresh token is not refreshed again');
+});
+
+runner.test('A revoked refresh token ends the connection', async () => {
+  let time = 1000000;
+  const revoked = Object.assign(new Error('invalid_grant'), { statusCode: 400, body: { error: 'invalid_grant' } });
+  const model = createTokenModel();
+  const sessions = createSessions(createFakeSpotify({ refreshError: revoked }), { now: () => time, model });
+  await connect(sessions, 'mia', 'abc');
+
+  time += 2 * 3600 * 1000;
+  runner.assertEqual(await failureCode(() => sessions.getClient('mia')), SPOTIFY_ERRORS.REFRESH_FAILED);
+  runner.assertFalse(model.docs.has('mia'), 'Revoked tokens are deleted');
+
+  const outage = Object.assign(new Error('Service unavailable'), { statusCode: 503 });
+  const flaky = createSessions(createFakeSpotify({ refreshError: outage }), { now: () => time, model });
+  await connect(flaky, 'leo', 'def');
+  time += 2 * 3600 * 1000;
+  runner.assertEqual(await failureCode(() => flaky.getClient('leo')), SPOTIFY_ERRORS.REFRESH_FAILED);
+  runner.assertTrue(model.docs.has('leo'), 'A Spotify outage keeps the connection for a later retry');
+
+  const badSecret = Object.assign(new Error('invalid_client'), { statusCode: 400, body: { error: 'invalid_client' } });
+  const misconfigured = createSessions(createFakeSpotify({ refreshError: badSecret }), { now: () => time, model });
+  await connect(misconfigured, 'ada', 'ghi');
+  time += 2 * 3600 * 1000;
+  runner.assertEqual(await failureCode(() => misconfigured.getClient('ada')), SPOTIFY_ERRORS.REFRESH_FAILED);
+  runner.assertTrue(model.docs.has('ada'), 'A bad client secret does not delete the user\'s connection');
+});
+
+runner.test('Routes act for the signed-in user and can disconnect', async () => {
+  const model = createTokenModel();
+  const sessions = createSessions(createFakeSpotify(), { now: Date.now, model });
+  spotifyRoutes.init({ spotifySessions: sessions });
+
+  const app = express();
+  app.use((req, res, next) => { req.user = req.headers['x-test-user'] ? { uid: req.headers['x-test-user'] } : null; next(); });
+  app.use('/api/spotify', spotifyRoutes);
+  const server = app.listen(0);
+
+  const request = (method, path, user) => new Promise((resolve, reject) => {
+    const req = http.request({
+      host: '127.0.0.1',
+      port: server.address().port,
+      method,
+      path,
+      headers: user ? { 'x-test-user': user } : {}
+    }, (res) => {
+      let data = '';
+      res.on('data', chunk => { data += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(data) }));
+    });
+    req.on('error', reject);
+    req.end();
+  });
+
+  try {
+    const anonymous = await request('GET', '/api/spotify/auth');
+    const auth = await request('GET', '/api/spotify/auth', 'mia');
+    const callback = await request('GET', `/api/spotify/callback?code=abc&state=${auth.body.state}`);
+    const replay = await request('GET', `/api/spotify/callback?code=abc&state=${auth.body.state}`);
+    const miaStatus = await request('GET', '/api/spotify/status', 'mia');
+    const leoStatus = await request('GET', '/api/spotify/status', 'leo');
+    const leoSearch = await request('GET', '/api/spotify/search?q=calm', 'leo');
+    const disconnect = await request('DELETE', '/api/spotify/connection', 'mia');
+    const after = await request('GET', '/api/spotify/status', 'mia');
+
+    runner.assertEqual(anonymous.status, 401);
+    runner.assertEqual([callback.status, callback.body.user.id], [200, 'spotify-access-abc']);
+    runner.assertEqual(replay.status, 400, 'A state can only be used once');
+    runner.assertEqual([miaStatus.body.authenticated, leoStatus.body.authenticated], [true, false]);
+    runner.assertEqual([leoSearch.status, leoSearch.body.code], [401, SPOTIFY_ERRORS.NOT_CONNECTED]);
+    runner.assertEqual([disconnect.body.disconnected, disconnect.body.revokeUrl], [true, 'https://www.spotify.com/account/apps/']);
+    runner.assertFalse(after.body.authenticated);
+  } finally {
+    server.close();
+    spotifyRoutes.init({});
+  }
+});
+
+if (require.main === module) {
+  runner.run().then(success => {
+    process.exit(success ? 0 : 1);
+  });
+}
+
+module.exports = { runner };
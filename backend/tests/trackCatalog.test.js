@@ -0,0 +1,136 @@
+/**
+ * Tests for the track catalog importer and the mood-distance recommender
+ * Uses the bundled catalog and stub Track models; no MongoDB needed
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseCsv, parseTrackCatalog, normalizeTrackRecords, importTrackCatalog } = require('../services/trackCatalog');
+const { TrackRecommender } = require('../services/trackRecommender');
+const { generateMoodPlaylist } = require('../services/roomMemory');
+const { RoomConnectionManager } = require('../services/roomConnection');
+const { TestRunner } = require('./moodFusion.test');
+
+const runner = new TestRunner('Track Catalog');
+
+const offline = () => new TrackRecommender({ isConnected: () => false });
+
+// Enough of the Track model for the recommender: filters by the valence/energy window
+const createTrackModel = (tracks) => ({
+  queries: [],
+  find(query) {
+    this.queries.push(query);
+    const inRange = (value, range) => value >= range.$gte && value <= range.$lte;
+    return { lean: async () => tracks.filter(t => inRange(t.valence, query.valence) && inRange(t.energy, query.energy)) };
+  },
+  estimatedDocumentCount: async () => tracks.length
+});
+
+runner.test('CSV catalogs with quotes and Spotify column names are imported', async () => {
+  const csv = [
+    'track_id,track_name,artists,valence,energy,danceability,tempo,duration_ms,track_genre',
+    '4uLU6hMC,"Uptown Funk (feat. Bruno Mars)","Mark Ronson, Bruno Mars",0.93,0.61,0.86,115,269000,pop',
+    ',"Say ""Yes""",Elliott Smith,0.2,0.3,,,,folk',
+    'x1,Too Loud,Nobody,0.5,1.4,,,,noise'
+  ].join('\r\n');
+
+  runner.assertEqual(parseCsv('a,"b,c"\n"d ""e"""')[1], ['d "e"']);
+
+  const { tracks, errors } = normalizeTrackRecords(parseTrackCatalog(csv, 'csv'));
+  runner.assertEqual(tracks.length, 2);
+  runner.assertEqual(tracks[0], {
+    trackId: '4uLU6hMC',
+    title: 'Uptown Funk (feat. Bruno Mars)',
+    artist: 'Mark Ronson, Bruno Mars',
+    valence: 0.93,
+    energy: 0.61,
+    danceability: 0.86,
+    tempo: 115,
+    duration: 269,
+    genre: 'pop'
+  });
+  runner.assertEqual(tracks[1].trackId, 'elliott-smith-say-yes', 'Missing ids are derived from artist and title');
+  runner.assertEqual(errors, [{ record: 3, message: 'energy must be a number from 0 to 1' }]);
+});
+
+runner.test('JSON catalogs are upserted through the Track model', async () => {
+  const file = path.join(os.tmpdir(), `tracks-${process.pid}.json`);
+  fs.writeFileSync(file, JSON.stringify({ tracks: [
+    { id: 't1', title: 'One', artist: 'A', valence: 0.5, energy: 0.5 },
+    { id: 't1', title: 'One (Remaster)', artist: 'A', valence: 0.6, energy: 0.5 },
+    { title: 'No artist', valence: 0.5, energy: 0.5 }
+  ] }));
+
+  const upserted = [];
+  const Track = { upsertMany: async (tracks) => { upserted.push(...tracks); return { inserted: tracks.length, updated: 0 }; } };
+
+  try {
+    const result = await importTrackCatalog(file, { Track });
+    runner.assertEqual([result.inserted, result.skipped], [1, 1]);
+    runner.assertEqual(upserted.map(t => [t.trackId, t.title, t.source]), [['t1', 'One (Remaster)', 'import']]);
+  } finally {
+    fs.unlinkSync(file);
+  }
+
+  let formatError = null;
+  try {
+    parseTrackCatalog('', 'xml');
+  } catch (error) {
+    formatError = error.code;
+  }
+  runner.assertEqual(formatError, 'INVALID_FORMAT');
+});
+
+runner.test('Tracks are ranked by distance to the mood vector', async () => {
+  const calm = await offline().recommend({ valence: 0.6, arousal: -0.4 }, { count: 3 });
+  const pumped = await offline().recommend({ valence: 0.8, arousal: 0.9 }, { count: 3, excludeIds: ['mark-ronson-uptown-funk'] });
+  const rock = await offline().recommend({ valence: 0.8, arousal: 0.9 }, { count: 5, genres: ['ROCK'] });
+
+  runner.assertEqual(calm.map(t => t.title), ['Clair de Lune', 'River', 'Weightless']);
+  runner.assertTrue(calm[0].moodDistance <= calm[1].moodDistance && calm[1].moodDistance <= calm[2].moodDistance);
+  runner.assertTrue(calm[0].matchScore > 0.8 && calm[0].matchScore <= 1);
+  runner.assertFalse(pumped.some(t => t.trackId === 'mark-ronson-uptown-funk'), 'Excluded tracks are skipped');
+  runner.assertEqual(rock.map(t => t.genre), ['Rock', 'Rock'], 'Genre filters ignore case');
+});
+
+runner.test('The Track collection is searched in widening windows', async () => {
+  const Track = createTrackModel([
+    { trackId: 'near', title: 'Near', artist: 'A', valence: 0.8, energy: 0.3 },
+    { trackId: 'far', title: 'Far', artist: 'B', valence: 0.1, energy: 0.9 }
+  ]);
+  const recommender = new TrackRecommender({ Track, isConnected: () => true, seedTracks: [] });
+
+  const tracks = await recommender.recommend({ valence: 0.6, arousal: -0.4 }, { count: 2 });
+  runner.assertEqual(tracks.map(t => t.trackId), ['near', 'far']);
+  runner.assertEqual(Track.queries.length, 3, 'Each window is tried until enough tracks are found');
+
+  const empty = new TrackRecommender({ Track: createTrackModel([]), isConnected: () => true });
+  runner.assertEqual((await empty.recommend({ valence: 0, arousal: 0 }, { count: 1 }))[0].source, 'seed',
+    'An empty collection falls back to the bundled catalog');
+});
+
+runner.test('Memory and connection playlists come from the recommender', async () => {
+  const playlist = await generateMoodPlaylist({ label: 'Sad', vector: { valence: -0.6, arousal: -0.4 } }, { recommender: offline(), count: 3 });
+  runner.assertEqual(playlist.title, 'Sad Mix');
+  runner.assertEqual(playlist.tracks.map(t => t.title), ['Hurt', 'Mad World', 'The Night We Met']);
+  runner.assertEqual(playlist.totalDuration, 189 + 218 + 208);
+
+  const io = { to: () => ({ emit: () => {} }) };
+  const manager = new RoomConnectionManager(io, { store: {}, recommender: offline() });
+  const matched = await manager.findMoodMatchedTracks({ vector: { valence: 0.8, arousal: 0.9 } }, 2);
+  const fallback = await manager.getFallbackPlaylist({ vector: { valence: 0, arousal: 0 } });
+
+  runner.assertEqual(matched.map(t => [t.name, t.source]), [["Can't Stop the Feeling", 'mood-matched'], ['Uptown Funk', 'mood-matched']]);
+  runner.assertEqual(matched[0].duration, 236000, 'Queue tracks use milliseconds');
+  runner.assertEqual(fallback.length, 12);
+  runner.assertTrue(fallback.every(t => t.source === 'fallback'));
+});
+
+if (require.main === module) {
+  runner.run().then(success => {
+    process.exit(success ? 0 : 1);
+  });
+}
+
+module.exports = { runner };
@@ -0,0 +1,173 @@
+/**
+ * Unit tests for WAV/PCM decoding and the offline acoustic voice analyzer
+ */
+
+const { decodeAudio, UNSUPPORTED_AUDIO } = require('../utils/audioDecoder');
+const {
+  getVoiceAnalyzer,
+  registerVoiceAnalyzer,
+  VoiceEmotionAnalyzer,
+  listVoiceAnalyzers,
+  extractAcousticFeatures
+} = require('../services/voiceEmotion');
+const { getMoodRegistry, readRegistryFile, loadMoodRegistryFromDatabase, DEFAULT_REGISTRY_PATH } = require('../utils/moodRegistry');
+const { TestRunner } = require('./moodFusion.test');
+
+const runner = new TestRunner('Voice Emotion');
+
+const SAMPLE_RATE = 16000;
+
+// Build a 16-bit mono WAV from a sample generator
+const makeWav = (seconds, generator, sampleRate = SAMPLE_RATE) => {
+  const count = Math.floor(seconds * sampleRate);
+  const buffer = Buffer.alloc(44 + count * 2);
+
+  buffer.write('RIFF', 0, 'ascii');
+  buffer.writeUInt32LE(36 + count * 2, 4);
+  buffer.write('WAVE', 8, 'ascii');
+  buffer.write('fmt ', 12, 'ascii');
+  buffer.writeUInt32LE(16, 16);
+  buffer.writeUInt16LE(1, 20);
+  buffer.writeUInt16LE(1, 22);
+  buffer.writeUInt32LE(sampleRate, 24);
+  buffer.writeUInt32LE(sampleRate * 2, 28);
+  buffer.writeUInt16LE(2, 32);
+  buffer.writeUInt16LE(16, 34);
+  buffer.write('data', 36, 'ascii');
+  buffer.writeUInt32LE(count * 2, 40);
+
+  for (let i = 0; i < count; i++) {
+    const sample = Math.max(-1, Math.min(1, generator(i / sampleRate)));
+    buffer.writeInt16LE(Math.round(sample * 32767), 44 + i * 2);
+  }
+
+  return buffer;
+};
+
+// Syllable-like bursts: a tone gated on and off at the given rate
+const speechLike = ({ pitch, amplitude, syllablesPerSecond, vibratoHz = 0, vibratoDepth = 0 }) => (t) => {
+  const gate = Math.sin(Math.PI * t * syllablesPerSecond) ** 2;
+  // Integrated phase so the instantaneous frequency is pitch * (1 + depth * sin(2π·vibratoHz·t))
+  const vibrato = vibratoHz ? (vibratoDepth / (2 * Math.PI * vibratoHz)) * (1 - Math.cos(2 * Math.PI * vibratoHz * t)) : 0;
+  return amplitude * gate * Math.sin(2 * Math.PI * pitch * (t + vibrato));
+};
+
+runner.test('WAV files decode to mono samples', () => {
+  const wav = makeWav(0.5, t => 0.5 * Math.sin(2 * Math.PI * 200 * t));
+  const decoded = decodeAudio(wav, 'audio/wav');
+
+  runner.assertEqual(decoded.sampleRate, SAMPLE_RATE);
+  runner.assertEqual(decoded.samples.length, SAMPLE_RATE / 2);
+  runner.assertTrue(Math.max(...decoded.samples) > 0.45, 'Peak amplitude should survive decoding');
+});
+
+runner.test('Raw L16 PCM uses MIME parameters', () => {
+  const pcm = Buffer.alloc(8000 * 2);
+  for (let i = 0; i < 8000; i++) {
+    pcm.writeInt16BE(16384, i * 2);
+  }
+  const decoded = decodeAudio(pcm, 'audio/L16; rate=8000; channels=1');
+
+  runner.assertEqual(decoded.sampleRate, 8000);
+  runner.assertAlmostEqual(decoded.samples[0], 0.5);
+});
+
+runner.test('Compressed formats are rejected with an error code', () => {
+  let code = null;
+  try {
+    decodeAudio(Buffer.from('not really webm'), 'audio/webm');
+  } catch (error) {
+    code = error.code;
+  }
+  runner.assertEqual(code, UNSUPPORTED_AUDIO);
+});
+
+runner.test('Degenerate sample rates and layouts are rejected before analysis', () => {
+  const codeOf = (fn) => {
+    try {
+      fn();
+      return null;
+    } catch (error) {
+      return error.code;
+    }
+  };
+
+  const lowRateWav = makeWav(0.5, () => 0.5, 40);
+  const zeroDepthWav = makeWav(0.1, () => 0.5);
+  zeroDepthWav.writeUInt16LE(0, 34);
+
+  runner.assertEqual(codeOf(() => decodeAudio(lowRateWav, 'audio/wav')), UNSUPPORTED_AUDIO);
+  runner.assertEqual(codeOf(() => decodeAudio(zeroDepthWav, 'audio/wav')), UNSUPPORTED_AUDIO);
+  runner.assertEqual(codeOf(() => decodeAudio(Buffer.alloc(400), 'audio/L16; rate=40')), UNSUPPORTED_AUDIO);
+  runner.assertEqual(codeOf(() => decodeAudio(Buffer.alloc(400), 'audio/L16; rate=16000; channels=0')), UNSUPPORTED_AUDIO);
+
+  // The analyzer itself must not spin when called with a rate too low to frame
+  const features = extractAcousticFeatures(new Float32Array(400), 40);
+  runner.assertEqual(features.speechDetected, false);
+});
+
+runner.test('Silence is reported as neutral with low confidence', async () => {
+  const result = await getVoiceAnalyzer('acoustic').analyze(makeWav(2, () => 0), { mimetype: 'audio/wav' });
+
+  runner.assertEqual(result.emotion, 'neutral');
+  runner.assertEqual(result.features.speechDetected, false);
+  runner.assertTrue(result.confidence <= 0.3, 'Silence should not be confident');
+});
+
+runner.test('Loud, fast, high-pitched speech has higher arousal than quiet, slow speech', async () => {
+  const analyzer = getVoiceAnalyzer('acoustic');
+  const energetic = await analyzer.analyze(makeWav(3, speechLike({
+    pitch: 260, amplitude: 0.8, syllablesPerSecond: 5, vibratoHz: 3, vibratoDepth: 0.15
+  })), { mimetype: 'audio/wav' });
+  const subdued = await analyzer.analyze(makeWav(3, speechLike({
+    pitch: 110, amplitude: 0.05, syllablesPerSecond: 1.5
+  })), { mimetype: 'audio/wav' });
+
+  runner.assertTrue(energetic.features.speechDetected && subdued.features.speechDetected);
+  runner.assertTrue(energetic.vector.arousal > subdued.vector.arousal, 'Energetic speech should be more aroused');
+  runner.assertTrue(energetic.vector.valence > subdued.vector.valence, 'Varied pitch should read more positive than monotone');
+  runner.assertTrue(Math.abs(energetic.features.pitchHz - 260) < 40, `Pitch estimate off: ${energetic.features.pitchHz}`);
+  runner.assertEqual(energetic.analyzer, 'acoustic');
+});
+
+runner.test('The default analyzer reports moods from the current registry', async () => {
+  const stored = [
+    { name: 'neutral', label: 'Neutral', valence: 0, arousal: 0, emoji: ['😐'], isDefault: true, detectable: true },
+    { name: 'hyped', label: 'Hyped', valence: 0.7, arousal: 1, emoji: ['🚀'], detectable: true }
+  ];
+  const energetic = makeWav(3, speechLike({ pitch: 260, amplitude: 0.8, syllablesPerSecond: 5, vibratoHz: 3, vibratoDepth: 0.15 }));
+
+  try {
+    await loadMoodRegistryFromDatabase({ find: () => ({ lean: async () => stored }) });
+    const result = await getVoiceAnalyzer('acoustic').analyze(energetic, { mimetype: 'audio/wav' });
+    runner.assertEqual(result.emotion, 'hyped', 'Moods loaded after startup are detected');
+  } finally {
+    getMoodRegistry().load(readRegistryFile(DEFAULT_REGISTRY_PATH));
+  }
+});
+
+runner.test('Custom analyzers plug in through the registry', async () => {
+  class FixedAnalyzer extends VoiceEmotionAnalyzer {
+    constructor() {
+      super('fixed');
+    }
+
+    async analyze() {
+      return { emotion: 'calm', confidence: 0.9, vector: { valence: 0.5, arousal: -0.5 }, features: {}, analyzer: this.name };
+    }
+  }
+
+  registerVoiceAnalyzer(new FixedAnalyzer());
+
+  runner.assertTrue(listVoiceAnalyzers().includes('fixed'));
+  runner.assertEqual((await getVoiceAnalyzer('fixed').analyze(Buffer.alloc(0))).emotion, 'calm');
+  runner.assertEqual(getVoiceAnalyzer('missing').name, 'acoustic');
+});
+
+if (require.main === module) {
+  runner.run().then(success => {
+    process.exit(success ? 0 : 1);
+  });
+}
+
+module.exports = { runner };
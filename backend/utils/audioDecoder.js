@@ -0,0 +1,196 @@
+// Audio Decoder - turns WAV files and raw PCM buffers into mono float samples
+// Pure JavaScript so analysis works offline without native codecs
+
+const WAV_FORMAT_PCM = 1;
+const WAV_FORMAT_FLOAT = 3;
+const WAV_FORMAT_EXTENSIBLE = 0xfffe;
+
+// Errors carry a code so routes can map them to 415 responses, like multer's LIMIT_FILE_SIZE
+const UNSUPPORTED_AUDIO = 'UNSUPPORTED_AUDIO_FORMAT';
+
+function unsupportedAudio(message) {
+  const error = new Error(message);
+  error.code = UNSUPPORTED_AUDIO;
+  return error;
+}
+
+// Below telephone quality there is nothing to analyse, and tiny rates leave the analysers no frames to step through
+const MIN_SAMPLE_RATE = 8000;
+const INT_BIT_DEPTHS = [8, 16, 24, 32];
+const FLOAT_BIT_DEPTHS = [32, 64];
+
+// Reject layouts the framing and sample readers cannot handle before touching the data
+function checkLayout({ sampleRate, channels, bitDepth, isFloat = false }) {
+  if (!Number.isInteger(channels) || channels <= 0) {
+    throw unsupportedAudio(`Unsupported channel count: ${channels}`);
+  }
+  if (!Number.isFinite(sampleRate) || sampleRate < MIN_SAMPLE_RATE) {
+    throw unsupportedAudio(`Unsupported sample rate: ${sampleRate} (minimum ${MIN_SAMPLE_RATE} Hz)`);
+  }
+  if (!(isFloat ? FLOAT_BIT_DEPTHS : INT_BIT_DEPTHS).includes(bitDepth)) {
+    throw unsupportedAudio(`Unsupported bit depth: ${bitDepth}`);
+  }
+}
+
+function isWav(buffer) {
+  return buffer.length >= 12 &&
+    buffer.toString('ascii', 0, 4) === 'RIFF' &&
+    buffer.toString('ascii', 8, 12) === 'WAVE';
+}
+
+// Read one sample at offset and scale it to -1..1
+function readSample(buffer, offset, bitDepth, isFloat, bigEndian = false) {
+  if (isFloat) {
+    return bitDepth === 64
+      ? (bigEndian ? buffer.readDoubleBE(offset) : buffer.readDoubleLE(offset))
+      : (bigEndian ? buffer.readFloatBE(offset) : buffer.readFloatLE(offset));
+  }
+
+  switch (bitDepth) {
+    case 8:
+      return (buffer.readUInt8(offset) - 128) / 128; // 8-bit WAV is unsigned
+    case 16:
+      return (bigEndian ? buffer.readInt16BE(offset) : buffer.readInt16LE(offset)) / 32768;
+    case 24:
+      return (bigEndian ? buffer.readIntBE(offset, 3) : buffer.readIntLE(offset, 3)) / 8388608;
+    case 32:
+      return (bigEndian ? buffer.readInt32BE(offset) : buffer.readInt32LE(offset)) / 2147483648;
+    default:
+      throw unsupportedAudio(`Unsupported bit depth: ${bitDepth}`);
+  }
+}
+
+// Interleaved frames -> mono by averaging channels
+function toMono(buffer, { dataOffset, dataLength, channels, bitDepth, isFloat, bigEndian }) {
+  const bytesPerSample = bitDepth / 8;
+  const frameSize = bytesPerSample * channels;
+  const frameCount = Math.floor(dataLength / frameSize);
+  const samples = new Float32Array(frameCount);
+
+  for (let i = 0; i < frameCount; i++) {
+    let sum = 0;
+    for (let c = 0; c < channels; c++) {
+      sum += readSample(buffer, dataOffset + i * frameSize + c * bytesPerSample, bitDepth, isFloat, bigEndian);
+    }
+    samples[i] = sum / channels;
+  }
+
+  return samples;
+}
+
+function decodeWav(buffer) {
+  if (!isWav(buffer)) {
+    throw unsupportedAudio('Not a RIFF/WAVE file');
+  }
+
+  let format = null;
+  let offset = 12;
+
+  while (offset + 8 <= buffer.length) {
+    const chunkId = buffer.toString('ascii', offset, offset + 4);
+    const chunkSize = buffer.readUInt32LE(offset + 4);
+    const chunkStart = offset + 8;
+
+    if (chunkId === 'fmt ') {
+      let audioFormat = buffer.readUInt16LE(chunkStart);
+      if (audioFormat === WAV_FORMAT_EXTENSIBLE && chunkSize >= 26) {
+        audioFormat = buffer.readUInt16LE(chunkStart + 24); // first two bytes of the SubFormat GUID
+      }
+
+      format = {
+        audioFormat,
+        channels: buffer.readUInt16LE(chunkStart + 2),
+        sampleRate: buffer.readUInt32LE(chunkStart + 4),
+        bitDepth: buffer.readUInt16LE(chunkStart + 14)
+      };
+    } else if (chunkId === 'data') {
+      if (!format) {
+        throw unsupportedAudio('WAV data chunk appears before fmt chunk');
+      }
+
+      if (format.audioFormat !== WAV_FORMAT_PCM && format.audioFormat !== WAV_FORMAT_FLOAT) {
+        throw unsupportedAudio(`Unsupported WAV encoding: ${format.audioFormat}`);
+      }
+
+      checkLayout({ ...format, isFloat: format.audioFormat === WAV_FORMAT_FLOAT });
+
+      // Streaming writers leave the size at 0 or 0xFFFFFFFF; read to the end instead
+      const available = buffer.length - chunkStart;
+      const dataLength = chunkSize === 0 || chunkSize > available ? available : chunkSize;
+
+      return {
+        sampleRate: format.sampleRate,
+        channels: format.channels,
+        samples: toMono(buffer, {
+          dataOffset: chunkStart,
+          dataLength,
+          channels: format.channels,
+          bitDepth: format.bitDepth,
+          isFloat: format.audioFormat === WAV_FORMAT_FLOAT
+        })
+      };
+    }
+
+    offset = chunkStart + chunkSize + (chunkSize % 2); // chunks are word aligned
+  }
+
+  throw unsupportedAudio('WAV file has no data chunk');
+}
+
+// Raw PCM has no header, so the caller supplies the layout.
+// audio/L16 is big-endian by definition (RFC 2586); other PCM is assumed little-endian.
+function decodePcm(buffer, { sampleRate = 16000, channels = 1, bitDepth = 16, bigEndian = false } = {}) {
+  checkLayout({ sampleRate, channels, bitDepth });
+
+  return {
+    sampleRate,
+    channels,
+    samples: toMono(buffer, {
+      dataOffset: 0,
+      dataLength: buffer.length,
+      channels,
+      bitDepth,
+      isFloat: false,
+      bigEndian
+    })
+  };
+}
+
+// Parse "audio/L16; rate=16000; channels=1" style MIME parameters
+function parseMimeType(mimetype = '') {
+  const [type, ...params] = mimetype.toLowerCase().split(';').map(part => part.trim());
+  const options = {};
+
+  for (const param of params) {
+    const [key, value] = param.split('=');
+    if (key === 'rate') options.sampleRate = parseInt(value);
+    if (key === 'channels') options.channels = parseInt(value);
+  }
+
+  return { type, options };
+}
+
+const PCM_MIME_TYPES = ['audio/l16', 'audio/pcm', 'audio/x-pcm', 'audio/raw'];
+
+function decodeAudio(buffer, mimetype = '') {
+  if (isWav(buffer)) {
+    return decodeWav(buffer);
+  }
+
+  const { type, options } = parseMimeType(mimetype);
+
+  if (PCM_MIME_TYPES.includes(type)) {
+    return decodePcm(buffer, { ...options, bigEndian: type === 'audio/l16' });
+  }
+
+  throw unsupportedAudio(`Cannot decode ${type || 'unknown'} audio; send WAV or raw PCM`);
+}
+
+module.exports = {
+  decodeAudio,
+  decodeWav,
+  decodePcm,
+  isWav,
+  UNSUPPORTED_AUDIO,
+  MIN_SAMPLE_RATE
+};
@@ -0,0 +1,65 @@
+// Image Info - reads width/height from JPEG and PNG headers without decoding pixels
+// Used to sanity-check face bounding boxes sent by the client
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+function readPngSize(buffer) {
+  // IHDR is always the first chunk: width and height follow the chunk type
+  if (buffer.length < 24 || buffer.toString('ascii', 12, 16) !== 'IHDR') {
+    return null;
+  }
+  return { format: 'png', width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+}
+
+function readJpegSize(buffer) {
+  let offset = 2;
+
+  while (offset + 9 < buffer.length) {
+    if (buffer[offset] !== 0xff) {
+      return null;
+    }
+
+    const marker = buffer[offset + 1];
+    // Standalone markers carry no length
+    if (marker === 0xd8 || marker === 0x01 || (marker >= 0xd0 && marker <= 0xd7)) {
+      offset += 2;
+      continue;
+    }
+
+    const length = buffer.readUInt16BE(offset + 2);
+    // SOF0-SOF15 hold the frame size; C4 (DHT), C8 (JPG) and CC (DAC) share the range but don't
+    const isStartOfFrame = marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker);
+    if (isStartOfFrame) {
+      return {
+        format: 'jpeg',
+        width: buffer.readUInt16BE(offset + 7),
+        height: buffer.readUInt16BE(offset + 5)
+      };
+    }
+
+    offset += 2 + length;
+  }
+
+  return null;
+}
+
+// Returns { format, width, height } or null when the header isn't recognised
+function getImageSize(buffer) {
+  if (!buffer || buffer.length < 4) {
+    return null;
+  }
+
+  if (buffer.subarray(0, 8).equals(PNG_SIGNATURE)) {
+    return readPngSize(buffer);
+  }
+
+  if (buffer[0] === 0xff && buffer[1] === 0xd8) {
+    return readJpegSize(buffer);
+  }
+
+  return null;
+}
+
+module.exports = {
+  getImageSize
+};
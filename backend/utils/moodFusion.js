@@ -1,65 +1,53 @@
 // MoodFusion Module - Advanced mood analysis using valence-arousal theory
+// Mood names, vectors, emoji and synonyms all come from the mood registry (utils/moodRegistry.js)
 
-const MOOD_MAPPINGS = {
-  excited: { valence: 0.8, arousal: 0.9, label: 'Excited' },
-  happy: { valence: 0.7, arousal: 0.6, label: 'Happy' },
-  surprised: { valence: 0.3, arousal: 0.8, label: 'Surprised' },
-  calm: { valence: 0.6, arousal: -0.4, label: 'Calm' },
-  content: { valence: 0.5, arousal: -0.2, label: 'Content' },
-  peaceful: { valence: 0.7, arousal: -0.6, label: 'Peaceful' },
-  sad: { valence: -0.6, arousal: -0.4, label: 'Sad' },
-  depressed: { valence: -0.8, arousal: -0.7, label: 'Depressed' },
-  sleepy: { valence: -0.1, arousal: -0.8, label: 'Sleepy' },
-  bored: { valence: -0.3, arousal: -0.6, label: 'Bored' },
-  angry: { valence: -0.7, arousal: 0.8, label: 'Angry' },
-  anxious: { valence: -0.5, arousal: 0.7, label: 'Anxious' },
-  frustrated: { valence: -0.6, arousal: 0.6, label: 'Frustrated' },
-  neutral: { valence: 0.0, arousal: 0.0, label: 'Neutral' },
-  thoughtful: { valence: 0.1, arousal: 0.2, label: 'Thoughtful' },
-  focused: { valence: 0.2, arousal: 0.4, label: 'Focused' }
-};
+const { getMoodRegistry } = require('./moodRegistry');
 
-const EMOJI_TO_MOOD = {
-  '😊': 'happy',
-  '😢': 'sad', 
-  '😠': 'angry',
-  '😴': 'sleepy',
-  '🤔': 'thoughtful',
-  '😍': 'excited',
-  '🤯': 'surprised',
-  '😌': 'calm',
-  '😐': 'neutral',
-  '😰': 'anxious'
+// Supported fusion strategies, selectable per fuseMoods() call
+// weighted_median and trimmed_mean resist a single extreme input, such as one troll at full confidence
+const FUSION_METHODS = {
+  WEIGHTED_AVERAGE: 'weighted_average',
+  TIME_DECAY: 'time_decay',
+  WEIGHTED_MEDIAN: 'weighted_median',
+  TRIMMED_MEAN: 'trimmed_mean'
 };
 
+// Default half-life for time-decayed fusion: an input counts half as much after 5 minutes
+const DEFAULT_HALF_LIFE_MS = 5 * 60 * 1000;
+
+// Share of inputs trimmed_mean drops, taken from those farthest from the weighted median
+const DEFAULT_TRIM_FRACTION = 0.2;
+
+// An input is flagged as an outlier when its distance from the weighted median exceeds
+// OUTLIER_FACTOR times the median distance, and is at least MIN_OUTLIER_DISTANCE away.
+// Outliers are only looked for among three or more inputs.
+const OUTLIER_FACTOR = 2.5;
+const MIN_OUTLIER_DISTANCE = 1.0;
+const MIN_INPUTS_FOR_OUTLIERS = 3;
+
+// Consensus metrics: inputs whose cluster centroids are within CLUSTER_RADIUS merge into one
+// sub-cluster; two clusters POLARIZATION_DISTANCE apart count as fully separated, and a room
+// is reported as split once its polarization reaches SPLIT_THRESHOLD
+const CLUSTER_RADIUS = 0.6;
+const POLARIZATION_DISTANCE = 2.0;
+const SPLIT_THRESHOLD = 0.6;
+
+// Weight of a participant's chat-derived mood relative to the mood they set themselves.
+// Override with CHAT_MOOD_WEIGHT; 0 turns chat out of fusion entirely.
+const DEFAULT_CHAT_MOOD_WEIGHT = 0.5;
+
+// Moods voice, face and chat detection report; every registry mood is a valid participant mood
+function getDetectableMoods() {
+  return getMoodRegistry().detectableNames();
+}
+
 function normalizeMoodName(mood) {
-  if (EMOJI_TO_MOOD[mood]) {
-    return EMOJI_TO_MOOD[mood];
-  }
-  
-  const normalizedMood = mood.toLowerCase().trim();
-  
-  if (MOOD_MAPPINGS[normalizedMood]) {
-    return normalizedMood;
-  }
-  
-  const alternativeMappings = {
-    'joyful': 'happy',
-    'elated': 'excited',
-    'furious': 'angry',
-    'mad': 'angry'
-  };
-  
-  return alternativeMappings[normalizedMood] || 'neutral';
+  const registry = getMoodRegistry();
+  return registry.resolve(mood) || registry.defaultMood;
 }
 
 function getMoodVector(mood) {
-  const normalizedMood = normalizeMoodName(mood);
-  const moodData = MOOD_MAPPINGS[normalizedMood];
-  
-  if (!moodData) {
-    return MOOD_MAPPINGS.neutral;
-  }
+  const moodData = getMoodRegistry().get(normalizeMoodName(mood));
   
   return {
     valence: moodData.valence,
@@ -68,52 +56,147 @@ function getMoodVector(mood) {
   };
 }
 
-function computeWeightedAverage(moodInputs) {
+// Exponential decay factor for an input of the given age: 1 when fresh, 0.5 after one half-life
+function getDecayFactor(timestamp, halfLifeMs = DEFAULT_HALF_LIFE_MS, now = Date.now()) {
+  if (!timestamp || !(halfLifeMs > 0)) {
+    return 1;
+  }
+  
+  const time = new Date(timestamp).getTime();
+  if (isNaN(time)) {
+    return 1;
+  }
+  
+  const age = Math.max(0, now - time);
+  return Math.pow(0.5, age / halfLifeMs);
+}
+
+// Value splitting the total weight in half; when a value lands exactly on the half, it is averaged with the next
+function weightedMedian(values, weights) {
+  const order = values.map((_, i) => i).sort((a, b) => values[a] - values[b]);
+  const half = weights.reduce((sum, w) => sum + w, 0) / 2;
+  let cumulative = 0;
+
+  for (let k = 0; k < order.length; k++) {
+    cumulative += weights[order[k]];
+    if (Math.abs(cumulative - half) < 1e-9 && k + 1 < order.length) {
+      return (values[order[k]] + values[order[k + 1]]) / 2;
+    }
+    if (cumulative > half) {
+      return values[order[k]];
+    }
+  }
+  return values[order[order.length - 1]];
+}
+
+// Coordinate-wise weighted median of the input vectors
+function weightedMedianVector(entries) {
+  const weights = entries.map(e => e.weight);
+  return {
+    valence: weightedMedian(entries.map(e => e.vector.valence), weights),
+    arousal: weightedMedian(entries.map(e => e.vector.arousal), weights)
+  };
+}
+
+function weightedMean(entries) {
+  const totalWeight = entries.reduce((sum, e) => sum + e.weight, 0);
+  return {
+    valence: entries.reduce((sum, e) => sum + e.vector.valence * e.weight, 0) / totalWeight,
+    arousal: entries.reduce((sum, e) => sum + e.vector.arousal * e.weight, 0) / totalWeight
+  };
+}
+
+const vectorDistance = (a, b) => Math.hypot(a.valence - b.valence, a.arousal - b.arousal);
+
+// Distance of every entry from the weighted median, and whether it is an outlier
+function measureOutliers(entries, center, { outlierFactor = OUTLIER_FACTOR, minOutlierDistance = MIN_OUTLIER_DISTANCE } = {}) {
+  const distances = entries.map(e => vectorDistance(e.vector, center));
+  if (entries.length < MIN_INPUTS_FOR_OUTLIERS) {
+    return distances.map(distance => ({ distance, outlier: false }));
+  }
+
+  const typical = weightedMedian(distances, entries.map(e => e.weight));
+  const threshold = Math.max(minOutlierDistance, outlierFactor * typical);
+  return distances.map(distance => ({ distance, outlier: distance > threshold }));
+}
+
+// Inputs trimmed_mean drops: the farthest trimFraction of them (rounded), always leaving a majority
+function selectTrimmed(measures, trimFraction) {
+  const count = Math.min(Math.round(measures.length * trimFraction), Math.floor((measures.length - 1) / 2));
+  const farthestFirst = measures.map((_, i) => i).sort((a, b) => measures[b].distance - measures[a].distance);
+  return new Set(farthestFirst.slice(0, count));
+}
+
+function computeFusedVector(moodInputs, options = {}) {
   if (!Array.isArray(moodInputs) || moodInputs.length === 0) {
     return getMoodVector('neutral');
   }
   
-  let totalValence = 0;
-  let totalArousal = 0;
-  let totalWeight = 0;
-  const contributingMoods = [];
+  const {
+    fusionMethod = FUSION_METHODS.WEIGHTED_AVERAGE,
+    halfLifeMs = DEFAULT_HALF_LIFE_MS,
+    now = Date.now(),
+    trimFraction = DEFAULT_TRIM_FRACTION
+  } = options;
+  const useDecay = fusionMethod === FUSION_METHODS.TIME_DECAY;
   
-  for (const input of moodInputs) {
+  const entries = moodInputs.map(input => {
     const { mood, confidence = 1.0, weight = 1.0 } = input;
     const vector = getMoodVector(mood);
-    
-    const effectiveWeight = confidence * weight;
-    totalValence += vector.valence * effectiveWeight;
-    totalArousal += vector.arousal * effectiveWeight;
-    totalWeight += effectiveWeight;
-    
-    contributingMoods.push({
-      mood: vector.label,
-      confidence,
-      weight: effectiveWeight,
-      vector: { valence: vector.valence, arousal: vector.arousal }
-    });
-  }
+    const decayFactor = useDecay ? getDecayFactor(input.timestamp, halfLifeMs, now) : 1;
+    return { input, confidence, vector, decayFactor, weight: confidence * weight * decayFactor };
+  });
   
-  if (totalWeight === 0) {
+  const weighted = entries.filter(e => e.weight > 0);
+  if (weighted.length === 0) {
     return getMoodVector('neutral');
   }
   
-  const avgValence = totalValence / totalWeight;
-  const avgArousal = totalArousal / totalWeight;
+  const median = weightedMedianVector(weighted);
+  const weightedMeasures = measureOutliers(weighted, median, options);
+  const measures = entries.map(e => (e.weight > 0
+    ? weightedMeasures[weighted.indexOf(e)]
+    : { distance: vectorDistance(e.vector, median), outlier: false }));
+  const trimmed = fusionMethod === FUSION_METHODS.TRIMMED_MEAN ? selectTrimmed(measures, trimFraction) : new Set();
+  
+  let fused;
+  if (fusionMethod === FUSION_METHODS.WEIGHTED_MEDIAN) {
+    fused = median;
+  } else if (fusionMethod === FUSION_METHODS.TRIMMED_MEAN) {
+    const kept = entries.filter((e, i) => !trimmed.has(i) && e.weight > 0);
+    fused = kept.length > 0 ? weightedMean(kept) : median;
+  } else {
+    fused = weightedMean(weighted);
+  }
+  
+  const contributingMoods = entries.map((e, i) => ({
+    mood: e.vector.label,
+    confidence: e.confidence,
+    weight: e.weight,
+    vector: { valence: e.vector.valence, arousal: e.vector.arousal },
+    ...(e.input.source && { source: e.input.source }),
+    ...(useDecay && { decayFactor: Math.round(e.decayFactor * 1000) / 1000 }),
+    distanceFromMedian: Math.round(measures[i].distance * 1000) / 1000,
+    outlier: measures[i].outlier,
+    ...(trimmed.has(i) && { trimmed: true })
+  }));
   
   return {
-    valence: Math.max(-1, Math.min(1, avgValence)),
-    arousal: Math.max(-1, Math.min(1, avgArousal)),
+    valence: Math.max(-1, Math.min(1, fused.valence)),
+    arousal: Math.max(-1, Math.min(1, fused.arousal)),
     contributingMoods
   };
 }
 
-function vectorToMoodLabel(valence, arousal) {
-  let closestMood = 'neutral';
+// candidateMoods restricts the search, e.g. to getDetectableMoods() for detector output
+function vectorToMoodLabel(valence, arousal, candidateMoods = getMoodRegistry().names()) {
+  const registry = getMoodRegistry();
+  let closestMood = registry.defaultMood;
   let minDistance = Infinity;
   
-  for (const [moodName, moodData] of Object.entries(MOOD_MAPPINGS)) {
+  for (const moodName of candidateMoods) {
+    const moodData = registry.get(moodName);
+    if (!moodData) continue;
     const distance = Math.sqrt(
       Math.pow(valence - moodData.valence, 2) + 
       Math.pow(arousal - moodData.arousal, 2)
@@ -126,7 +209,7 @@ function vectorToMoodLabel(valence, arousal) {
   }
   
   return {
-    label: MOOD_MAPPINGS[closestMood].label,
+    label: registry.get(closestMood).label,
     moodName: closestMood,
     distance: minDistance
   };
@@ -155,25 +238,153 @@ function calculateFusionConfidence(fusedVector, contributingMoods) {
   return Math.min(0.95, avgConfidence * consistencyFactor);
 }
 
-function fuseMoods(moodInputs) {
+// Group inputs into sub-clusters by repeatedly merging the two closest centroids.
+// Inputs are registry moods, so identical vectors are pooled first and the merge loop
+// runs over distinct moods rather than every input.
+function findMoodClusters(contributingMoods, radius = CLUSTER_RADIUS) {
+  const points = new Map();
+  for (const mood of contributingMoods) {
+    if (!(mood.weight > 0)) continue;
+    const key = `${mood.vector.valence}:${mood.vector.arousal}`;
+    const point = points.get(key);
+    if (point) {
+      point.weight += mood.weight;
+      point.members.push(mood);
+    } else {
+      points.set(key, { vector: { ...mood.vector }, weight: mood.weight, members: [mood] });
+    }
+  }
+  let clusters = [...points.values()];
+
+  while (clusters.length > 1) {
+    let closest = null;
+    for (let i = 0; i < clusters.length; i++) {
+      for (let j = i + 1; j < clusters.length; j++) {
+        const distance = vectorDistance(clusters[i].vector, clusters[j].vector);
+        if (!closest || distance < closest.distance) {
+          closest = { i, j, distance };
+        }
+      }
+    }
+    if (closest.distance > radius) {
+      break;
+    }
+
+    const a = clusters[closest.i];
+    const b = clusters[closest.j];
+    const weight = a.weight + b.weight;
+    const merged = {
+      vector: {
+        valence: (a.vector.valence * a.weight + b.vector.valence * b.weight) / weight,
+        arousal: (a.vector.arousal * a.weight + b.vector.arousal * b.weight) / weight
+      },
+      weight,
+      members: [...a.members, ...b.members]
+    };
+    clusters = clusters.filter((_, k) => k !== closest.i && k !== closest.j).concat(merged);
+  }
+
+  return clusters.sort((a, b) => b.weight - a.weight);
+}
+
+// How far the room is from agreeing: dispersion around the fused vector, a 0-1 polarization
+// score for the two largest sub-clusters (balanced and far apart scores high), and the clusters
+function calculateConsensus(fusedVector, contributingMoods, options = {}) {
+  const { clusterRadius = CLUSTER_RADIUS, splitThreshold = SPLIT_THRESHOLD } = options;
+  const clusters = findMoodClusters(contributingMoods || [], clusterRadius);
+  const totalWeight = clusters.reduce((sum, c) => sum + c.weight, 0);
+
+  if (totalWeight === 0) {
+    return { dispersion: 0, polarization: 0, isSplit: false, clusters: [] };
+  }
+
+  const squaredSpread = clusters
+    .flatMap(c => c.members)
+    .reduce((sum, m) => sum + m.weight * Math.pow(vectorDistance(m.vector, fusedVector), 2), 0);
+  const dispersion = Math.sqrt(squaredSpread / totalWeight);
+
+  let polarization = 0;
+  if (clusters.length > 1) {
+    const [first, second] = clusters;
+    const coverage = (first.weight + second.weight) / totalWeight;
+    const balance = (2 * second.weight) / (first.weight + second.weight);
+    const separation = Math.min(1, vectorDistance(first.vector, second.vector) / POLARIZATION_DISTANCE);
+    polarization = coverage * balance * separation;
+  }
+
+  const round = value => Math.round(value * 1000) / 1000;
+
+  return {
+    dispersion: round(dispersion),
+    polarization: round(polarization),
+    isSplit: polarization >= splitThreshold,
+    clusters: clusters.map(cluster => {
+      const closest = vectorToMoodLabel(cluster.vector.valence, cluster.vector.arousal);
+      return {
+        label: closest.label,
+        moodName: closest.moodName,
+        vector: { valence: round(cluster.vector.valence), arousal: round(cluster.vector.arousal) },
+        memberCount: cluster.members.length,
+        weightShare: round(cluster.weight / totalWeight),
+        moods: [...new Set(cluster.members.map(m => m.mood))]
+      };
+    })
+  };
+}
+
+function isValidFusionMethod(method) {
+  return Object.values(FUSION_METHODS).includes(method);
+}
+
+function isValidTrimFraction(value) {
+  return typeof value === 'number' && value >= 0 && value < 0.5;
+}
+
+// options.fusionMethod: 'weighted_average' (default), 'time_decay', 'weighted_median' or 'trimmed_mean'
+// options.halfLifeMs / options.now: decay settings for 'time_decay'
+// options.trimFraction: share of inputs 'trimmed_mean' drops, in [0, 0.5)
+// Every method flags inputs far from the weighted median as outliers in contributingMoods
+// The result's consensus block reports dispersion, polarization and sub-clusters; options.clusterRadius
+// and options.splitThreshold tune when inputs group together and when the room counts as split
+function fuseMoods(moodInputs, options = {}) {
   try {
     if (!Array.isArray(moodInputs)) {
       throw new Error('Mood inputs must be an array');
     }
     
+    const {
+      fusionMethod = FUSION_METHODS.WEIGHTED_AVERAGE,
+      halfLifeMs = DEFAULT_HALF_LIFE_MS,
+      trimFraction = DEFAULT_TRIM_FRACTION
+    } = options;
+    
+    if (!isValidFusionMethod(fusionMethod)) {
+      throw new Error(`Unknown fusion method: ${fusionMethod}`);
+    }
+    
+    if (fusionMethod === FUSION_METHODS.TIME_DECAY && !(halfLifeMs > 0)) {
+      throw new Error('halfLifeMs must be a positive number');
+    }
+    
+    if (fusionMethod === FUSION_METHODS.TRIMMED_MEAN && !isValidTrimFraction(trimFraction)) {
+      throw new Error('trimFraction must be at least 0 and below 0.5');
+    }
+    
     if (moodInputs.length === 0) {
       return {
         label: 'Neutral',
         vector: { valence: 0, arousal: 0 },
         confidence: 1.0,
         source: 'default',
-        contributingMoods: []
+        contributingMoods: [],
+        consensus: calculateConsensus(null, [])
       };
     }
     
-    const fusedVector = computeWeightedAverage(moodInputs);
+    const fusedVector = computeFusedVector(moodInputs, { ...options, fusionMethod, halfLifeMs, trimFraction });
     const moodLabel = vectorToMoodLabel(fusedVector.valence, fusedVector.arousal);
     const confidence = calculateFusionConfidence(fusedVector, fusedVector.contributingMoods);
+    const consensus = calculateConsensus(fusedVector, fusedVector.contributingMoods, options);
     
     return {
       label: moodLabel.label,
@@ -184,10 +395,14 @@ function fuseMoods(moodInputs) {
       confidence: Math.round(confidence * 1000) / 1000,
       source: moodInputs.length === 1 ? 'single' : 'fusion',
       contributingMoods: fusedVector.contributingMoods,
+      consensus,
       metadata: {
         inputCount: moodInputs.length,
         closestMoodDistance: moodLabel.distance,
-        fusionMethod: 'weighted_average'
+        fusionMethod,
+        outlierCount: (fusedVector.contributingMoods || []).filter(m => m.outlier).length,
+        ...(fusionMethod === FUSION_METHODS.TIME_DECAY && { halfLifeMs }),
+        ...(fusionMethod === FUSION_METHODS.TRIMMED_MEAN && { trimFraction })
       }
     };
     
@@ -204,52 +419,72 @@ function fuseMoods(moodInputs) {
   }
 }
 
-function createMoodInput(mood, confidence = 1.0, weight = 1.0, source = 'manual') {
+function createMoodInput(mood, confidence = 1.0, weight = 1.0, source = 'manual', timestamp = new Date()) {
   return {
     mood,
     confidence: Math.max(0, Math.min(1, confidence)),
     weight: Math.max(0, weight),
     source,
-    timestamp: new Date().toISOString()
+    timestamp: new Date(timestamp).toISOString()
   };
 }
 
-function getMoodMappings() {
-  return { ...MOOD_MAPPINGS };
+function getChatMoodWeight() {
+  const configured = parseFloat(process.env.CHAT_MOOD_WEIGHT);
+  return Number.isFinite(configured) && configured >= 0 ? configured : DEFAULT_CHAT_MOOD_WEIGHT;
 }
 
-function isValidMood(mood) {
-  // Check emoji first
-  if (EMOJI_TO_MOOD[mood]) {
-    return true;
+// Fusion inputs for one room participant: the mood they set (manual, voice or face) plus,
+// when their chat has carried emotion, a 'chat' input scaled by options.chatWeight
+function getParticipantMoodInputs(participant, options = {}) {
+  const { chatWeight = getChatMoodWeight(), defaultConfidence = 0.8 } = options;
+  const inputs = [];
+
+  if (participant.mood) {
+    inputs.push(createMoodInput(participant.mood, participant.confidence || defaultConfidence, 1.0, participant.moodSource || 'manual'));
   }
-  
-  const normalizedMood = mood.toLowerCase().trim();
-  
-  // Check if it's directly in mappings
-  if (MOOD_MAPPINGS[normalizedMood]) {
-    return true;
+
+  const chatMood = participant.chatMood;
+  if (chatMood && chatMood.mood && chatWeight > 0) {
+    inputs.push(createMoodInput(chatMood.mood, chatMood.confidence, chatWeight, 'chat', chatMood.updatedAt || new Date()));
   }
-  
-  // Check if it's in alternative mappings
-  const alternativeMappings = {
-    'joyful': 'happy',
-    'elated': 'excited',
-    'furious': 'angry',
-    'mad': 'angry'
-  };
-  
-  return alternativeMappings.hasOwnProperty(normalizedMood);
+
+  return inputs;
+}
+
+function getMoodMappings() {
+  return getMoodRegistry().getMappings();
+}
+
+// Accepts mood names, registered emoji, synonyms and localized names
+function isValidMood(mood) {
+  return getMoodRegistry().isValid(mood);
 }
 
 module.exports = {
   fuseMoods,
   createMoodInput,
+  getParticipantMoodInputs,
+  getChatMoodWeight,
   getMoodVector,
   getMoodMappings,
   isValidMood,
   normalizeMoodName,
   vectorToMoodLabel,
-  MOOD_MAPPINGS,
-  EMOJI_TO_MOOD
+  getDecayFactor,
+  calculateConsensus,
+  isValidFusionMethod,
+  isValidTrimFraction,
+  FUSION_METHODS,
+  DEFAULT_HALF_LIFE_MS,
+  DEFAULT_TRIM_FRACTION,
+  SPLIT_THRESHOLD,
+  DEFAULT_CHAT_MOOD_WEIGHT,
+  getDetectableMoods
 };
+
+// Snapshot of the registry's vectors, read when accessed so it follows registry reloads
+Object.defineProperty(module.exports, 'MOOD_MAPPINGS', {
+  enumerable: true,
+  get: getMoodMappings
+});
@@ -0,0 +1,193 @@
+// Mood Registry - the single vocabulary of moods used by fusion, room validation and the frontend pickers
+// Each mood has a name, label, valence/arousal vector, emoji, synonyms and localized names.
+// Loaded from config/moods.json (or MOOD_REGISTRY_PATH, JSON or YAML); with
+// MOOD_REGISTRY_SOURCE=database the MoodDefinition collection replaces it once MongoDB is up.
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+const DEFAULT_REGISTRY_PATH = path.join(__dirname, '..', 'config', 'moods.json');
+
+const registryError = (message) => {
+  const error = new Error(`Invalid mood registry: ${message}`);
+  error.code = 'INVALID_MOOD_REGISTRY';
+  return error;
+};
+
+const inRange = (value) => typeof value === 'number' && value >= -1 && value <= 1;
+
+const normalizeKey = (value) => value.toLowerCase().trim();
+
+class MoodRegistry {
+  constructor(definition) {
+    this.load(definition);
+  }
+
+  // Replace the vocabulary; the previous one stays in place if the new one is invalid
+  load({ defaultMood = 'neutral', moods } = {}) {
+    if (!Array.isArray(moods) || moods.length === 0) {
+      throw registryError('moods must be a non-empty array');
+    }
+
+    const byName = new Map();
+    const byEmoji = new Map();
+    const byAlias = new Map();
+
+    for (const entry of moods) {
+      const name = typeof entry.name === 'string' ? normalizeKey(entry.name) : '';
+      if (!name) {
+        throw registryError('every mood needs a name');
+      }
+      if (byName.has(name)) {
+        throw registryError(`duplicate mood "${name}"`);
+      }
+      if (!inRange(entry.valence) || !inRange(entry.arousal)) {
+        throw registryError(`"${name}" needs valence and arousal between -1 and 1`);
+      }
+
+      const localizedNames = entry.localizedNames instanceof Map
+        ? Object.fromEntries(entry.localizedNames)
+        : { ...(entry.localizedNames || {}) };
+
+      const mood = {
+        name,
+        label: entry.label || name.charAt(0).toUpperCase() + name.slice(1),
+        valence: entry.valence,
+        arousal: entry.arousal,
+        emoji: [...(entry.emoji || [])],
+        synonyms: (entry.synonyms || []).map(normalizeKey),
+        localizedNames,
+        detectable: !!entry.detectable
+      };
+
+      for (const symbol of mood.emoji) {
+        if (byEmoji.has(symbol)) {
+          throw registryError(`emoji ${symbol} is used by both "${byEmoji.get(symbol)}" and "${name}"`);
+        }
+        byEmoji.set(symbol, name);
+      }
+
+      byName.set(name, mood);
+    }
+
+    // Synonyms and localized names resolve to their mood unless they name a mood themselves
+    for (const mood of byName.values()) {
+      const aliases = [...mood.synonyms, ...Object.values(mood.localizedNames).map(normalizeKey)];
+      for (const alias of aliases) {
+        if (!byName.has(alias) && !byAlias.has(alias)) {
+          byAlias.set(alias, mood.name);
+        }
+      }
+    }
+
+    if (!byName.has(defaultMood)) {
+      throw registryError(`default mood "${defaultMood}" is not defined`);
+    }
+
+    this.defaultMood = defaultMood;
+    this.byName = byName;
+    this.byEmoji = byEmoji;
+    this.byAlias = byAlias;
+    return this;
+  }
+
+  // Canonical mood name for a name, emoji, synonym or localized name; null if unknown
+  resolve(value) {
+    if (typeof value !== 'string') {
+      return null;
+    }
+    if (this.byEmoji.has(value)) {
+      return this.byEmoji.get(value);
+    }
+    const key = normalizeKey(value);
+    if (this.byName.has(key)) {
+      return key;
+    }
+    return this.byAlias.get(key) || null;
+  }
+
+  isValid(value) {
+    return this.resolve(value) !== null;
+  }
+
+  has(name) {
+    return this.byName.has(name);
+  }
+
+  get(name) {
+    return this.byName.get(name) || null;
+  }
+
+  names() {
+    return [...this.byName.keys()];
+  }
+
+  emoji() {
+    return [...this.byEmoji.keys()];
+  }
+
+  // Moods that voice, face and chat detection may report
+  detectableNames() {
+    return this.names().filter(name => this.byName.get(name).detectable);
+  }
+
+  // { name: { valence, arousal, label } }, the shape fusion works with
+  getMappings() {
+    const mappings = {};
+    for (const mood of this.byName.values()) {
+      mappings[mood.name] = { valence: mood.valence, arousal: mood.arousal, label: mood.label };
+    }
+    return mappings;
+  }
+
+  // Public description for clients; `locale` picks localized labels where available
+  describe(locale) {
+    const language = locale ? locale.split('-')[0] : null;
+    return {
+      defaultMood: this.defaultMood,
+      moods: [...this.byName.values()].map(mood => ({
+        ...mood,
+        emoji: [...mood.emoji],
+        synonyms: [...mood.synonyms],
+        localizedNames: { ...mood.localizedNames },
+        displayName: (locale && (mood.localizedNames[locale] || mood.localizedNames[language])) || mood.label
+      }))
+    };
+  }
+}
+
+// Read a registry definition from a .json, .yaml or .yml file
+function readRegistryFile(filePath) {
+  const text = fs.readFileSync(filePath, 'utf8');
+  return /\.ya?ml$/i.test(filePath) ? yaml.load(text) : JSON.parse(text);
+}
+
+const registry = new MoodRegistry(readRegistryFile(process.env.MOOD_REGISTRY_PATH || DEFAULT_REGISTRY_PATH));
+
+const getMoodRegistry = () => registry;
+
+/**
+ * Replace the registry with the MoodDefinition documents, when there are any.
+ * Resolves to the number of moods loaded (0 leaves the file registry in place).
+ */
+async function loadMoodRegistryFromDatabase(MoodDefinition = require('../models/MoodDefinition')) {
+  const moods = await MoodDefinition.find({}).lean();
+  if (moods.length === 0) {
+    return 0;
+  }
+  const settings = moods.find(m => m.isDefault);
+  registry.load({ defaultMood: settings ? settings.name : registry.defaultMood, moods });
+  return moods.length;
+}
+
+const shouldLoadFromDatabase = () => process.env.MOOD_REGISTRY_SOURCE === 'database';
+
+module.exports = {
+  MoodRegistry,
+  getMoodRegistry,
+  readRegistryFile,
+  loadMoodRegistryFromDatabase,
+  shouldLoadFromDatabase,
+  DEFAULT_REGISTRY_PATH
+};
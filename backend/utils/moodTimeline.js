@@ -0,0 +1,134 @@
+// Mood Timeline - buckets a room's mood events into fused mood vectors per interval
+
+const { fuseMoods, createMoodInput, getMoodVector, getChatMoodWeight } = require('./moodFusion');
+
+const MAX_BUCKETS = 1000;
+
+// Buckets needed to cover from..to at the given interval
+function countBuckets(from, to, interval) {
+  const span = new Date(to).getTime() - new Date(from).getTime();
+  return Math.max(1, Math.ceil(span / interval));
+}
+
+// Smallest whole multiple of baseInterval that covers from..to in at most MAX_BUCKETS buckets
+function fitInterval(from, to, baseInterval) {
+  return Math.max(1, Math.ceil(countBuckets(from, to, baseInterval) / MAX_BUCKETS)) * baseInterval;
+}
+
+function buildMoodTimeline(events, { from, to, interval }) {
+  const start = new Date(from).getTime();
+  const end = new Date(to).getTime();
+
+  if (isNaN(start) || isNaN(end) || end < start) {
+    throw new Error('Invalid timeline range');
+  }
+
+  if (!(interval > 0)) {
+    throw new Error('Interval must be a positive number of milliseconds');
+  }
+
+  const bucketCount = countBuckets(start, end, interval);
+  if (bucketCount > MAX_BUCKETS) {
+    throw new Error(`Range too large for interval (max ${MAX_BUCKETS} buckets)`);
+  }
+
+  const grouped = Array.from({ length: bucketCount }, () => []);
+  for (const event of events) {
+    const time = new Date(event.timestamp).getTime();
+    if (time < start || time > end) continue;
+
+    const index = Math.min(bucketCount - 1, Math.floor((time - start) / interval));
+    grouped[index].push(event);
+  }
+
+  const buckets = grouped.map((bucketEvents, index) => {
+    const bucketStart = new Date(start + index * interval);
+    const bucketEnd = new Date(Math.min(end, start + (index + 1) * interval));
+
+    if (bucketEvents.length === 0) {
+      return {
+        start: bucketStart,
+        end: bucketEnd,
+        eventCount: 0,
+        participantCount: 0,
+        label: null,
+        vector: null,
+        confidence: null
+      };
+    }
+
+    const fused = fuseMoods(latestPerParticipant(bucketEvents).map(event => createMoodInput(
+      event.mood,
+      event.confidence ?? 1.0,
+      event.source === 'chat' ? getChatMoodWeight() : 1.0,
+      event.source || 'manual',
+      event.timestamp
+    )));
+
+    return {
+      start: bucketStart,
+      end: bucketEnd,
+      eventCount: bucketEvents.length,
+      participantCount: new Set(bucketEvents.map(event => event.userId)).size,
+      label: fused.label,
+      vector: fused.vector,
+      confidence: fused.confidence
+    };
+  });
+
+  return {
+    from: new Date(start),
+    to: new Date(end),
+    interval,
+    buckets,
+    participants: groupByParticipant(events)
+  };
+}
+
+// Each participant's latest event per source, so frequent updaters weigh no more than anyone else
+function latestPerParticipant(events) {
+  const latest = new Map();
+
+  for (const event of events) {
+    const key = `${event.userId}:${event.source || 'manual'}`;
+    const current = latest.get(key);
+    if (!current || new Date(event.timestamp) >= new Date(current.timestamp)) {
+      latest.set(key, event);
+    }
+  }
+
+  return Array.from(latest.values());
+}
+
+// Per-participant event series in chronological order
+function groupByParticipant(events) {
+  const participants = {};
+
+  for (const event of events) {
+    if (!participants[event.userId]) {
+      participants[event.userId] = {
+        userId: event.userId,
+        displayName: event.displayName,
+        events: []
+      };
+    }
+
+    const vector = getMoodVector(event.mood);
+    participants[event.userId].events.push({
+      mood: event.mood,
+      source: event.source,
+      confidence: event.confidence,
+      timestamp: event.timestamp,
+      vector: { valence: vector.valence, arousal: vector.arousal }
+    });
+  }
+
+  return Object.values(participants);
+}
+
+module.exports = {
+  buildMoodTimeline,
+  countBuckets,
+  fitInterval,
+  MAX_BUCKETS
+};
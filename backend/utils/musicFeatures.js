@@ -0,0 +1,264 @@
+// Music Features - offline tempo, energy, valence and danceability for local audio files
+// Decoded audio (WAV) is measured directly: loudness, brightness, onset density and a tempo from
+// the autocorrelation of the onset envelope. Formats we cannot decode fall back to what their tags
+// say (BPM, key, genre). Both routes end in estimateTrackFeatures, on Spotify's 0-1 scales.
+
+const ANALYSIS_SAMPLE_RATE = 11025;
+const FRAME_SECONDS = 0.046;
+const HOP_SECONDS = 0.023;
+const MIN_BPM = 60;
+const MAX_BPM = 180;
+const MIN_ONSETS_FOR_TEMPO = 4;
+
+// Only the first 90 seconds are analysed; enough for a stable tempo without holding whole albums in memory
+const MAX_ANALYSIS_SECONDS = 90;
+
+const clamp = (value, min = 0, max = 1) => Math.max(min, Math.min(max, value));
+
+// Scale value from [low, high] to [0, 1]
+const normalize = (value, low, high) => clamp((value - low) / (high - low));
+
+const round = (value, places = 3) => Math.round(value * 10 ** places) / 10 ** places;
+
+// Typical valence/energy/danceability per genre, the starting point before audio or tags refine it
+const GENRE_PRIORS = {
+  ambient: { valence: 0.45, energy: 0.2, danceability: 0.2 },
+  blues: { valence: 0.35, energy: 0.45, danceability: 0.45 },
+  classical: { valence: 0.4, energy: 0.2, danceability: 0.2 },
+  country: { valence: 0.6, energy: 0.55, danceability: 0.55 },
+  dance: { valence: 0.7, energy: 0.85, danceability: 0.85 },
+  electronic: { valence: 0.55, energy: 0.8, danceability: 0.7 },
+  folk: { valence: 0.45, energy: 0.35, danceability: 0.45 },
+  'hip-hop': { valence: 0.55, energy: 0.7, danceability: 0.8 },
+  jazz: { valence: 0.55, energy: 0.4, danceability: 0.5 },
+  lofi: { valence: 0.5, energy: 0.3, danceability: 0.6 },
+  metal: { valence: 0.3, energy: 0.95, danceability: 0.35 },
+  pop: { valence: 0.7, energy: 0.7, danceability: 0.7 },
+  punk: { valence: 0.45, energy: 0.9, danceability: 0.45 },
+  reggae: { valence: 0.75, energy: 0.55, danceability: 0.8 },
+  rnb: { valence: 0.55, energy: 0.55, danceability: 0.7 },
+  rock: { valence: 0.5, energy: 0.75, danceability: 0.5 },
+  soul: { valence: 0.6, energy: 0.5, danceability: 0.6 },
+  soundtrack: { valence: 0.4, energy: 0.35, danceability: 0.25 }
+};
+
+const NEUTRAL_PRIOR = { valence: 0.5, energy: 0.5, danceability: 0.5 };
+
+// Free-text genre tags ("Hip Hop", "Synthpop", "Lo-Fi Beats") matched to a prior
+const GENRE_PATTERNS = [
+  [/hip[\s-]?hop|rap|trap/, 'hip-hop'],
+  [/r&b|rnb|r and b/, 'rnb'],
+  [/lo[\s-]?fi/, 'lofi'],
+  [/metal|hardcore/, 'metal'],
+  [/punk/, 'punk'],
+  [/house|techno|trance|edm|disco|dance/, 'dance'],
+  [/electro|synth|drum|dubstep|idm/, 'electronic'],
+  [/ambient|new age|drone|chill/, 'ambient'],
+  [/classical|baroque|orchestra|piano|opera/, 'classical'],
+  [/soundtrack|score|cinematic/, 'soundtrack'],
+  [/jazz|swing|bossa/, 'jazz'],
+  [/blues/, 'blues'],
+  [/soul|funk|gospel/, 'soul'],
+  [/reggae|ska|dub/, 'reggae'],
+  [/country|bluegrass/, 'country'],
+  [/folk|acoustic|singer/, 'folk'],
+  [/rock|grunge|indie|alternative/, 'rock'],
+  [/pop/, 'pop']
+];
+
+function genrePrior(genre) {
+  if (!genre) return null;
+  const text = String(genre).toLowerCase();
+  const match = GENRE_PATTERNS.find(([pattern]) => pattern.test(text));
+  return match ? GENRE_PRIORS[match[1]] : null;
+}
+
+// 'Am', 'A minor', 'F#min', Camelot '8A' -> 'minor'; 'C', 'Eb major', '8B' -> 'major'
+function parseMode(key) {
+  if (!key) return null;
+  const text = String(key).trim();
+  const camelot = text.match(/^(1[0-2]|[1-9])([AB])$/i);
+  if (camelot) {
+    return camelot[2].toUpperCase() === 'A' ? 'minor' : 'major';
+  }
+  const note = text.match(/^[A-G][#b♯♭]?\s*(.*)$/);
+  if (!note) return null;
+  const quality = note[1].toLowerCase();
+  if (['', 'maj', 'major'].includes(quality)) return 'major';
+  if (['m', 'min', 'minor'].includes(quality)) return 'minor';
+  return null;
+}
+
+// Average blocks of samples down to roughly ANALYSIS_SAMPLE_RATE
+function downsample(samples, sampleRate) {
+  const factor = Math.max(1, Math.floor(sampleRate / ANALYSIS_SAMPLE_RATE));
+  const length = Math.min(Math.floor(samples.length / factor), Math.floor(MAX_ANALYSIS_SECONDS * sampleRate / factor));
+  const output = new Float32Array(length);
+  for (let i = 0; i < length; i++) {
+    let sum = 0;
+    for (let j = 0; j < factor; j++) {
+      sum += samples[i * factor + j];
+    }
+    output[i] = sum / factor;
+  }
+  return { samples: output, sampleRate: sampleRate / factor };
+}
+
+// Autocorrelation of the onset envelope over the 60-180 BPM lags, nudged toward ~120 BPM so a
+// half- or double-time reading only wins when it is clearly stronger
+function estimateTempo(onsets, hopSeconds) {
+  const mean = onsets.reduce((sum, value) => sum + value, 0) / (onsets.length || 1);
+  const centred = onsets.map(value => value - mean);
+  const zeroLag = centred.reduce((sum, value) => sum + value * value, 0);
+  if (zeroLag === 0) {
+    return { tempo: null, beatStrength: 0 };
+  }
+
+  const minLag = Math.max(1, Math.floor(60 / (MAX_BPM * hopSeconds)));
+  const maxLag = Math.min(centred.length - 1, Math.ceil(60 / (MIN_BPM * hopSeconds)));
+
+  const correlation = (lag) => {
+    let sum = 0;
+    for (let i = 0; i + lag < centred.length; i++) {
+      sum += centred[i] * centred[i + lag];
+    }
+    return sum / zeroLag;
+  };
+
+  let best = { lag: 0, score: 0, strength: 0 };
+  for (let lag = minLag; lag <= maxLag; lag++) {
+    const strength = correlation(lag);
+    const bpm = 60 / (lag * hopSeconds);
+    const prior = Math.exp(-0.5 * (Math.log2(bpm / 120) / 0.9) ** 2);
+    if (strength * prior > best.score) {
+      best = { lag, score: strength * prior, strength };
+    }
+  }
+
+  if (best.lag === 0) {
+    return { tempo: null, beatStrength: 0 };
+  }
+
+  // Refine the peak between neighbouring lags
+  const before = correlation(best.lag - 1);
+  const after = best.lag + 1 <= maxLag ? correlation(best.lag + 1) : before;
+  const denominator = before - 2 * best.strength + after;
+  const offset = denominator !== 0 ? clamp(0.5 * (before - after) / denominator, -0.5, 0.5) : 0;
+
+  return {
+    tempo: round(60 / ((best.lag + offset) * hopSeconds), 1),
+    beatStrength: round(clamp(best.strength))
+  };
+}
+
+/**
+ * Measure mono samples: { duration, loudnessDb, brightness, onsetRate, tempo, beatStrength }.
+ * brightness is the zero-crossing rate scaled to 0-1; beatStrength (0-1) is how regular the beat is.
+ */
+function extractMusicFeatures(rawSamples, rawSampleRate) {
+  const duration = rawSamples.length / rawSampleRate;
+  const { samples, sampleRate } = downsample(rawSamples, rawSampleRate);
+  const frameLength = Math.floor(sampleRate * FRAME_SECONDS);
+  const hopLength = Math.floor(sampleRate * HOP_SECONDS);
+  const hopSeconds = hopLength / sampleRate;
+  const silent = { duration: round(duration, 1), loudnessDb: -90, brightness: 0, onsetRate: 0, tempo: null, beatStrength: 0 };
+
+  // Rates too low to frame (the decoder refuses them) would otherwise never advance the loop
+  if (frameLength <= 0 || hopLength <= 0) {
+    return silent;
+  }
+
+  const energies = [];
+  let crossings = 0;
+  for (let start = 0; start + frameLength <= samples.length; start += hopLength) {
+    let sum = 0;
+    for (let i = start; i < start + frameLength; i++) {
+      sum += samples[i] * samples[i];
+    }
+    energies.push(Math.sqrt(sum / frameLength));
+  }
+  for (let i = 1; i < samples.length; i++) {
+    if ((samples[i - 1] >= 0) !== (samples[i] >= 0)) crossings++;
+  }
+
+  const overall = Math.sqrt(energies.reduce((sum, e) => sum + e * e, 0) / (energies.length || 1));
+  if (energies.length < 4 || overall < 1e-4) {
+    return silent;
+  }
+
+  // Rises in log energy mark note and drum onsets
+  const logEnergies = energies.map(e => Math.log(e + 1e-4));
+  const onsets = logEnergies.map((value, i) => (i === 0 ? 0 : Math.max(0, value - logEnergies[i - 1])));
+  const onsetThreshold = Math.max(0.3, 2 * onsets.reduce((sum, v) => sum + v, 0) / onsets.length);
+  let onsetCount = 0;
+  for (let i = 1; i < onsets.length - 1; i++) {
+    if (onsets[i] > onsetThreshold && onsets[i] >= onsets[i - 1] && onsets[i] >= onsets[i + 1]) {
+      onsetCount++;
+    }
+  }
+
+  const analysedSeconds = samples.length / sampleRate;
+
+  return {
+    duration: round(duration, 1),
+    loudnessDb: round(20 * Math.log10(overall), 1),
+    brightness: round(normalize(crossings / samples.length, 0.01, 0.2)),
+    onsetRate: round(onsetCount / analysedSeconds, 2),
+    // A steady drone has no beat to measure
+    ...(onsetCount >= MIN_ONSETS_FOR_TEMPO ? estimateTempo(onsets, hopSeconds) : { tempo: null, beatStrength: 0 })
+  };
+}
+
+/**
+ * Catalog audio features from measured audio and/or tags ({ genre, bpm, key }).
+ * Returns { valence, energy, danceability, tempo, featureSource } where featureSource says what the
+ * estimate rests on: 'audio' (decoded and measured), 'tags' (BPM, key or genre only) or 'default'.
+ */
+function estimateTrackFeatures({ audio = null, tags = {} } = {}) {
+  const prior = genrePrior(tags.genre);
+  const base = prior || NEUTRAL_PRIOR;
+  const mode = parseMode(tags.key);
+  const tempo = tags.bpm || (audio && audio.tempo) || null;
+  const pace = tempo ? normalize(tempo, 60, 160) : null;
+
+  let energy = base.energy;
+  let valence = base.valence;
+  let danceability = base.danceability;
+
+  if (audio && audio.loudnessDb > -90) {
+    const measured = 0.5 * normalize(audio.loudnessDb, -35, -8) +
+      0.25 * normalize(audio.onsetRate, 0.5, 5) +
+      0.25 * audio.brightness;
+    energy = prior ? 0.7 * measured + 0.3 * base.energy : measured;
+    danceability = 0.5 * base.danceability + 0.5 * audio.beatStrength * (1 - Math.abs(normalize(tempo || 0, 70, 170) - 0.5));
+    valence += 0.15 * (audio.brightness - 0.5);
+  } else if (pace !== null) {
+    energy = 0.6 * base.energy + 0.4 * pace;
+  }
+
+  if (pace !== null) {
+    valence += 0.15 * (pace - 0.5);
+    // Most dance music sits around 100-130 BPM
+    danceability = 0.7 * danceability + 0.3 * (1 - clamp(Math.abs(tempo - 118) / 50));
+  }
+  if (mode) {
+    valence += mode === 'major' ? 0.1 : -0.1;
+  }
+
+  const measured = audio && audio.loudnessDb > -90;
+  return {
+    valence: round(clamp(valence), 2),
+    energy: round(clamp(energy), 2),
+    danceability: round(clamp(danceability), 2),
+    tempo: tempo ? Math.round(tempo) : null,
+    featureSource: measured ? 'audio' : (prior || mode || tempo ? 'tags' : 'default')
+  };
+}
+
+module.exports = {
+  extractMusicFeatures,
+  estimateTrackFeatures,
+  genrePrior,
+  parseMode,
+  GENRE_PRIORS
+};
@@ -0,0 +1,74 @@
+// Token Crypto - AES-256-GCM encryption for third-party tokens stored at rest
+// Values are stored as `v1:<iv>:<auth tag>:<ciphertext>` (base64), so a wrong key or a tampered
+// value fails to decrypt instead of yielding garbage.
+
+const crypto = require('crypto');
+
+const FORMAT_VERSION = 'v1';
+const IV_LENGTH = 12;
+
+const TOKEN_CRYPTO_ERRORS = {
+  DECRYPT_FAILED: 'DECRYPT_FAILED'
+};
+
+const cryptoError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+// 64 hex characters are used as the key directly; any other secret is stretched with scrypt
+function deriveKey(secret) {
+  if (/^[0-9a-f]{64}$/i.test(secret)) {
+    return Buffer.from(secret, 'hex');
+  }
+  return crypto.scryptSync(secret, 'projectmood-token-store', 32);
+}
+
+// Without TOKEN_ENCRYPTION_KEY, tokens are encrypted with a per-process key and are unreadable after a restart
+let generatedSecret = null;
+const getTokenSecret = () => {
+  if (process.env.TOKEN_ENCRYPTION_KEY) {
+    return process.env.TOKEN_ENCRYPTION_KEY;
+  }
+  if (!generatedSecret) {
+    console.warn('TOKEN_ENCRYPTION_KEY is not set; stored Spotify connections will not survive a restart');
+    generatedSecret = crypto.randomBytes(32).toString('hex');
+  }
+  return generatedSecret;
+};
+
+function createTokenCipher(secret = getTokenSecret()) {
+  const key = deriveKey(secret);
+
+  const encrypt = (plaintext) => {
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    const data = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+    return [FORMAT_VERSION, iv, cipher.getAuthTag(), data].map(part => (
+      Buffer.isBuffer(part) ? part.toString('base64') : part
+    )).join(':');
+  };
+
+  const decrypt = (payload) => {
+    const [version, iv, tag, data] = String(payload).split(':');
+    if (version !== FORMAT_VERSION || !iv || !tag || data === undefined) {
+      throw cryptoError(TOKEN_CRYPTO_ERRORS.DECRYPT_FAILED, 'Unrecognised encrypted token format');
+    }
+
+    try {
+      const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'base64'));
+      decipher.setAuthTag(Buffer.from(tag, 'base64'));
+      return Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]).toString('utf8');
+    } catch (error) {
+      throw cryptoError(TOKEN_CRYPTO_ERRORS.DECRYPT_FAILED, 'Encrypted token could not be decrypted');
+    }
+  };
+
+  return { encrypt, decrypt };
+}
+
+module.exports = {
+  createTokenCipher,
+  TOKEN_CRYPTO_ERRORS
+};
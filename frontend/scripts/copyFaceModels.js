@@ -0,0 +1,20 @@
+// Copies the face-api model weights we use into public/models so they are served locally
+// Runs before start/build; the weights ship inside the @vladmandic/face-api package
+
+const fs = require('fs');
+const path = require('path');
+
+const MODELS = ['tiny_face_detector_model', 'face_expression_model'];
+
+const sourceDir = path.join(path.dirname(require.resolve('@vladmandic/face-api/package.json')), 'model');
+const targetDir = path.join(__dirname, '..', 'public', 'models');
+
+fs.mkdirSync(targetDir, { recursive: true });
+
+for (const model of MODELS) {
+  for (const file of [`${model}-weights_manifest.json`, `${model}.bin`]) {
+    fs.copyFileSync(path.join(sourceDir, file), path.join(targetDir, file));
+  }
+}
+
+console.log(`Copied face models to ${path.relative(process.cwd(), targetDir)}`);
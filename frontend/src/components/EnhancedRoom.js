@@ -1,37 +1,29 @@
 // Enhanced Room component with voice and face mood detection
 // Includes privacy consent, traditional mood selection, and advanced AI-powered mood detection
+// Chat messages can be edited by their author, deleted by the author or a moderator, and reacted to
+// Older chat history is fetched a page at a time when the user scrolls to the top of the chat
 
 import React, { useState, useEffect, useRef } from 'react';
-import { useParams, useNavigate } from 'react-router-dom';
+import { useParams, useNavigate, useSearchParams } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
 import io from 'socket.io-client';
 import VoiceMoodRecorder from './VoiceMoodRecorder';
 import FaceMood from './FaceMood';
 import PrivacyConsent from './PrivacyConsent';
+import { useMoodRegistry, getMoodColorClasses } from '../hooks/useMoodRegistry';
 
-const MOOD_OPTIONS = [
-  { emoji: '😊', name: 'happy', color: 'bg-yellow-100 border-yellow-300 text-yellow-700' },
-  { emoji: '😢', name: 'sad', color: 'bg-blue-100 border-blue-300 text-blue-700' },
-  { emoji: '😠', name: 'angry', color: 'bg-red-100 border-red-300 text-red-700' },
-  { emoji: '😴', name: 'sleepy', color: 'bg-gray-100 border-gray-300 text-gray-700' },
-  { emoji: '🤔', name: 'thoughtful', color: 'bg-purple-100 border-purple-300 text-purple-700' },
-  { emoji: '😍', name: 'excited', color: 'bg-pink-100 border-pink-300 text-pink-700' },
-  { emoji: '🤯', name: 'surprised', color: 'bg-orange-100 border-orange-300 text-orange-700' },
-  { emoji: '😌', name: 'calm', color: 'bg-green-100 border-green-300 text-green-700' }
-];
-
-const getMoodEmoji = (moodName) => {
-  const mood = MOOD_OPTIONS.find(m => m.name.toLowerCase() === moodName.toLowerCase());
-  return mood ? mood.emoji : '😐';
-};
+const API_BASE = process.env.REACT_APP_API_URL || 'http://localhost:3001/api';
 
-const getMoodColor = (moodName) => {
-  const mood = MOOD_OPTIONS.find(m => m.name.toLowerCase() === moodName.toLowerCase());
-  return mood ? mood.color : 'bg-gray-100 border-gray-300 text-gray-700';
-};
+// Join errors that a password can fix
+const PASSWORD_ERRORS = ['PASSWORD_REQUIRED', 'INVALID_PASSWORD'];
+
+// Quick reactions offered under each message
+const REACTION_EMOJIS = ['👍', '❤️', '😂', '🔥', '😢', '🎉'];
 
 const EnhancedRoom = () => {
   const { roomId } = useParams();
+  const [searchParams] = useSearchParams();
+  const invite = searchParams.get('invite');
   const navigate = useNavigate();
   const { currentUser, userProfile } = useAuth();
   const [socket, setSocket] = useState(null);
@@ -40,13 +32,25 @@ const EnhancedRoom = () => {
   const [participants, setParticipants] = useState([]);
   const [messages, setMessages] = useState([]);
   const [newMessage, setNewMessage] = useState('');
-  const [currentMood, setCurrentMood] = useState('😊');
+  const [currentMood, setCurrentMood] = useState('happy');
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
   const [showAdvancedMood, setShowAdvancedMood] = useState(false);
   const [privacyConsent, setPrivacyConsent] = useState(null);
   const [showPrivacyModal, setShowPrivacyModal] = useState(false);
+  const [passwordPrompt, setPasswordPrompt] = useState(null);
+  const [roomPassword, setRoomPassword] = useState('');
+  const [role, setRole] = useState('member');
+  const [editingMessageId, setEditingMessageId] = useState(null);
+  const [editText, setEditText] = useState('');
+  const [messagesCursor, setMessagesCursor] = useState(null);
+  const [hasMoreMessages, setHasMoreMessages] = useState(false);
+  const [loadingOlder, setLoadingOlder] = useState(false);
+  const { moods, defaultMood, findMood, getMoodEmoji } = useMoodRegistry();
   const messagesEndRef = useRef(null);
+  const messagesContainerRef = useRef(null);
+  // Scroll height before older messages were prepended, so the view stays put
+  const prependHeightRef = useRef(null);
 
   // Scroll to bottom of messages
   const scrollToBottom = () => {
@@ -54,6 +58,12 @@ const EnhancedRoom = () => {
   };
 
   useEffect(() => {
+    const container = messagesContainerRef.current;
+    if (prependHeightRef.current !== null && container) {
+      container.scrollTop = container.scrollHeight - prependHeightRef.current;
+      prependHeightRef.current = null;
+      return;
+    }
     scrollToBottom();
   }, [messages]);
 
@@ -76,6 +86,7 @@ const EnhancedRoom = () => {
       // Join the room
       newSocket.emit('joinRoom', {
         roomId,
+        ...(invite && { invite }),
         userInfo: {
           uid: currentUser.uid,
           displayName: userProfile?.displayName || currentUser.email,
@@ -90,22 +101,28 @@ const EnhancedRoom = () => {
     });
 
     // Room events
-    newSocket.on('roomJoined', (data) => {
+    newSocket.on('room:joined', (data) => {
       console.log('Joined room:', data);
-      setRoom(data.room);
-      setParticipants(data.room.participants || []);
-      setMessages(data.room.messages || []);
+      setRoom(data);
+      setRole(data.role || 'member');
+      setParticipants(data.participants || []);
+      setMessages(data.messages || []);
+      setMessagesCursor(data.messagesCursor || null);
+      setHasMoreMessages(!!data.hasMoreMessages);
       setLoading(false);
     });
 
-    newSocket.on('participantJoined', (participant) => {
-      console.log('Participant joined:', participant);
-      setParticipants(prev => [...prev, participant]);
+    // Sent when someone joins, leaves or is moderated
+    newSocket.on('room:update', (data) => {
+      setParticipants(data.participants || []);
     });
 
-    newSocket.on('participantLeft', (data) => {
-      console.log('Participant left:', data);
-      setParticipants(prev => prev.filter(p => p.userId !== data.userId));
+    newSocket.on('room:moderation', (data) => {
+      if (data.targetUserId === currentUser.uid && data.role) {
+        setRole(data.role);
+      } else if (data.action === 'transfer_ownership' && data.by === currentUser.uid) {
+        setRole('moderator');
+      }
     });
 
     newSocket.on('participantMoodUpdated', (data) => {
@@ -119,15 +136,50 @@ const EnhancedRoom = () => {
       );
     });
 
-    newSocket.on('newMessage', (message) => {
-      console.log('New message:', message);
+    newSocket.on('participantChatMoodUpdated', (data) => {
+      setParticipants(prev =>
+        prev.map(p =>
+          p.userId === data.userId
+            ? { ...p, chatMood: { mood: data.mood, confidence: data.confidence, sentiment: data.sentiment, updatedAt: data.timestamp } }
+            : p
+        )
+      );
+    });
+
+    const addMessage = (message) => {
       setMessages(prev => [...prev, message]);
+    };
+    newSocket.on('message:received', addMessage);
+    newSocket.on('message:sent', addMessage);
+
+    newSocket.on('message:edited', (data) => {
+      setMessages(prev =>
+        prev.map(m =>
+          m.messageId === data.messageId
+            ? { ...m, message: data.message, mood: data.mood, edited: true, editedAt: data.editedAt }
+            : m
+        )
+      );
+    });
+
+    newSocket.on('message:deleted', (data) => {
+      setMessages(prev => prev.filter(m => m.messageId !== data.messageId));
+    });
+
+    newSocket.on('message:reactions', (data) => {
+      setMessages(prev =>
+        prev.map(m => (m.messageId === data.messageId ? { ...m, reactions: data.reactions } : m))
+      );
     });
 
     newSocket.on('error', (error) => {
       console.error('Socket error:', error);
-      setError(error.message || 'Connection error');
       setLoading(false);
+      if (PASSWORD_ERRORS.includes(error.code)) {
+        setPasswordPrompt(error.message);
+        return;
+      }
+      setError(error.message || 'Connection error');
     });
 
     setSocket(newSocket);
@@ -135,13 +187,10 @@ const EnhancedRoom = () => {
     return () => {
       newSocket.disconnect();
     };
-  }, [currentUser, roomId, userProfile]);
+  }, [currentUser, roomId, userProfile, invite]);
 
-  const handleMoodChange = (moodEmoji, source = 'manual', confidence = 1.0) => {
-    const mood = MOOD_OPTIONS.find(m => m.emoji === moodEmoji);
-    const moodName = mood ? mood.name : 'neutral';
-    
-    setCurrentMood(moodEmoji);
+  const handleMoodChange = (moodName, source = 'manual', confidence = 1.0) => {
+    setCurrentMood(moodName);
     
     if (socket && connected) {
       socket.emit('updateMood', {
@@ -155,30 +204,86 @@ const EnhancedRoom = () => {
 
   const handleVoiceMoodDetected = (detectedMood, confidence) => {
     console.log('Voice mood detected:', detectedMood, confidence);
-    const moodEmoji = getMoodEmoji(detectedMood);
-    handleMoodChange(moodEmoji, 'voice', confidence);
+    handleMoodChange(findMood(detectedMood)?.name || defaultMood, 'voice', confidence);
   };
 
   const handleFaceMoodDetected = (detectedMood, confidence) => {
     console.log('Face mood detected:', detectedMood, confidence);
-    const moodEmoji = getMoodEmoji(detectedMood);
-    handleMoodChange(moodEmoji, 'face', confidence);
+    handleMoodChange(findMood(detectedMood)?.name || defaultMood, 'face', confidence);
   };
 
   const handleSendMessage = (e) => {
     e.preventDefault();
     if (!newMessage.trim() || !socket || !connected) return;
 
-    const message = {
-      roomId,
-      text: newMessage.trim(),
-      timestamp: new Date().toISOString()
-    };
-
-    socket.emit('sendMessage', message);
+    socket.emit('sendMessage', { roomId, message: newMessage.trim() });
     setNewMessage('');
   };
 
+  const loadOlderMessages = async () => {
+    if (!hasMoreMessages || !messagesCursor || loadingOlder) return;
+
+    setLoadingOlder(true);
+    try {
+      const response = await fetch(
+        `${API_BASE}/rooms/${roomId}/messages?before=${encodeURIComponent(messagesCursor)}`,
+        { headers: { 'Authorization': `Bearer ${await currentUser?.getIdToken()}` } }
+      );
+
+      if (!response.ok) {
+        throw new Error(`Message history request failed: ${response.status}`);
+      }
+
+      const page = await response.json();
+      prependHeightRef.current = messagesContainerRef.current?.scrollHeight ?? null;
+      setMessages(prev => [...page.messages, ...prev]);
+      setMessagesCursor(page.nextCursor);
+      setHasMoreMessages(page.hasMore);
+    } catch (err) {
+      console.error('Error loading older messages:', err);
+    } finally {
+      setLoadingOlder(false);
+    }
+  };
+
+  const handleMessagesScroll = (e) => {
+    if (e.currentTarget.scrollTop < 40) {
+      loadOlderMessages();
+    }
+  };
+
+  const startEditing = (message) => {
+    setEditingMessageId(message.messageId);
+    setEditText(message.message);
+  };
+
+  const handleEditSubmit = (e) => {
+    e.preventDefault();
+    if (!editText.trim() || !socket || !connected) return;
+
+    socket.emit('editMessage', { roomId, messageId: editingMessageId, message: editText.trim() });
+    setEditingMessageId(null);
+  };
+
+  const handleDeleteMessage = (messageId) => {
+    if (!socket || !connected) return;
+    socket.emit('deleteMessage', { roomId, messageId });
+  };
+
+  const handleReact = (messageId, emoji) => {
+    if (!socket || !connected) return;
+    socket.emit('reactToMessage', { roomId, messageId, emoji });
+  };
+
+  const handlePasswordSubmit = (e) => {
+    e.preventDefault();
+    if (!socket || !roomPassword) return;
+
+    setPasswordPrompt(null);
+    setLoading(true);
+    socket.emit('joinRoom', { roomId, password: roomPassword });
+  };
+
   const handleAdvancedMoodToggle = () => {
     if (!showAdvancedMood && !privacyConsent) {
       setShowPrivacyModal(true);
@@ -214,6 +319,42 @@ const EnhancedRoom = () => {
     );
   }
 
+  if (passwordPrompt) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center">
+        <form onSubmit={handlePasswordSubmit} className="bg-white rounded-lg shadow-lg p-6 w-full max-w-sm text-center">
+          <div className="text-4xl mb-4">🔒</div>
+          <h2 className="text-xl font-semibold text-gray-800 mb-2">Private Room</h2>
+          <p className="text-gray-600 mb-4">{passwordPrompt}</p>
+          <input
+            type="password"
+            value={roomPassword}
+            onChange={(e) => setRoomPassword(e.target.value)}
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg mb-4 focus:outline-none focus:ring-2 focus:ring-blue-500"
+            placeholder="Room password"
+            autoFocus
+          />
+          <div className="flex space-x-3">
+            <button
+              type="submit"
+              disabled={!roomPassword}
+              className="flex-1 bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 disabled:bg-gray-400"
+            >
+              Join
+            </button>
+            <button
+              type="button"
+              onClick={() => navigate('/rooms')}
+              className="flex-1 bg-gray-300 text-gray-700 px-4 py-2 rounded-lg hover:bg-gray-400"
+            >
+              Back to Rooms
+            </button>
+          </div>
+        </form>
+      </div>
+    );
+  }
+
   if (error) {
     return (
       <div className="min-h-screen bg-gray-50 flex items-center justify-center">
@@ -290,18 +431,18 @@ const EnhancedRoom = () => {
             <div className="bg-white rounded-lg p-4 border shadow-sm">
               <h3 className="text-lg font-semibold text-gray-800 mb-4">😊 Quick Mood Selection</h3>
               <div className="grid grid-cols-4 gap-2">
-                {MOOD_OPTIONS.map((mood) => (
+                {moods.map((mood) => (
                   <button
                     key={mood.name}
-                    onClick={() => handleMoodChange(mood.emoji)}
+                    onClick={() => handleMoodChange(mood.name)}
                     className={`p-3 rounded-lg border-2 transition-all hover:scale-105 ${
-                      currentMood === mood.emoji 
-                        ? mood.color + ' ring-2 ring-blue-400' 
+                      currentMood === mood.name 
+                        ? getMoodColorClasses(mood.name) + ' ring-2 ring-blue-400' 
                         : 'bg-gray-50 border-gray-200 hover:bg-gray-100'
                     }`}
                   >
-                    <div className="text-2xl mb-1">{mood.emoji}</div>
-                    <div className="text-xs font-medium">{mood.name}</div>
+                    <div className="text-2xl mb-1">{mood.emoji[0]}</div>
+                    <div className="text-xs font-medium">{mood.displayName}</div>
                   </button>
                 ))}
               </div>
@@ -327,33 +468,116 @@ const EnhancedRoom = () => {
                 <h3 className="text-lg font-semibold text-gray-800">💬 Room Chat</h3>
               </div>
               
-              <div className="h-80 overflow-y-auto p-4 space-y-3">
+              <div
+                ref={messagesContainerRef}
+                onScroll={handleMessagesScroll}
+                className="h-80 overflow-y-auto p-4 space-y-3"
+              >
+                {loadingOlder && (
+                  <p className="text-center text-xs text-gray-400">Loading earlier messages...</p>
+                )}
+                {!hasMoreMessages && messages.length > 0 && (
+                  <p className="text-center text-xs text-gray-400">Beginning of the conversation</p>
+                )}
                 {messages.length === 0 ? (
                   <div className="text-center text-gray-500 mt-8">
                     <div className="text-4xl mb-2">💬</div>
                     <p>No messages yet. Start the conversation!</p>
                   </div>
                 ) : (
-                  messages.map((message, index) => (
-                    <div key={index} className="flex items-start space-x-3">
-                      <div className="flex-shrink-0">
-                        <div className="w-8 h-8 bg-blue-500 rounded-full flex items-center justify-center text-white text-sm font-medium">
-                          {message.senderName?.charAt(0).toUpperCase() || 'U'}
+                  messages.map((message, index) => {
+                    if (message.type === 'system') {
+                      return (
+                        <p key={message.messageId || index} className="text-center text-xs text-gray-500 italic">
+                          {message.message}
+                        </p>
+                      );
+                    }
+
+                    const senderName = message.displayName || message.user?.displayName || 'Unknown User';
+                    const isOwn = message.userId === currentUser?.uid;
+                    const canDelete = isOwn || role !== 'member';
+
+                    return (
+                      <div key={message.messageId || index} className="group flex items-start space-x-3">
+                        <div className="flex-shrink-0">
+                          <div className="w-8 h-8 bg-blue-500 rounded-full flex items-center justify-center text-white text-sm font-medium">
+                            {senderName.charAt(0).toUpperCase()}
+                          </div>
                         </div>
-                      </div>
-                      <div className="flex-1 min-w-0">
-                        <div className="flex items-center space-x-2">
-                          <p className="text-sm font-medium text-gray-900">
-                            {message.senderName || 'Unknown User'}
-                          </p>
-                          <span className="text-xs text-gray-500">
-                            {new Date(message.timestamp).toLocaleTimeString()}
-                          </span>
+                        <div className="flex-1 min-w-0">
+                          <div className="flex items-center space-x-2">
+                            <p className="text-sm font-medium text-gray-900">{senderName}</p>
+                            <span className="text-xs text-gray-500">
+                              {new Date(message.timestamp).toLocaleTimeString()}
+                            </span>
+                            {message.edited && <span className="text-xs text-gray-400">(edited)</span>}
+                            <div className="hidden group-hover:flex space-x-2 text-xs">
+                              {isOwn && (
+                                <button onClick={() => startEditing(message)} className="text-blue-600 hover:underline">
+                                  Edit
+                                </button>
+                              )}
+                              {canDelete && (
+                                <button onClick={() => handleDeleteMessage(message.messageId)} className="text-red-600 hover:underline">
+                                  Delete
+                                </button>
+                              )}
+                            </div>
+                          </div>
+
+                          {editingMessageId === message.messageId ? (
+                            <form onSubmit={handleEditSubmit} className="flex space-x-2 mt-1">
+                              <input
+                                type="text"
+                                value={editText}
+                                onChange={(e) => setEditText(e.target.value)}
+                                maxLength={1000}
+                                className="flex-1 border border-gray-300 rounded px-2 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                                autoFocus
+                              />
+                              <button type="submit" disabled={!editText.trim()} className="text-sm text-blue-600 disabled:text-gray-400">
+                                Save
+                              </button>
+                              <button type="button" onClick={() => setEditingMessageId(null)} className="text-sm text-gray-500">
+                                Cancel
+                              </button>
+                            </form>
+                          ) : (
+                            <p className="text-sm text-gray-700 mt-1">{message.message}</p>
+                          )}
+
+                          <div className="flex flex-wrap items-center gap-1 mt-1">
+                            {(message.reactions || []).map((reaction) => (
+                              <button
+                                key={reaction.emoji}
+                                onClick={() => handleReact(message.messageId, reaction.emoji)}
+                                className={`px-2 py-0.5 rounded-full text-xs border ${
+                                  reaction.userIds.includes(currentUser?.uid)
+                                    ? 'bg-blue-50 border-blue-300'
+                                    : 'bg-gray-50 border-gray-200 hover:bg-gray-100'
+                                }`}
+                              >
+                                {reaction.emoji} {reaction.userIds.length}
+                              </button>
+                            ))}
+                            <div className="hidden group-hover:flex space-x-1">
+                              {REACTION_EMOJIS.map((emoji) => (
+                                <button
+                                  key={emoji}
+                                  onClick={() => handleReact(message.messageId, emoji)}
+                                  className="text-sm opacity-60 hover:opacity-100"
+                                  title={`React with ${emoji}`}
+                                >
+                                  {emoji}
+                                </button>
+                              ))}
+                            </div>
+                          </div>
                         </div>
-                        <p className="text-sm text-gray-700 mt-1">{message.text}</p>
                       </div>
-                    </div>
-                  ))
+                    );
+                  })
                 )}
                 <div ref={messagesEndRef} />
               </div>
@@ -415,9 +639,9 @@ const EnhancedRoom = () => {
                     </div>
                     
                     <div className="flex flex-col items-end">
-                      <div className={`px-2 py-1 rounded-full text-xs ${getMoodColor(participant.mood || 'neutral')}`}>
-                        <span className="mr-1">{getMoodEmoji(participant.mood || 'neutral')}</span>
-                        {participant.mood || 'neutral'}
+                      <div className={`px-2 py-1 rounded-full text-xs ${getMoodColorClasses(findMood(participant.mood)?.name)}`}>
+                        <span className="mr-1">{getMoodEmoji(participant.mood || defaultMood)}</span>
+                        {findMood(participant.mood)?.displayName || participant.mood || defaultMood}
                       </div>
                       {participant.moodSource && participant.moodSource !== 'manual' && (
                         <div className="text-xs text-gray-400 mt-1 flex items-center">
@@ -428,6 +652,12 @@ const EnhancedRoom = () => {
                           </span>
                         </div>
                       )}
+                      {participant.chatMood?.mood && (
+                        <div className="text-xs text-gray-400 mt-1 flex items-center" title="Mood read from their chat">
+                          💬
+                          <span className="ml-1">{getMoodEmoji(participant.chatMood.mood)}</span>
+                        </div>
+                      )}
                     </div>
                   </div>
                 ))
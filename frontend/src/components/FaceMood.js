@@ -1,6 +1,6 @@
 import React, { useState, useRef, useEffect } from 'react';
 import { useAuth } from '../contexts/AuthContext';
-import { detectFaceEmotions, loadFaceApiModels } from '../utils/faceDetection';
+import { detectFaceEmotions, loadFaceApiModels, drawFaceBoxes } from '../utils/faceDetection';
 
 const FaceMood = ({ onMoodDetected, className = '' }) => {
   const [cameraPermission, setCameraPermission] = useState('unknown');
@@ -9,11 +9,13 @@ const FaceMood = ({ onMoodDetected, className = '' }) => {
   const [faceApiLoaded, setFaceApiLoaded] = useState(false);
   const [error, setError] = useState('');
   const [allowImageSending, setAllowImageSending] = useState(false);
+  const [capturePreview, setCapturePreview] = useState(null);
+  const [lastResult, setLastResult] = useState(null);
   
   const videoRef = useRef(null);
   const canvasRef = useRef(null);
   const streamRef = useRef(null);
-  const { user } = useAuth();
+  const { currentUser: user } = useAuth();
 
   useEffect(() => {
     checkCameraPermission();
@@ -95,6 +97,7 @@ const FaceMood = ({ onMoodDetected, className = '' }) => {
     if (!videoRef.current || !canvasRef.current) return;
     
     setIsProcessing(true);
+    setError('');
     
     try {
       const canvas = canvasRef.current;
@@ -105,19 +108,24 @@ const FaceMood = ({ onMoodDetected, className = '' }) => {
       canvas.height = videoRef.current.videoHeight || 480;
       context.drawImage(videoRef.current, 0, 0, canvas.width, canvas.height);
       
-      // For demo purposes, we'll use a simple client-side emotion detection
-      // In a real implementation, you would use face-api.js here
       const mood = await detectEmotionFromImage(canvas);
       
-      if (allowImageSending) {
-        // Send image to server for more sophisticated analysis
-        const imageData = canvas.toDataURL('image/jpeg', 0.8);
-        await sendImageForAnalysis(imageData, mood);
-      } else {
-        // Use only client-side detection
-        onMoodDetected(mood.emotion, mood.confidence);
+      if (!mood.faceDetected) {
+        // Keep the camera running so the user can reposition and try again
+        setError('No face detected. Make sure your face is well lit and centered, then try again.');
+        return;
       }
       
+      // Grab the clean frame before boxes are drawn over it
+      const imageData = allowImageSending ? canvas.toDataURL('image/jpeg', 0.8) : null;
+      
+      drawFaceBoxes(canvas, mood);
+      setCapturePreview(canvas.toDataURL('image/jpeg', 0.8));
+      setLastResult(mood);
+      
+      // The server re-scores the expression probabilities; the image is only sent with consent
+      await sendImageForAnalysis(imageData, mood);
+      
       // Stop camera after successful capture
       stopCamera();
       
@@ -143,7 +151,7 @@ const FaceMood = ({ onMoodDetected, className = '' }) => {
           'Authorization': `Bearer ${await user?.getIdToken()}`
         },
         body: JSON.stringify({
-          image: imageData,
+          ...(imageData && { image: imageData }),
           clientSideMood: clientSideMood,
           userId: user?.uid || 'anonymous'
         })
@@ -154,7 +162,11 @@ const FaceMood = ({ onMoodDetected, className = '' }) => {
       }
       
       const result = await response.json();
-      onMoodDetected(result.mood, result.confidence);
+      if (result.faceDetected) {
+        onMoodDetected(result.mood, result.confidence);
+      } else {
+        setError('No face detected. Please try again.');
+      }
       
     } catch (error) {
       console.error('Error sending image for analysis:', error);
@@ -237,6 +249,23 @@ const FaceMood = ({ onMoodDetected, className = '' }) => {
             </div>
           )}
 
+          {/* Last capture with detected faces outlined */}
+          {!isCapturing && capturePreview && lastResult && (
+            <div className="text-center">
+              <img
+                src={capturePreview}
+                alt="Detected faces"
+                className="rounded-lg border-2 border-gray-300 mx-auto"
+                style={{ maxWidth: '300px', maxHeight: '225px' }}
+              />
+              <p className="text-xs text-gray-500 mt-1">
+                {lastResult.faces.length === 1
+                  ? '1 face detected'
+                  : `${lastResult.faces.length} faces detected, using the largest (green)`}
+              </p>
+            </div>
+          )}
+
           {/* Hidden canvas for capture */}
           <canvas ref={canvasRef} style={{ display: 'none' }} />
 
@@ -1,5 +1,6 @@
 // MoodBubble Component - Three.js animated orb visualization for mood vectors
 // Uses valence-arousal coordinates to control color, scale, and surface noise
+// A split room (moodData.consensus.isSplit) shows one orb per mood cluster instead of a single blend
 
 import React, { useRef, useMemo, useEffect } from 'react';
 import { Canvas, useFrame, extend } from '@react-three/fiber';
@@ -139,7 +140,7 @@ const moodVectorToHue = (valence, arousal) => {
 };
 
 // Animated orb component
-const AnimatedOrb = ({ moodVector, targetScale = 1 }) => {
+const AnimatedOrb = ({ moodVector, targetScale = 1, position = [0, 0, 0] }) => {
   const meshRef = useRef();
   const groupRef = useRef();
   
@@ -187,7 +188,7 @@ const AnimatedOrb = ({ moodVector, targetScale = 1 }) => {
   const noiseIntensity = Math.abs(moodVector.arousal) * 0.3 + 0.1;
 
   return (
-    <group ref={groupRef}>
+    <group ref={groupRef} position={position}>
       <mesh ref={meshRef}>
         <icosahedronGeometry args={[1, 4]} />
         <MoodOrbMaterial
@@ -214,15 +215,53 @@ const AnimatedOrb = ({ moodVector, targetScale = 1 }) => {
   );
 };
 
+// Largest clusters of a split room, laid out side by side and sized by their share of the room
+const MAX_SPLIT_ORBS = 3;
+
+const getSplitClusters = (moodData) => {
+  const consensus = moodData && moodData.consensus;
+  if (!consensus || !consensus.isSplit) return null;
+  return consensus.clusters.slice(0, MAX_SPLIT_ORBS);
+};
+
+const SplitOrbs = ({ clusters }) => {
+  const spacing = 2.2 / clusters.length;
+  const start = -spacing * (clusters.length - 1) / 2;
+
+  return clusters.map((cluster, index) => (
+    <AnimatedOrb
+      key={cluster.moodName}
+      moodVector={cluster.vector}
+      targetScale={0.35 + Math.sqrt(cluster.weightShare) * 0.35}
+      position={[start + index * spacing, 0, 0]}
+    />
+  ));
+};
+
 // Legend component showing current mood data
 const MoodLegend = ({ moodData, className = "" }) => {
   if (!moodData) return null;
   
   const { label, confidence, vector } = moodData;
+  const splitClusters = getSplitClusters(moodData);
   
   return (
     <div className={`absolute top-4 left-4 bg-black bg-opacity-50 text-white p-3 rounded-lg text-sm ${className}`}>
-      <div className="font-semibold text-lg mb-2">{label}</div>
+      <div className="font-semibold text-lg mb-2">{splitClusters ? 'Split room' : label}</div>
+      {splitClusters && (
+        <div className="mb-2 space-y-1">
+          {splitClusters.map(cluster => (
+            <div key={cluster.moodName} className="flex justify-between">
+              <span>{cluster.label}</span>
+              <span className="font-mono">{cluster.memberCount} ({Math.round(cluster.weightShare * 100)}%)</span>
+            </div>
+          ))}
+          <div className="flex justify-between text-xs text-gray-300">
+            <span>Polarization:</span>
+            <span className="font-mono">{(moodData.consensus.polarization * 100).toFixed(0)}%</span>
+          </div>
+        </div>
+      )}
       <div className="space-y-1">
         <div className="flex justify-between">
           <span>Confidence:</span>
@@ -260,6 +299,8 @@ const MoodBubble = ({
   showLegend = true,
   enableControls = true
 }) => {
+  const splitClusters = getSplitClusters(moodData);
+
   return (
     <div className={`relative ${className}`} style={{ width: size.width, height: size.height }}>
       <Canvas
@@ -271,11 +312,15 @@ const MoodBubble = ({
         <pointLight position={[10, 10, 10]} intensity={1} />
         <pointLight position={[-10, -10, -10]} intensity={0.5} color="#4a5568" />
         
-        {/* Animated mood orb */}
-        <AnimatedOrb 
-          moodVector={moodVector} 
-          targetScale={1}
-        />
+        {/* Animated mood orb, or one per cluster when the room is split */}
+        {splitClusters ? (
+          <SplitOrbs clusters={splitClusters} />
+        ) : (
+          <AnimatedOrb 
+            moodVector={moodVector} 
+            targetScale={1}
+          />
+        )}
         
         {/* Orbit controls for interaction */}
         {enableControls && (
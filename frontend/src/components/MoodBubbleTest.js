@@ -45,6 +45,21 @@ const MoodBubbleTest = () => {
       label: 'Neutral',
       confidence: 1.0,
       source: 'test'
+    },
+    {
+      vector: { valence: 0.0, arousal: 0.1 },
+      label: 'Neutral',
+      confidence: 0.4,
+      source: 'test',
+      consensus: {
+        dispersion: 1.13,
+        polarization: 1,
+        isSplit: true,
+        clusters: [
+          { label: 'Excited', moodName: 'excited', vector: { valence: 0.8, arousal: 0.9 }, memberCount: 3, weightShare: 0.5 },
+          { label: 'Depressed', moodName: 'depressed', vector: { valence: -0.8, arousal: -0.7 }, memberCount: 3, weightShare: 0.5 }
+        ]
+      }
     }
   ];
 
@@ -1,12 +1,19 @@
 // MoodMusicGenerator - React component for AI music generation
-// Handles mood-to-music conversion with download capabilities
+// Handles mood-to-music conversion with download capabilities. Generation runs as a server-side job;
+// its progress arrives as 'music-job:update' socket events, with polling when no socket is connected.
 
 import React, { useState, useRef, useEffect } from 'react';
+import { useAuth } from '../contexts/AuthContext';
 import './MoodMusicGenerator.css';
 
-const MoodMusicGenerator = ({ currentMood, roomMoods = [], onTrackGenerated }) => {
+const FINISHED_JOB_STATUSES = ['succeeded', 'failed', 'cancelled'];
+
+const MoodMusicGenerator = ({ currentMood, roomMoods = [], roomId = null, onTrackGenerated, socket = null }) => {
+  const { currentUser } = useAuth();
+
   // State management
   const [isGenerating, setIsGenerating] = useState(false);
+  const [activeJob, setActiveJob] = useState(null);
   const [generatedTrack, setGeneratedTrack] = useState(null);
   const [customPrompt, setCustomPrompt] = useState('');
   const [generationMode, setGenerationMode] = useState('current'); // 'current', 'room', 'custom'
@@ -20,6 +27,11 @@ const MoodMusicGenerator = ({ currentMood, roomMoods = [], onTrackGenerated }) =
   // Audio reference for preview
   const audioRef = useRef(null);
 
+  // The job being generated (and the mode it was started in); handlers are read through a ref so the
+  // socket listener always sees the latest state
+  const jobRef = useRef({ id: null, mode: null });
+  const jobHandlersRef = useRef(null);
+
   // API base URL
   const API_BASE = process.env.REACT_APP_API_URL || 'http://localhost:3001/api';
 
@@ -28,6 +40,26 @@ const MoodMusicGenerator = ({ currentMood, roomMoods = [], onTrackGenerated }) =
     loadAvailableServices();
   }, []);
 
+  // Follow the running job over the socket; poll as well, slowly when the socket is connected
+  const activeJobId = activeJob && !FINISHED_JOB_STATUSES.includes(activeJob.status) ? activeJob.id : null;
+
+  useEffect(() => {
+    if (!activeJobId) return;
+
+    const onJobUpdate = (job) => jobHandlersRef.current.applyJobUpdate(job);
+    if (socket) {
+      socket.on('music-job:update', onJobUpdate);
+    }
+    const timer = setInterval(() => jobHandlersRef.current.pollJob(), socket?.connected ? 10000 : 2000);
+
+    return () => {
+      if (socket) {
+        socket.off('music-job:update', onJobUpdate);
+      }
+      clearInterval(timer);
+    };
+  }, [socket, activeJobId]);
+
   // Cleanup audio on unmount
   useEffect(() => {
     return () => {
@@ -52,6 +84,91 @@ const MoodMusicGenerator = ({ currentMood, roomMoods = [], onTrackGenerated }) =
     }
   };
 
+  // Generation jobs belong to the signed-in user
+  const authHeaders = async () => (currentUser
+    ? { 'Authorization': `Bearer ${await currentUser.getIdToken()}` }
+    : {});
+
+  const showGeneratedTrack = (result, mode) => {
+    const track = {
+      ...result.track,
+      generatedAt: new Date(),
+      mode
+    };
+
+    setGeneratedTrack(track);
+    setGenerationHistory(prev => [track, ...prev.slice(0, 4)]); // Keep last 5
+
+    // Notify parent component
+    if (onTrackGenerated) {
+      onTrackGenerated(track);
+    }
+
+    // Show warnings if any
+    if (result.warnings && result.warnings.length > 0) {
+      console.warn('Generation warnings:', result.warnings);
+    }
+  };
+
+  // A job update from the socket, a poll or a cancel; anything but the current job is ignored
+  const applyJobUpdate = (job) => {
+    if (!job || job.id !== jobRef.current.id) return;
+
+    setActiveJob(job);
+    if (!FINISHED_JOB_STATUSES.includes(job.status)) return;
+
+    if (job.status === 'succeeded') {
+      showGeneratedTrack(job.result, jobRef.current.mode);
+    } else if (job.status === 'failed') {
+      setError(job.error || 'Generation failed');
+    }
+    jobRef.current = { id: null, mode: null };
+    setIsGenerating(false);
+  };
+
+  const pollJob = async () => {
+    const jobId = jobRef.current.id;
+    if (!jobId) return;
+
+    try {
+      const response = await fetch(`${API_BASE}/music/jobs/${jobId}`, {
+        headers: await authHeaders()
+      });
+      const data = await response.json();
+
+      if (data.success) {
+        applyJobUpdate(data.job);
+      }
+    } catch (error) {
+      console.error('Failed to check generation progress:', error);
+    }
+  };
+
+  jobHandlersRef.current = { applyJobUpdate, pollJob };
+
+  const cancelGeneration = async () => {
+    const jobId = jobRef.current.id;
+    if (!jobId) return;
+
+    try {
+      const response = await fetch(`${API_BASE}/music/jobs/${jobId}`, {
+        method: 'DELETE',
+        headers: await authHeaders()
+      });
+      const data = await response.json();
+
+      if (data.success) {
+        applyJobUpdate(data.job);
+      } else {
+        // Usually finished in the meantime; pick up its final state
+        await pollJob();
+      }
+    } catch (error) {
+      setError('Failed to cancel generation');
+      console.error('Cancel generation error:', error);
+    }
+  };
+
   // Generate music based on current mode
   const generateMusic = async () => {
     if (isGenerating) return;
@@ -59,6 +176,7 @@ const MoodMusicGenerator = ({ currentMood, roomMoods = [], onTrackGenerated }) =
     setIsGenerating(true);
     setError('');
     setGeneratedTrack(null);
+    setActiveJob(null);
     
     try {
       let requestBody = {};
@@ -77,13 +195,14 @@ const MoodMusicGenerator = ({ currentMood, roomMoods = [], onTrackGenerated }) =
           break;
           
         case 'room':
-          if (!roomMoods || roomMoods.length === 0) {
-            throw new Error('No room moods available');
+          if (!roomId) {
+            throw new Error('Join a room to generate music for it');
           }
+          // The server fuses the online participants' moods itself
           endpoint = '/music/generate-from-room';
           requestBody = {
-            roomId: 'current-room', // Should be passed as prop
-            participantMoods: roomMoods,
+            roomId,
+            prompt: customPrompt,
             useAI
           };
           break;
@@ -106,40 +225,25 @@ const MoodMusicGenerator = ({ currentMood, roomMoods = [], onTrackGenerated }) =
       const response = await fetch(`${API_BASE}${endpoint}`, {
         method: 'POST',
         headers: {
-          'Content-Type': 'application/json'
+          'Content-Type': 'application/json',
+          ...await authHeaders()
         },
         body: JSON.stringify(requestBody)
       });
       
       const data = await response.json();
       
-      if (data.success) {
-        const track = {
-          ...data.track,
-          generatedAt: new Date(),
-          mode: generationMode
-        };
-        
-        setGeneratedTrack(track);
-        setGenerationHistory(prev => [track, ...prev.slice(0, 4)]); // Keep last 5
-        
-        // Notify parent component
-        if (onTrackGenerated) {
-          onTrackGenerated(track);
-        }
-        
-        // Show warnings if any
-        if (data.warnings && data.warnings.length > 0) {
-          console.warn('Generation warnings:', data.warnings);
-        }
-      } else {
+      if (!data.success) {
         throw new Error(data.error || 'Generation failed');
       }
+
+      // The track arrives when the job finishes
+      jobRef.current = { id: data.job.id, mode: generationMode };
+      setActiveJob(data.job);
       
     } catch (error) {
       setError(error.message);
       console.error('Music generation failed:', error);
-    } finally {
       setIsGenerating(false);
     }
   };
@@ -304,10 +408,10 @@ const MoodMusicGenerator = ({ currentMood, roomMoods = [], onTrackGenerated }) =
           <button
             className={`mode-button ${generationMode === 'room' ? 'active' : ''}`}
             onClick={() => setGenerationMode('room')}
-            disabled={!roomMoods || roomMoods.length === 0}
+            disabled={!roomId || !roomMoods || roomMoods.length === 0}
           >
             <span className="mode-icon">👥</span>
-            <span>Room Average</span>
+            <span>Room Mood</span>
           </button>
           <button
             className={`mode-button ${generationMode === 'custom' ? 'active' : ''}`}
@@ -342,7 +446,7 @@ const MoodMusicGenerator = ({ currentMood, roomMoods = [], onTrackGenerated }) =
       )}
 
       {/* Custom Prompt Input */}
-      {(generationMode === 'custom' || generationMode === 'current') && (
+      {(generationMode === 'custom' || generationMode === 'current' || generationMode === 'room') && (
         <div className="prompt-section">
           <h4>Additional Instructions (Optional)</h4>
           <textarea
@@ -392,7 +496,7 @@ const MoodMusicGenerator = ({ currentMood, roomMoods = [], onTrackGenerated }) =
           {isGenerating ? (
             <>
               <span className="spinner">⏳</span>
-              Generating Music...
+              {activeJob?.status === 'queued' ? 'Waiting in Queue...' : 'Generating Music...'}
             </>
           ) : (
             <>
@@ -403,6 +507,35 @@ const MoodMusicGenerator = ({ currentMood, roomMoods = [], onTrackGenerated }) =
         </button>
       </div>
 
+      {/* Generation Progress */}
+      {isGenerating && activeJob && (
+        <div className="job-progress">
+          <div className="job-progress-header">
+            <span className="job-stage">{activeJob.stage}</span>
+            <span>{Math.round(activeJob.progress * 100)}%</span>
+          </div>
+          <div className="bar-container">
+            <div
+              className="bar-fill job"
+              style={{ width: `${activeJob.progress * 100}%` }}
+            />
+          </div>
+          <div className="job-progress-footer">
+            {activeJob.attempts > 1 && (
+              <span className="job-attempt">
+                Attempt {activeJob.attempts} of {activeJob.maxAttempts}
+              </span>
+            )}
+            <button
+              onClick={cancelGeneration}
+              className="cancel-button"
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+
       {/* Error Display */}
       {error && (
         <div className="error-message">
@@ -436,6 +569,11 @@ const MoodMusicGenerator = ({ currentMood, roomMoods = [], onTrackGenerated }) =
                     🎯 {Math.round(generatedTrack.moodSimilarity * 100)}% match
                   </span>
                 )}
+                {generatedTrack.moodSnapshot && (
+                  <span className="metadata-item" title={`Room mood at ${new Date(generatedTrack.moodSnapshot.capturedAt).toLocaleTimeString()}`}>
+                    👥 {generatedTrack.moodSnapshot.label} ({generatedTrack.moodSnapshot.participantCount} online)
+                  </span>
+                )}
               </div>
             </div>
           </div>
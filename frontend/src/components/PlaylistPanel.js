@@ -1,11 +1,18 @@
 // PlaylistPanel - React component for Spotify playlist management
 // Handles track queuing, playback control, and Socket.IO synchronization
+// The server owns the room queue and playback clock; this panel mirrors it
 
 import React, { useState, useEffect, useRef } from 'react';
 import { io } from 'socket.io-client';
+import { useAuth } from '../contexts/AuthContext';
 import './PlaylistPanel.css';
 
+// Dragging the seek slider fires onChange continuously; seeks are sent at most this often
+const SEEK_THROTTLE_MS = 250;
+
 const PlaylistPanel = ({ roomId, userId, onMoodChange }) => {
+  const { currentUser, userProfile } = useAuth();
+
   // State management
   const [isAuthenticated, setIsAuthenticated] = useState(false);
   const [authUrl, setAuthUrl] = useState('');
@@ -15,6 +22,8 @@ const PlaylistPanel = ({ roomId, userId, onMoodChange }) => {
   const [playlist, setPlaylist] = useState([]);
   const [currentTrack, setCurrentTrack] = useState(null);
   const [isPlaying, setIsPlaying] = useState(false);
+  const [position, setPosition] = useState(0);
+  const [trackLength, setTrackLength] = useState(0);
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState('');
   const [moodFilters, setMoodFilters] = useState({
@@ -26,14 +35,24 @@ const PlaylistPanel = ({ roomId, userId, onMoodChange }) => {
   // Socket and audio refs
   const socketRef = useRef(null);
   const audioRef = useRef(null);
+  const audioTrackIdRef = useRef(null);
+  const seekTimerRef = useRef(null);
+  const pendingSeekRef = useRef(null);
 
   // API base URL
   const API_BASE = process.env.REACT_APP_API_URL || 'http://localhost:3001/api';
 
-  // Initialize socket connection
+  // Initialize socket connection; the server only lets signed-in participants change the queue
   useEffect(() => {
-    if (roomId) {
-      socketRef.current = io(process.env.REACT_APP_SOCKET_URL || 'http://localhost:3001');
+    if (roomId && currentUser) {
+      socketRef.current = io(process.env.REACT_APP_SOCKET_URL || 'http://localhost:3001', {
+        auth: {
+          token: currentUser.accessToken,
+          uid: currentUser.uid,
+          email: currentUser.email,
+          displayName: userProfile?.displayName || currentUser.displayName
+        }
+      });
       
       socketRef.current.emit('join-room', { roomId, userId });
       
@@ -44,15 +63,18 @@ const PlaylistPanel = ({ roomId, userId, onMoodChange }) => {
       socketRef.current.on('playlist-synced', handlePlaylistSync);
       
       return () => {
+        clearTimeout(seekTimerRef.current);
+        seekTimerRef.current = null;
+        audioRef.current?.pause();
         socketRef.current?.disconnect();
       };
     }
-  }, [roomId, userId]);
+  }, [roomId, userId, currentUser, userProfile]);
 
-  // Check Spotify authentication status on mount
+  // Check Spotify authentication status once signed in
   useEffect(() => {
     checkAuthStatus();
-  }, []);
+  }, [currentUser]);
 
   // Socket event handlers
   const handleTrackAdded = (data) => {
@@ -66,21 +88,65 @@ const PlaylistPanel = ({ roomId, userId, onMoodChange }) => {
   const handlePlaybackChanged = (data) => {
     setCurrentTrack(data.track);
     setIsPlaying(data.isPlaying);
+    syncAudio(data.track, data.position, data.isPlaying);
   };
 
   const handlePlaylistSync = (data) => {
     setPlaylist(data.playlist);
     setCurrentTrack(data.currentTrack);
     setIsPlaying(data.isPlaying);
+    syncAudio(data.currentTrack, data.position, data.isPlaying);
+  };
+
+  // Align local audio with the server's playback clock
+  const syncAudio = (track, trackPosition = 0, shouldPlay = false) => {
+    if (!track?.previewUrl) {
+      audioRef.current?.pause();
+      audioTrackIdRef.current = null;
+      setPosition(0);
+      return;
+    }
+
+    if (audioTrackIdRef.current !== track.id) {
+      audioRef.current?.pause();
+      audioRef.current = new Audio(track.previewUrl);
+      audioTrackIdRef.current = track.id;
+
+      audioRef.current.onloadedmetadata = () => {
+        setTrackLength(audioRef.current.duration * 1000);
+      };
+      audioRef.current.ontimeupdate = () => {
+        setPosition(audioRef.current.currentTime * 1000);
+      };
+      audioRef.current.onended = () => {
+        // Every client reports the end; the server only advances once per track
+        socketRef.current?.emit('next-track', { roomId, fromTrackId: track.id });
+      };
+    }
+
+    audioRef.current.currentTime = (trackPosition || 0) / 1000;
+    setPosition(trackPosition || 0);
+
+    if (shouldPlay) {
+      audioRef.current.play().catch(error => {
+        console.error('Audio playback failed:', error);
+      });
+    } else {
+      audioRef.current.pause();
+    }
   };
 
-  // API calls
+  // API calls - Spotify connections belong to the signed-in user
+  const authHeaders = async () => ({
+    'Authorization': `Bearer ${await currentUser?.getIdToken()}`
+  });
+
   const checkAuthStatus = async () => {
+    if (!currentUser) return;
+
     try {
       const response = await fetch(`${API_BASE}/spotify/status`, {
-        headers: {
-          'x-spotify-user': userId
-        }
+        headers: await authHeaders()
       });
       const data = await response.json();
       
@@ -96,7 +162,9 @@ const PlaylistPanel = ({ roomId, userId, onMoodChange }) => {
   const initiateSpotifyAuth = async () => {
     try {
       setIsLoading(true);
-      const response = await fetch(`${API_BASE}/spotify/auth`);
+      const response = await fetch(`${API_BASE}/spotify/auth`, {
+        headers: await authHeaders()
+      });
       const data = await response.json();
       
       if (data.success) {
@@ -123,6 +191,30 @@ const PlaylistPanel = ({ roomId, userId, onMoodChange }) => {
     }
   };
 
+  const disconnectSpotify = async () => {
+    try {
+      setIsLoading(true);
+      const response = await fetch(`${API_BASE}/spotify/connection`, {
+        method: 'DELETE',
+        headers: await authHeaders()
+      });
+      const data = await response.json();
+
+      if (data.success) {
+        setIsAuthenticated(false);
+        setUserInfo(null);
+        setSearchResults([]);
+      } else {
+        setError(data.error || 'Failed to disconnect Spotify');
+      }
+    } catch (error) {
+      setError('Failed to disconnect Spotify');
+      console.error('Spotify disconnect failed:', error);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
   const searchTracks = async (query = searchQuery) => {
     if (!query.trim()) return;
     
@@ -133,9 +225,7 @@ const PlaylistPanel = ({ roomId, userId, onMoodChange }) => {
       const response = await fetch(
         `${API_BASE}/spotify/search?q=${encodeURIComponent(query)}&limit=10`,
         {
-          headers: {
-            'x-spotify-user': userId
-          }
+          headers: await authHeaders()
         }
       );
       
@@ -175,9 +265,7 @@ const PlaylistPanel = ({ roomId, userId, onMoodChange }) => {
       const response = await fetch(
         `${API_BASE}/spotify/search-by-mood?${params}`,
         {
-          headers: {
-            'x-spotify-user': userId
-          }
+          headers: await authHeaders()
         }
       );
       
@@ -204,10 +292,7 @@ const PlaylistPanel = ({ roomId, userId, onMoodChange }) => {
   };
 
   const addToPlaylist = (track) => {
-    // Add to local playlist
-    setPlaylist(prev => [...prev, track]);
-    
-    // Broadcast to room
+    // The server confirms with track-added to every client, including this one
     socketRef.current?.emit('add-track', {
       roomId,
       track: {
@@ -218,43 +303,41 @@ const PlaylistPanel = ({ roomId, userId, onMoodChange }) => {
         album: track.album,
         duration: track.duration,
         previewUrl: track.previewUrl,
-        addedBy: userId,
-        addedAt: new Date().toISOString()
+        audioFeatures: track.audioFeatures
       }
     });
   };
 
   const removeFromPlaylist = (trackId) => {
-    setPlaylist(prev => prev.filter(track => track.id !== trackId));
-    
     socketRef.current?.emit('remove-track', {
       roomId,
       trackId
     });
   };
 
+  const moveTrack = (trackId, toIndex) => {
+    socketRef.current?.emit('reorder-track', {
+      roomId,
+      trackId,
+      toIndex
+    });
+  };
+
+  // Preview a search result locally without touching the room queue
+  const previewTrack = (track) => {
+    audioRef.current?.pause();
+    audioTrackIdRef.current = null;
+    audioRef.current = new Audio(track.previewUrl);
+    audioRef.current.play().catch(error => {
+      console.error('Preview playback failed:', error);
+    });
+  };
+
   const playTrack = (track) => {
-    if (audioRef.current) {
-      audioRef.current.pause();
-    }
-    
-    setCurrentTrack(track);
-    
-    if (track.previewUrl) {
-      audioRef.current = new Audio(track.previewUrl);
-      audioRef.current.play();
-      setIsPlaying(true);
-      
-      audioRef.current.onended = () => {
-        setIsPlaying(false);
-        playNextTrack();
-      };
-    }
-    
-    // Broadcast playback change
+    // Resuming the current track keeps the server's position; other tracks start at 0
     socketRef.current?.emit('playback-change', {
       roomId,
-      track,
+      track: { id: track.id },
       isPlaying: true
     });
     
@@ -269,24 +352,31 @@ const PlaylistPanel = ({ roomId, userId, onMoodChange }) => {
   };
 
   const pauseTrack = () => {
-    if (audioRef.current) {
-      audioRef.current.pause();
-    }
-    setIsPlaying(false);
-    
     socketRef.current?.emit('playback-change', {
       roomId,
-      track: currentTrack,
       isPlaying: false
     });
   };
 
-  const playNextTrack = () => {
-    if (playlist.length === 0) return;
-    
-    const currentIndex = playlist.findIndex(track => track.id === currentTrack?.id);
-    const nextIndex = (currentIndex + 1) % playlist.length;
-    playTrack(playlist[nextIndex]);
+  // The first seek goes out at once; later ones wait out the throttle and only the latest is sent
+  const seekTrack = (newPosition) => {
+    setPosition(newPosition);
+    pendingSeekRef.current = newPosition;
+    if (seekTimerRef.current) return;
+
+    const flush = () => {
+      if (pendingSeekRef.current === null) {
+        seekTimerRef.current = null;
+        return;
+      }
+      socketRef.current?.emit('seek-track', {
+        roomId,
+        position: pendingSeekRef.current
+      });
+      pendingSeekRef.current = null;
+      seekTimerRef.current = setTimeout(flush, SEEK_THROTTLE_MS);
+    };
+    flush();
   };
 
   const formatDuration = (ms) => {
@@ -304,6 +394,13 @@ const PlaylistPanel = ({ roomId, userId, onMoodChange }) => {
             <span className="status-indicator">🎵</span>
             <span>Connected as {userInfo?.displayName || 'Spotify User'}</span>
           </div>
+          <button
+            onClick={disconnectSpotify}
+            disabled={isLoading}
+            className="disconnect-button"
+          >
+            Disconnect
+          </button>
         </div>
       );
     }
@@ -444,7 +541,7 @@ const PlaylistPanel = ({ roomId, userId, onMoodChange }) => {
                   <div className="track-actions">
                     {track.previewUrl && (
                       <button 
-                        onClick={() => playTrack(track)}
+                        onClick={() => previewTrack(track)}
                         className="play-button"
                         title="Preview"
                       >
@@ -483,6 +580,18 @@ const PlaylistPanel = ({ roomId, userId, onMoodChange }) => {
               >
                 {isPlaying ? '⏸️' : '▶️'}
               </button>
+              {trackLength > 0 && (
+                <input
+                  type="range"
+                  min="0"
+                  max={trackLength}
+                  step="1000"
+                  value={Math.min(position, trackLength)}
+                  onChange={(e) => seekTrack(parseFloat(e.target.value))}
+                  className="seek-slider"
+                  title={`${formatDuration(position)} / ${formatDuration(trackLength)}`}
+                />
+              )}
             </div>
           )}
         </div>
@@ -531,6 +640,22 @@ const PlaylistPanel = ({ roomId, userId, onMoodChange }) => {
                     >
                       ▶️
                     </button>
+                    <button 
+                      onClick={() => moveTrack(track.id, index - 1)}
+                      disabled={index === 0}
+                      className="move-button"
+                      title="Move up"
+                    >
+                      ⬆️
+                    </button>
+                    <button 
+                      onClick={() => moveTrack(track.id, index + 1)}
+                      disabled={index === playlist.length - 1}
+                      className="move-button"
+                      title="Move down"
+                    >
+                      ⬇️
+                    </button>
                     <button 
                       onClick={() => removeFromPlaylist(track.id)}
                       className="remove-button"
@@ -11,22 +11,20 @@ import PlaylistPanel from './PlaylistPanel';
 import MoodMusicGenerator from './MoodMusicGenerator';
 import RoomConnectionPanel from './RoomConnectionPanel';
 import { useMoodFusion, useMoodVisualization } from '../hooks/useMoodFusion';
+import { useMoodRegistry, getMoodColorClasses } from '../hooks/useMoodRegistry';
 
-const MOOD_OPTIONS = [
-  { emoji: '😊', name: 'Happy', color: 'bg-yellow-100 border-yellow-300 text-yellow-700' },
-  { emoji: '😢', name: 'Sad', color: 'bg-blue-100 border-blue-300 text-blue-700' },
-  { emoji: '😠', name: 'Angry', color: 'bg-red-100 border-red-300 text-red-700' },
-  { emoji: '😴', name: 'Sleepy', color: 'bg-gray-100 border-gray-300 text-gray-700' },
-  { emoji: '🤔', name: 'Thinking', color: 'bg-purple-100 border-purple-300 text-purple-700' },
-  { emoji: '😍', name: 'Love', color: 'bg-pink-100 border-pink-300 text-pink-700' },
-  { emoji: '🤯', name: 'Mind Blown', color: 'bg-orange-100 border-orange-300 text-orange-700' },
-  { emoji: '🎉', name: 'Excited', color: 'bg-green-100 border-green-300 text-green-700' }
-];
+// A valence/arousal mood (-1..1) in the 0-1 space music generation uses, as the server converts it
+const toGenerationMood = ({ valence, arousal }) => ({
+  valence: (valence + 1) / 2,
+  energy: (arousal + 1) / 2,
+  danceability: (valence + arousal + 2) / 4
+});
 
 const Room = () => {
   const { roomId } = useParams();
   const navigate = useNavigate();
   const { currentUser, userProfile } = useAuth();
+  const { moods, findMood, getMoodEmoji } = useMoodRegistry();
   const [socket, setSocket] = useState(null);
   const [connected, setConnected] = useState(false);
   const [room, setRoom] = useState(null);
@@ -49,7 +47,7 @@ const Room = () => {
     refresh: refreshMood,
     participantCount,
     hasValidMoods
-  } = useMoodFusion(roomId, participants, 1000); // Update every second
+  } = useMoodFusion(roomId, participants, 1000, room?.chatMoodWeight); // Update every second
 
   const visualMood = useMoodVisualization(fusedMood);
 
@@ -115,6 +113,17 @@ const Room = () => {
       // Message already added by message:received for consistency
     });
 
+    // Chat sentiment feeds the fused room mood next to the mood each participant picked
+    newSocket.on('participantChatMoodUpdated', (data) => {
+      setParticipants(prev =>
+        prev.map(p =>
+          p.userId === data.userId
+            ? { ...p, chatMood: { mood: data.mood, confidence: data.confidence, sentiment: data.sentiment, updatedAt: data.timestamp } }
+            : p
+        )
+      );
+    });
+
     newSocket.on('mood:updated', (data) => {
       console.log('Mood updated:', data);
       setCurrentMood(data.mood);
@@ -274,11 +283,11 @@ const Room = () => {
                         {participant.userId === currentUser?.uid && ' (You)'}
                       </p>
                       <p className="text-xs text-gray-500">
-                        {participant.mood}
+                        {findMood(participant.mood)?.displayName || participant.mood}
                       </p>
                     </div>
                     <div className="text-2xl">
-                      {participant.mood}
+                      {getMoodEmoji(participant.mood)}
                     </div>
                   </div>
                 ))}
@@ -288,18 +297,18 @@ const Room = () => {
               <div className="mt-6">
                 <h4 className="text-sm font-medium text-gray-900 mb-3">Your Mood</h4>
                 <div className="grid grid-cols-4 gap-2">
-                  {MOOD_OPTIONS.map((mood) => (
+                  {moods.map((mood) => (
                     <button
-                      key={mood.emoji}
-                      onClick={() => handleMoodChange(mood.emoji)}
+                      key={mood.name}
+                      onClick={() => handleMoodChange(mood.emoji[0])}
                       className={`p-2 text-2xl rounded-lg border-2 transition-all duration-200 hover:scale-110 ${
-                        currentMood === mood.emoji
-                          ? mood.color
+                        currentMood === mood.emoji[0]
+                          ? getMoodColorClasses(mood.name)
                           : 'bg-gray-50 border-gray-200 hover:bg-gray-100'
                       }`}
-                      title={mood.name}
+                      title={mood.displayName}
                     >
-                      {mood.emoji}
+                      {mood.emoji[0]}
                     </button>
                   ))}
                 </div>
@@ -467,19 +476,15 @@ const Room = () => {
           <div className="xl:col-span-1 lg:col-span-5">
             <div className="h-96 overflow-hidden">
               <MoodMusicGenerator
-                currentMood={fusedMood?.vector ? {
-                  valence: fusedMood.vector.valence,
-                  energy: fusedMood.vector.arousal, // Map arousal to energy
-                  danceability: 0.5 // Default value
-                } : null}
-                roomMoods={participants.map(p => ({
-                  valence: Math.random(), // In real implementation, get from participant mood
-                  energy: Math.random(),
-                  danceability: Math.random()
-                }))}
+                currentMood={fusedMood?.vector ? toGenerationMood(fusedMood.vector) : null}
+                roomMoods={participants
+                  .filter(p => p.isOnline && findMood(p.mood))
+                  .map(p => toGenerationMood(findMood(p.mood)))}
+                roomId={roomId}
                 onTrackGenerated={(track) => {
                   console.log('Track generated:', track);
                 }}
+                socket={socket}
               />
             </div>
           </div>
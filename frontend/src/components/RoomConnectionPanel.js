@@ -3,6 +3,7 @@
 
 import React, { useState, useEffect, useCallback } from 'react';
 import { io } from 'socket.io-client';
+import { useAuth } from '../contexts/AuthContext';
 import './RoomConnectionPanel.css';
 
 const RoomConnectionPanel = ({ roomId, userId, currentMood, socket }) => {
@@ -20,6 +21,13 @@ const RoomConnectionPanel = ({ roomId, userId, currentMood, socket }) => {
   const [searchingMatches, setSearchingMatches] = useState(false);
   const [showMatchingModal, setShowMatchingModal] = useState(false);
   const [showBattleModal, setShowBattleModal] = useState(false);
+  const { currentUser: user } = useAuth();
+
+  // Room connection endpoints identify the caller from the Firebase token
+  const authHeaders = useCallback(async () => ({
+    'Content-Type': 'application/json',
+    'Authorization': `Bearer ${await user?.getIdToken()}`
+  }), [user]);
 
   // Initialize socket listeners
   useEffect(() => {
@@ -117,6 +125,7 @@ const RoomConnectionPanel = ({ roomId, userId, currentMood, socket }) => {
       setDjBattle(prev => prev ? {
         ...prev,
         currentTrack: data.track,
+        slotIndex: data.slotIndex,
         timeline: data.timeline
       } : null);
     });
@@ -124,6 +133,7 @@ const RoomConnectionPanel = ({ roomId, userId, currentMood, socket }) => {
     socket.on('dj-battle-vote-received', (data) => {
       setDjBattle(prev => prev ? {
         ...prev,
+        votes: data.currentVotes,
         stats: {
           roomA: data.currentEngagement.roomA,
           roomB: data.currentEngagement.roomB
@@ -131,6 +141,10 @@ const RoomConnectionPanel = ({ roomId, userId, currentMood, socket }) => {
       } : null);
     });
 
+    socket.on('dj-battle-vote-rejected', (data) => {
+      showNotification(data.reason || 'Vote not counted', 'error');
+    });
+
     socket.on('dj-battle-finished', (data) => {
       setDjBattle(prev => prev ? {
         ...prev,
@@ -157,6 +171,7 @@ const RoomConnectionPanel = ({ roomId, userId, currentMood, socket }) => {
       socket.off('dj-battle-started');
       socket.off('dj-battle-track-change');
       socket.off('dj-battle-vote-received');
+      socket.off('dj-battle-vote-rejected');
       socket.off('dj-battle-finished');
     };
   }, [socket]);
@@ -166,7 +181,7 @@ const RoomConnectionPanel = ({ roomId, userId, currentMood, socket }) => {
     try {
       const response = await fetch('/api/room-connections/ambient/register', {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: await authHeaders(),
         body: JSON.stringify({
           roomId,
           options: {
@@ -186,7 +201,7 @@ const RoomConnectionPanel = ({ roomId, userId, currentMood, socket }) => {
       console.error('Failed to enable ambient matching:', error);
       showNotification('Failed to enable matching', 'error');
     }
-  }, [roomId, currentMood]);
+  }, [roomId, currentMood, authHeaders]);
 
   // Find ambient matches
   const findAmbientMatches = useCallback(async () => {
@@ -194,7 +209,9 @@ const RoomConnectionPanel = ({ roomId, userId, currentMood, socket }) => {
 
     setSearchingMatches(true);
     try {
-      const response = await fetch(`/api/room-connections/ambient/matches/${roomId}`);
+      const response = await fetch(`/api/room-connections/ambient/matches/${roomId}`, {
+        headers: await authHeaders()
+      });
       const data = await response.json();
       
       if (data.success) {
@@ -206,14 +223,14 @@ const RoomConnectionPanel = ({ roomId, userId, currentMood, socket }) => {
     } finally {
       setSearchingMatches(false);
     }
-  }, [roomId, ambientMatchingEnabled]);
+  }, [roomId, ambientMatchingEnabled, authHeaders]);
 
   // Request connection to matched room
   const requestConnection = useCallback(async (targetAnonymousId, message = '') => {
     try {
       const response = await fetch('/api/room-connections/ambient/request', {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: await authHeaders(),
         body: JSON.stringify({
           fromRoomId: roomId,
           toAnonymousId: targetAnonymousId,
@@ -229,14 +246,14 @@ const RoomConnectionPanel = ({ roomId, userId, currentMood, socket }) => {
       console.error('Failed to request connection:', error);
       showNotification('Failed to send request', 'error');
     }
-  }, [roomId, userId]);
+  }, [roomId, userId, authHeaders]);
 
   // Respond to connection request
   const respondToRequest = useCallback(async (requestId, response, message = '') => {
     try {
       const apiResponse = await fetch('/api/room-connections/ambient/respond', {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: await authHeaders(),
         body: JSON.stringify({
           requestId,
           roomId,
@@ -254,7 +271,7 @@ const RoomConnectionPanel = ({ roomId, userId, currentMood, socket }) => {
       console.error('Failed to respond to request:', error);
       showNotification('Failed to respond', 'error');
     }
-  }, [roomId, userId]);
+  }, [roomId, userId, authHeaders]);
 
   // Start DJ battle
   const startDjBattle = useCallback(async () => {
@@ -263,7 +280,7 @@ const RoomConnectionPanel = ({ roomId, userId, currentMood, socket }) => {
     try {
       const response = await fetch('/api/room-connections/dj-battle/start', {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: await authHeaders(),
         body: JSON.stringify({
           sharedRoomId: connectionStatus.sharedRoomId,
           options: {
@@ -280,19 +297,19 @@ const RoomConnectionPanel = ({ roomId, userId, currentMood, socket }) => {
       console.error('Failed to start DJ battle:', error);
       showNotification('Failed to start battle', 'error');
     }
-  }, [connectionStatus, userId]);
+  }, [connectionStatus, userId, authHeaders]);
 
-  // Vote in DJ battle
+  // Vote on the track that is playing; the server decides which room it counts for
   const voteInBattle = useCallback((vote) => {
     if (!djBattle || djBattle.status !== 'active') return;
 
     socket.emit('dj-battle-vote', {
       battleId: djBattle.id,
+      slotIndex: djBattle.slotIndex,
       trackId: djBattle.currentTrack?.id,
-      room: connectionStatus.connectedRoom === djBattle.roomA ? 'B' : 'A',
       vote
     });
-  }, [djBattle, connectionStatus, socket]);
+  }, [djBattle, socket]);
 
   // Disconnect rooms
   const disconnectRooms = useCallback(async () => {
@@ -301,7 +318,7 @@ const RoomConnectionPanel = ({ roomId, userId, currentMood, socket }) => {
     try {
       const response = await fetch('/api/room-connections/disconnect', {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: await authHeaders(),
         body: JSON.stringify({
           sharedRoomId: connectionStatus.sharedRoomId,
           userId
@@ -315,7 +332,7 @@ const RoomConnectionPanel = ({ roomId, userId, currentMood, socket }) => {
       console.error('Failed to disconnect rooms:', error);
       showNotification('Failed to disconnect', 'error');
     }
-  }, [connectionStatus, userId]);
+  }, [connectionStatus, userId, authHeaders]);
 
   // Show notification
   const showNotification = (message, type) => {
@@ -508,10 +525,10 @@ const RoomConnectionPanel = ({ roomId, userId, currentMood, socket }) => {
 
                   <div className="battle-stats">
                     <div className="room-stat">
-                      <span>Room A: {djBattle.stats?.roomA?.toFixed(1) || 0}</span>
+                      <span>Room A: {djBattle.votes?.roomA || 0} pts</span>
                     </div>
                     <div className="room-stat">
-                      <span>Room B: {djBattle.stats?.roomB?.toFixed(1) || 0}</span>
+                      <span>Room B: {djBattle.votes?.roomB || 0} pts</span>
                     </div>
                   </div>
                 </div>
@@ -15,7 +15,9 @@ const Rooms = () => {
   const [showCreateForm, setShowCreateForm] = useState(false);
   const [newRoom, setNewRoom] = useState({
     name: '',
-    description: ''
+    description: '',
+    visibility: 'public',
+    password: ''
   });
   const [creating, setCreating] = useState(false);
   const [error, setError] = useState('');
@@ -77,7 +79,9 @@ const Rooms = () => {
 
     socket.emit('createRoom', {
       name: newRoom.name.trim(),
-      description: newRoom.description.trim()
+      description: newRoom.description.trim(),
+      visibility: newRoom.visibility,
+      ...(newRoom.visibility === 'private' && newRoom.password && { password: newRoom.password })
     });
   };
 
@@ -166,6 +170,36 @@ const Rooms = () => {
                     maxLength={500}
                   />
                 </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Who can find it
+                  </label>
+                  <select
+                    value={newRoom.visibility}
+                    onChange={(e) => setNewRoom({ ...newRoom, visibility: e.target.value })}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                  >
+                    <option value="public">Public - listed for everyone</option>
+                    <option value="unlisted">Unlisted - anyone with the room ID</option>
+                    <option value="private">Private - password or invite only</option>
+                  </select>
+                </div>
+
+                {newRoom.visibility === 'private' && (
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      Password (Optional)
+                    </label>
+                    <input
+                      type="password"
+                      value={newRoom.password}
+                      onChange={(e) => setNewRoom({ ...newRoom, password: e.target.value })}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                      placeholder="Leave empty for invite links only"
+                    />
+                  </div>
+                )}
                 
                 <div className="flex space-x-3">
                   <button
@@ -179,7 +213,7 @@ const Rooms = () => {
                     type="button"
                     onClick={() => {
                       setShowCreateForm(false);
-                      setNewRoom({ name: '', description: '' });
+                      setNewRoom({ name: '', description: '', visibility: 'public', password: '' });
                       setError('');
                     }}
                     className="flex-1 bg-gray-300 text-gray-700 py-2 px-4 rounded-lg hover:bg-gray-400"
@@ -226,6 +260,11 @@ const Rooms = () => {
                         </h3>
                         <p className="text-sm text-gray-500">
                           Room ID: {room.roomId}
+                          {room.visibility && room.visibility !== 'public' && (
+                            <span className="ml-2 text-xs text-gray-400">
+                              {room.visibility === 'private' ? '🔒 Private' : 'Unlisted'}
+                            </span>
+                          )}
                         </p>
                       </div>
                       <div className="text-right">
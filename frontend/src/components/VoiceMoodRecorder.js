@@ -1,5 +1,6 @@
 import React, { useState, useRef, useEffect } from 'react';
 import { useAuth } from '../contexts/AuthContext';
+import { convertToWav } from '../utils/wavEncoder';
 
 const VoiceMoodRecorder = ({ onMoodDetected, className = '' }) => {
   const [isRecording, setIsRecording] = useState(false);
@@ -14,7 +15,7 @@ const VoiceMoodRecorder = ({ onMoodDetected, className = '' }) => {
   const analyserRef = useRef(null);
   const streamRef = useRef(null);
   const chunksRef = useRef([]);
-  const { user } = useAuth();
+  const { currentUser: user } = useAuth();
 
   useEffect(() => {
     checkAudioPermission();
@@ -163,8 +164,11 @@ const VoiceMoodRecorder = ({ onMoodDetected, className = '' }) => {
     setIsProcessing(true);
     
     try {
+      // The server analyzes uncompressed audio, so convert the WebM recording first
+      const wavBlob = await convertToWav(audioBlob);
+
       const formData = new FormData();
-      formData.append('audio', audioBlob, 'recording.webm');
+      formData.append('audio', wavBlob, 'recording.wav');
       formData.append('userId', user?.uid || 'anonymous');
       
       const response = await fetch('/api/voice/mood', {
@@ -5,18 +5,41 @@ import { useState, useEffect, useRef, useCallback } from 'react';
 
 const MOOD_FUSION_API_BASE = 'http://localhost:3001/api';
 
-// Convert room participants' moods to MoodFusion API format
-const participantsToMoodInputs = (participants) => {
+// Weight of a participant's chat mood next to the mood they set; the server sends its
+// CHAT_MOOD_WEIGHT with room:joined, this matches the server default until then
+const DEFAULT_CHAT_MOOD_WEIGHT = 0.5;
+
+const hasMood = (p) => p.isOnline && (p.mood || p.chatMood?.mood);
+
+// Convert room participants' moods to MoodFusion API format, with chat moods as weighted 'chat' inputs
+const participantsToMoodInputs = (participants, chatWeight = DEFAULT_CHAT_MOOD_WEIGHT) => {
   return participants
-    .filter(p => p.isOnline && p.mood)
-    .map(p => ({
-      mood: p.mood,
-      confidence: p.confidence || 0.8,
-      weight: 1.0,
-      source: p.moodSource || 'manual'
-    }));
+    .filter(hasMood)
+    .flatMap(p => {
+      const inputs = [];
+      if (p.mood) {
+        inputs.push({
+          mood: p.mood,
+          confidence: p.confidence || 0.8,
+          weight: 1.0,
+          source: p.moodSource || 'manual'
+        });
+      }
+      if (p.chatMood?.mood && chatWeight > 0) {
+        inputs.push({
+          mood: p.chatMood.mood,
+          confidence: p.chatMood.confidence || 0.8,
+          weight: chatWeight,
+          source: 'chat'
+        });
+      }
+      return inputs;
+    });
 };
 
+// Changes to any of these re-fuse the room mood
+const participantKey = (p) => `${p.userId}:${p.mood}:${p.confidence}:${p.chatMood?.mood}:${p.chatMood?.confidence}`;
+
 // Default mood state
 const DEFAULT_MOOD = {
   vector: { valence: 0, arousal: 0 },
@@ -25,7 +48,7 @@ const DEFAULT_MOOD = {
   source: 'default'
 };
 
-export const useMoodFusion = (roomId, participants = [], updateInterval = 1000) => {
+export const useMoodFusion = (roomId, participants = [], updateInterval = 1000, chatWeight = DEFAULT_CHAT_MOOD_WEIGHT) => {
   const [fusedMood, setFusedMood] = useState(DEFAULT_MOOD);
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState(null);
@@ -67,7 +90,8 @@ export const useMoodFusion = (roomId, participants = [], updateInterval = 1000)
           label: data.result.label,
           confidence: data.result.confidence,
           source: data.result.source,
-          contributingMoods: data.result.contributingMoods
+          contributingMoods: data.result.contributingMoods,
+          consensus: data.result.consensus
         };
         
         setFusedMood(newMood);
@@ -88,9 +112,9 @@ export const useMoodFusion = (roomId, participants = [], updateInterval = 1000)
 
   // Update mood based on current participants
   const updateMood = useCallback(async () => {
-    const moodInputs = participantsToMoodInputs(participants);
+    const moodInputs = participantsToMoodInputs(participants, chatWeight);
     return await callMoodFusion(moodInputs);
-  }, [participants, callMoodFusion]);
+  }, [participants, chatWeight, callMoodFusion]);
 
   // Manual mood fusion trigger
   const fuseMoods = useCallback(async (customMoodInputs) => {
@@ -155,8 +179,8 @@ export const useMoodFusion = (roomId, participants = [], updateInterval = 1000)
 
   // Check if participants have changed
   const participantsChanged = useCallback(() => {
-    const current = participants.map(p => `${p.userId}:${p.mood}:${p.confidence}`).sort();
-    const previous = lastParticipantsRef.current.map(p => `${p.userId}:${p.mood}:${p.confidence}`).sort();
+    const current = participants.map(participantKey).sort();
+    const previous = lastParticipantsRef.current.map(participantKey).sort();
     
     return JSON.stringify(current) !== JSON.stringify(previous);
   }, [participants]);
@@ -207,8 +231,8 @@ export const useMoodFusion = (roomId, participants = [], updateInterval = 1000)
     refresh,
     
     // Utilities
-    participantCount: participants.filter(p => p.isOnline && p.mood).length,
-    hasValidMoods: participants.some(p => p.isOnline && p.mood)
+    participantCount: participants.filter(hasMood).length,
+    hasValidMoods: participants.some(hasMood)
   };
 };
 
@@ -0,0 +1,101 @@
+// useMoodRegistry Hook - The server's mood vocabulary for emoji pickers and mood badges
+// Fetched once per page load from /api/mood/registry and shared by every component using it
+
+import { useState, useEffect, useCallback } from 'react';
+
+const API_BASE = process.env.REACT_APP_API_URL || 'http://localhost:3001/api';
+
+// Shown until the registry arrives, or if the server cannot be reached
+const FALLBACK_MOODS = [
+  { name: 'happy', label: 'Happy', displayName: 'Happy', emoji: ['😊'], synonyms: [] },
+  { name: 'sad', label: 'Sad', displayName: 'Sad', emoji: ['😢'], synonyms: [] },
+  { name: 'angry', label: 'Angry', displayName: 'Angry', emoji: ['😠'], synonyms: [] },
+  { name: 'sleepy', label: 'Sleepy', displayName: 'Sleepy', emoji: ['😴'], synonyms: [] },
+  { name: 'thoughtful', label: 'Thoughtful', displayName: 'Thoughtful', emoji: ['🤔'], synonyms: [] },
+  { name: 'excited', label: 'Excited', displayName: 'Excited', emoji: ['😍', '🎉'], synonyms: [] },
+  { name: 'surprised', label: 'Surprised', displayName: 'Surprised', emoji: ['🤯'], synonyms: [] },
+  { name: 'calm', label: 'Calm', displayName: 'Calm', emoji: ['😌'], synonyms: [] },
+  { name: 'neutral', label: 'Neutral', displayName: 'Neutral', emoji: ['😐'], synonyms: [] }
+];
+
+// Tailwind classes per mood; moods without an entry use the neutral grey
+const MOOD_COLORS = {
+  happy: 'bg-yellow-100 border-yellow-300 text-yellow-700',
+  excited: 'bg-pink-100 border-pink-300 text-pink-700',
+  surprised: 'bg-orange-100 border-orange-300 text-orange-700',
+  calm: 'bg-green-100 border-green-300 text-green-700',
+  content: 'bg-green-100 border-green-300 text-green-700',
+  peaceful: 'bg-teal-100 border-teal-300 text-teal-700',
+  sad: 'bg-blue-100 border-blue-300 text-blue-700',
+  depressed: 'bg-indigo-100 border-indigo-300 text-indigo-700',
+  angry: 'bg-red-100 border-red-300 text-red-700',
+  frustrated: 'bg-red-100 border-red-300 text-red-700',
+  anxious: 'bg-amber-100 border-amber-300 text-amber-700',
+  thoughtful: 'bg-purple-100 border-purple-300 text-purple-700',
+  focused: 'bg-sky-100 border-sky-300 text-sky-700'
+};
+
+const DEFAULT_COLOR = 'bg-gray-100 border-gray-300 text-gray-700';
+
+export const getMoodColorClasses = (moodName) => MOOD_COLORS[moodName] || DEFAULT_COLOR;
+
+let registryRequest = null;
+
+const fetchRegistry = (locale) => {
+  if (!registryRequest) {
+    const query = locale ? `?locale=${encodeURIComponent(locale)}` : '';
+    registryRequest = fetch(`${API_BASE}/mood/registry${query}`)
+      .then(response => {
+        if (!response.ok) {
+          throw new Error(`Mood registry request failed: ${response.status}`);
+        }
+        return response.json();
+      })
+      .catch(err => {
+        // Let a later mount try again
+        registryRequest = null;
+        throw err;
+      });
+  }
+  return registryRequest;
+};
+
+export const useMoodRegistry = (locale = navigator.language) => {
+  const [moods, setMoods] = useState(FALLBACK_MOODS);
+  const [defaultMood, setDefaultMood] = useState('neutral');
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    fetchRegistry(locale)
+      .then(registry => {
+        if (cancelled) return;
+        setMoods(registry.moods);
+        setDefaultMood(registry.defaultMood);
+      })
+      .catch(err => {
+        console.error('Mood registry error:', err);
+        if (!cancelled) setError(err.message);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [locale]);
+
+  // Look a mood up by name, emoji or synonym
+  const findMood = useCallback((value) => {
+    if (!value) return null;
+    const key = value.toLowerCase();
+    return moods.find(m => m.name === key || m.emoji.includes(value) || m.synonyms.includes(key)) || null;
+  }, [moods]);
+
+  const getMoodEmoji = useCallback((value) => {
+    const mood = findMood(value);
+    if (!mood) return '😐';
+    return mood.emoji.includes(value) ? value : mood.emoji[0] || '😐';
+  }, [findMood]);
+
+  return { moods, defaultMood, findMood, getMoodEmoji, error };
+};
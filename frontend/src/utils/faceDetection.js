@@ -1,47 +1,32 @@
-// Temporary face detection utility
-// This is a placeholder until face-api.js is properly installed
-// In production, replace with actual face-api.js integration
+// Face detection utility backed by face-api (TensorFlow.js)
+// Runs entirely in the browser; model weights are served from /models
+// (copied out of node_modules by `npm run copy-face-models`)
+import * as faceapi from '@vladmandic/face-api';
 
-export const detectFaceEmotions = async (canvas) => {
-  // Simulate face detection processing time
-  await new Promise(resolve => setTimeout(resolve, 1000 + Math.random() * 1500));
-  
-  // Mock emotion detection based on image characteristics
-  // In reality, this would analyze actual facial features
-  
-  const emotions = [
-    { emotion: 'happy', confidence: 0.85 },
-    { emotion: 'calm', confidence: 0.78 },
-    { emotion: 'surprised', confidence: 0.82 },
-    { emotion: 'focused', confidence: 0.73 },
-    { emotion: 'neutral', confidence: 0.80 },
-    { emotion: 'thoughtful', confidence: 0.75 },
-    { emotion: 'excited', confidence: 0.88 }
-  ];
-  
-  // Simple analysis based on image data
-  const imageData = canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height);
-  const pixels = imageData.data;
-  
-  // Calculate average brightness (very basic "analysis")
-  let totalBrightness = 0;
-  for (let i = 0; i < pixels.length; i += 4) {
-    const r = pixels[i];
-    const g = pixels[i + 1];
-    const b = pixels[i + 2];
-    totalBrightness += (r + g + b) / 3;
-  }
-  
-  const avgBrightness = totalBrightness / (pixels.length / 4);
-  const emotionIndex = Math.floor((avgBrightness % 100) / 100 * emotions.length);
-  
-  return emotions[emotionIndex] || emotions[4]; // Default to neutral
+const MODEL_URL = `${process.env.PUBLIC_URL || ''}/models`;
+
+// Valence/arousal for each face-api expression class, mirrored in backend/services/faceEmotion.js
+const EXPRESSION_VECTORS = {
+  neutral: { valence: 0.0, arousal: 0.0 },
+  happy: { valence: 0.8, arousal: 0.5 },
+  sad: { valence: -0.7, arousal: -0.4 },
+  angry: { valence: -0.7, arousal: 0.8 },
+  fearful: { valence: -0.6, arousal: 0.7 },
+  disgusted: { valence: -0.7, arousal: 0.3 },
+  surprised: { valence: 0.2, arousal: 0.8 }
 };
 
-export const loadFaceApiModels = async () => {
-  // Simulate model loading
-  await new Promise(resolve => setTimeout(resolve, 2000));
-  return true;
+// Moods a room participant can hold, with their positions on the same plane
+const PARTICIPANT_MOODS = {
+  happy: { valence: 0.7, arousal: 0.6 },
+  sad: { valence: -0.6, arousal: -0.4 },
+  angry: { valence: -0.7, arousal: 0.8 },
+  sleepy: { valence: -0.1, arousal: -0.8 },
+  thoughtful: { valence: 0.1, arousal: 0.2 },
+  excited: { valence: 0.8, arousal: 0.9 },
+  surprised: { valence: 0.3, arousal: 0.8 },
+  calm: { valence: 0.6, arousal: -0.4 },
+  neutral: { valence: 0.0, arousal: 0.0 }
 };
 
 // Face detection configuration
@@ -50,8 +35,134 @@ export const faceDetectionConfig = {
   scoreThreshold: 0.5
 };
 
-export default {
+let modelsLoading = null;
+
+export const loadFaceApiModels = async () => {
+  if (!modelsLoading) {
+    modelsLoading = Promise.all([
+      faceapi.nets.tinyFaceDetector.loadFromUri(MODEL_URL),
+      faceapi.nets.faceExpressionNet.loadFromUri(MODEL_URL)
+    ]).catch(error => {
+      modelsLoading = null; // allow a retry after a failed download
+      throw error;
+    });
+  }
+
+  await modelsLoading;
+  return true;
+};
+
+const nearestMood = (valence, arousal) => {
+  let closest = 'neutral';
+  let minDistance = Infinity;
+
+  for (const [mood, vector] of Object.entries(PARTICIPANT_MOODS)) {
+    const distance = Math.hypot(valence - vector.valence, arousal - vector.arousal);
+    if (distance < minDistance) {
+      minDistance = distance;
+      closest = mood;
+    }
+  }
+
+  return closest;
+};
+
+// Map an expression probability distribution to a mood
+export const scoreExpressions = (expressions) => {
+  let valence = 0;
+  let arousal = 0;
+  let dominant = 'neutral';
+
+  for (const [expression, vector] of Object.entries(EXPRESSION_VECTORS)) {
+    const probability = expressions[expression] || 0;
+    valence += probability * vector.valence;
+    arousal += probability * vector.arousal;
+    if (probability > (expressions[dominant] || 0)) {
+      dominant = expression;
+    }
+  }
+
+  return {
+    emotion: nearestMood(valence, arousal),
+    confidence: Math.round((expressions[dominant] || 0) * 100) / 100,
+    dominantExpression: dominant
+  };
+};
+
+// Detect every face in the canvas and classify its expression.
+// Returns { faceDetected, faces, primaryFace, emotion, confidence, imageSize };
+// emotion is null when no face is found.
+export const detectFaceEmotions = async (canvas) => {
+  await loadFaceApiModels();
+
+  const detections = await faceapi
+    .detectAllFaces(canvas, new faceapi.TinyFaceDetectorOptions(faceDetectionConfig))
+    .withFaceExpressions();
+
+  const faces = detections.map(({ detection, expressions }) => {
+    const probabilities = Object.fromEntries(
+      Object.keys(EXPRESSION_VECTORS).map(key => [key, Math.round((expressions[key] || 0) * 10000) / 10000])
+    );
+
+    return {
+      box: {
+        x: Math.round(detection.box.x),
+        y: Math.round(detection.box.y),
+        width: Math.round(detection.box.width),
+        height: Math.round(detection.box.height)
+      },
+      score: Math.round(detection.score * 1000) / 1000,
+      expressions: probabilities,
+      ...scoreExpressions(probabilities)
+    };
+  });
+
+  const imageSize = { width: canvas.width, height: canvas.height };
+
+  if (faces.length === 0) {
+    return { faceDetected: false, faces, primaryFace: null, emotion: null, confidence: 0, imageSize };
+  }
+
+  // The largest, most confident face is assumed to be the user
+  const primaryFace = faces.reduce((best, face, index) => {
+    const weight = face.box.width * face.box.height * face.score;
+    const bestFace = faces[best];
+    return weight > bestFace.box.width * bestFace.box.height * bestFace.score ? index : best;
+  }, 0);
+
+  return {
+    faceDetected: true,
+    faces,
+    primaryFace,
+    emotion: faces[primaryFace].emotion,
+    confidence: faces[primaryFace].confidence,
+    imageSize
+  };
+};
+
+// Outline each detected face on the canvas, highlighting the primary one
+export const drawFaceBoxes = (canvas, result) => {
+  const context = canvas.getContext('2d');
+  context.lineWidth = 3;
+  context.font = '16px sans-serif';
+
+  result.faces.forEach((face, index) => {
+    const { x, y, width, height } = face.box;
+    const color = index === result.primaryFace ? '#22c55e' : '#3b82f6';
+
+    context.strokeStyle = color;
+    context.strokeRect(x, y, width, height);
+    context.fillStyle = color;
+    context.fillText(`${face.emotion} ${Math.round(face.confidence * 100)}%`, x, Math.max(16, y - 6));
+  });
+};
+
+const faceDetection = {
   detectFaceEmotions,
   loadFaceApiModels,
+  drawFaceBoxes,
+  scoreExpressions,
   faceDetectionConfig
 };
+
+export default faceDetection;
@@ -0,0 +1,60 @@
+// WAV encoder for voice uploads
+// MediaRecorder produces WebM/Opus, which the backend can't decode offline,
+// so recordings are converted to 16 kHz mono 16-bit PCM before upload
+
+const TARGET_SAMPLE_RATE = 16000;
+
+const writeString = (view, offset, text) => {
+  for (let i = 0; i < text.length; i++) {
+    view.setUint8(offset + i, text.charCodeAt(i));
+  }
+};
+
+export const encodeWav = (samples, sampleRate) => {
+  const buffer = new ArrayBuffer(44 + samples.length * 2);
+  const view = new DataView(buffer);
+
+  writeString(view, 0, 'RIFF');
+  view.setUint32(4, 36 + samples.length * 2, true);
+  writeString(view, 8, 'WAVE');
+  writeString(view, 12, 'fmt ');
+  view.setUint32(16, 16, true);
+  view.setUint16(20, 1, true); // PCM
+  view.setUint16(22, 1, true); // mono
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * 2, true); // byte rate
+  view.setUint16(32, 2, true); // block align
+  view.setUint16(34, 16, true);
+  writeString(view, 36, 'data');
+  view.setUint32(40, samples.length * 2, true);
+
+  for (let i = 0; i < samples.length; i++) {
+    const sample = Math.max(-1, Math.min(1, samples[i]));
+    view.setInt16(44 + i * 2, sample < 0 ? sample * 0x8000 : sample * 0x7fff, true);
+  }
+
+  return new Blob([buffer], { type: 'audio/wav' });
+};
+
+// Decode any browser-supported recording and re-encode it as mono 16 kHz WAV
+export const convertToWav = async (audioBlob) => {
+  const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+  const audioContext = new AudioContextClass();
+
+  try {
+    const decoded = await audioContext.decodeAudioData(await audioBlob.arrayBuffer());
+    const length = Math.ceil(decoded.duration * TARGET_SAMPLE_RATE);
+
+    // OfflineAudioContext downmixes to one channel and resamples in a single render
+    const offline = new OfflineAudioContext(1, length, TARGET_SAMPLE_RATE);
+    const source = offline.createBufferSource();
+    source.buffer = decoded;
+    source.connect(offline.destination);
+    source.start();
+
+    const rendered = await offline.startRendering();
+    return encodeWav(rendered.getChannelData(0), TARGET_SAMPLE_RATE);
+  } finally {
+    audioContext.close();
+  }
+};
@@ -14,7 +14,7 @@ const commands = {
   'start-server': {
     description: 'Start the backend server with room connections',
     command: 'node',
-    args: ['app.js'],
+    args: ['server.js'],
     cwd: path.join(__dirname, 'backend')
   },
   'start-frontend': {
@@ -135,7 +135,7 @@ function checkSetup() {
   
   // Check key files
   const keyFiles = [
-    path.join(backendPath, 'app.js'),
+    path.join(backendPath, 'createServer.js'),
     path.join(backendPath, 'services/roomConnection.js'),
     path.join(backendPath, 'services/ambientMatching.js'),
     path.join(frontendPath, 'src/components/RoomConnectionPanel.js')
@@ -17,7 +17,7 @@ function checkFileStructure() {
   console.log('📁 Checking file structure...');
   
   const requiredFiles = [
-    'backend/app.js',
+    'backend/createServer.js',
     'backend/services/roomConnection.js',
     'backend/services/ambientMatching.js',
     'backend/services/roomConnectionSockets.js',